@@ -127,7 +127,7 @@ module.exports.chat = async (event) => {
         const tools = getToolDefinitions();
 
         // Run the agent loop
-        const result = await runAgentLoop(messages, tools);
+        const result = await runAgentLoop(messages, tools, user_context);
 
         return response(200, {
             success: true,
@@ -154,9 +154,9 @@ module.exports.chat = async (event) => {
 };
 
 /**
- * Run the agent loop with tool use
+ * Run the agent loop with tool use. Tools that act for the user get it from userContext.
  */
-async function runAgentLoop(messages, tools) {
+async function runAgentLoop(messages, tools, userContext = {}) {
     let currentMessages = [...messages];
     let toolCalls = [];
     let iterations = 0;
@@ -184,7 +184,7 @@ async function runAgentLoop(messages, tools) {
         for (const toolUse of toolUseBlocks) {
             console.log(`Executing tool: ${toolUse.name}`, JSON.stringify(toolUse.input));
             
-            const result = await executeTool(toolUse.name, toolUse.input);
+            const result = await executeTool(toolUse.name, toolUse.input, userContext);
             
             toolCalls.push({
                 tool: toolUse.name,
@@ -409,7 +409,8 @@ module.exports.quickRecommend = async (event) => {
             location,
             battery_level = 50,
             urgency = 'normal',
-            needs = []
+            needs = [],
+            user_id // optional, only stations with chargers for the user's vehicle
         } = body;
 
         if (!location || !location.lat || !location.lng) {
@@ -436,7 +437,8 @@ module.exports.quickRecommend = async (event) => {
             location,
             radius_km: urgency === 'high' ? 5 : 15,
             filters,
-            limit: 3
+            limit: 3,
+            user_id
         });
 
         // Enhance with ETA for top results
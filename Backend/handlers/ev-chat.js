@@ -4,9 +4,9 @@
  */
 
 const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
-const stations = require('../data/stations_geo.json');
-const venues = require('../data/venues.json');
-const chargingMetrics = require('../data/charging_metrics.json');
+const repositories = require('./repositories');
+const { TARIFF_TIERS } = require('./tools/tariffs');
+const { getLiveStations } = require('./tools/availability');
 
 const bedrockClient = new BedrockRuntimeClient({ region: 'us-east-1' });
 
@@ -23,12 +23,12 @@ const response = (statusCode, body) => ({
 });
 
 // Build context for AI
-const buildContext = (userContext = {}) => {
-    const availableStations = stations.stations.filter(s =>
+const buildContext = (userContext = {}, liveStations = [], venues = []) => {
+    const availableStations = liveStations.filter(s =>
         s.chargers.some(c => c.status === 'available')
     );
 
-    const stationsSummary = stations.stations.slice(0, 5).map(s => ({
+    const stationsSummary = liveStations.slice(0, 5).map(s => ({
         name: s.name,
         address: s.address,
         available: s.chargers.filter(c => c.status === 'available').length,
@@ -37,7 +37,7 @@ const buildContext = (userContext = {}) => {
         amenities: s.usage_factors.nearby_amenities
     }));
 
-    const premiumVenues = Object.values(venues.venues).filter(v =>
+    const premiumVenues = venues.filter(v =>
         ['copec_premium', 'copec_flagship'].includes(v.venue_type)
     );
 
@@ -45,7 +45,7 @@ const buildContext = (userContext = {}) => {
 ## Contexto del Sistema Copec EV Assistant
 
 ### Estadísticas Actuales:
-- Total estaciones: ${stations.stations.length}
+- Total estaciones: ${liveStations.length}
 - Estaciones disponibles: ${availableStations.length}
 - Estaciones premium con Street Burger: ${premiumVenues.length}
 
@@ -59,8 +59,7 @@ ${stationsSummary.map(s => `- ${s.name}: ${s.available}/${s.total} disponibles,
 - Vehículo: ${userContext.vehicle || 'No especificado'}
 
 ### Precios:
-- Carga rápida: $${stations.metadata.pricing.fast_charging_per_kwh} CLP/kWh
-- Carga lenta: $${stations.metadata.pricing.slow_charging_per_kwh} CLP/kWh
+${Object.values(TARIFF_TIERS).map(t => `- ${t.label}: $${t.price_per_kwh} CLP/kWh`).join('\n')}
 `;
 };
 
@@ -99,7 +98,8 @@ module.exports.chat = async (event) => {
         }
 
         // Build the prompt with context
-        const context = buildContext(userContext);
+        const liveStations = await getLiveStations();
+        const context = buildContext(userContext, liveStations, await repositories.venues.list());
 
         // Format conversation history
         const formattedHistory = conversationHistory.slice(-6).map(msg => ({
@@ -133,7 +133,7 @@ module.exports.chat = async (event) => {
         const aiMessage = responseBody.content[0].text;
 
         // Extract any actions from the response
-        const actions = extractActions(aiMessage, userContext);
+        const actions = extractActions(aiMessage, userContext, liveStations);
 
         return response(200, {
             success: true,
@@ -159,12 +159,12 @@ module.exports.chat = async (event) => {
 };
 
 // Extract actionable items from AI response
-const extractActions = (aiMessage, userContext) => {
+const extractActions = (aiMessage, userContext, liveStations) => {
     const actions = [];
     const lowerMessage = aiMessage.toLowerCase();
 
     // Check for station mentions
-    const stationMentions = stations.stations.filter(s =>
+    const stationMentions = liveStations.filter(s =>
         lowerMessage.includes(s.name.toLowerCase())
     );
 
@@ -9,12 +9,18 @@
  * - GET /api/user/:userId/profile
  * - GET /api/user/:userId/vehicle
  * - GET /api/context (aggregated data for AI)
+ * - GET /api/simulation
+ * - GET /api/stations/catalog
+ * - POST /api/stations/import
  */
 
-const chargingMetrics = require('../data/charging_metrics.json');
-const venues = require('../data/venues.json');
-const usersVehicles = require('../data/users_vehicles.json');
-const stations = require('../data/stations_geo.json');
+const repositories = require('./repositories');
+const { getPointsBalance } = require('./tools/points');
+const { getQueueStatus, getQueueSummaries } = require('./tools/queue');
+const { getLiveStations } = require('./tools/availability');
+const { getSimulationInfo } = require('./tools/simulator');
+const { getStationCatalog, importStations } = require('./tools/catalog');
+const { authenticateOperator } = require('./tools/operators');
 
 // Response helper
 const response = (statusCode, body) => ({
@@ -30,17 +36,23 @@ const response = (statusCode, body) => ({
 
 /**
  * GET /api/charging/metrics
- * Get charging usage metrics and patterns
+ * Get charging usage metrics and patterns, with power draw from the charger simulator
  */
 module.exports.getChargingMetrics = async (event) => {
     try {
         const params = event.queryStringParameters || {};
         const stationId = params.stationId;
+        const liveStations = await getLiveStations();
+        const chargingMetrics = await repositories.metrics.get();
 
         let data = {
             charging_sessions: chargingMetrics.charging_sessions,
-            real_time_power: chargingMetrics.real_time_power,
-            metadata: chargingMetrics.metadata
+            real_time_power: Object.fromEntries(liveStations.map(s => [s.id, s.real_time_power])),
+            metadata: {
+                ...chargingMetrics.metadata,
+                last_sync: liveStations[0]?.simulated_at,
+                simulation: getSimulationInfo()
+            }
         };
 
         // Filter by station if specified
@@ -61,32 +73,36 @@ module.exports.getChargingMetrics = async (event) => {
 
 /**
  * GET /api/charging/queue/{stationId}
- * Get queue density and wait times for a station
+ * Get queue density and wait times for a station from the live station queue.
+ * Optional userId query param estimates the wait with that user's queue priority.
  */
 module.exports.getQueueDensity = async (event) => {
     try {
         const stationId = event.pathParameters?.stationId;
+        const params = event.queryStringParameters || {};
 
         if (!stationId) {
             // Return all queue data
             return response(200, {
                 success: true,
-                queues: chargingMetrics.queue_density,
-                metadata: chargingMetrics.metadata
+                queues: await getQueueSummaries({ user_id: params.userId }),
+                metadata: (await repositories.metrics.get()).metadata
             });
         }
 
-        const queueData = chargingMetrics.queue_density[stationId];
+        const queueData = await getQueueStatus({ station_id: stationId, user_id: params.userId });
 
-        if (!queueData) {
+        if (queueData.error) {
             return response(404, { error: `Estación ${stationId} no encontrada` });
         }
 
+        const { last_updated, ...queue } = queueData;
+
         return response(200, {
             success: true,
             station_id: stationId,
-            queue: queueData,
-            last_sync: chargingMetrics.metadata.last_sync
+            queue,
+            last_sync: last_updated
         });
     } catch (error) {
         console.error('Get queue density error:', error);
@@ -104,14 +120,15 @@ module.exports.getVenueDetails = async (event) => {
 
         if (!stationId) {
             // Return all venues
+            const venues = await repositories.venues.list();
             return response(200, {
                 success: true,
-                venues: venues.venues,
-                metadata: venues.metadata
+                venues: Object.fromEntries(venues.map(venue => [venue.station_id, venue])),
+                metadata: await repositories.venues.getMetadata()
             });
         }
 
-        const venueData = venues.venues[stationId];
+        const venueData = await repositories.venues.get(stationId);
 
         if (!venueData) {
             // Return basic info if venue not in detailed list
@@ -150,7 +167,7 @@ module.exports.getUserProfile = async (event) => {
             return response(400, { error: 'Se requiere userId' });
         }
 
-        const userData = usersVehicles.users[userId];
+        const userData = await repositories.users.get(userId);
 
         if (!userData) {
             // Return default profile for demo
@@ -171,9 +188,12 @@ module.exports.getUserProfile = async (event) => {
             });
         }
 
+        const points = await getPointsBalance({ user_id: userId, limit: 0 });
+
         return response(200, {
             success: true,
-            ...userData
+            ...userData,
+            copec_points: points.balance
         });
     } catch (error) {
         console.error('Get user profile error:', error);
@@ -194,7 +214,7 @@ module.exports.getUserVehicle = async (event) => {
         }
 
         // Find vehicle by owner_id
-        const vehicle = Object.values(usersVehicles.vehicles).find(v => v.owner_id === userId);
+        const vehicle = await repositories.vehicles.getByOwner(userId);
 
         if (!vehicle) {
             // Return demo vehicle
@@ -233,6 +253,9 @@ module.exports.getAIContext = async (event) => {
     try {
         const body = JSON.parse(event.body || '{}');
         const { userId, location, stationId } = body;
+        const liveStations = await getLiveStations();
+        const queues = await getQueueSummaries({ user_id: userId });
+        const venues = await repositories.venues.list();
 
         // Aggregate all relevant data for AI
         const context = {
@@ -244,45 +267,43 @@ module.exports.getAIContext = async (event) => {
 
             // Station context
             stations_summary: {
-                total: stations.stations.length,
-                available: stations.stations.filter(s =>
+                total: liveStations.length,
+                available: liveStations.filter(s =>
                     s.chargers.some(c => c.status === 'available')
                 ).length
             },
 
             // Queue status
-            queue_overview: Object.entries(chargingMetrics.queue_density).map(([id, q]) => ({
-                station_id: id,
-                ...q
-            })),
+            queue_overview: Object.values(queues),
 
             // High demand stations (queue > 2)
-            high_demand_stations: Object.entries(chargingMetrics.queue_density)
+            high_demand_stations: Object.entries(queues)
                 .filter(([, q]) => q.current_queue > 2)
                 .map(([id]) => id),
 
             // Recommended stations (no queue, fast available)
-            recommended_for_quick_charge: stations.stations
+            recommended_for_quick_charge: liveStations
                 .filter(s => {
-                    const queue = chargingMetrics.queue_density[s.id];
+                    const queue = queues[s.id];
                     const hasFast = s.chargers.some(c => c.type === 'fast' && c.status === 'available');
                     return queue?.current_queue === 0 && hasFast;
                 })
                 .map(s => s.id),
 
             // Premium venues
-            premium_venues: Object.values(venues.venues)
+            premium_venues: venues
                 .filter(v => ['copec_premium', 'copec_flagship'].includes(v.venue_type))
                 .map(v => v.station_id),
 
             // Current pricing
-            pricing: stations.metadata.pricing
+            pricing: (await repositories.stations.getMetadata()).pricing
         };
 
         // Add user data if userId provided
-        if (userId && usersVehicles.users[userId]) {
-            context.user = usersVehicles.users[userId];
-            const vehicle = Object.values(usersVehicles.vehicles).find(v => v.owner_id === userId);
+        const user = userId ? await repositories.users.get(userId) : null;
+        if (user) {
+            context.user = user;
+            const vehicle = await repositories.vehicles.getByOwner(userId);
             if (vehicle) {
                 context.vehicle = vehicle;
             }
@@ -290,9 +311,9 @@ module.exports.getAIContext = async (event) => {
 
         // Add specific station data if stationId provided
         if (stationId) {
-            const station = stations.stations.find(s => s.id === stationId);
-            const venue = venues.venues[stationId];
-            const queue = chargingMetrics.queue_density[stationId];
+            const station = liveStations.find(s => s.id === stationId);
+            const venue = venues.find(v => v.station_id === stationId);
+            const queue = queues[stationId];
 
             context.focused_station = {
                 station,
@@ -317,9 +338,12 @@ module.exports.getAIContext = async (event) => {
  */
 module.exports.getAllStationsEnriched = async () => {
     try {
-        const enrichedStations = stations.stations.map(station => {
-            const venue = venues.venues[station.id];
-            const queue = chargingMetrics.queue_density[station.id];
+        const queues = await getQueueSummaries();
+        const liveStations = await getLiveStations();
+        const venues = new Map((await repositories.venues.list()).map(venue => [venue.station_id, venue]));
+        const enrichedStations = liveStations.map(station => {
+            const venue = venues.get(station.id);
+            const queue = queues[station.id];
 
             return {
                 ...station,
@@ -335,8 +359,9 @@ module.exports.getAllStationsEnriched = async () => {
             success: true,
             stations: enrichedStations,
             metadata: {
-                ...stations.metadata,
-                enriched: true
+                ...(await repositories.stations.getMetadata()),
+                enriched: true,
+                simulation: getSimulationInfo()
             }
         });
     } catch (error) {
@@ -344,3 +369,100 @@ module.exports.getAllStationsEnriched = async () => {
         return response(500, { error: 'Error al obtener estaciones enriquecidas' });
     }
 };
+
+/**
+ * GET /api/simulation
+ * Get the charger simulator settings and current simulated time. Settings come from the
+ * SIMULATION_* environment variables only, so every function reads the same ones.
+ */
+module.exports.getSimulation = async () => {
+    try {
+        return response(200, {
+            success: true,
+            simulation: getSimulationInfo()
+        });
+    } catch (error) {
+        console.error('Get simulation error:', error);
+        return response(500, { error: 'Error al obtener la simulación' });
+    }
+};
+
+// If-None-Match may list several tags; weak (W/) ones compare by value
+const matchesEtag = (ifNoneMatch, etag) =>
+    !!ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).some(tag =>
+        tag === '*' || tag.replace(/^W\//, '') === etag);
+
+/**
+ * GET /api/stations/catalog
+ * Static station catalog (locations, chargers, usage factors) the frontend bootstraps from.
+ * Live status comes from /api/stations/stream. Clients revalidate their cached copy with
+ * If-None-Match and get a 304 while the catalog version is unchanged.
+ */
+module.exports.getStationCatalog = async (event) => {
+    try {
+        const catalog = await getStationCatalog();
+        const etag = `"${catalog.version}"`;
+        const headers = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type,Authorization,If-None-Match',
+            'Access-Control-Allow-Methods': 'GET,OPTIONS',
+            'Access-Control-Expose-Headers': 'ETag',
+            'Cache-Control': 'no-cache',
+            ETag: etag
+        };
+
+        const requestHeaders = event.headers || {};
+        const header = Object.keys(requestHeaders).find(h => h.toLowerCase() === 'if-none-match');
+        if (matchesEtag(header && requestHeaders[header], etag)) {
+            return { statusCode: 304, headers, body: '' };
+        }
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({
+                success: true,
+                ...catalog
+            })
+        };
+    } catch (error) {
+        console.error('Get station catalog error:', error);
+        return response(500, { error: 'Error al obtener el catálogo de estaciones' });
+    }
+};
+
+/**
+ * POST /api/stations/import
+ * Import stations from an OCPI Locations, Open Charge Map or CSV export.
+ * Returns the diff report; with apply: true the merged catalog is saved to the stations repository,
+ * which takes an operator key (Authorization: Bearer <key>).
+ */
+module.exports.importStations = async (event) => {
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const { content, format, apply = false } = body;
+
+        if (apply) {
+            const requestHeaders = event.headers || {};
+            const header = Object.keys(requestHeaders).find(h => h.toLowerCase() === 'authorization');
+            const operator = authenticateOperator({ authorization: header && requestHeaders[header] });
+            if (operator.error) {
+                return response(operator.statusCode, { error: operator.error });
+            }
+        }
+
+        const result = await importStations({ content, format, apply });
+        if (result.error) {
+            const { statusCode = 400, ...rest } = result;
+            return response(statusCode, rest);
+        }
+
+        return response(200, {
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Import stations error:', error);
+        return response(500, { error: 'Error al importar estaciones' });
+    }
+};
@@ -0,0 +1,259 @@
+/**
+ * Copec EV OCPI - Lambda Handler
+ * OCPI 2.2.1 CPO interface for roaming partners (eMSPs)
+ *
+ * OCPI endpoints (Authorization: Token <base64 token>):
+ * - GET /ocpi/versions
+ * - GET /ocpi/2.2.1
+ * - GET|POST|PUT|DELETE /ocpi/2.2.1/credentials
+ * - GET /ocpi/2.2.1/locations[/{locationId}[/{evseUid}[/{connectorId}]]]
+ * - GET /ocpi/2.2.1/tariffs
+ * - GET /ocpi/2.2.1/sessions?date_from=&date_to=&offset=&limit=
+ * - GET /ocpi/2.2.1/cdrs?date_from=&date_to=&offset=&limit=
+ *
+ * Partner management (Authorization: Bearer <operator key>):
+ * - POST /api/ocpi/registrations
+ * - GET /api/ocpi/partners
+ */
+
+const ocpiTools = require('./tools/ocpi');
+const { authenticateOperator } = require('./tools/operators');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Request-ID,X-Correlation-ID',
+    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+};
+
+// Response helper
+const response = (statusCode, body) => ({
+    statusCode,
+    headers: {
+        'Content-Type': 'application/json',
+        ...CORS_HEADERS
+    },
+    body: JSON.stringify(body)
+});
+
+// Map a tool result to an HTTP response
+const toResponse = (result) => {
+    if (result.error) {
+        const { statusCode = 400, ...body } = result;
+        return response(statusCode, body);
+    }
+    return response(200, { success: true, ...result });
+};
+
+// Case-insensitive header lookup (API Gateway and serverless-offline differ in casing)
+const getHeader = (event, name) => {
+    const headers = event.headers || {};
+    const key = Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+};
+
+// Public base URL partners use to reach this API
+const getBaseUrl = (event) => {
+    if (process.env.OCPI_BASE_URL) return process.env.OCPI_BASE_URL;
+
+    const proto = getHeader(event, 'X-Forwarded-Proto') || (process.env.IS_OFFLINE === 'true' ? 'http' : 'https');
+    return `${proto}://${getHeader(event, 'Host') || event.requestContext?.domainName}`;
+};
+
+/**
+ * OCPI response envelope, with the request/correlation ids echoed back and
+ * pagination headers (X-Total-Count, X-Limit, Link) on list endpoints
+ */
+const ocpiResponse = (event, result) => {
+    const headers = {
+        'Content-Type': 'application/json',
+        ...CORS_HEADERS
+    };
+
+    ['X-Request-ID', 'X-Correlation-ID'].forEach(name => {
+        const value = getHeader(event, name);
+        if (value) headers[name] = value;
+    });
+
+    if (result.pagination) {
+        const { total_count, limit, next_offset } = result.pagination;
+        headers['X-Total-Count'] = String(total_count);
+        headers['X-Limit'] = String(limit);
+
+        if (next_offset !== null) {
+            const query = new URLSearchParams(event.queryStringParameters || {});
+            query.set('offset', String(next_offset));
+            query.set('limit', String(limit));
+            headers.Link = `<${getBaseUrl(event)}${event.rawPath}?${query}>; rel="next"`;
+        }
+    }
+
+    return {
+        statusCode: result.error ? result.statusCode : 200,
+        headers,
+        body: JSON.stringify({
+            data: result.error ? undefined : result.data,
+            status_code: result.error ? result.status_code : ocpiTools.STATUS_CODES.SUCCESS,
+            status_message: result.error || 'Success',
+            timestamp: new Date().toISOString()
+        })
+    };
+};
+
+/**
+ * Wrap an OCPI endpoint: authenticate the partner's token, run the module
+ * and answer with the OCPI envelope
+ */
+const ocpiHandler = (name, allowRegistration, handler) => async (event) => {
+    try {
+        const auth = await ocpiTools.authenticate({
+            authorization: getHeader(event, 'Authorization'),
+            allow_registration: allowRegistration
+        });
+        if (auth.error) {
+            return ocpiResponse(event, auth);
+        }
+
+        const result = await handler(event, auth.partner);
+        return ocpiResponse(event, result);
+    } catch (error) {
+        console.error(`OCPI ${name} error:`, error);
+        return ocpiResponse(event, {
+            error: 'Error interno del CPO',
+            statusCode: 500,
+            status_code: ocpiTools.STATUS_CODES.SERVER_ERROR
+        });
+    }
+};
+
+// Pagination and date filters shared by list endpoints
+const getListParams = (event) => {
+    const params = event.queryStringParameters || {};
+    return {
+        date_from: params.date_from,
+        date_to: params.date_to,
+        offset: params.offset,
+        limit: params.limit
+    };
+};
+
+/**
+ * GET /ocpi/versions
+ */
+module.exports.versions = ocpiHandler('versions', true, (event) =>
+    ocpiTools.getVersions({ base_url: getBaseUrl(event) })
+);
+
+/**
+ * GET /ocpi/2.2.1
+ */
+module.exports.versionDetails = ocpiHandler('version details', true, (event) =>
+    ocpiTools.getVersionDetails({ base_url: getBaseUrl(event) })
+);
+
+/**
+ * GET|POST|PUT|DELETE /ocpi/2.2.1/credentials
+ * POST with the registration token (token A) completes the handshake
+ */
+module.exports.credentials = ocpiHandler('credentials', true, (event, partner) => {
+    let credentials;
+    try {
+        credentials = JSON.parse(event.body || '{}');
+    } catch (error) {
+        credentials = {};
+    }
+
+    return ocpiTools.handleCredentials({
+        method: event.requestContext?.http?.method || event.httpMethod,
+        partner,
+        credentials,
+        base_url: getBaseUrl(event)
+    });
+});
+
+/**
+ * GET /ocpi/2.2.1/locations
+ */
+module.exports.locations = ocpiHandler('locations', false, (event) =>
+    ocpiTools.getLocations(getListParams(event))
+);
+
+/**
+ * GET /ocpi/2.2.1/locations/{locationId}[/{evseUid}[/{connectorId}]]
+ */
+module.exports.location = ocpiHandler('location', false, (event) => {
+    const params = event.pathParameters || {};
+    return ocpiTools.getLocation({
+        location_id: params.locationId,
+        evse_uid: params.evseUid,
+        connector_id: params.connectorId
+    });
+});
+
+/**
+ * GET /ocpi/2.2.1/tariffs
+ */
+module.exports.tariffs = ocpiHandler('tariffs', false, (event) =>
+    ocpiTools.getTariffs(getListParams(event))
+);
+
+/**
+ * GET /ocpi/2.2.1/sessions
+ */
+module.exports.sessions = ocpiHandler('sessions', false, (event, partner) =>
+    ocpiTools.getSessions({ partner, ...getListParams(event) })
+);
+
+/**
+ * GET /ocpi/2.2.1/cdrs
+ */
+module.exports.cdrs = ocpiHandler('cdrs', false, (event, partner) =>
+    ocpiTools.getCdrs({ partner, ...getListParams(event) })
+);
+
+/**
+ * POST /api/ocpi/registrations
+ * Create a registration token (token A) for a new roaming partner's party
+ * Body: { name, countryCode, partyId }
+ */
+module.exports.createRegistration = async (event) => {
+    try {
+        const operator = authenticateOperator({ authorization: getHeader(event, 'Authorization') });
+        if (operator.error) {
+            return response(operator.statusCode, { error: operator.error });
+        }
+
+        const body = JSON.parse(event.body || '{}');
+
+        const result = await ocpiTools.createRegistration({
+            name: body.name,
+            country_code: body.countryCode,
+            party_id: body.partyId,
+            requested_by: operator.operator_id,
+            base_url: getBaseUrl(event)
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('Create OCPI registration error:', error);
+        return response(500, { error: 'Error al crear registro de partner OCPI' });
+    }
+};
+
+/**
+ * GET /api/ocpi/partners
+ * List roaming partners and their registration status
+ */
+module.exports.listPartners = async (event) => {
+    try {
+        const operator = authenticateOperator({ authorization: getHeader(event, 'Authorization') });
+        if (operator.error) {
+            return response(operator.statusCode, { error: operator.error });
+        }
+
+        const result = await ocpiTools.listPartners();
+        return toResponse(result);
+    } catch (error) {
+        console.error('List OCPI partners error:', error);
+        return response(500, { error: 'Error al obtener partners OCPI' });
+    }
+};
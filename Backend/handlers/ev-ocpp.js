@@ -0,0 +1,249 @@
+/**
+ * Copec EV OCPP - Lambda Handler
+ * OCPP 1.6J central system for the stations' charge points
+ *
+ * WebSocket routes (charge points connect with subprotocol ocpp1.6 and HTTP Basic auth,
+ * their id as user name and their key from OCPP_CHARGE_POINT_KEYS as password):
+ * - $connect
+ * - $disconnect
+ * - $default (OCPP-J CALL / CALLRESULT / CALLERROR frames)
+ *
+ * Endpoints:
+ * - GET /api/ocpp/charge-points?stationId=
+ * - POST /api/ocpp/charge-points/{chargePointId}/commands
+ * - GET /api/ocpp/charge-points/{chargePointId}/audit?limit=
+ * - GET /api/ocpp/commands/{commandId}
+ */
+
+const ocppTools = require('./tools/ocpp');
+const commandTools = require('./tools/commands');
+const queueTools = require('./tools/queue');
+const { authenticateOperator } = require('./tools/operators');
+
+// Response helper
+const response = (statusCode, body) => ({
+    statusCode,
+    headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+    },
+    body: JSON.stringify(body)
+});
+
+// Map a tool result to an HTTP response
+const toResponse = (result) => {
+    if (result.error) {
+        const { statusCode = 400, ...body } = result;
+        return response(statusCode, body);
+    }
+    return response(200, { success: true, ...result });
+};
+
+// Case-insensitive header lookup (API Gateway and serverless-offline differ in casing)
+const getHeader = (event, name) => {
+    const headers = event.headers || {};
+    const key = Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+};
+
+// API Gateway management endpoint used to push frames to a connection
+const getManagementEndpoint = (requestContext) => {
+    if (process.env.IS_OFFLINE === 'true') {
+        return `http://localhost:${process.env.OCPP_WEBSOCKET_PORT || 3003}`;
+    }
+    return `https://${requestContext.domainName}/${requestContext.stage}`;
+};
+
+/**
+ * WebSocket $connect
+ * Accept a charge point that authenticates with its key. OCPP-J puts the charge point id in
+ * the last segment of the URL path, but API Gateway (and serverless-offline) don't pass the
+ * path to $connect: the id comes from the Basic-auth user name, which OCPP 1.6 sets to that
+ * same id, so charge points configured with <url>/<chargePointId> connect as they are.
+ * A ?chargePointId= query parameter, if given, must name the same charge point.
+ */
+module.exports.connect = async (event) => {
+    try {
+        const params = event.queryStringParameters || {};
+        const requested = (getHeader(event, 'Sec-WebSocket-Protocol') || '')
+            .split(',').map(p => p.trim());
+
+        if (requested[0] && !requested.includes(ocppTools.OCPP_SUBPROTOCOL)) {
+            return { statusCode: 400, body: `Subprotocolo no soportado, use ${ocppTools.OCPP_SUBPROTOCOL}` };
+        }
+
+        const result = await ocppTools.connectChargePoint({
+            authorization: getHeader(event, 'Authorization'),
+            charge_point_id: params.chargePointId,
+            connection_id: event.requestContext.connectionId,
+            endpoint: getManagementEndpoint(event.requestContext)
+        });
+
+        if (result.error) {
+            return {
+                statusCode: result.statusCode,
+                headers: result.statusCode === 401 ? { 'WWW-Authenticate': 'Basic realm="OCPP"' } : undefined,
+                body: result.error
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers: requested[0] ? { 'Sec-WebSocket-Protocol': ocppTools.OCPP_SUBPROTOCOL } : undefined
+        };
+    } catch (error) {
+        console.error('OCPP connect error:', error);
+        return { statusCode: 500, body: 'Error al conectar punto de carga' };
+    }
+};
+
+/**
+ * WebSocket $disconnect
+ */
+module.exports.disconnect = async (event) => {
+    try {
+        await ocppTools.disconnectChargePoint({ connection_id: event.requestContext.connectionId });
+        return { statusCode: 200 };
+    } catch (error) {
+        console.error('OCPP disconnect error:', error);
+        return { statusCode: 500 };
+    }
+};
+
+/**
+ * WebSocket $default
+ * Handle an OCPP-J frame; the returned body is sent back to the charge point.
+ * Replies to remote commands are recorded on the pending command, and a connector
+ * reporting Available calls the next driver in the station's queue.
+ */
+module.exports.message = async (event) => {
+    try {
+        const result = await ocppTools.handleMessage({
+            connection_id: event.requestContext.connectionId,
+            message: event.body
+        });
+
+        if (result.message_type === ocppTools.MESSAGE_TYPES.CALLRESULT ||
+            result.message_type === ocppTools.MESSAGE_TYPES.CALLERROR) {
+            await commandTools.recordCommandResult(result);
+        }
+        if (result.freed_charger) {
+            // The status is already recorded; a failed call is retried by the scheduled queue check
+            await queueTools.callNext(result.freed_charger)
+                .catch(error => console.error('OCPP queue call error:', error));
+        }
+
+        return result.reply
+            ? { statusCode: 200, body: JSON.stringify(result.reply) }
+            : { statusCode: 200 };
+    } catch (error) {
+        console.error('OCPP message error:', error);
+        let messageId = '-1';
+        try {
+            messageId = JSON.parse(event.body)[1] || messageId;
+        } catch (parseError) {
+            // Malformed frames are answered by handleMessage; keep the default id here
+        }
+        return {
+            statusCode: 200,
+            body: JSON.stringify([ocppTools.MESSAGE_TYPES.CALLERROR, messageId, 'InternalError', 'Central system error', {}])
+        };
+    }
+};
+
+/**
+ * GET /api/ocpp/charge-points
+ * List charge points with their connection and connector state
+ */
+module.exports.getChargePoints = async (event) => {
+    try {
+        const params = event.queryStringParameters || {};
+        const result = await ocppTools.getChargePoints({ station_id: params.stationId });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Get charge points error:', error);
+        return response(500, { error: 'Error al obtener puntos de carga' });
+    }
+};
+
+/**
+ * POST /api/ocpp/charge-points/{chargePointId}/commands
+ * Send a remote command (RemoteStartTransaction, RemoteStopTransaction, Reset,
+ * UnlockConnector, ChangeAvailability) and wait for the charge point's answer.
+ * Operators only (Authorization: Bearer <operator key>); the command is audited under their id.
+ */
+module.exports.sendCommand = async (event) => {
+    try {
+        const operator = authenticateOperator({ authorization: getHeader(event, 'Authorization') });
+        if (operator.error) {
+            return response(operator.statusCode, { error: operator.error });
+        }
+
+        const chargePointId = event.pathParameters?.chargePointId;
+        const body = JSON.parse(event.body || '{}');
+        const { action, chargerId, connectorId, idTag, transactionId, type } = body;
+
+        if (!action) {
+            return response(400, { error: 'Se requiere action' });
+        }
+
+        const result = await commandTools.sendCommand({
+            action,
+            charge_point_id: chargePointId,
+            charger_id: chargerId,
+            connector_id: connectorId,
+            id_tag: idTag,
+            transaction_id: transactionId,
+            type,
+            requested_by: operator.operator_id,
+            source: 'operator'
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('Send OCPP command error:', error);
+        return response(500, { error: 'Error al enviar comando al punto de carga' });
+    }
+};
+
+/**
+ * GET /api/ocpp/commands/{commandId}
+ * Get a remote command's result
+ */
+module.exports.getCommand = async (event) => {
+    try {
+        const commandId = event.pathParameters?.commandId;
+
+        if (!commandId) {
+            return response(400, { error: 'Se requiere commandId' });
+        }
+
+        const result = await commandTools.getCommand({ command_id: commandId });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Get OCPP command error:', error);
+        return response(500, { error: 'Error al obtener comando' });
+    }
+};
+
+/**
+ * GET /api/ocpp/charge-points/{chargePointId}/audit
+ * Audit trail of the remote commands sent to a charge point
+ */
+module.exports.getAuditLog = async (event) => {
+    try {
+        const chargePointId = event.pathParameters?.chargePointId;
+        const params = event.queryStringParameters || {};
+
+        const result = await commandTools.getAuditLog({
+            charge_point_id: chargePointId,
+            limit: params.limit
+        });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Get OCPP audit log error:', error);
+        return response(500, { error: 'Error al obtener auditoría de comandos' });
+    }
+};
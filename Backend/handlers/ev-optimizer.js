@@ -8,7 +8,15 @@
  */
 
 const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
-const stations = require('../data/stations_geo.json');
+const repositories = require('./repositories');
+const { getLiveStations } = require('./tools/availability');
+const { calculateTariff } = require('./tools/tariffs');
+const { getQueueSummaries } = require('./tools/queue');
+const { getStationIndex } = require('./tools/spatial');
+const { resolveChargingProfile, getStationPowerLimit, estimateChargingSession } = require('./tools/charging-curve');
+const { resolveVehicleCompatibility, filterCompatibleChargers } = require('./tools/compatibility');
+const { forecastAvailability } = require('./tools/forecast');
+const { getUsageModel } = require('./tools/simulator');
 
 // Initialize Bedrock client
 const bedrockClient = new BedrockRuntimeClient({
@@ -55,41 +63,75 @@ function calculateETA(distanceKm) {
 }
 
 /**
- * Calculate charging time based on battery level and charger power
+ * Calculate charging time along the vehicle's charging curve, limited by the charger's
+ * power (or the adapter's) and what the station's shared power cabinet has left
  */
-function calculateChargingTime(currentBattery, targetBattery, batteryCapacity, chargerPower) {
-    const energyNeeded = (targetBattery - currentBattery) / 100 * batteryCapacity;
-    const chargingTimeHours = energyNeeded / chargerPower;
-    return Math.round(chargingTimeHours * 60); // Return in minutes
+function calculateChargingTime(currentBattery, targetBattery, batteryCapacity, charger, station, profile) {
+    return estimateChargingSession({
+        profile,
+        charger_power_kw: charger.usable_power_kw ?? charger.power,
+        station_limit_kw: getStationPowerLimit(station.real_time_power, station.chargers.length),
+        from_percent: currentBattery,
+        to_percent: targetBattery,
+        battery_capacity_kwh: batteryCapacity
+    });
 }
 
 /**
- * Calculate estimated cost
+ * Calculate estimated cost with the tariff engine (charger tier, station tariff, user type and time of day discounts)
  */
-function calculateCost(energyNeeded, chargerType) {
-    const pricePerKwh = chargerType === 'fast' ? 250 : 180; // CLP
-    return Math.round(energyNeeded * pricePerKwh);
+function calculateCost(energyNeeded, charger, station, userType, startTime, chargingMinutes) {
+    const tariff = calculateTariff({
+        energy_kwh: energyNeeded,
+        charger,
+        station,
+        user_type: userType,
+        start_time: startTime,
+        end_time: new Date(startTime.getTime() + chargingMinutes * 60000)
+    });
+    return {
+        cost: Math.round(tariff.final_cost),
+        tariff: tariff.tariff,
+        discounts: tariff.discounts
+    };
 }
 
 /**
- * Calculate station score based on multiple factors
+ * Calculate station score based on multiple factors.
+ * The wait time component uses the live station queue, from the user's place in line, and
+ * arrival availability the chance a charger is free once the user gets there.
+ * Only chargers the vehicle can plug into count (all of them when it's unknown); a
+ * station without any scores null.
  */
-function calculateStationScore(station, userLocation, userPreferences) {
+function calculateStationScore(station, userLocation, userPreferences, queue, compatibility, model) {
     const { lat, lng } = userLocation;
     const { urgency = 'normal', preferFast = false, needsAmenities = [] } = userPreferences;
 
+    const compatibleChargers = filterCompatibleChargers(station, compatibility);
+    if (compatibleChargers.length === 0) return null;
+
     const distance = calculateDistance(lat, lng, station.location.lat, station.location.lng);
 
     // Get available chargers
-    const availableChargers = station.chargers.filter(c => c.status === 'available');
+    const availableChargers = compatibleChargers.filter(c => c.status === 'available');
     const fastAvailable = availableChargers.filter(c => c.type === 'fast').length;
     const slowAvailable = availableChargers.filter(c => c.type === 'slow').length;
 
+    // Availability forecast for the ETA
+    const forecast = forecastAvailability({
+        station,
+        chargers: compatibleChargers,
+        queue,
+        arrival_minutes: calculateETA(distance),
+        model
+    });
+
     // Base score components (0-100 each)
     let scores = {
         distance: Math.max(0, 100 - distance * 10), // Closer = better
-        availability: availableChargers.length > 0 ? (availableChargers.length / station.chargers.length) * 100 : 0,
-        waitTime: Math.max(0, 100 - station.usage_factors.avg_wait_time * 3),
+        availability: availableChargers.length > 0 ? (availableChargers.length / compatibleChargers.length) * 100 : 0,
+        arrivalAvailability: forecast.probability * 100,
+        waitTime: queue.estimated_wait_minutes === null ? 0 : Math.max(0, 100 - queue.estimated_wait_minutes * 3),
         chargerType: preferFast && fastAvailable > 0 ? 100 : (slowAvailable > 0 ? 70 : 30),
         amenities: 0
     };
@@ -106,18 +148,19 @@ function calculateStationScore(station, userLocation, userPreferences) {
     let weights;
     switch (urgency) {
         case 'high':
-            weights = { distance: 0.35, availability: 0.35, waitTime: 0.2, chargerType: 0.1, amenities: 0 };
+            weights = { distance: 0.3, availability: 0.2, arrivalAvailability: 0.25, waitTime: 0.15, chargerType: 0.1, amenities: 0 };
             break;
         case 'low':
-            weights = { distance: 0.15, availability: 0.2, waitTime: 0.15, chargerType: 0.2, amenities: 0.3 };
+            weights = { distance: 0.15, availability: 0.1, arrivalAvailability: 0.15, waitTime: 0.1, chargerType: 0.2, amenities: 0.3 };
             break;
         default: // normal
-            weights = { distance: 0.25, availability: 0.3, waitTime: 0.2, chargerType: 0.15, amenities: 0.1 };
+            weights = { distance: 0.2, availability: 0.15, arrivalAvailability: 0.25, waitTime: 0.15, chargerType: 0.15, amenities: 0.1 };
     }
 
     const totalScore =
         scores.distance * weights.distance +
         scores.availability * weights.availability +
+        scores.arrivalAvailability * weights.arrivalAvailability +
         scores.waitTime * weights.waitTime +
         scores.chargerType * weights.chargerType +
         scores.amenities * weights.amenities;
@@ -125,10 +168,14 @@ function calculateStationScore(station, userLocation, userPreferences) {
     return {
         score: Math.round(totalScore),
         components: scores,
+        forecast,
         distance: Math.round(distance * 10) / 10,
+        compatibleChargers,
         availableChargers: availableChargers.length,
         fastAvailable,
-        slowAvailable
+        slowAvailable,
+        waitMinutes: queue.estimated_wait_minutes,
+        queueLength: queue.current_queue
     };
 }
 
@@ -150,7 +197,9 @@ Estación recomendada:
 - Dirección: ${station.address}
 - Distancia: ${scoreData.distance} km
 - Cargadores disponibles: ${scoreData.availableChargers} (${scoreData.fastAvailable} rápidos, ${scoreData.slowAvailable} lentos)
-- Tiempo de espera promedio: ${station.usage_factors.avg_wait_time} min
+- Personas en cola: ${scoreData.queueLength}
+- Tiempo de espera estimado: ${scoreData.waitMinutes ?? 'sin cargadores operativos'} min
+- Probabilidad de cargador libre al llegar: ${Math.round(scoreData.forecast.probability * 100)}%
 - Amenities: ${station.usage_factors.nearby_amenities.join(', ')}
 - Score: ${scoreData.score}/100
 
@@ -193,7 +242,9 @@ function getFallbackReasoning(station, scoreData) {
 
     if (scoreData.distance < 3) reasons.push(`A solo ${scoreData.distance} km de tu ubicación`);
     if (scoreData.fastAvailable > 0) reasons.push(`${scoreData.fastAvailable} cargador(es) rápido(s) disponible(s)`);
-    if (station.usage_factors.avg_wait_time < 10) reasons.push('Tiempo de espera bajo');
+    if (scoreData.forecast.probability >= 0.8) reasons.push(`${Math.round(scoreData.forecast.probability * 100)}% de probabilidad de cargador libre al llegar`);
+    if (scoreData.waitMinutes === 0) reasons.push('Sin espera');
+    else if (scoreData.waitMinutes !== null && scoreData.waitMinutes < 10) reasons.push('Tiempo de espera bajo');
     if (station.usage_factors.nearby_amenities.length > 3) reasons.push('Múltiples servicios disponibles');
 
     return reasons.length > 0
@@ -218,6 +269,12 @@ module.exports.recommend = async (event) => {
             preferFast = false,
             needsAmenities = [],
             vehicleType = 'EV',
+            userType = 'individual',
+            userId, // optional, estimates queue waits with the user's priority and charging with their vehicle's curve
+            vehicleId,
+            connectorTypes, // e.g. ['CHAdeMO'], when the vehicle isn't registered
+            allowAdapters = true,
+            maxChargeRate, // kW, when the vehicle isn't registered
             maxResults = 3
         } = body;
 
@@ -231,10 +288,27 @@ module.exports.recommend = async (event) => {
         const userContext = { batteryLevel, urgency, vehicleType, needsAmenities };
 
         // Score all stations
-        const scoredStations = stations.stations.map(station => {
-            const scoreData = calculateStationScore(station, location, userPreferences);
-            return { station, ...scoreData };
+        const liveStations = await getLiveStations();
+        const queues = await getQueueSummaries({ user_id: userId, battery_percent: batteryLevel });
+        const compatibility = await resolveVehicleCompatibility({
+            user_id: userId,
+            vehicle_id: vehicleId,
+            connector_types: connectorTypes,
+            allow_adapters: allowAdapters
+        });
+        const chargingProfile = await resolveChargingProfile({
+            vehicle_id: vehicleId || compatibility?.vehicle_id,
+            user_id: userId,
+            battery_capacity_kwh: batteryCapacity,
+            max_charge_rate_kw: maxChargeRate
         });
+        const usageModel = await getUsageModel();
+        const scoredStations = liveStations
+            .map(station => {
+                const scoreData = calculateStationScore(station, location, userPreferences, queues[station.id], compatibility, usageModel);
+                return scoreData && { station, ...scoreData };
+            })
+            .filter(Boolean);
 
         // Sort by score and get top results
         scoredStations.sort((a, b) => b.score - a.score);
@@ -242,23 +316,26 @@ module.exports.recommend = async (event) => {
 
         // Generate recommendations with AI reasoning
         const recommendations = await Promise.all(
-            topStations.map(async ({ station, score, distance, fastAvailable, slowAvailable, availableChargers, components }) => {
-                // Get best available charger
-                const availableChgrs = station.chargers.filter(c => c.status === 'available');
-                const bestCharger = availableChgrs.find(c => c.type === 'fast') || availableChgrs[0];
+            topStations.map(async ({ station, score, distance, compatibleChargers, fastAvailable, slowAvailable, availableChargers, waitMinutes, queueLength, components, forecast }) => {
+                // Get best available charger the vehicle can use: the most powerful, after adapter limits
+                const availableChgrs = compatibleChargers.filter(c => c.status === 'available');
+                const bestCharger = [...availableChgrs].sort((a, b) => b.usable_power_kw - a.usable_power_kw)[0];
 
                 // Calculate times and costs
                 const eta = calculateETA(distance);
-                const chargingTime = bestCharger
-                    ? calculateChargingTime(batteryLevel, targetBattery, batteryCapacity, bestCharger.power)
-                    : 30;
+                const charging = bestCharger
+                    ? calculateChargingTime(batteryLevel, targetBattery, batteryCapacity, bestCharger, station, chargingProfile)
+                    : null;
+                const chargingTime = charging ? charging.minutes : 30;
                 const energyNeeded = (targetBattery - batteryLevel) / 100 * batteryCapacity;
-                const estimatedCost = bestCharger
-                    ? calculateCost(energyNeeded, bestCharger.type)
-                    : Math.round(energyNeeded * 220);
+                const arrivalTime = new Date(Date.now() + eta * 60000);
+                const pricing = bestCharger
+                    ? calculateCost(energyNeeded, bestCharger, station, userType, arrivalTime, chargingTime)
+                    : { cost: Math.round(energyNeeded * 220), tariff: null, discounts: [] };
+                const estimatedCost = pricing.cost;
 
                 // Get AI reasoning or fallback
-                const scoreData = { score, distance, fastAvailable, slowAvailable, availableChargers };
+                const scoreData = { score, distance, fastAvailable, slowAvailable, availableChargers, waitMinutes, queueLength, forecast };
                 const prompt = buildRecommendationPrompt(station, scoreData, userContext);
                 let reasoning = await getBedrockReasoning(prompt);
 
@@ -272,22 +349,64 @@ module.exports.recommend = async (event) => {
                     address: station.address,
                     location: station.location,
                     score,
-                    score_breakdown: components,
+                    score_breakdown: {
+                        ...components,
+                        // How arrivalAvailability was forecast
+                        arrivalAvailabilityForecast: forecast
+                    },
                     reasoning,
                     eta_minutes: eta,
                     charging_time_minutes: chargingTime,
-                    total_time_minutes: eta + chargingTime + station.usage_factors.avg_wait_time,
+                    charging_power: charging && {
+                        average_kw: charging.average_power_kw,
+                        peak_kw: charging.peak_power_kw,
+                        limited_by: charging.limited_by,
+                        curve: charging.curve_source
+                    },
+                    wait_minutes: waitMinutes,
+                    queue_length: queueLength,
+                    total_time_minutes: eta + chargingTime + (waitMinutes || 0),
                     estimated_cost_clp: estimatedCost,
+                    tariff: pricing.tariff,
+                    cost_discounts: pricing.discounts,
+                    recommended_charger: bestCharger
+                        ? {
+                            id: bestCharger.id,
+                            type: bestCharger.type,
+                            power: bestCharger.power,
+                            connector: bestCharger.connector,
+                            via_adapter: bestCharger.via_adapter
+                        }
+                        : null,
                     available_chargers: availableChgrs.map(c => ({
                         id: c.id,
                         type: c.type,
                         power: c.power,
-                        connector: c.connector
+                        connector: c.connector,
+                        via_adapter: c.via_adapter
                     })),
                     amenities: station.usage_factors.nearby_amenities,
                     actions: [
                         { type: 'navigate', label: 'Ir a la estación', url: `https://maps.google.com/?daddr=${station.location.lat},${station.location.lng}` },
-                        { type: 'reserve', label: 'Reservar cargador', available: false }, // Future feature
+                        // Payloads are the request bodies of the endpoints; both need the user
+                        {
+                            type: 'reserve',
+                            label: 'Reservar cargador',
+                            available: !!bestCharger && !!userId,
+                            endpoint: '/api/reservations',
+                            payload: bestCharger && userId
+                                ? { userId, stationId: station.id, chargerId: bestCharger.id }
+                                : null
+                        },
+                        {
+                            type: 'join_queue',
+                            label: 'Unirse a la cola',
+                            available: !bestCharger && waitMinutes !== null && !!userId,
+                            endpoint: `/api/queue/${station.id}/join`,
+                            payload: userId
+                                ? { userId, chargerType: preferFast ? 'fast' : 'any', batteryPercent: batteryLevel }
+                                : null
+                        },
                         { type: 'call', label: 'Llamar a estación', phone: '+56 2 2200 0000' }
                     ]
                 };
@@ -302,7 +421,10 @@ module.exports.recommend = async (event) => {
                 targetBattery,
                 urgency,
                 preferFast,
-                needsAmenities
+                needsAmenities,
+                userType,
+                userId,
+                vehicleCompatibility: compatibility
             },
             recommendations,
             generated_at: new Date().toISOString()
@@ -336,8 +458,14 @@ module.exports.nearbyStations = async (event) => {
             });
         }
 
-        let filtered = stations.stations.map(station => {
-            const distance = calculateDistance(lat, lng, station.location.lat, station.location.lng);
+        const index = await getStationIndex();
+        const distances = new Map(
+            index.withinRadius({ lat, lng }, radiusKm).map(({ station, distance_km }) => [station.id, distance_km])
+        );
+        const liveStations = await getLiveStations([...distances.keys()]);
+
+        let filtered = liveStations.map(station => {
+            const distance = distances.get(station.id);
             const eta = calculateETA(distance);
 
             let availableChargers = station.chargers.filter(c => c.status === 'available');
@@ -356,9 +484,6 @@ module.exports.nearbyStations = async (event) => {
             };
         });
 
-        // Filter by radius
-        filtered = filtered.filter(s => s.distance <= radiusKm);
-
         // Filter by availability if requested
         if (onlyAvailable) {
             filtered = filtered.filter(s => s.available_count > 0);
@@ -372,7 +497,7 @@ module.exports.nearbyStations = async (event) => {
             query: { lat, lng, radius: radiusKm, onlyAvailable, chargerType },
             count: filtered.length,
             stations: filtered,
-            metadata: stations.metadata
+            metadata: await repositories.stations.getMetadata()
         });
 
     } catch (error) {
@@ -0,0 +1,164 @@
+/**
+ * Copec EV Orders - Lambda Handler
+ * Food pre-ordering from Pronto Copec / Street Burger backed by ORDERS_TABLE
+ *
+ * Endpoints:
+ * - POST /api/orders/quote
+ * - POST /api/orders
+ * - GET /api/orders/{orderId}
+ * - GET /api/orders?userId=&sessionId=&stationId=&status=
+ * - POST /api/orders/{orderId}/status
+ * - POST /api/orders/{orderId}/session
+ */
+
+const orderTools = require('./tools/orders');
+
+// Response helper
+const response = (statusCode, body) => ({
+    statusCode,
+    headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+    },
+    body: JSON.stringify(body)
+});
+
+// Map a tool result to an HTTP response
+const toResponse = (result) => {
+    if (result.error) {
+        const { statusCode = 400, ...body } = result;
+        return response(statusCode, body);
+    }
+    return response(200, { success: true, ...result });
+};
+
+// Order request body (camelCase) to tool input
+const toOrderInput = (body) => ({
+    station_id: body.stationId,
+    items: (body.items || []).map(item => ({ product_id: item.productId, quantity: item.quantity })),
+    user_id: body.userId,
+    session_id: body.sessionId,
+    pickup_time: body.pickupTime,
+    ready_at_soc: body.readyAtSoc
+});
+
+/**
+ * POST /api/orders/quote
+ * Check availability at pickup time, promotions and total for a cart
+ */
+module.exports.quoteOrder = async (event) => {
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const result = await orderTools.quoteOrder(toOrderInput(body));
+        return toResponse(result);
+    } catch (error) {
+        console.error('Quote order error:', error);
+        return response(500, { error: 'Error al cotizar pedido' });
+    }
+};
+
+/**
+ * POST /api/orders
+ * Place a food order
+ */
+module.exports.createOrder = async (event) => {
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const result = await orderTools.createOrder(toOrderInput(body));
+        return toResponse(result);
+    } catch (error) {
+        console.error('Create order error:', error);
+        return response(500, { error: 'Error al crear pedido' });
+    }
+};
+
+/**
+ * GET /api/orders/{orderId}
+ * Get an order and its status
+ */
+module.exports.getOrder = async (event) => {
+    try {
+        const orderId = event.pathParameters?.orderId;
+
+        if (!orderId) {
+            return response(400, { error: 'Se requiere orderId' });
+        }
+
+        const result = await orderTools.getOrder({ order_id: orderId });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Get order error:', error);
+        return response(500, { error: 'Error al obtener pedido' });
+    }
+};
+
+/**
+ * GET /api/orders
+ * List orders
+ */
+module.exports.listOrders = async (event) => {
+    try {
+        const params = event.queryStringParameters || {};
+
+        const result = await orderTools.listOrders({
+            user_id: params.userId,
+            session_id: params.sessionId,
+            station_id: params.stationId,
+            status: params.status,
+            limit: params.limit ? parseInt(params.limit, 10) : undefined
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('List orders error:', error);
+        return response(500, { error: 'Error al listar pedidos' });
+    }
+};
+
+/**
+ * POST /api/orders/{orderId}/status
+ * Update order status (preparing, ready, picked_up, cancelled)
+ */
+module.exports.updateOrderStatus = async (event) => {
+    try {
+        const orderId = event.pathParameters?.orderId;
+        const body = JSON.parse(event.body || '{}');
+
+        if (!orderId) {
+            return response(400, { error: 'Se requiere orderId' });
+        }
+
+        const result = await orderTools.updateOrderStatus({ order_id: orderId, status: body.status });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Update order status error:', error);
+        return response(500, { error: 'Error al actualizar pedido' });
+    }
+};
+
+/**
+ * POST /api/orders/{orderId}/session
+ * Attach an order to a charging session
+ */
+module.exports.attachOrderToSession = async (event) => {
+    try {
+        const orderId = event.pathParameters?.orderId;
+        const body = JSON.parse(event.body || '{}');
+
+        if (!orderId) {
+            return response(400, { error: 'Se requiere orderId' });
+        }
+
+        const result = await orderTools.attachOrderToSession({
+            order_id: orderId,
+            session_id: body.sessionId,
+            ready_at_soc: body.readyAtSoc
+        });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Attach order error:', error);
+        return response(500, { error: 'Error al asociar pedido a la sesión' });
+    }
+};
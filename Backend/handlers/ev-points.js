@@ -0,0 +1,81 @@
+/**
+ * Copec EV Points - Lambda Handler
+ * Copec points balance, history and redemption backed by POINTS_TABLE
+ *
+ * Endpoints:
+ * - GET /api/points/{userId}?limit=
+ * - POST /api/points/{userId}/redeem
+ */
+
+const pointsTools = require('./tools/points');
+
+// Response helper
+const response = (statusCode, body) => ({
+    statusCode,
+    headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+    },
+    body: JSON.stringify(body)
+});
+
+// Map a tool result to an HTTP response
+const toResponse = (result) => {
+    if (result.error) {
+        const { statusCode = 400, ...body } = result;
+        return response(statusCode, body);
+    }
+    return response(200, { success: true, ...result });
+};
+
+/**
+ * GET /api/points/{userId}
+ * Get points balance, expiry, redeemable rewards and ledger history
+ */
+module.exports.getBalance = async (event) => {
+    try {
+        const userId = event.pathParameters?.userId;
+        const params = event.queryStringParameters || {};
+
+        if (!userId) {
+            return response(400, { error: 'Se requiere userId' });
+        }
+
+        const result = await pointsTools.getPointsBalance({
+            user_id: userId,
+            limit: params.limit ? parseInt(params.limit, 10) : undefined
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('Get points balance error:', error);
+        return response(500, { error: 'Error al obtener puntos Copec' });
+    }
+};
+
+/**
+ * POST /api/points/{userId}/redeem
+ * Redeem points for a reward in the catalog
+ */
+module.exports.redeem = async (event) => {
+    try {
+        const userId = event.pathParameters?.userId;
+        const body = JSON.parse(event.body || '{}');
+
+        if (!userId) {
+            return response(400, { error: 'Se requiere userId' });
+        }
+
+        const result = await pointsTools.redeemPoints({
+            user_id: userId,
+            reward_id: body.rewardId
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('Redeem points error:', error);
+        return response(500, { error: 'Error al canjear puntos Copec' });
+    }
+};
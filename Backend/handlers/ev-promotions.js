@@ -0,0 +1,77 @@
+/**
+ * Copec EV Promotions - Lambda Handler
+ * Promotions listing and cart evaluation through the promotions rules engine
+ *
+ * Endpoints:
+ * - GET /api/promotions?stationId=&category=&userType=
+ * - POST /api/promotions/evaluate
+ */
+
+const productsTools = require('./tools/products');
+
+// Response helper
+const response = (statusCode, body) => ({
+    statusCode,
+    headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+    },
+    body: JSON.stringify(body)
+});
+
+// Map a tool result to an HTTP response
+const toResponse = (result) => {
+    if (result.error) {
+        const { statusCode = 400, ...body } = result;
+        return response(statusCode, body);
+    }
+    return response(200, { success: true, ...result });
+};
+
+/**
+ * GET /api/promotions
+ * List active promotions, optionally for a station
+ */
+module.exports.listPromotions = async (event) => {
+    try {
+        const params = event.queryStringParameters || {};
+
+        const result = await productsTools.getPromotions({
+            station_id: params.stationId,
+            category: params.category,
+            user_type: params.userType
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('List promotions error:', error);
+        return response(500, { error: 'Error al obtener promociones' });
+    }
+};
+
+/**
+ * POST /api/promotions/evaluate
+ * Evaluate the promotions that apply to a cart and the resulting discount
+ */
+module.exports.evaluatePromotions = async (event) => {
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const { stationId, items = [], userId, sessionId, session, time } = body;
+
+        const result = await productsTools.evaluatePromotions({
+            station_id: stationId,
+            items: items.map(item => ({ product_id: item.productId, quantity: item.quantity })),
+            user_id: userId,
+            session_id: sessionId,
+            session,
+            time
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('Evaluate promotions error:', error);
+        return response(500, { error: 'Error al evaluar promociones' });
+    }
+};
@@ -0,0 +1,163 @@
+/**
+ * Copec EV Queue - Lambda Handler
+ * Per-station priority queue for busy chargers
+ *
+ * Endpoints:
+ * - GET /api/queue/{stationId}?userId=
+ * - POST /api/queue/{stationId}/join
+ * - POST /api/queue/{stationId}/call-next
+ * - GET /api/queue/entries/{entryId}
+ * - DELETE /api/queue/entries/{entryId}
+ *
+ * Scheduled:
+ * - every minute, call queued drivers to chargers that freed up
+ */
+
+const queueTools = require('./tools/queue');
+
+// Response helper
+const response = (statusCode, body) => ({
+    statusCode,
+    headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS'
+    },
+    body: JSON.stringify(body)
+});
+
+// Map a tool result to an HTTP response
+const toResponse = (result) => {
+    if (result.error) {
+        const { statusCode = 400, ...body } = result;
+        return response(statusCode, body);
+    }
+    return response(200, { success: true, ...result });
+};
+
+/**
+ * GET /api/queue/{stationId}
+ * Get a station's queue, with the wait the given user would get joining now
+ */
+module.exports.getQueue = async (event) => {
+    try {
+        const stationId = event.pathParameters?.stationId;
+        const params = event.queryStringParameters || {};
+
+        const result = await queueTools.getQueueStatus({
+            station_id: stationId,
+            user_id: params.userId,
+            battery_percent: params.batteryPercent !== undefined ? Number(params.batteryPercent) : undefined
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('Get queue error:', error);
+        return response(500, { error: 'Error al obtener la cola' });
+    }
+};
+
+/**
+ * POST /api/queue/{stationId}/join
+ * Join a station's queue
+ */
+module.exports.joinQueue = async (event) => {
+    try {
+        const stationId = event.pathParameters?.stationId;
+        const body = JSON.parse(event.body || '{}');
+        const { userId, chargerType, batteryPercent, emergency } = body;
+
+        const result = await queueTools.joinQueue({
+            user_id: userId,
+            station_id: stationId,
+            charger_type: chargerType,
+            battery_percent: batteryPercent,
+            emergency
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('Join queue error:', error);
+        return response(500, { error: 'Error al unirse a la cola' });
+    }
+};
+
+/**
+ * POST /api/queue/{stationId}/call-next
+ * Call the next person in line for a freed charger
+ */
+module.exports.callNext = async (event) => {
+    try {
+        const stationId = event.pathParameters?.stationId;
+        const body = JSON.parse(event.body || '{}');
+
+        const result = await queueTools.callNext({
+            station_id: stationId,
+            charger_id: body.chargerId
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('Call next error:', error);
+        return response(500, { error: 'Error al llamar al siguiente en la cola' });
+    }
+};
+
+/**
+ * Scheduled every minute
+ * Call queued drivers to chargers whose live status turned available (simulated sessions
+ * ending, holds expiring); stopped app sessions and OCPP status changes call right away
+ */
+module.exports.callNextForFreeChargers = async () => {
+    try {
+        const result = await queueTools.callNextForFreeChargers();
+        if (result.called.length > 0) {
+            console.log(`Queue: called ${result.called.map(e => `${e.entry_id} -> ${e.called_charger_id}`).join(', ')}`);
+        }
+        return result;
+    } catch (error) {
+        console.error('Call next for free chargers error:', error);
+        throw error;
+    }
+};
+
+/**
+ * GET /api/queue/entries/{entryId}
+ * Get a queue entry's position and estimated wait
+ */
+module.exports.getPosition = async (event) => {
+    try {
+        const entryId = event.pathParameters?.entryId;
+
+        if (!entryId) {
+            return response(400, { error: 'Se requiere entryId' });
+        }
+
+        const result = await queueTools.getQueuePosition({ entry_id: entryId });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Get queue position error:', error);
+        return response(500, { error: 'Error al obtener posición en la cola' });
+    }
+};
+
+/**
+ * DELETE /api/queue/entries/{entryId}
+ * Leave a queue
+ */
+module.exports.leaveQueue = async (event) => {
+    try {
+        const entryId = event.pathParameters?.entryId;
+
+        if (!entryId) {
+            return response(400, { error: 'Se requiere entryId' });
+        }
+
+        const result = await queueTools.leaveQueue({ entry_id: entryId });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Leave queue error:', error);
+        return response(500, { error: 'Error al salir de la cola' });
+    }
+};
@@ -0,0 +1,91 @@
+/**
+ * Copec EV Real-time - Lambda Handler
+ * Live charger status, queue and power updates over server-sent events
+ *
+ * Endpoints:
+ * - GET /api/stations/stream?stationIds=A,B (text/event-stream)
+ * - GET /api/stations/status?stationIds=A,B
+ *
+ * Lambda responses are buffered, so each stream request waits up to
+ * STREAM_WAIT_SECONDS for changes and returns them; EventSource reconnects
+ * automatically and sends the Last-Event-ID it received.
+ */
+
+const realtime = require('./tools/realtime');
+
+// Response helper
+const response = (statusCode, body) => ({
+    statusCode,
+    headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization,Last-Event-ID',
+        'Access-Control-Allow-Methods': 'GET,OPTIONS'
+    },
+    body: JSON.stringify(body)
+});
+
+const eventStreamResponse = (body) => ({
+    statusCode: 200,
+    headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization,Last-Event-ID',
+        'Access-Control-Allow-Methods': 'GET,OPTIONS'
+    },
+    body
+});
+
+const getLastEventId = (event) => {
+    const headers = event.headers || {};
+    const header = Object.keys(headers).find(h => h.toLowerCase() === 'last-event-id');
+    return (header && headers[header]) || event.queryStringParameters?.lastEventId;
+};
+
+/**
+ * GET /api/stations/stream
+ * Stream status changes for a set of stations
+ */
+module.exports.stationStream = async (event) => {
+    try {
+        const params = event.queryStringParameters || {};
+        const stationIds = await realtime.parseStationIds(params.stationIds);
+
+        if (stationIds.length === 0) {
+            return response(400, { error: 'Ninguna de las estaciones solicitadas existe' });
+        }
+
+        const result = await realtime.waitForStationUpdates({
+            station_ids: stationIds,
+            last_event_id: getLastEventId(event)
+        });
+
+        return eventStreamResponse(realtime.formatEventStream(result.events));
+    } catch (error) {
+        console.error('Station stream error:', error);
+        return response(500, { error: 'Error al transmitir el estado de las estaciones' });
+    }
+};
+
+/**
+ * GET /api/stations/status
+ * Current status snapshot for a set of stations
+ */
+module.exports.stationStatus = async (event) => {
+    try {
+        const params = event.queryStringParameters || {};
+        const stationIds = await realtime.parseStationIds(params.stationIds);
+
+        const snapshots = await realtime.getStationSnapshots({ station_ids: stationIds });
+
+        return response(200, {
+            success: true,
+            stations: snapshots,
+            refresh_interval_seconds: realtime.STREAM_WAIT_SECONDS
+        });
+    } catch (error) {
+        console.error('Station status error:', error);
+        return response(500, { error: 'Error al obtener el estado de las estaciones' });
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * Copec EV Reservations - Lambda Handler
+ * Charger reservations with policy-driven booking windows
+ *
+ * Endpoints:
+ * - POST /api/reservations
+ * - GET /api/reservations/{reservationId}
+ * - DELETE /api/reservations/{reservationId}
+ */
+
+const reservationTools = require('./tools/reservations');
+
+// Response helper
+const response = (statusCode, body) => ({
+    statusCode,
+    headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS'
+    },
+    body: JSON.stringify(body)
+});
+
+// Map a tool result to an HTTP response
+const toResponse = (result) => {
+    if (result.error) {
+        const { statusCode = 400, ...body } = result;
+        return response(statusCode, body);
+    }
+    return response(200, { success: true, ...result });
+};
+
+/**
+ * POST /api/reservations
+ * Reserve a charger
+ */
+module.exports.createReservation = async (event) => {
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const { userId, stationId, chargerId, startTime } = body;
+
+        const result = await reservationTools.createReservation({
+            user_id: userId,
+            station_id: stationId,
+            charger_id: chargerId,
+            start_time: startTime
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('Create reservation error:', error);
+        return response(500, { error: 'Error al crear reserva' });
+    }
+};
+
+/**
+ * GET /api/reservations/{reservationId}
+ * Get a reservation
+ */
+module.exports.getReservation = async (event) => {
+    try {
+        const reservationId = event.pathParameters?.reservationId;
+
+        if (!reservationId) {
+            return response(400, { error: 'Se requiere reservationId' });
+        }
+
+        const result = await reservationTools.getReservation({ reservation_id: reservationId });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Get reservation error:', error);
+        return response(500, { error: 'Error al obtener reserva' });
+    }
+};
+
+/**
+ * DELETE /api/reservations/{reservationId}
+ * Cancel a reservation
+ */
+module.exports.cancelReservation = async (event) => {
+    try {
+        const reservationId = event.pathParameters?.reservationId;
+
+        if (!reservationId) {
+            return response(400, { error: 'Se requiere reservationId' });
+        }
+
+        const result = await reservationTools.cancelReservation({ reservation_id: reservationId });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Cancel reservation error:', error);
+        return response(500, { error: 'Error al cancelar reserva' });
+    }
+};
@@ -0,0 +1,138 @@
+/**
+ * Copec EV Sessions - Lambda Handler
+ * Charging session lifecycle backed by SESSIONS_TABLE
+ *
+ * Endpoints:
+ * - POST /api/sessions
+ * - POST /api/sessions/{sessionId}/stop
+ * - GET /api/sessions/{sessionId}
+ * - GET /api/sessions?userId=&stationId=&status=
+ */
+
+const sessionTools = require('./tools/sessions');
+const queueTools = require('./tools/queue');
+
+// Response helper
+const response = (statusCode, body) => ({
+    statusCode,
+    headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+        'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+    },
+    body: JSON.stringify(body)
+});
+
+// Map a tool result to an HTTP response
+const toResponse = (result) => {
+    if (result.error) {
+        const { statusCode = 400, ...body } = result;
+        return response(statusCode, body);
+    }
+    return response(200, { success: true, ...result });
+};
+
+/**
+ * POST /api/sessions
+ * Start a charging session
+ */
+module.exports.startSession = async (event) => {
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const { userId, stationId, chargerId, startSoc, batteryCapacityKwh } = body;
+
+        const result = await sessionTools.startSession({
+            user_id: userId,
+            station_id: stationId,
+            charger_id: chargerId,
+            start_soc: startSoc,
+            battery_capacity_kwh: batteryCapacityKwh
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('Start session error:', error);
+        return response(500, { error: 'Error al iniciar sesión de carga' });
+    }
+};
+
+/**
+ * POST /api/sessions/{sessionId}/stop
+ * Stop a charging session and compute its final price and overstay penalty.
+ * The freed charger is offered to the next person in the station queue.
+ */
+module.exports.stopSession = async (event) => {
+    try {
+        const sessionId = event.pathParameters?.sessionId;
+        const body = JSON.parse(event.body || '{}');
+        const { endSoc, kwhDelivered, chargingEndedAt } = body;
+
+        if (!sessionId) {
+            return response(400, { error: 'Se requiere sessionId' });
+        }
+
+        const result = await sessionTools.stopSession({
+            session_id: sessionId,
+            end_soc: endSoc,
+            kwh_delivered: kwhDelivered,
+            charging_ended_at: chargingEndedAt
+        });
+
+        if (result.error) {
+            return toResponse(result);
+        }
+
+        const queue = await queueTools.callNext({
+            station_id: result.session.stationId,
+            charger_id: result.session.chargerId
+        });
+
+        return toResponse({ ...result, queue });
+    } catch (error) {
+        console.error('Stop session error:', error);
+        return response(500, { error: 'Error al finalizar sesión de carga' });
+    }
+};
+
+/**
+ * GET /api/sessions/{sessionId}
+ * Get a charging session
+ */
+module.exports.getSession = async (event) => {
+    try {
+        const sessionId = event.pathParameters?.sessionId;
+
+        if (!sessionId) {
+            return response(400, { error: 'Se requiere sessionId' });
+        }
+
+        const result = await sessionTools.getSession({ session_id: sessionId });
+        return toResponse(result);
+    } catch (error) {
+        console.error('Get session error:', error);
+        return response(500, { error: 'Error al obtener sesión de carga' });
+    }
+};
+
+/**
+ * GET /api/sessions
+ * List charging sessions
+ */
+module.exports.listSessions = async (event) => {
+    try {
+        const params = event.queryStringParameters || {};
+
+        const result = await sessionTools.listSessions({
+            user_id: params.userId,
+            station_id: params.stationId,
+            status: params.status,
+            limit: params.limit ? parseInt(params.limit, 10) : undefined
+        });
+
+        return toResponse(result);
+    } catch (error) {
+        console.error('List sessions error:', error);
+        return response(500, { error: 'Error al listar sesiones de carga' });
+    }
+};
@@ -3,18 +3,23 @@
  * Manages trip planning and route optimization
  */
 
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand, QueryCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
 const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
 const { v4: uuidv4 } = require('uuid');
-const stations = require('../data/stations_geo.json');
+const repositories = require('./repositories');
+const { resolveVehicleModel } = require('./tools/energy');
+const { resolveChargingProfile } = require('./tools/charging-curve');
+const { optimizeTrip, validateTripOptions } = require('./tools/trip-optimizer');
+const { resolveVehicleCompatibility } = require('./tools/compatibility');
 
 // Initialize clients
-const dynamoClient = new DynamoDBClient({ region: 'us-east-1' });
-const docClient = DynamoDBDocumentClient.from(dynamoClient);
 const bedrockClient = new BedrockRuntimeClient({ region: 'us-east-1' });
 
-const TRIPS_TABLE = process.env.TRIPS_TABLE;
+const USER_TRIPS_LIMIT = 10;
+
+// { lat, lng } with numeric coordinates in range
+const isValidLocation = (location) => Boolean(location) &&
+    typeof location.lat === 'number' && Number.isFinite(location.lat) && Math.abs(location.lat) <= 90 &&
+    typeof location.lng === 'number' && Number.isFinite(location.lng) && Math.abs(location.lng) <= 180;
 
 // Response helper
 const response = (statusCode, body) => ({
@@ -28,139 +33,26 @@ const response = (statusCode, body) => ({
     body: JSON.stringify(body)
 });
 
-// Haversine distance calculation
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-    const R = 6371;
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) ** 2 +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLng / 2) ** 2;
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-};
-
-// Find optimal charging stops along a route
-const findChargingStops = (origin, destination, currentBattery, vehicleRange, preferences = {}) => {
-    // Calculate total distance
-    const totalDistance = calculateDistance(
-        origin.lat, origin.lng,
-        destination.lat, destination.lng
-    );
-
-    // Calculate range with current battery
-    const currentRange = (currentBattery / 100) * vehicleRange;
-
-    // If we can make it without charging, no stops needed
-    if (currentRange >= totalDistance * 1.2) { // 20% safety margin
-        return {
-            needsCharging: false,
-            stops: [],
-            totalDistance,
-            estimatedTime: Math.round(totalDistance / 60 * 60) // 60 km/h average
-        };
-    }
-
-    // Find stations along the route
-    const routeStations = stations.stations
-        .map(station => {
-            // Calculate if station is roughly on the route
-            const distToOrigin = calculateDistance(
-                origin.lat, origin.lng,
-                station.location.lat, station.location.lng
-            );
-            const distToDestination = calculateDistance(
-                station.location.lat, station.location.lng,
-                destination.lat, destination.lng
-            );
-            const detour = (distToOrigin + distToDestination) - totalDistance;
-
-            return {
-                ...station,
-                distanceFromOrigin: distToOrigin,
-                detour,
-                available: station.chargers.filter(c => c.status === 'available').length,
-                hasFast: station.chargers.some(c => c.type === 'fast' && c.status === 'available')
-            };
-        })
-        .filter(s => s.detour < totalDistance * 0.3) // Max 30% detour
-        .filter(s => s.available > 0)
-        .sort((a, b) => {
-            // Prioritize by preferences
-            if (preferences.preferFast && a.hasFast !== b.hasFast) {
-                return a.hasFast ? -1 : 1;
-            }
-            return a.distanceFromOrigin - b.distanceFromOrigin;
-        });
-
-    // Select optimal stops based on range
-    const stops = [];
-    let currentPosition = origin;
-    let remainingBattery = currentBattery;
-
-    for (const station of routeStations) {
-        const distToStation = calculateDistance(
-            currentPosition.lat, currentPosition.lng,
-            station.location.lat, station.location.lng
-        );
-
-        // Calculate battery after reaching station
-        const batteryUsed = (distToStation / vehicleRange) * 100;
-        remainingBattery -= batteryUsed;
-
-        if (remainingBattery < 20) { // Need to charge before this point
-            const prevStation = routeStations.find(s =>
-                calculateDistance(currentPosition.lat, currentPosition.lng, s.location.lat, s.location.lng) < distToStation
-            );
-
-            if (prevStation) {
-                stops.push({
-                    station: prevStation,
-                    chargeToPercent: 80,
-                    estimatedChargeTime: prevStation.hasFast ? 25 : 60,
-                    reason: 'Carga necesaria antes de continuar'
-                });
-                remainingBattery = 80;
-                currentPosition = prevStation.location;
-            }
-        }
-
-        // Check if we can reach destination
-        const distToEnd = calculateDistance(
-            station.location.lat, station.location.lng,
-            destination.lat, destination.lng
-        );
-
-        if ((remainingBattery / 100) * vehicleRange >= distToEnd * 1.2) {
-            break; // We can make it
-        }
-    }
-
-    // If stops are empty but we need charging, add the first available station
-    if (stops.length === 0 && currentRange < totalDistance) {
-        const firstGoodStation = routeStations[0];
-        if (firstGoodStation) {
-            stops.push({
-                station: firstGoodStation,
-                chargeToPercent: 80,
-                estimatedChargeTime: firstGoodStation.hasFast ? 25 : 60,
-                reason: 'Parada de carga recomendada'
-            });
-        }
-    }
-
-    // Calculate total time
-    const drivingTime = Math.round(totalDistance / 60 * 60); // minutes
-    const chargingTime = stops.reduce((sum, s) => sum + s.estimatedChargeTime, 0);
-
-    return {
-        needsCharging: true,
-        stops,
-        totalDistance: Math.round(totalDistance),
-        drivingTime,
-        chargingTime,
-        totalTime: drivingTime + chargingTime
-    };
-};
+// Charging stop as returned to the app
+const formatStop = (stop) => ({
+    stationId: stop.station.id,
+    stationName: stop.station.name,
+    address: stop.station.address,
+    location: stop.station.location,
+    chargerId: stop.charger.id,
+    connector: stop.charger.connector,
+    viaAdapter: stop.charger.via_adapter,
+    chargerPowerKw: stop.charger.usable_power_kw,
+    arrivalBattery: Math.round(stop.arrival_percent),
+    chargeToPercent: stop.charge_to_percent,
+    estimatedChargeTime: stop.charging_minutes,
+    averagePowerKw: stop.average_power_kw,
+    chargingCost: stop.cost_clp,
+    projectedOverstayPenalty: stop.overstay_penalty_clp,
+    reason: stop.leg > 0 ? `Carga en el tramo ${stop.leg + 1} del viaje` : 'Carga necesaria antes de continuar',
+    hasFast: stop.station.chargers.some(c => c.type === 'fast' && c.status === 'available'),
+    amenities: stop.station.usage_factors?.nearby_amenities || []
+});
 
 /**
  * POST /api/trips/plan
@@ -175,6 +67,20 @@ module.exports.planTrip = async (event) => {
             waypoints = [],
             currentBattery = 50,
             vehicleRange = 400, // km
+            userId, // the vehicle comes from the user's profile when vehicleId isn't given
+            vehicleId,
+            batteryCapacity, // kWh
+            efficiency, // kWh/100 km
+            ambientTemperature, // °C
+            payloadKg,
+            maxChargeRate, // kW
+            objective = 'time', // 'time' | 'cost'
+            minArrivalBattery, // % at every stop, waypoint and the destination (the first stop may dip below when starting low)
+            maxStops,
+            connectorTypes,
+            allowAdapters = true,
+            userType,
+            departureTime,
             preferences = {}
         } = body;
 
@@ -189,16 +95,75 @@ module.exports.planTrip = async (event) => {
                 }
             });
         }
+        if (!isValidLocation(origin) || !isValidLocation(destination)) {
+            return response(400, {
+                error: 'Origen y destino deben tener lat y lng numéricos (lat entre -90 y 90, lng entre -180 y 180)'
+            });
+        }
+        if (!Array.isArray(waypoints) || !waypoints.every(isValidLocation)) {
+            return response(400, {
+                error: 'waypoints debe ser una lista de puntos con lat y lng numéricos'
+            });
+        }
+        const invalidOptions = validateTripOptions({
+            start_soc_percent: currentBattery,
+            min_arrival_percent: minArrivalBattery,
+            max_stops: maxStops,
+            objective,
+            departure_time: departureTime
+        });
+        if (invalidOptions) {
+            return response(400, { error: invalidOptions });
+        }
 
-        // Calculate route with charging stops
-        const route = findChargingStops(origin, destination, currentBattery, vehicleRange, preferences);
+        // Calculate route with charging stops, at chargers the vehicle can plug into
+        const compatibility = await resolveVehicleCompatibility({
+            user_id: userId,
+            vehicle_id: vehicleId,
+            connector_types: connectorTypes,
+            allow_adapters: allowAdapters
+        });
+        const resolvedVehicleId = vehicleId || compatibility?.vehicle_id || undefined;
+        const vehicle = await resolveVehicleModel({
+            vehicle_id: resolvedVehicleId,
+            battery_capacity_kwh: batteryCapacity,
+            efficiency_kwh_per_100km: efficiency,
+            vehicle_range_km: vehicleRange
+        });
+        const chargingProfile = await resolveChargingProfile({
+            vehicle_id: resolvedVehicleId,
+            battery_capacity_kwh: vehicle.battery_capacity_kwh,
+            max_charge_rate_kw: maxChargeRate
+        });
+        const plan = await optimizeTrip({
+            origin,
+            destination,
+            waypoints,
+            vehicle,
+            charging_profile: chargingProfile,
+            start_soc_percent: currentBattery,
+            min_arrival_percent: minArrivalBattery,
+            max_stops: maxStops,
+            objective,
+            compatibility,
+            fast_only: Boolean(preferences.preferFast),
+            user_type: userType,
+            departure_time: departureTime,
+            temperature_c: ambientTemperature,
+            payload_kg: payloadKg
+        });
+        if (plan.error) {
+            return response(plan.statusCode, { error: plan.error });
+        }
+        const recommended = plan.recommended;
+        const stops = recommended ? recommended.stops : [];
 
         // Enhance with AI recommendations if available
         let aiRecommendation = null;
         try {
             const prompt = `Genera una breve recomendación (2-3 oraciones) para un viaje de ${origin.name || 'origen'} a ${destination.name || 'destino'} 
-            (${route.totalDistance}km) con ${currentBattery}% de batería. 
-            ${route.needsCharging ? `Necesita ${route.stops.length} parada(s) de carga.` : 'No necesita cargar en ruta.'}
+            (${Math.round(plan.road.distance_km)}km) con ${currentBattery}% de batería. 
+            ${stops.length ? `Necesita ${stops.length} parada(s) de carga.` : 'No necesita cargar en ruta.'}
             Menciona algún tip útil sobre el viaje o las estaciones Copec en la ruta.`;
 
             const command = new InvokeModelCommand({
@@ -226,23 +191,58 @@ module.exports.planTrip = async (event) => {
                 destination,
                 waypoints,
                 route: {
-                    totalDistance: route.totalDistance,
-                    totalTime: route.totalTime || route.estimatedTime,
-                    drivingTime: route.drivingTime || route.estimatedTime,
-                    chargingTime: route.chargingTime || 0,
-                    needsCharging: route.needsCharging
+                    totalDistance: Math.round(plan.road.distance_km),
+                    totalTime: recommended ? recommended.total_minutes : Math.round(plan.road.duration_minutes),
+                    drivingTime: recommended ? recommended.driving_minutes : Math.round(plan.road.duration_minutes),
+                    chargingTime: recommended ? recommended.charging_minutes : 0,
+                    chargingCost: recommended ? recommended.charging_cost_clp : 0,
+                    needsCharging: !recommended || stops.length > 0,
+                    feasible: plan.feasible,
+                    objective: plan.objective,
+                    vehicleCompatibility: compatibility,
+                    arrivalBattery: recommended
+                        ? Math.round(recommended.arrival_percent)
+                        : Math.max(0, Math.round(plan.energy.arrival_soc_percent)),
+                    energyKwh: plan.energy.energy_kwh,
+                    consumptionKwhPer100km: plan.energy.kwh_per_100km,
+                    regenKwh: plan.energy.breakdown.regen_kwh,
+                    conditions: plan.energy.conditions,
+                    routingSource: plan.road.source,
+                    legs: plan.legs.map(leg => ({
+                        distanceKm: leg.distance_km,
+                        durationMinutes: leg.duration_minutes
+                    })),
+                    polyline: plan.road.polyline,
+                    segments: plan.road.segments,
+                    elevation: plan.road.elevation && {
+                        ascentM: plan.road.elevation.ascent_m,
+                        descentM: plan.road.elevation.descent_m,
+                        minElevationM: plan.road.elevation.min_elevation_m,
+                        maxElevationM: plan.road.elevation.max_elevation_m,
+                        coveragePercent: plan.road.elevation.coverage_percent,
+                        profile: plan.road.elevation.profile.map(point => ({
+                            distanceKm: point.distance_km,
+                            elevationM: point.elevation_m
+                        }))
+                    }
                 },
-                chargingStops: route.stops.map(stop => ({
-                    stationId: stop.station.id,
-                    stationName: stop.station.name,
-                    address: stop.station.address,
-                    location: stop.station.location,
-                    chargeToPercent: stop.chargeToPercent,
-                    estimatedChargeTime: stop.estimatedChargeTime,
-                    reason: stop.reason,
-                    hasFast: stop.station.hasFast,
-                    amenities: stop.station.usage_factors?.nearby_amenities || []
-                })),
+                chargingStops: stops.map(formatStop),
+                // Best plan on each criterion; they coincide when one plan wins on all
+                alternatives: Object.fromEntries(Object.entries({
+                    fastest: plan.alternatives.fastest,
+                    cheapest: plan.alternatives.cheapest,
+                    fewestStops: plan.alternatives.fewest_stops
+                }).map(([name, alternative]) => [name, alternative && {
+                    totalTime: alternative.total_minutes,
+                    drivingTime: alternative.driving_minutes,
+                    chargingTime: alternative.charging_minutes,
+                    chargingCost: alternative.charging_cost_clp,
+                    arrivalBattery: Math.round(alternative.arrival_percent),
+                    stops: alternative.stops.map(formatStop)
+                }])),
+                message: plan.feasible
+                    ? undefined
+                    : `No hay un plan de carga que llegue con al menos ${plan.min_arrival_percent}% en ${plan.max_stops} paradas o menos`,
                 aiRecommendation
             }
         });
@@ -265,37 +265,14 @@ module.exports.getUserTrips = async (event) => {
             return response(400, { error: 'Se requiere userId' });
         }
 
-        // For offline mode, return mock data
-        if (process.env.IS_OFFLINE === 'true' || !TRIPS_TABLE) {
-            return response(200, {
-                success: true,
-                trips: [
-                    {
-                        tripId: 'demo-trip-1',
-                        userId,
-                        origin: { name: 'Santiago Centro', lat: -33.4489, lng: -70.6693 },
-                        destination: { name: 'Valparaíso', lat: -33.0153, lng: -71.5503 },
-                        createdAt: new Date().toISOString(),
-                        status: 'planned'
-                    }
-                ]
-            });
-        }
-
-        const command = new QueryCommand({
-            TableName: TRIPS_TABLE,
-            IndexName: 'userId-index',
-            KeyConditionExpression: 'userId = :userId',
-            ExpressionAttributeValues: { ':userId': userId },
-            ScanIndexForward: false,
-            Limit: 10
-        });
-
-        const result = await docClient.send(command);
+        // Most recent first
+        const trips = (await repositories.trips.query('userId', userId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, USER_TRIPS_LIMIT);
 
         return response(200, {
             success: true,
-            trips: result.Items || []
+            trips
         });
 
     } catch (error) {
@@ -329,19 +306,7 @@ module.exports.saveTrip = async (event) => {
             updatedAt: new Date().toISOString()
         };
 
-        // For offline mode, just return the trip
-        if (process.env.IS_OFFLINE === 'true' || !TRIPS_TABLE) {
-            return response(200, {
-                success: true,
-                trip,
-                offline: true
-            });
-        }
-
-        await docClient.send(new PutCommand({
-            TableName: TRIPS_TABLE,
-            Item: trip
-        }));
+        await repositories.trips.save(trip);
 
         return response(200, {
             success: true,
@@ -0,0 +1,120 @@
+/**
+ * Copec EV Agent - DynamoDB Repository Adapter
+ * Deployed backend: one table per repository, queried through `<attribute>-index` GSIs.
+ * DYNAMODB_ENDPOINT points the client at a local stand-in (e.g. DynamoDB Local).
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+    DynamoDBDocumentClient,
+    GetCommand,
+    PutCommand,
+    DeleteCommand,
+    ScanCommand,
+    QueryCommand,
+    BatchWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+
+const BATCH_SIZE = 25;              // BatchWriteItem limit
+const MAX_BATCH_RETRIES = 5;
+
+const dynamoClient = new DynamoDBClient({
+    region: process.env.AWS_REGION || 'us-east-1',
+    ...(process.env.DYNAMODB_ENDPOINT && { endpoint: process.env.DYNAMODB_ENDPOINT })
+});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+// Run a paginated Scan or Query to the end, or until `limit` items
+const collect = async (buildCommand, limit) => {
+    const items = [];
+    let lastKey;
+    do {
+        const result = await docClient.send(buildCommand(lastKey));
+        items.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey && !(limit && items.length >= limit));
+    return items.slice(0, limit);
+};
+
+/**
+ * @param {Object} config - { tableName, key, sortKey }
+ *   key: partition key attribute
+ *   sortKey: range key attribute, for tables keyed on both
+ */
+const createDynamoAdapter = ({ tableName, key, sortKey }) => {
+    const keyOf = (id, sort) => ({ [key]: id, ...(sortKey && { [sortKey]: sort }) });
+
+    return {
+        backend: 'dynamodb',
+
+        get: async (id, sort) => {
+            const result = await docClient.send(new GetCommand({
+                TableName: tableName,
+                Key: keyOf(id, sort)
+            }));
+            return result.Item || null;
+        },
+
+        // ifNotExists: fail with ConditionalCheckFailedException instead of overwriting
+        put: async (item, { ifNotExists = false } = {}) => {
+            await docClient.send(new PutCommand({
+                TableName: tableName,
+                Item: item,
+                ...(ifNotExists && {
+                    ConditionExpression: 'attribute_not_exists(#key)',
+                    ExpressionAttributeNames: { '#key': key }
+                })
+            }));
+            return item;
+        },
+
+        putMany: async (list) => {
+            for (let i = 0; i < list.length; i += BATCH_SIZE) {
+                let requests = list.slice(i, i + BATCH_SIZE).map(item => ({ PutRequest: { Item: item } }));
+
+                // Throttled writes come back as UnprocessedItems; retry them with backoff
+                for (let attempt = 0; requests.length; attempt++) {
+                    if (attempt > MAX_BATCH_RETRIES) {
+                        throw new Error(`BatchWrite to ${tableName} left ${requests.length} unprocessed items`);
+                    }
+                    if (attempt > 0) {
+                        await new Promise(resolve => setTimeout(resolve, 100 * 2 ** attempt));
+                    }
+                    const result = await docClient.send(new BatchWriteCommand({
+                        RequestItems: { [tableName]: requests }
+                    }));
+                    requests = result.UnprocessedItems?.[tableName] || [];
+                }
+            }
+            return list.length;
+        },
+
+        delete: async (id, sort) => {
+            await docClient.send(new DeleteCommand({
+                TableName: tableName,
+                Key: keyOf(id, sort)
+            }));
+        },
+
+        list: () => collect(lastKey => new ScanCommand({
+            TableName: tableName,
+            ExclusiveStartKey: lastKey
+        })),
+
+        // On the partition key the table itself is queried, in sort key order; otherwise its GSI
+        query: (attribute, value, { descending = false, limit } = {}) => collect(lastKey => new QueryCommand({
+            TableName: tableName,
+            ...(attribute !== key && { IndexName: `${attribute}-index` }),
+            KeyConditionExpression: '#attr = :value',
+            ExpressionAttributeNames: { '#attr': attribute },
+            ExpressionAttributeValues: { ':value': value },
+            ScanIndexForward: !descending,
+            ...(limit && { Limit: limit }),
+            ExclusiveStartKey: lastKey
+        }), limit)
+    };
+};
+
+module.exports = {
+    createDynamoAdapter
+};
@@ -0,0 +1,251 @@
+/**
+ * Copec EV Agent - Repositories
+ * Data access for stations, venues, users, vehicles, charging metrics, trips, charging
+ * sessions, reservations, the points ledger, food orders, station queues, OCPP charge
+ * points, transactions, commands and audit, and OCPI partners. Deployed stages use the
+ * DynamoDB tables; offline (serverless-offline, or no table configured) an in-memory store
+ * seeded from the JSON fixtures in data/ is used instead.
+ * DATA_BACKEND=json|dynamodb forces a backend, e.g. to run offline against DynamoDB Local.
+ */
+
+const stationsFixture = require('../../data/stations_geo.json');
+const venuesFixture = require('../../data/venues.json');
+const usersVehiclesFixture = require('../../data/users_vehicles.json');
+const metricsFixture = require('../../data/charging_metrics.json');
+const { createJsonAdapter } = require('./json-adapter');
+const { createDynamoAdapter } = require('./dynamodb-adapter');
+
+// Catalog collections are read whole and cached per container for this long
+const CATALOG_CACHE_TTL_MS = 60000;
+
+// A catalog document's metadata is stored as one more item under this id
+const METADATA_ID = '_metadata';
+
+/**
+ * Tables behind each repository (the seed command creates them on a local stand-in).
+ * Keys are strings unless keyType says otherwise; sortKey is the range key of tables keyed
+ * on both. Indexes are GSIs named `<attribute>-index`.
+ */
+const TABLES = {
+    stations: { env: 'STATIONS_TABLE', key: 'stationId' },
+    venues: { env: 'VENUES_TABLE', key: 'stationId' },
+    users: { env: 'USERS_TABLE', key: 'userId' },
+    vehicles: { env: 'VEHICLES_TABLE', key: 'vehicleId', indexes: ['ownerId'] },
+    metrics: { env: 'METRICS_TABLE', key: 'metricId' },
+    trips: { env: 'TRIPS_TABLE', key: 'tripId', indexes: ['userId'] },
+    sessions: { env: 'SESSIONS_TABLE', key: 'sessionId', indexes: ['userId'] },
+    reservations: { env: 'RESERVATIONS_TABLE', key: 'reservationId' },
+    points: { env: 'POINTS_TABLE', key: 'userId', sortKey: 'entryId' },
+    orders: { env: 'ORDERS_TABLE', key: 'orderId', indexes: ['userId'] },
+    queue: { env: 'QUEUE_TABLE', key: 'entryId', indexes: ['stationId'] },
+    chargePoints: { env: 'CHARGE_POINTS_TABLE', key: 'chargePointId', indexes: ['connectionId'] },
+    ocppTransactions: { env: 'OCPP_TRANSACTIONS_TABLE', key: 'transactionId', keyType: 'N' },
+    ocppCommands: { env: 'OCPP_COMMANDS_TABLE', key: 'commandId' },
+    ocppAudit: { env: 'OCPP_AUDIT_TABLE', key: 'chargePointId', sortKey: 'entryId' },
+    ocpiPartners: { env: 'OCPI_PARTNERS_TABLE', key: 'token' }
+};
+
+const METRIC_SECTIONS = ['charging_sessions', 'queue_density', 'real_time_power', 'metadata'];
+
+const getBackend = (tableName) => {
+    if (process.env.DATA_BACKEND) return process.env.DATA_BACKEND;
+    return process.env.IS_OFFLINE === 'true' || !tableName ? 'json' : 'dynamodb';
+};
+
+// Adapter for a repository's table, chosen on first use so scripts can set the environment first
+const lazyAdapter = (name, seed) => {
+    let adapter;
+    return () => {
+        if (!adapter) {
+            const { env, key, sortKey } = TABLES[name];
+            const tableName = process.env[env];
+            adapter = getBackend(tableName) === 'dynamodb'
+                ? createDynamoAdapter({ tableName, key, sortKey })
+                : createJsonAdapter({ key, sortKey, seed: seed() });
+        }
+        return adapter;
+    };
+};
+
+// Memoize a whole-collection load; writes call reset()
+const createCache = (loader) => {
+    let value = null;
+    let loadedAt = 0;
+
+    const get = async () => {
+        if (!value || Date.now() - loadedAt > CATALOG_CACHE_TTL_MS) {
+            value = await loader();
+            loadedAt = Date.now();
+        }
+        return value;
+    };
+    get.reset = () => {
+        value = null;
+    };
+    return get;
+};
+
+// Stations keep the catalog's numbering order (COPEC_ALAMEDA_001, ..._002, ...)
+const byTrailingNumber = (idOf) => (a, b) =>
+    (parseInt(/(\d+)$/.exec(idOf(a))?.[1], 10) || 0) - (parseInt(/(\d+)$/.exec(idOf(b))?.[1], 10) || 0);
+
+const byId = (idOf) => (a, b) => idOf(a).localeCompare(idOf(b), undefined, { numeric: true });
+
+/**
+ * Read-mostly collection loaded whole, cached, and looked up by id in memory.
+ * Entities are stored as-is plus their key (and GSI) attributes.
+ * @param {Object} config - { name, idOf, fixture, fixtureMetadata, indexAttributes, compare }
+ */
+const createCatalogRepository = ({ name, idOf, fixture, fixtureMetadata, indexAttributes = {}, compare = byId(idOf) }) => {
+    const { key } = TABLES[name];
+    const storedAttributes = [key, ...Object.keys(indexAttributes)];
+
+    const toItem = (entity) => ({
+        [key]: idOf(entity),
+        ...Object.fromEntries(Object.entries(indexAttributes).map(([attribute, get]) => [attribute, get(entity)])),
+        ...entity
+    });
+    const fromItem = (item) => {
+        const entity = { ...item };
+        storedAttributes.forEach(attribute => delete entity[attribute]);
+        return entity;
+    };
+    const seedItems = () => [
+        ...fixture().map(toItem),
+        { [key]: METADATA_ID, metadata: fixtureMetadata }
+    ];
+
+    const adapter = lazyAdapter(name, seedItems);
+    const load = createCache(async () => {
+        const items = await adapter().list();
+        const entities = items.filter(item => item[key] !== METADATA_ID).map(fromItem).sort(compare);
+        return {
+            entities,
+            byId: new Map(entities.map(entity => [idOf(entity), entity])),
+            metadata: items.find(item => item[key] === METADATA_ID)?.metadata || {}
+        };
+    });
+
+    return {
+        list: async () => (await load()).entities,
+        get: async (id) => (await load()).byId.get(id) || null,
+        getMetadata: async () => (await load()).metadata,
+        save: async (entity) => {
+            await adapter().put(toItem(entity));
+            load.reset();
+            return entity;
+        },
+        saveMetadata: async (metadata) => {
+            await adapter().put({ [key]: METADATA_ID, metadata });
+            load.reset();
+            return metadata;
+        },
+        seed: () => adapter().putMany(seedItems()),
+        seedItems
+    };
+};
+
+/**
+ * Read-write collection. Queries on the partition key read the table in sort key order
+ * (options: { descending, limit }); on any other attribute they go through its GSI.
+ * insert() fails with ConditionalCheckFailedException when the item already exists.
+ */
+const createRepository = (name) => {
+    const adapter = lazyAdapter(name, () => []);
+
+    return {
+        get: (id, sort) => adapter().get(id, sort),
+        save: (item) => adapter().put(item),
+        insert: (item) => adapter().put(item, { ifNotExists: true }),
+        remove: (id, sort) => adapter().delete(id, sort),
+        list: () => adapter().list(),
+        query: (attribute, value, options) => adapter().query(attribute, value, options)
+    };
+};
+
+const isConditionFailed = (error) => error?.name === 'ConditionalCheckFailedException';
+
+const stations = createCatalogRepository({
+    name: 'stations',
+    idOf: station => station.id,
+    fixture: () => stationsFixture.stations,
+    fixtureMetadata: stationsFixture.metadata,
+    compare: byTrailingNumber(station => station.id)
+});
+
+const venues = createCatalogRepository({
+    name: 'venues',
+    idOf: venue => venue.station_id,
+    fixture: () => Object.values(venuesFixture.venues),
+    fixtureMetadata: venuesFixture.metadata
+});
+
+const users = createCatalogRepository({
+    name: 'users',
+    idOf: user => user.user_id,
+    fixture: () => Object.values(usersVehiclesFixture.users),
+    fixtureMetadata: usersVehiclesFixture.metadata
+});
+
+const vehicleCatalog = createCatalogRepository({
+    name: 'vehicles',
+    idOf: vehicle => vehicle.vehicle_id,
+    fixture: () => Object.values(usersVehiclesFixture.vehicles),
+    fixtureMetadata: usersVehiclesFixture.metadata,
+    indexAttributes: { ownerId: vehicle => vehicle.owner_id }
+});
+
+const vehicles = {
+    ...vehicleCatalog,
+    getByOwner: async (userId) => (await vehicleCatalog.list()).find(v => v.owner_id === userId) || null
+};
+
+/**
+ * Charging metrics: per-charger usage profiles, queue density and measured station power,
+ * one item per section of charging_metrics.json
+ */
+const createMetricsRepository = () => {
+    const { key } = TABLES.metrics;
+    const seedItems = () => METRIC_SECTIONS.map(section => ({ [key]: section, data: metricsFixture[section] }));
+    const adapter = lazyAdapter('metrics', seedItems);
+    const load = createCache(async () => {
+        const items = await adapter().list();
+        const sections = Object.fromEntries(items.map(item => [item[key], item.data]));
+        return {
+            charging_sessions: sections.charging_sessions || [],
+            queue_density: sections.queue_density || {},
+            real_time_power: sections.real_time_power || {},
+            metadata: sections.metadata || {}
+        };
+    });
+
+    return {
+        get: load,
+        seed: () => adapter().putMany(seedItems()),
+        seedItems
+    };
+};
+
+const metrics = createMetricsRepository();
+
+module.exports = {
+    stations,
+    venues,
+    users,
+    vehicles,
+    metrics,
+    trips: createRepository('trips'),
+    sessions: createRepository('sessions'),
+    reservations: createRepository('reservations'),
+    points: createRepository('points'),
+    orders: createRepository('orders'),
+    queue: createRepository('queue'),
+    chargePoints: createRepository('chargePoints'),
+    ocppTransactions: createRepository('ocppTransactions'),
+    ocppCommands: createRepository('ocppCommands'),
+    ocppAudit: createRepository('ocppAudit'),
+    ocpiPartners: createRepository('ocpiPartners'),
+    TABLES,
+    getBackend,
+    isConditionFailed
+};
@@ -0,0 +1,62 @@
+/**
+ * Copec EV Agent - In-memory Repository Adapter
+ * Offline backend: items live in a Map for the life of the process, seeded from the
+ * JSON fixtures. Items are copied in and out so callers get the same value semantics
+ * as with DynamoDB, including a failed conditional put and sort key order.
+ */
+
+// Same error name the DynamoDB client throws, so callers handle both backends alike
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+    name: 'ConditionalCheckFailedException'
+});
+
+/**
+ * @param {Object} config - { key, sortKey, seed }
+ *   key: attribute holding the item's id (partition key)
+ *   sortKey: range key attribute, for tables keyed on both
+ *   seed: items the store starts with
+ */
+const createJsonAdapter = ({ key, sortKey, seed = [] }) => {
+    const idOf = (id, sort) => (sortKey ? JSON.stringify([id, sort]) : id);
+    const itemId = (item) => idOf(item[key], item[sortKey]);
+    const items = new Map(seed.map(item => [itemId(item), structuredClone(item)]));
+
+    return {
+        backend: 'json',
+
+        get: async (id, sort) => {
+            const item = items.get(idOf(id, sort));
+            return item ? structuredClone(item) : null;
+        },
+
+        put: async (item, { ifNotExists = false } = {}) => {
+            if (ifNotExists && items.has(itemId(item))) throw conditionFailed();
+            items.set(itemId(item), structuredClone(item));
+            return item;
+        },
+
+        putMany: async (list) => {
+            list.forEach(item => items.set(itemId(item), structuredClone(item)));
+            return list.length;
+        },
+
+        delete: async (id, sort) => {
+            items.delete(idOf(id, sort));
+        },
+
+        list: async () => [...items.values()].map(item => structuredClone(item)),
+
+        query: async (attribute, value, { descending = false, limit } = {}) => {
+            const matches = [...items.values()].filter(item => item[attribute] === value);
+            // A query on the partition key comes back in sort key order
+            if (attribute === key && sortKey) {
+                matches.sort((a, b) => String(a[sortKey]).localeCompare(String(b[sortKey])) * (descending ? -1 : 1));
+            }
+            return matches.slice(0, limit).map(item => structuredClone(item));
+        }
+    };
+};
+
+module.exports = {
+    createJsonAdapter
+};
@@ -0,0 +1,120 @@
+/**
+ * Copec EV Agent - Live Availability
+ * Overlays live charger state (sessions, reservations) on top of the simulated station state.
+ * Chargers reporting over OCPP use the hardware state instead of the simulation.
+ */
+
+const repositories = require('../repositories');
+const { getActiveReservationsByCharger } = require('./reservations');
+const { getActiveSessionsByCharger } = require('./sessions');
+const { getOcppChargerStates } = require('./ocpp');
+const {
+    simulateStation,
+    getWalkInQueue,
+    getStationPower,
+    getPowerDraw,
+    getChargerProfile,
+    getUsageModel
+} = require('./simulator');
+
+/**
+ * Replace a charger's simulated state with what its charge point reports
+ */
+const applyOcppState = (charger, state) => {
+    if (!state) return charger;
+
+    const { simulated_session, ...base } = charger;
+    return {
+        ...base,
+        status: state.status,
+        power_draw_kw: state.status === 'occupied' ? Math.round(state.power_kw || 0) : 0,
+        ocpp: {
+            charge_point_id: state.charge_point_id,
+            connector_id: state.connector_id,
+            status: state.ocpp_status,
+            availability: state.availability,
+            error_code: state.error_code,
+            transaction_id: state.transaction_id,
+            energy_wh: state.energy_wh,
+            soc: state.soc,
+            updated_at: state.updated_at
+        }
+    };
+};
+
+/**
+ * Apply live state to a single charger. Real sessions and reservations take
+ * the charger over from simulated walk-in traffic.
+ */
+const applyChargerOverlays = (station, charger, live, now) => {
+    const session = live.sessions[charger.id];
+    const reservation = live.reservations[charger.id];
+    const { simulated_session, ...base } = charger;
+
+    if (session && charger.status !== 'maintenance') {
+        const elapsedMinutes = (now - new Date(session.startedAt)) / 60000;
+        const progress = Math.min(1, elapsedMinutes / getChargerProfile(station, charger, live.model).avg_session_minutes);
+        return {
+            ...base,
+            status: 'occupied',
+            // Metered power when the charge point reports it
+            power_draw_kw: charger.ocpp && charger.power_draw_kw > 0 ? charger.power_draw_kw : getPowerDraw(charger, progress),
+            session_started_at: session.startedAt
+        };
+    }
+
+    if (reservation && charger.status !== 'maintenance') {
+        return {
+            ...base,
+            status: 'reserved',
+            power_draw_kw: 0,
+            reserved_until: reservation.expiresAt
+        };
+    }
+
+    return charger;
+};
+
+/**
+ * Get stations with their chargers' live status
+ * @param {Array} stationIds - only these stations (all when omitted)
+ */
+const getLiveStations = async (stationIds) => {
+    const catalog = await repositories.stations.list();
+    const wanted = stationIds && new Set(stationIds);
+    const stations = wanted ? catalog.filter(s => wanted.has(s.id)) : catalog;
+    const live = {
+        model: await getUsageModel(),
+        sessions: await getActiveSessionsByCharger(),
+        reservations: await getActiveReservationsByCharger(),
+        ocpp: await getOcppChargerStates()
+    };
+
+    const now = new Date();
+
+    return stations.map(station => {
+        const simulated = simulateStation(station, live.model);
+        const chargers = simulated.chargers.map(charger =>
+            applyChargerOverlays(station, applyOcppState(charger, live.ocpp[charger.id]), live, now)
+        );
+        return {
+            ...simulated,
+            chargers,
+            walk_in_queue: getWalkInQueue(station, chargers, live.model, new Date(simulated.simulated_at)),
+            real_time_power: getStationPower(station, chargers, live.model)
+        };
+    });
+};
+
+/**
+ * Get a single station with its chargers' live status
+ */
+const getLiveStation = async (stationId) => {
+    const [station] = await getLiveStations([stationId]);
+    return station || null;
+};
+
+module.exports = {
+    getLiveStations,
+    getLiveStation
+};
@@ -0,0 +1,629 @@
+/**
+ * Copec EV Agent - Station Catalog
+ * Serves the versioned station catalog the frontend bootstraps from, and imports OCPI
+ * Locations, Open Charge Map exports and CSV files into the stations repository:
+ * connector names are normalized, coordinates validated and duplicates merged by proximity
+ * and address. A diff report is built before anything is written.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const repositories = require('../repositories');
+const { calculateHaversineDistance } = require('./routing');
+const { getCurrentType } = require('./tariffs');
+
+// With the offline JSON backend the fixtures are rewritten too, so the catalog survives
+// restarts and seeds. The frontend bundles its own copy for the map; it is only
+// present (and written) in a full checkout, never in the Lambda package
+const CATALOG_FILES = [
+    path.join(__dirname, '../../data/stations_geo.json'),
+    path.join(__dirname, '../../../Frontend/src/data/stations_geo.json')
+];
+
+const FORMATS = ['ocpi', 'ocm', 'csv'];
+const CSV_COLUMNS = ['name', 'address', 'lat', 'lng', 'connector', 'power_kw', 'quantity', 'amenities'];
+const CSV_REQUIRED = ['name', 'lat', 'lng', 'connector'];
+
+const DUPLICATE_RADIUS_M = 50;          // Same site whatever the address says
+const ADDRESS_MATCH_RADIUS_M = 500;     // Same street address within this distance
+const LOCATION_TOLERANCE_M = 10;        // Smaller moves are not reported as changes
+const MAX_POWER_KW = 400;
+
+// Continental Chile plus Easter Island
+const CHILE_BOUNDS = { lat: [-56, -17.4], lng: [-110, -66] };
+
+// Connector names seen in OCPI standards, Open Charge Map titles and hand-written CSVs.
+// Patterns run against the lower-cased name without spaces or punctuation; null = not supported.
+const CONNECTOR_PATTERNS = [
+    [/chademo/, 'CHAdeMO'],
+    [/^gbtac/, null],
+    [/^gbt/, 'GB/T'],
+    [/ccs1|combo1|t1combo|ccstype1|combotype1/, null],
+    [/combo|ccs/, 'CCS2'],
+    [/type2|^t2|mennekes|iec62196t2/, 'Type2'],
+    [/type1|j1772|iec62196t1/, 'Type1']
+];
+
+// Open Charge Map ConnectionTypeID, for compact exports without the ConnectionType reference data
+const OCM_CONNECTION_TYPES = {
+    1: 'Type 1 (J1772)',
+    2: 'CHAdeMO',
+    25: 'Type 2 (Socket Only)',
+    32: 'CCS (Type 1)',
+    33: 'CCS (Type 2)',
+    1036: 'Type 2 (Tethered Connector)'
+};
+
+// Rated power assumed when the source does not say
+const DEFAULT_POWER_KW = {
+    CCS2: 50,
+    CHAdeMO: 50,
+    'GB/T': 50,
+    Type2: 22,
+    Type1: 7
+};
+
+const FACILITY_AMENITIES = {
+    CAFE: 'café',
+    RESTAURANT: 'restaurante',
+    WIFI: 'WiFi',
+    PARKING_LOT: 'estacionamiento',
+    SUPERMARKET: 'tienda',
+    MALL: 'centro comercial'
+};
+
+const DEFAULT_USAGE_FACTORS = {
+    peak_hours: ['08:00-10:00', '18:00-20:00'],
+    avg_wait_time: 10
+};
+
+const normalizeConnector = (name) => {
+    const key = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const match = CONNECTOR_PATTERNS.find(([pattern]) => pattern.test(key));
+    return match ? match[1] : null;
+};
+
+// Street part of an address, without accents, "Av." prefixes or punctuation
+const normalizeAddress = (address) => String(address || '')
+    .split(',')[0]
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\b(avenida|avda|av)\b\.?/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const distanceMeters = (a, b) => calculateHaversineDistance(a.lat, a.lng, b.lat, b.lng) * 1000;
+
+const isSameSite = (a, b) => {
+    const distance = distanceMeters(a.location, b.location);
+    if (distance <= DUPLICATE_RADIUS_M) return true;
+
+    const address = normalizeAddress(a.address);
+    return distance <= ADDRESS_MATCH_RADIUS_M && address !== '' && address === normalizeAddress(b.address);
+};
+
+const isInChile = (lat, lng) =>
+    lat >= CHILE_BOUNDS.lat[0] && lat <= CHILE_BOUNDS.lat[1] &&
+    lng >= CHILE_BOUNDS.lng[0] && lng <= CHILE_BOUNDS.lng[1];
+
+/**
+ * Reason a site's coordinates are unusable, or null when they are valid
+ */
+const validateCoordinates = ({ lat, lng }) => {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return 'Coordenadas faltantes o no numéricas';
+    }
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180 || (lat === 0 && lng === 0)) {
+        return 'Coordenadas fuera de rango';
+    }
+    if (!isInChile(lat, lng)) {
+        return isInChile(lng, lat) ? 'Latitud y longitud invertidas' : 'Coordenadas fuera de Chile';
+    }
+    return null;
+};
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return NaN;
+    return Number(String(value).trim().replace(',', '.'));
+};
+
+// ==================== Source parsers ====================
+// Each parser returns sites: { record, source_id, name, address, location, connectors, amenities, warnings }
+
+const parseOcpi = (json) => {
+    const locations = Array.isArray(json) ? json : (Array.isArray(json.data) ? json.data : [json]);
+
+    return locations.map((loc, i) => {
+        const warnings = [];
+        const connectors = [];
+
+        (loc.evses || [])
+            .filter(evse => evse.status !== 'REMOVED')
+            .forEach(evse => {
+                // An EVSE charges one vehicle at a time: keep its most powerful supported connector
+                const supported = (evse.connectors || [])
+                    .map(c => ({
+                        connector: normalizeConnector(c.standard),
+                        power: c.max_electric_power ? c.max_electric_power / 1000 : null,
+                        raw: c.standard
+                    }))
+                    .filter(c => {
+                        if (!c.connector) warnings.push(`Conector no soportado: ${c.raw}`);
+                        return c.connector;
+                    });
+
+                if (supported.length) {
+                    connectors.push(supported.reduce((best, c) => ((c.power || 0) > (best.power || 0) ? c : best)));
+                }
+            });
+
+        return {
+            record: i + 1,
+            source_id: loc.id,
+            name: loc.name,
+            address: [loc.address, loc.city].filter(Boolean).join(', '),
+            location: { lat: toNumber(loc.coordinates?.latitude), lng: toNumber(loc.coordinates?.longitude) },
+            connectors,
+            amenities: (loc.facilities || []).map(f => FACILITY_AMENITIES[f]).filter(Boolean),
+            warnings
+        };
+    });
+};
+
+const parseOcm = (json) => {
+    const pois = Array.isArray(json) ? json : [json];
+
+    return pois.map((poi, i) => {
+        const info = poi.AddressInfo || {};
+        const warnings = [];
+        const connectors = [];
+
+        (poi.Connections || []).forEach(connection => {
+            const raw = connection.ConnectionType?.Title || OCM_CONNECTION_TYPES[connection.ConnectionTypeID]
+                || `ConnectionTypeID ${connection.ConnectionTypeID}`;
+            const connector = normalizeConnector(raw);
+
+            if (!connector) {
+                warnings.push(`Conector no soportado: ${raw}`);
+                return;
+            }
+            for (let n = 0; n < (connection.Quantity || 1); n++) {
+                connectors.push({ connector, power: connection.PowerKW || null, raw });
+            }
+        });
+
+        return {
+            record: i + 1,
+            source_id: poi.UUID || poi.ID,
+            name: info.Title || poi.OperatorInfo?.Title,
+            address: [info.AddressLine1, info.Town].filter(Boolean).join(', '),
+            location: { lat: toNumber(info.Latitude), lng: toNumber(info.Longitude) },
+            connectors,
+            amenities: [],
+            warnings
+        };
+    });
+};
+
+// RFC 4180 rows: quoted fields may contain the delimiter, quotes ("") and line breaks
+const parseCsvRows = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, values: row });
+            row = [];
+            field = '';
+            rowLine = ++line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push({ line: rowLine, values: row });
+    }
+
+    return rows.filter(r => r.values.some(v => v.trim() !== ''));
+};
+
+const parseCsv = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    // Spreadsheets with a comma decimal separator export with semicolons
+    const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''), delimiter);
+    const columns = (header?.values || []).map(c => c.trim().toLowerCase());
+
+    const missing = CSV_REQUIRED.filter(c => !columns.includes(c));
+    if (missing.length) {
+        return { error: `Faltan columnas en el CSV: ${missing.join(', ')}. Columnas esperadas: ${CSV_COLUMNS.join(', ')}` };
+    }
+
+    // One row per connector type; rows with the same name and coordinates form one site
+    const sites = new Map();
+    rows.forEach(({ line, values }) => {
+        const row = Object.fromEntries(columns.map((c, i) => [c, (values[i] || '').trim()]));
+        const key = [row.name, row.lat, row.lng].join('|');
+
+        if (!sites.has(key)) {
+            sites.set(key, {
+                record: line,
+                name: row.name,
+                address: row.address || '',
+                location: { lat: toNumber(row.lat), lng: toNumber(row.lng) },
+                connectors: [],
+                amenities: (row.amenities || '').split('|').map(a => a.trim()).filter(Boolean),
+                warnings: []
+            });
+        }
+        const site = sites.get(key);
+        const connector = normalizeConnector(row.connector);
+
+        if (!connector) {
+            site.warnings.push(`Conector no soportado en línea ${line}: ${row.connector || '(vacío)'}`);
+            return;
+        }
+        const quantity = row.quantity ? parseInt(row.quantity, 10) : 1;
+        for (let n = 0; n < (quantity > 0 ? quantity : 1); n++) {
+            site.connectors.push({ connector, power: toNumber(row.power_kw) || null, raw: row.connector });
+        }
+    });
+
+    return { sites: [...sites.values()] };
+};
+
+const detectFormat = (content) => {
+    if (typeof content === 'string' && !/^\s*[[{]/.test(content)) return 'csv';
+
+    const json = typeof content === 'string' ? JSON.parse(content) : content;
+    const first = Array.isArray(json) ? json[0] : (Array.isArray(json?.data) ? json.data[0] : json);
+    if (first?.AddressInfo) return 'ocm';
+    if (first?.coordinates || first?.evses) return 'ocpi';
+    return null;
+};
+
+const parseSource = (content, format) => {
+    if (format === 'csv') {
+        return parseCsv(typeof content === 'string' ? content : '');
+    }
+
+    let json;
+    try {
+        json = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (error) {
+        return { error: `JSON inválido: ${error.message}` };
+    }
+    return { sites: format === 'ocpi' ? parseOcpi(json) : parseOcm(json) };
+};
+
+// ==================== Catalog merge ====================
+
+const chargerLabel = (c) => `${c.id} (${c.connector} ${c.power} kW)`;
+
+// A, B, ..., Z, AA, AB, ...
+const chargerSuffix = (index) =>
+    (index >= 26 ? chargerSuffix(Math.floor(index / 26) - 1) : '') + String.fromCharCode(65 + (index % 26));
+
+const suffixIndex = (suffix) =>
+    [...suffix].reduce((n, char) => n * 26 + char.charCodeAt(0) - 64, 0) - 1;
+
+const stationNumber = (stationId) => parseInt(/_(\d+)$/.exec(stationId)?.[1], 10) || 0;
+
+const buildStationId = (name, number) => {
+    const slug = String(name)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase()
+        .replace(/\bCOPEC\b/g, '')
+        .replace(/[^A-Z0-9]/g, '')
+        .slice(0, 12) || 'ESTACION';
+    return `COPEC_${slug}_${String(number).padStart(3, '0')}`;
+};
+
+/**
+ * Chargers for an imported site. Chargers of a matched station keep their id (and
+ * seeded status) when the connector and power are unchanged; new ones get the next free letter.
+ */
+const buildChargers = (connectors, existing, number) => {
+    const remaining = [...existing];
+    let nextIndex = existing.reduce((max, c) => Math.max(max, suffixIndex(c.id.split('_').pop()) + 1), 0);
+
+    const chargers = connectors.map(({ connector, power }) => {
+        const index = remaining.findIndex(c => c.connector === connector && c.power === power);
+        if (index >= 0) {
+            return remaining.splice(index, 1)[0];
+        }
+        return {
+            id: `CHG_${String(number).padStart(3, '0')}_${chargerSuffix(nextIndex++)}`,
+            type: getCurrentType({ connector }) === 'DC' ? 'fast' : 'slow',
+            power,
+            status: 'available',
+            connector
+        };
+    });
+
+    return { chargers, removed: remaining };
+};
+
+// Fill in power, reject chargers above the supported maximum
+const resolvePower = (site) => {
+    site.connectors = site.connectors.filter(c => {
+        if (!c.power) {
+            c.power = DEFAULT_POWER_KW[c.connector];
+            site.warnings.push(`Potencia no informada para ${c.raw}; se asume ${c.power} kW`);
+        } else if (c.power < 0 || c.power > MAX_POWER_KW) {
+            site.warnings.push(`Potencia inválida para ${c.raw}: ${c.power} kW`);
+            return false;
+        }
+        c.power = Math.round(c.power * 10) / 10;
+        return true;
+    });
+};
+
+const siteLabel = (site) => ({ record: site.record, name: site.name || null });
+
+/**
+ * Merge the parsed sites into the catalog and describe every change
+ */
+const diffCatalog = (sites, catalog) => {
+    const report = { added: [], updated: [], unchanged: [], duplicates: [], rejected: [], warnings: [] };
+    const merged = catalog.stations.map(station => ({ ...station }));
+    const matchedIds = new Map();
+    const accepted = [];
+    let nextNumber = Math.max(0, ...catalog.stations.map(s => stationNumber(s.id))) + 1;
+
+    sites.forEach(site => {
+        const reason = !site.name ? 'Falta el nombre de la estación' : validateCoordinates(site.location);
+        if (reason) {
+            report.rejected.push({ ...siteLabel(site), reason });
+            return;
+        }
+
+        resolvePower(site);
+        site.warnings.forEach(message => report.warnings.push({ ...siteLabel(site), message }));
+
+        if (!site.connectors.length) {
+            report.rejected.push({ ...siteLabel(site), reason: 'Sin conectores soportados' });
+            return;
+        }
+
+        const duplicate = accepted.find(other => isSameSite(site, other));
+        if (duplicate) {
+            report.duplicates.push({ ...siteLabel(site), duplicate_of: siteLabel(duplicate) });
+            return;
+        }
+        accepted.push(site);
+
+        const idIndex = merged.findIndex(s => s.id === site.source_id);
+        const matchIndex = idIndex >= 0 ? idIndex : merged.findIndex(s => isSameSite(site, s));
+
+        if (matchIndex >= 0 && matchedIds.has(merged[matchIndex].id)) {
+            report.duplicates.push({ ...siteLabel(site), duplicate_of: matchedIds.get(merged[matchIndex].id) });
+            return;
+        }
+
+        if (matchIndex < 0) {
+            const number = nextNumber++;
+            const station = {
+                id: buildStationId(site.name, number),
+                name: site.name,
+                location: site.location,
+                address: site.address,
+                chargers: buildChargers(site.connectors, [], number).chargers,
+                usage_factors: { ...DEFAULT_USAGE_FACTORS, nearby_amenities: site.amenities }
+            };
+            merged.push(station);
+            report.added.push({
+                ...siteLabel(site),
+                station_id: station.id,
+                address: station.address,
+                location: station.location,
+                chargers: station.chargers.map(chargerLabel)
+            });
+            return;
+        }
+
+        const existing = merged[matchIndex];
+        matchedIds.set(existing.id, siteLabel(site));
+
+        const changes = {};
+        if (site.name.trim() !== existing.name) {
+            changes.name = { from: existing.name, to: site.name.trim() };
+        }
+        if (site.address && normalizeAddress(site.address) !== normalizeAddress(existing.address)) {
+            changes.address = { from: existing.address, to: site.address };
+        }
+        if (distanceMeters(site.location, existing.location) > LOCATION_TOLERANCE_M) {
+            changes.location = { from: existing.location, to: site.location, moved_m: Math.round(distanceMeters(site.location, existing.location)) };
+        }
+
+        const { chargers, removed } = buildChargers(site.connectors, existing.chargers, stationNumber(existing.id));
+        const added = chargers.filter(c => !existing.chargers.includes(c));
+        if (added.length || removed.length) {
+            changes.chargers = { added: added.map(chargerLabel), removed: removed.map(chargerLabel) };
+        }
+
+        if (!Object.keys(changes).length) {
+            report.unchanged.push(existing.id);
+            return;
+        }
+
+        merged[matchIndex] = {
+            ...existing,
+            ...(changes.name && { name: changes.name.to }),
+            ...(changes.address && { address: changes.address.to }),
+            ...(changes.location && { location: site.location }),
+            ...(changes.chargers && { chargers })
+        };
+        report.updated.push({ ...siteLabel(site), station_id: existing.id, changes });
+    });
+
+    return { report, stations: merged };
+};
+
+// ==================== Catalog file ====================
+
+const isPrimitive = (value) => value === null || typeof value !== 'object';
+
+// Stations are written the way the catalog is hand-edited: flat objects and arrays on one line
+const formatStationValue = (value, indent) => {
+    if (isPrimitive(value)) return JSON.stringify(value);
+
+    const entries = Array.isArray(value) ? value.map(v => [null, v]) : Object.entries(value);
+    const format = ([key, v], valueIndent) =>
+        (key === null ? '' : `${JSON.stringify(key)}: `) + formatStationValue(v, valueIndent);
+
+    if (entries.every(([, v]) => isPrimitive(v))) {
+        const items = entries.map(entry => format(entry)).join(', ');
+        if (Array.isArray(value)) return `[${items}]`;
+        return items ? `{ ${items} }` : '{}';
+    }
+
+    const inner = `${indent}  `;
+    const lines = entries.map(entry => inner + format(entry, inner)).join(',\n');
+    return Array.isArray(value) ? `[\n${lines}\n${indent}]` : `{\n${lines}\n${indent}}`;
+};
+
+const formatCatalog = (catalog) =>
+    `{\n  "stations": ${formatStationValue(catalog.stations, '  ')},\n` +
+    `  "metadata": ${JSON.stringify(catalog.metadata, null, 2).replace(/\n/g, '\n  ')}\n}\n`;
+
+/**
+ * Save the added and updated stations and the catalog metadata
+ * @returns {Array} where the catalog was written: the table, or the fixture files offline
+ */
+const writeCatalog = async (merged, report, metadata) => {
+    const catalog = {
+        stations: merged,
+        metadata: {
+            ...metadata,
+            last_updated: new Date().toISOString(),
+            total_stations: merged.length,
+            total_chargers: merged.reduce((sum, s) => sum + s.chargers.length, 0)
+        }
+    };
+    const changedIds = [...report.added, ...report.updated].map(s => s.station_id);
+
+    for (const station of merged.filter(s => changedIds.includes(s.id))) {
+        await repositories.stations.save(station);
+    }
+    await repositories.stations.saveMetadata(catalog.metadata);
+
+    const tableName = process.env[repositories.TABLES.stations.env];
+    if (repositories.getBackend(tableName) === 'dynamodb') {
+        return [tableName];
+    }
+
+    const content = formatCatalog(catalog);
+    const written = CATALOG_FILES.filter(file => fs.existsSync(file));
+    written.forEach(file => fs.writeFileSync(file, content));
+
+    return written.map(file => path.relative(path.join(__dirname, '../../..'), file));
+};
+
+/**
+ * The station catalog with its version: a hash of the stations and metadata, so it
+ * changes with every import or seed that touches them
+ */
+const getStationCatalog = async () => {
+    const stations = await repositories.stations.list();
+    const metadata = await repositories.stations.getMetadata();
+    const version = crypto.createHash('sha1')
+        .update(JSON.stringify({ stations, metadata }))
+        .digest('hex')
+        .slice(0, 16);
+
+    return { version, stations, metadata };
+};
+
+/**
+ * Import stations from an external catalog. Builds the diff report against the current
+ * catalog; with apply the merged catalog is written to the station store.
+ * @param {Object} input - { content, format, apply }
+ *   content: CSV text, or OCPI Location / Open Charge Map JSON (text or parsed)
+ *   format: 'ocpi' | 'ocm' | 'csv' (detected when omitted)
+ */
+const importStations = async (input) => {
+    const { content, apply = false } = input;
+
+    if (!content || (typeof content === 'string' && !content.trim())) {
+        return { error: 'No hay contenido para importar', statusCode: 400 };
+    }
+
+    let format = input.format;
+    if (!format) {
+        try {
+            format = detectFormat(content);
+        } catch (error) {
+            return { error: `JSON inválido: ${error.message}`, statusCode: 400 };
+        }
+        if (!format) {
+            return { error: `No se pudo detectar el formato; indique uno de: ${FORMATS.join(', ')}`, statusCode: 400 };
+        }
+    }
+    if (!FORMATS.includes(format)) {
+        return { error: `Formato no soportado. Use uno de: ${FORMATS.join(', ')}`, statusCode: 400 };
+    }
+
+    const parsed = parseSource(content, format);
+    if (parsed.error) {
+        return { error: parsed.error, statusCode: 400 };
+    }
+
+    const catalog = {
+        stations: await repositories.stations.list(),
+        metadata: await repositories.stations.getMetadata()
+    };
+    const { report, stations: merged } = diffCatalog(parsed.sites, catalog);
+    const hasChanges = report.added.length > 0 || report.updated.length > 0;
+
+    return {
+        format,
+        summary: {
+            records: parsed.sites.length,
+            added: report.added.length,
+            updated: report.updated.length,
+            unchanged: report.unchanged.length,
+            duplicates: report.duplicates.length,
+            rejected: report.rejected.length,
+            warnings: report.warnings.length
+        },
+        report,
+        applied: apply && hasChanges,
+        written_to: apply && hasChanges ? await writeCatalog(merged, report, catalog.metadata) : []
+    };
+};
+
+module.exports = {
+    getStationCatalog,
+    importStations,
+    normalizeConnector,
+    validateCoordinates,
+    formatCatalog,
+    FORMATS,
+    CSV_COLUMNS
+};
@@ -0,0 +1,188 @@
+/**
+ * Copec EV Agent - Charging Curve
+ * Charging power as a function of state of charge: the vehicle's own DC curve when it is
+ * registered (charge_curve_kw, kW by SoC %), otherwise a generic curve for its battery
+ * chemistry scaled to its max_charge_rate_kw. At every SoC the power is the lowest of the
+ * charger, the vehicle and what the station's shared power cabinet has left, so sessions
+ * slow down above ~80% instead of charging at nameplate power all the way.
+ */
+
+const repositories = require('../repositories');
+const { round } = require('./geo');
+
+// Used when neither the vehicle nor its peak rate is known
+const DEFAULT_MAX_CHARGE_RATE_KW = 150;
+const DEFAULT_BATTERY_KWH = 60;
+const DEFAULT_CHEMISTRY = 'NMC';
+
+// Generic curves: [soc %, fraction of the peak rate]. NMC/NCA peak early and taper from
+// mid-range; LFP holds a flat plateau and drops sharply near full.
+const CHEMISTRY_CURVES = {
+    NMC: [[0, 0.75], [10, 1], [40, 1], [60, 0.75], [80, 0.45], [90, 0.25], [100, 0.08]],
+    LFP: [[0, 0.8], [10, 1], [60, 0.95], [80, 0.7], [90, 0.35], [100, 0.1]]
+};
+const CHEMISTRY_ALIASES = { NCA: 'NMC', NCM: 'NMC', LiFePO4: 'LFP' };
+
+// Integration step in SoC percentage points
+const SOC_STEP = 0.5;
+
+// Linear interpolation on a [soc, value] curve
+const interpolate = (curve, soc) => {
+    if (soc <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+        const [soc1, value1] = curve[i];
+        if (soc <= soc1) {
+            const [soc0, value0] = curve[i - 1];
+            return value0 + (value1 - value0) * (soc - soc0) / (soc1 - soc0);
+        }
+    }
+    return curve[curve.length - 1][1];
+};
+
+/**
+ * Charging profile from a vehicle record (any missing field falls back to a generic car)
+ * @param {Object|null} vehicle - { battery_capacity_kwh, max_charge_rate_kw, battery_chemistry,
+ *   charge_curve_kw: { soc: kW } }
+ */
+const buildChargingProfile = (vehicle) => {
+    const maxRate = vehicle?.max_charge_rate_kw || DEFAULT_MAX_CHARGE_RATE_KW;
+    const batteryKwh = vehicle?.battery_capacity_kwh || DEFAULT_BATTERY_KWH;
+
+    const points = Object.entries(vehicle?.charge_curve_kw || {})
+        .map(([soc, kw]) => [Number(soc), Number(kw)])
+        .filter(([soc, kw]) => Number.isFinite(soc) && Number.isFinite(kw));
+    if (points.length > 1) {
+        const curve = points.sort((a, b) => a[0] - b[0]);
+        return {
+            battery_capacity_kwh: batteryKwh,
+            max_charge_rate_kw: maxRate,
+            chemistry: vehicle.battery_chemistry || null,
+            source: 'vehicle',
+            powerAt: (soc) => Math.min(maxRate, interpolate(curve, soc))
+        };
+    }
+
+    const requested = vehicle?.battery_chemistry;
+    const chemistry = CHEMISTRY_CURVES[CHEMISTRY_ALIASES[requested] || requested]
+        ? (CHEMISTRY_ALIASES[requested] || requested)
+        : DEFAULT_CHEMISTRY;
+    const curve = CHEMISTRY_CURVES[chemistry];
+    return {
+        battery_capacity_kwh: batteryKwh,
+        max_charge_rate_kw: maxRate,
+        chemistry,
+        source: vehicle ? 'chemistry' : 'generic',
+        powerAt: (soc) => maxRate * interpolate(curve, soc)
+    };
+};
+
+/**
+ * Charging profile for a tool input: the registered vehicle (by vehicle_id, or the user's
+ * own), with explicit capacity and peak rate taking precedence
+ * @param {Object} input - { vehicle_id, user_id, battery_capacity_kwh, max_charge_rate_kw }
+ */
+const resolveChargingProfile = async (input = {}) => {
+    let vehicle = null;
+    if (input.vehicle_id) vehicle = await repositories.vehicles.get(input.vehicle_id);
+    if (!vehicle && input.user_id) vehicle = await repositories.vehicles.getByOwner(input.user_id);
+
+    const overrides = Object.fromEntries(Object.entries({
+        battery_capacity_kwh: input.battery_capacity_kwh,
+        max_charge_rate_kw: input.max_charge_rate_kw
+    }).filter(([, value]) => value !== undefined && value !== null));
+
+    return buildChargingProfile((vehicle || Object.keys(overrides).length) ? { ...vehicle, ...overrides } : null);
+};
+
+/**
+ * Power the station can still hand to one more car: what its shared cabinet has left
+ * over the current load, but never less than an even split across its chargers (load
+ * management rebalances when a car plugs in). Null when the station doesn't report power.
+ * @param {Object} realTimePower - { current_load_kw, max_capacity_kw }
+ * @param {number} chargerCount - chargers sharing the cabinet
+ */
+const getStationPowerLimit = (realTimePower, chargerCount = 1) => {
+    if (!realTimePower?.max_capacity_kw) return null;
+    const headroom = realTimePower.max_capacity_kw - (realTimePower.current_load_kw || 0);
+    return Math.max(headroom, realTimePower.max_capacity_kw / Math.max(1, chargerCount));
+};
+
+// Effective power at a SoC and what limits it
+const effectivePower = (profile, chargerKw, stationKw, soc) => {
+    const limits = [
+        ['charger', chargerKw],
+        ['vehicle', profile.powerAt(soc)],
+        ['station', stationKw]
+    ].filter(([, kw]) => kw !== null && kw !== undefined && Number.isFinite(kw));
+    return limits.reduce((min, limit) => (limit[1] < min[1] ? limit : min));
+};
+
+/**
+ * Time to charge between two SoCs, integrating the curve
+ * @param {Object} input - { profile (buildChargingProfile), charger_power_kw, station_limit_kw,
+ *   from_percent, to_percent, battery_capacity_kwh }
+ * @returns {Object} { minutes, energy_kwh, average_power_kw, peak_power_kw, limited_by, curve_source }
+ */
+const estimateChargingSession = (input) => {
+    const { profile, charger_power_kw: chargerKw, station_limit_kw: stationKw = null } = input;
+    const batteryKwh = input.battery_capacity_kwh || profile.battery_capacity_kwh;
+    const from = Math.max(0, Math.min(100, input.from_percent));
+    const to = Math.max(from, Math.min(100, input.to_percent));
+
+    let hours = 0;
+    let peak = 0;
+    const limitedKwh = { charger: 0, vehicle: 0, station: 0 };
+    for (let soc = from; soc < to; soc += SOC_STEP) {
+        const step = Math.min(SOC_STEP, to - soc);
+        const [limit, kw] = effectivePower(profile, chargerKw, stationKw, soc + step / 2);
+        const kwh = step / 100 * batteryKwh;
+        hours += kwh / Math.max(kw, 0.1);
+        peak = Math.max(peak, kw);
+        limitedKwh[limit] += kwh;
+    }
+
+    const energyKwh = (to - from) / 100 * batteryKwh;
+    return {
+        minutes: Math.round(hours * 60),
+        energy_kwh: round(energyKwh, 1),
+        average_power_kw: hours > 0 ? round(energyKwh / hours, 1) : 0,
+        peak_power_kw: round(peak, 1),
+        // What held the power down for most of the energy
+        limited_by: energyKwh > 0
+            ? Object.entries(limitedKwh).sort((a, b) => b[1] - a[1])[0][0]
+            : null,
+        curve_source: profile.source
+    };
+};
+
+/**
+ * SoC reached after charging for a given time
+ * @param {Object} input - { profile, charger_power_kw, station_limit_kw, from_percent, minutes, battery_capacity_kwh }
+ */
+const getSocAfterMinutes = (input) => {
+    const { profile, charger_power_kw: chargerKw, station_limit_kw: stationKw = null } = input;
+    const batteryKwh = input.battery_capacity_kwh || profile.battery_capacity_kwh;
+
+    let soc = Math.max(0, Math.min(100, input.from_percent));
+    let hoursLeft = input.minutes / 60;
+    while (soc < 100 && hoursLeft > 0) {
+        const step = Math.min(SOC_STEP, 100 - soc);
+        const [, kw] = effectivePower(profile, chargerKw, stationKw, soc + step / 2);
+        const stepHours = step / 100 * batteryKwh / Math.max(kw, 0.1);
+        if (stepHours > hoursLeft) {
+            soc += step * hoursLeft / stepHours;
+            break;
+        }
+        soc += step;
+        hoursLeft -= stepHours;
+    }
+    return round(soc, 1);
+};
+
+module.exports = {
+    buildChargingProfile,
+    resolveChargingProfile,
+    getStationPowerLimit,
+    estimateChargingSession,
+    getSocAfterMinutes
+};
@@ -0,0 +1,342 @@
+/**
+ * Copec EV Agent - OCPP Remote Commands
+ * Central system initiated commands (RemoteStartTransaction, RemoteStopTransaction, Reset,
+ * UnlockConnector, ChangeAvailability) sent to connected charge points, with result and
+ * timeout tracking and an audit trail per charge point.
+ */
+
+const { ApiGatewayManagementApiClient, PostToConnectionCommand } = require('@aws-sdk/client-apigatewaymanagementapi');
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const ocpp = require('./ocpp');
+
+const COMMAND_TIMEOUT_SECONDS = 20;     // Charge points usually answer within a few seconds
+const COMMAND_POLL_MILLISECONDS = 500;
+
+// Commands the agent may send on a driver's behalf; the rest are operator-only
+const AGENT_ACTIONS = ['RemoteStartTransaction', 'RemoteStopTransaction', 'UnlockConnector'];
+
+// Response statuses that mean the charge point will carry out the command
+const SUCCESS_STATUSES = ['Accepted', 'Scheduled', 'Unlocked'];
+
+const RESET_TYPES = ['Soft', 'Hard'];
+const AVAILABILITY_TYPES = ['Operative', 'Inoperative'];
+
+/**
+ * Append an audit record for a command event
+ */
+const writeAudit = async (command, event, details = {}) => {
+    const createdAt = new Date().toISOString();
+    const entry = {
+        chargePointId: command.chargePointId,
+        entryId: `${createdAt}#${command.commandId}#${event}`,
+        commandId: command.commandId,
+        action: command.action,
+        connectorId: command.connectorId,
+        chargerId: command.chargerId,
+        event,
+        requestedBy: command.requestedBy,
+        source: command.source,
+        details,
+        createdAt
+    };
+    return repositories.ocppAudit.save(entry);
+};
+
+const managementClients = new Map();
+
+/**
+ * Send an OCPP-J frame to a charge point over its WebSocket connection
+ */
+const sendFrame = async (chargePoint, frame) => {
+    if (!managementClients.has(chargePoint.endpoint)) {
+        managementClients.set(chargePoint.endpoint, new ApiGatewayManagementApiClient({
+            region: process.env.AWS_REGION || 'us-east-1',
+            endpoint: chargePoint.endpoint
+        }));
+    }
+
+    await managementClients.get(chargePoint.endpoint).send(new PostToConnectionCommand({
+        ConnectionId: chargePoint.connectionId,
+        Data: Buffer.from(JSON.stringify(frame))
+    }));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const formatCommand = (command) => ({
+    command_id: command.commandId,
+    charge_point_id: command.chargePointId,
+    connector_id: command.connectorId,
+    charger_id: command.chargerId,
+    action: command.action,
+    payload: command.payload,
+    status: command.status,
+    response: command.response || null,
+    error: command.error || null,
+    late_result: command.lateResult || null,
+    requested_by: command.requestedBy,
+    source: command.source,
+    created_at: command.createdAt,
+    responded_at: command.respondedAt || null,
+    timeout_at: command.timeoutAt
+});
+
+/**
+ * Mark a command as timed out if the charge point never answered
+ */
+const expireCommand = async (command, now = new Date()) => {
+    if (command.status !== 'pending' || now < new Date(command.timeoutAt)) return command;
+
+    const expired = { ...command, status: 'timeout', updatedAt: now.toISOString() };
+    await repositories.ocppCommands.save(expired);
+    await writeAudit(expired, 'timeout', { timeout_seconds: COMMAND_TIMEOUT_SECONDS });
+    return expired;
+};
+
+/**
+ * Build the OCPP payload for a command, or the validation error
+ */
+const buildPayload = async (action, input, chargePoint, connectorId) => {
+    const { id_tag, transaction_id, type, source, requested_by } = input;
+
+    switch (action) {
+        case 'RemoteStartTransaction': {
+            if (!id_tag) return { error: 'Se requiere id_tag para iniciar la carga' };
+            if (!(await repositories.users.get(id_tag))) return { error: `Usuario ${id_tag} no encontrado`, statusCode: 404 };
+            if (source === 'agent' && id_tag !== requested_by) {
+                return { error: 'Solo se puede iniciar una carga para el propio usuario', statusCode: 403 };
+            }
+            return { payload: connectorId ? { connectorId, idTag: id_tag } : { idTag: id_tag } };
+        }
+
+        case 'RemoteStopTransaction': {
+            const transactionId = transaction_id !== undefined
+                ? Number(transaction_id)
+                : chargePoint.connectors?.[String(connectorId)]?.transactionId;
+            if (!transactionId) {
+                return { error: 'No hay una transacción activa en ese conector', statusCode: 409 };
+            }
+
+            // Drivers can only stop their own charge
+            if (source === 'agent') {
+                const transaction = await repositories.ocppTransactions.get(transactionId);
+                if (!transaction || transaction.idTag !== requested_by) {
+                    return { error: 'La carga en curso no pertenece al usuario', statusCode: 403 };
+                }
+            }
+            return { payload: { transactionId } };
+        }
+
+        case 'Reset':
+            if (!RESET_TYPES.includes(type)) {
+                return { error: `type debe ser uno de: ${RESET_TYPES.join(', ')}` };
+            }
+            return { payload: { type } };
+
+        case 'UnlockConnector': {
+            if (!connectorId) return { error: 'Se requiere el conector a desbloquear' };
+
+            // Unlocking stops a charge in progress, so drivers can only do it on their own
+            const transactionId = chargePoint.connectors?.[String(connectorId)]?.transactionId;
+            if (source === 'agent' && transactionId) {
+                const transaction = await repositories.ocppTransactions.get(transactionId);
+                if (!transaction || transaction.idTag !== requested_by) {
+                    return { error: 'El conector tiene una carga en curso de otro usuario', statusCode: 403 };
+                }
+            }
+            return { payload: { connectorId } };
+        }
+
+        case 'ChangeAvailability':
+            if (!AVAILABILITY_TYPES.includes(type)) {
+                return { error: `type debe ser uno de: ${AVAILABILITY_TYPES.join(', ')}` };
+            }
+            return { payload: { connectorId: connectorId || 0, type } };
+
+        default:
+            return { error: `Comando ${action} no soportado` };
+    }
+};
+
+/**
+ * Send a command to a charge point and wait for its result. Commands the charge point
+ * doesn't answer within COMMAND_TIMEOUT_SECONDS end as timeout.
+ * @param {Object} input - { action, charge_point_id, charger_id, connector_id, id_tag, transaction_id, type, requested_by, source }
+ */
+const sendCommand = async (input) => {
+    const { action, charger_id, requested_by, source = 'operator' } = input;
+    let { charge_point_id, connector_id } = input;
+
+    if (!requested_by) {
+        return { error: 'Se requiere identificar quién envía el comando', statusCode: 400 };
+    }
+    if (source === 'agent' && !AGENT_ACTIONS.includes(action)) {
+        return { error: `El comando ${action} solo está disponible para operadores`, statusCode: 403 };
+    }
+
+    if (charger_id) {
+        const target = ocpp.getChargerConnector(charger_id);
+        if (!target) {
+            return { error: `Cargador ${charger_id} no está conectado por OCPP`, statusCode: 404 };
+        }
+        if (charge_point_id && charge_point_id !== target.charge_point_id) {
+            return { error: `Cargador ${charger_id} no pertenece a ${charge_point_id}`, statusCode: 400 };
+        }
+        charge_point_id = target.charge_point_id;
+        connector_id = target.connector_id;
+    }
+    connector_id = connector_id !== undefined ? Number(connector_id) : undefined;
+
+    if (connector_id && !ocpp.getChargerId(charge_point_id, connector_id)) {
+        return { error: `Conector ${connector_id} no existe en ${charge_point_id}`, statusCode: 404 };
+    }
+
+    const chargePoint = charge_point_id ? await repositories.chargePoints.get(charge_point_id) : null;
+    if (!chargePoint?.connectionId) {
+        return { error: `Punto de carga ${charge_point_id} no está conectado`, statusCode: 409 };
+    }
+
+    const built = await buildPayload(action, { ...input, source }, chargePoint, connector_id);
+    if (built.error) {
+        return { error: built.error, statusCode: built.statusCode || 400 };
+    }
+
+    const now = new Date();
+    let command = {
+        commandId: uuidv4(),
+        chargePointId: charge_point_id,
+        connectorId: built.payload.connectorId ?? connector_id ?? null,
+        chargerId: ocpp.getChargerId(charge_point_id, built.payload.connectorId ?? connector_id),
+        action,
+        payload: built.payload,
+        status: 'pending',
+        requestedBy: requested_by,
+        source,
+        createdAt: now.toISOString(),
+        timeoutAt: new Date(now.getTime() + COMMAND_TIMEOUT_SECONDS * 1000).toISOString()
+    };
+    await repositories.ocppCommands.save(command);
+    await writeAudit(command, 'requested', { payload: built.payload });
+
+    try {
+        await sendFrame(chargePoint, [ocpp.MESSAGE_TYPES.CALL, command.commandId, action, built.payload]);
+    } catch (error) {
+        console.error('OCPP send error:', error);
+        command = { ...command, status: 'failed', error: 'Punto de carga no alcanzable', updatedAt: new Date().toISOString() };
+        await repositories.ocppCommands.save(command);
+        await writeAudit(command, 'failed', { reason: error.name || error.message });
+        return { command: formatCommand(command) };
+    }
+
+    await writeAudit(command, 'sent');
+
+    // The reply arrives through the WebSocket $default route and updates the stored command
+    while (command.status === 'pending' && Date.now() < new Date(command.timeoutAt).getTime()) {
+        await sleep(COMMAND_POLL_MILLISECONDS);
+        command = await repositories.ocppCommands.get(command.commandId);
+    }
+
+    command = await expireCommand(command);
+    return { command: formatCommand(command) };
+};
+
+/**
+ * Record a charge point's CALLRESULT / CALLERROR for a command. Results arriving after
+ * the timeout are kept on the command and audited, but the status stays timeout.
+ * @param {Object} input - { message_id, message_type, payload, error_code, error_description }
+ */
+const recordCommandResult = async (input) => {
+    const { message_id, message_type, payload, error_code, error_description } = input;
+    const now = new Date();
+
+    const command = await repositories.ocppCommands.get(message_id);
+    if (!command) return { recorded: false };
+
+    const isError = message_type === ocpp.MESSAGE_TYPES.CALLERROR;
+    const accepted = !isError && SUCCESS_STATUSES.includes(payload?.status);
+    const result = isError
+        ? { error: { code: error_code, description: error_description } }
+        : { response: payload };
+
+    if (command.status !== 'pending') {
+        await repositories.ocppCommands.save({ ...command, lateResult: result, updatedAt: now.toISOString() });
+        await writeAudit(command, 'late_response', result);
+        return { recorded: true, late: true };
+    }
+
+    const updated = {
+        ...command,
+        ...result,
+        status: isError ? 'failed' : (accepted ? 'accepted' : 'rejected'),
+        respondedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+    await repositories.ocppCommands.save(updated);
+    await writeAudit(updated, updated.status, result);
+
+    // Scheduled changes apply once the running transaction ends; routing drivers
+    // away from the charger starts right away
+    if (accepted && command.action === 'ChangeAvailability') {
+        await ocpp.setAvailability({
+            charge_point_id: command.chargePointId,
+            connector_id: command.payload.connectorId,
+            availability: command.payload.type
+        });
+    }
+
+    return { recorded: true, status: updated.status };
+};
+
+/**
+ * Get a command's current status
+ * @param {Object} input - { command_id }
+ */
+const getCommand = async (input) => {
+    const { command_id } = input;
+
+    const command = await repositories.ocppCommands.get(command_id);
+    if (!command) {
+        return { error: `Comando ${command_id} no encontrado`, statusCode: 404 };
+    }
+
+    return { command: formatCommand(await expireCommand(command)) };
+};
+
+/**
+ * Audit trail of the commands sent to a charge point, newest first
+ * @param {Object} input - { charge_point_id, limit }
+ */
+const getAuditLog = async (input) => {
+    const { charge_point_id, limit = 50 } = input;
+
+    const entries = await repositories.ocppAudit.query('chargePointId', charge_point_id, {
+        descending: true,
+        limit: Math.min(Math.max(1, Number(limit) || 50), 200)
+    });
+
+    return {
+        charge_point_id,
+        count: entries.length,
+        entries: entries.map(e => ({
+            command_id: e.commandId,
+            action: e.action,
+            connector_id: e.connectorId,
+            charger_id: e.chargerId,
+            event: e.event,
+            requested_by: e.requestedBy,
+            source: e.source,
+            details: e.details,
+            created_at: e.createdAt
+        }))
+    };
+};
+
+module.exports = {
+    sendCommand,
+    recordCommandResult,
+    getCommand,
+    getAuditLog,
+    AGENT_ACTIONS,
+    COMMAND_TIMEOUT_SECONDS
+};
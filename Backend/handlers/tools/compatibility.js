@@ -0,0 +1,94 @@
+/**
+ * Copec EV Agent - Connector Compatibility
+ * Which chargers a vehicle can plug into: the connectors on its own inlets
+ * (connector_types), plus the ones the driver carries an adapter for (adapters), which
+ * charge no faster than the adapter is rated for. With no known vehicle every charger goes.
+ */
+
+const repositories = require('../repositories');
+const { getUserVehicle } = require('./users');
+
+// Highest power an adapter carries, by the charger connector it plugs into
+const ADAPTER_MAX_POWER_KW = {
+    CCS2: 50,
+    CHAdeMO: 50,
+    Type2: 22
+};
+
+/**
+ * Compatibility rules for a vehicle: explicit connector_types first, then the registered
+ * vehicle_id, then the user's vehicle (get_user_vehicle)
+ * @param {Object} input - { user_id, vehicle_id, connector_types, adapters, allow_adapters }
+ * @returns {Object|null} { connector_types, adapters, allow_adapters, source, vehicle_id }, or null
+ *   when the vehicle is unknown
+ */
+const resolveVehicleCompatibility = async (input = {}) => {
+    const { allow_adapters: allowAdapters = true } = input;
+
+    let vehicle = null;
+    let source = input.connector_types?.length ? 'request' : null;
+    if (input.vehicle_id) {
+        vehicle = await repositories.vehicles.get(input.vehicle_id);
+        source = source || (vehicle && 'vehicle');
+    }
+    if (!vehicle && input.user_id) {
+        const userVehicle = await getUserVehicle({ user_id: input.user_id });
+        // The demo vehicle stands in for an unregistered one, so it doesn't restrict anything
+        if (!userVehicle.is_demo_vehicle) {
+            vehicle = userVehicle.vehicle;
+            source = source || 'user_vehicle';
+        }
+    }
+
+    const connectorTypes = input.connector_types?.length ? input.connector_types : vehicle?.connector_types;
+    if (!connectorTypes?.length) return null;
+
+    const adapters = input.adapters || vehicle?.adapters || [];
+    return {
+        connector_types: connectorTypes,
+        adapters: allowAdapters ? adapters.filter(connector => !connectorTypes.includes(connector)) : [],
+        allow_adapters: allowAdapters,
+        source,
+        vehicle_id: vehicle?.vehicle_id || null
+    };
+};
+
+/**
+ * How the vehicle can use a charger
+ * @param {Object} charger - { connector, power }
+ * @param {Object|null} compatibility - resolveVehicleCompatibility result
+ * @returns {Object} { compatible, via_adapter, max_power_kw }
+ */
+const checkCharger = (charger, compatibility) => {
+    if (!compatibility || compatibility.connector_types.includes(charger.connector)) {
+        return { compatible: true, via_adapter: false, max_power_kw: charger.power };
+    }
+    if (compatibility.adapters.includes(charger.connector)) {
+        return {
+            compatible: true,
+            via_adapter: true,
+            max_power_kw: Math.min(charger.power, ADAPTER_MAX_POWER_KW[charger.connector] ?? charger.power)
+        };
+    }
+    return { compatible: false, via_adapter: false, max_power_kw: 0 };
+};
+
+/**
+ * A station's chargers the vehicle can use, each with via_adapter and usable_power_kw
+ * (its power, capped by the adapter). Every charger when the vehicle is unknown.
+ */
+const filterCompatibleChargers = (station, compatibility) => station.chargers
+    .map(charger => ({ charger, check: checkCharger(charger, compatibility) }))
+    .filter(({ check }) => check.compatible)
+    .map(({ charger, check }) => ({
+        ...charger,
+        via_adapter: check.via_adapter,
+        usable_power_kw: check.max_power_kw
+    }));
+
+module.exports = {
+    ADAPTER_MAX_POWER_KW,
+    resolveVehicleCompatibility,
+    checkCharger,
+    filterCompatibleChargers
+};
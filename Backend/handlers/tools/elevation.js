@@ -0,0 +1,409 @@
+/**
+ * Copec EV Agent - Elevation
+ * Terrain height from local DEM tiles (SRTM .hgt and uncompressed GeoTIFF) sampled along
+ * route polylines: cumulative ascent and descent, an elevation profile, and the climb and
+ * drop of each segment for the energy model. The bundled tiles in data/dem/fixtures are
+ * synthetic terrain of the Santiago-Valparaíso corridor written by
+ * scripts/generate-dem-fixtures.js; DEM_DIR points at real SRTM tiles.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateHaversineDistance, round } = require('./geo');
+
+const DEFAULT_DEM_DIR = path.join(__dirname, '../../data/dem/fixtures');
+
+// Terrain is read every 100 m along the route
+const SAMPLE_STEP_KM = 0.1;
+// Height changes smaller than this are DEM noise, not climbs
+const CLIMB_THRESHOLD_M = 3;
+// Points returned in a profile
+const MAX_PROFILE_POINTS = 120;
+// SRTM void value
+const SRTM_VOID = -32768;
+
+/**
+ * SRTM tile: square grid of big-endian int16, north row first, samples on the 1° edges.
+ * The size (1201 for 3", 3601 for 1") comes from the file length and the origin from its
+ * name, e.g. S34W071.hgt spans 34°S-33°S and 71°W-70°W.
+ */
+const readHgt = (file) => {
+    const match = /^([NS])(\d{2})([EW])(\d{3})\.hgt$/i.exec(path.basename(file));
+    if (!match) throw new Error(`Nombre de tile SRTM inválido: ${path.basename(file)}`);
+
+    const buffer = fs.readFileSync(file);
+    const size = Math.sqrt(buffer.length / 2);
+    if (!Number.isInteger(size)) throw new Error(`Tamaño de tile SRTM inválido: ${path.basename(file)}`);
+
+    const south = Number(match[2]) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+    const west = Number(match[4]) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+    const data = new Float32Array(size * size);
+    for (let i = 0; i < data.length; i++) data[i] = buffer.readInt16BE(i * 2);
+
+    return {
+        west,
+        north: south + 1,
+        width: size,
+        height: size,
+        step_lng: 1 / (size - 1),
+        step_lat: 1 / (size - 1),
+        pixel_is_point: true,
+        nodata: SRTM_VOID,
+        data
+    };
+};
+
+// TIFF field types: size in bytes and reader
+const TIFF_TYPES = {
+    1: [1, (buf, at) => buf.readUInt8(at)],
+    2: [1, (buf, at) => buf.readUInt8(at)],
+    3: [2, (buf, at, le) => (le ? buf.readUInt16LE(at) : buf.readUInt16BE(at))],
+    4: [4, (buf, at, le) => (le ? buf.readUInt32LE(at) : buf.readUInt32BE(at))],
+    6: [1, (buf, at) => buf.readInt8(at)],
+    8: [2, (buf, at, le) => (le ? buf.readInt16LE(at) : buf.readInt16BE(at))],
+    9: [4, (buf, at, le) => (le ? buf.readInt32LE(at) : buf.readInt32BE(at))],
+    11: [4, (buf, at, le) => (le ? buf.readFloatLE(at) : buf.readFloatBE(at))],
+    12: [8, (buf, at, le) => (le ? buf.readDoubleLE(at) : buf.readDoubleBE(at))]
+};
+
+const TIFF_TAGS = {
+    width: 256,
+    height: 257,
+    bitsPerSample: 258,
+    compression: 259,
+    stripOffsets: 273,
+    rowsPerStrip: 278,
+    tileWidth: 322,
+    tileHeight: 323,
+    tileOffsets: 324,
+    sampleFormat: 339,
+    pixelScale: 33550,
+    tiepoint: 33922,
+    geoKeys: 34735,
+    nodata: 42113
+};
+
+// GeoKey for raster type: 2 means values sit on pixel corners (as in SRTM)
+const GT_RASTER_TYPE_KEY = 1025;
+const RASTER_PIXEL_IS_POINT = 2;
+
+/**
+ * Single-band GeoTIFF in geographic coordinates: 16/32-bit integer or 32-bit float samples,
+ * uncompressed, in strips or tiles. Compressed files can be converted with
+ * gdal_translate -co COMPRESS=NONE.
+ */
+const readGeoTiff = (file) => {
+    const buffer = fs.readFileSync(file);
+    const order = buffer.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') throw new Error(`No es un GeoTIFF: ${path.basename(file)}`);
+    const le = order === 'II';
+    const u16 = (at) => (le ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+    const u32 = (at) => (le ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+    if (u16(2) !== 42) throw new Error(`GeoTIFF no soportado (BigTIFF): ${path.basename(file)}`);
+
+    // First image directory only
+    const ifd = u32(4);
+    const fields = new Map();
+    for (let i = 0; i < u16(ifd); i++) {
+        const entry = ifd + 2 + i * 12;
+        const [size, read] = TIFF_TYPES[u16(entry + 2)] || [];
+        if (!read) continue;
+        const count = u32(entry + 4);
+        const start = size * count <= 4 ? entry + 8 : u32(entry + 8);
+        const values = Array.from({ length: count }, (_, k) => read(buffer, start + k * size, le));
+        fields.set(u16(entry), u16(entry + 2) === 2
+            ? String.fromCharCode(...values).replace(/\0+$/, '')
+            : values);
+    }
+    const field = (name) => fields.get(TIFF_TAGS[name]);
+
+    if ((field('compression')?.[0] || 1) !== 1) {
+        throw new Error(`GeoTIFF comprimido no soportado: ${path.basename(file)}`);
+    }
+    if (!field('pixelScale') || !field('tiepoint')) {
+        throw new Error(`GeoTIFF sin georreferencia: ${path.basename(file)}`);
+    }
+
+    const width = field('width')[0];
+    const height = field('height')[0];
+    const bits = field('bitsPerSample')?.[0] || 16;
+    const format = field('sampleFormat')?.[0] || 1;
+    const readSample = {
+        '1:16': (at) => (le ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at)),
+        '2:16': (at) => (le ? buffer.readInt16LE(at) : buffer.readInt16BE(at)),
+        '2:32': (at) => (le ? buffer.readInt32LE(at) : buffer.readInt32BE(at)),
+        '3:32': (at) => (le ? buffer.readFloatLE(at) : buffer.readFloatBE(at))
+    }[`${format}:${bits}`];
+    if (!readSample) throw new Error(`Formato de muestra no soportado (${bits} bits): ${path.basename(file)}`);
+    const bytes = bits / 8;
+
+    // Blocks are strips (full width) or tiles, stored row by row
+    const blockWidth = field('tileWidth')?.[0] || width;
+    const blockHeight = field('tileHeight')?.[0] || field('rowsPerStrip')?.[0] || height;
+    const offsets = field('tileOffsets') || field('stripOffsets');
+    const blocksAcross = Math.ceil(width / blockWidth);
+
+    const data = new Float32Array(width * height);
+    offsets.forEach((offset, block) => {
+        const top = Math.floor(block / blocksAcross) * blockHeight;
+        const left = (block % blocksAcross) * blockWidth;
+        for (let r = 0; r < blockHeight && top + r < height; r++) {
+            for (let c = 0; c < blockWidth && left + c < width; c++) {
+                data[(top + r) * width + left + c] = readSample(offset + (r * blockWidth + c) * bytes);
+            }
+        }
+    });
+
+    const [scaleX, scaleY] = field('pixelScale');
+    const [i, j, , x, y] = field('tiepoint');
+    const geoKeys = field('geoKeys') || [];
+    let pixelIsPoint = false;
+    for (let k = 4; k + 3 < geoKeys.length; k += 4) {
+        if (geoKeys[k] === GT_RASTER_TYPE_KEY) pixelIsPoint = geoKeys[k + 3] === RASTER_PIXEL_IS_POINT;
+    }
+    const nodata = field('nodata') !== undefined ? Number(field('nodata')) : null;
+
+    return {
+        west: x - i * scaleX,
+        north: y + j * scaleY,
+        width,
+        height,
+        step_lng: scaleX,
+        step_lat: scaleY,
+        pixel_is_point: pixelIsPoint,
+        nodata,
+        data
+    };
+};
+
+const withBounds = (raster) => {
+    // Area pixels cover half a pixel beyond the outermost sample centers
+    const pad = raster.pixel_is_point ? 0 : 0.5;
+    return {
+        ...raster,
+        bounds: {
+            west: raster.west,
+            east: raster.west + (raster.width - 1 + 2 * pad) * raster.step_lng,
+            north: raster.north,
+            south: raster.north - (raster.height - 1 + 2 * pad) * raster.step_lat
+        }
+    };
+};
+
+let tiles;
+
+/**
+ * Tiles found in the DEM directory, loaded once per container. A tile that can't be read
+ * is skipped so the rest still cover their area.
+ */
+const loadTiles = () => {
+    if (tiles !== undefined) return tiles;
+
+    const dir = process.env.DEM_DIR || DEFAULT_DEM_DIR;
+    tiles = [];
+    let files = [];
+    try {
+        files = fs.readdirSync(dir);
+    } catch (error) {
+        console.error('DEM tiles unavailable, routes without elevation:', error.message);
+        return tiles;
+    }
+
+    files.forEach(name => {
+        const file = path.join(dir, name);
+        try {
+            if (/\.hgt$/i.test(name)) tiles.push({ name, ...withBounds(readHgt(file)) });
+            else if (/\.tiff?$/i.test(name)) tiles.push({ name, ...withBounds(readGeoTiff(file)) });
+        } catch (error) {
+            console.error(`DEM tile ${name} skipped:`, error.message);
+        }
+    });
+    return tiles;
+};
+
+/**
+ * Bilinear interpolation between the four samples around the point, ignoring voids
+ */
+const sampleTile = (tile, lat, lng) => {
+    const shift = tile.pixel_is_point ? 0 : 0.5;
+    const x = Math.min(tile.width - 1, Math.max(0, (lng - tile.west) / tile.step_lng - shift));
+    const y = Math.min(tile.height - 1, Math.max(0, (tile.north - lat) / tile.step_lat - shift));
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, tile.width - 1);
+    const y1 = Math.min(y0 + 1, tile.height - 1);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    let sum = 0;
+    let weights = 0;
+    [[x0, y0, (1 - fx) * (1 - fy)], [x1, y0, fx * (1 - fy)], [x0, y1, (1 - fx) * fy], [x1, y1, fx * fy]]
+        .forEach(([col, row, weight]) => {
+            const value = tile.data[row * tile.width + col];
+            if (weight > 0 && value !== tile.nodata && Number.isFinite(value)) {
+                sum += value * weight;
+                weights += weight;
+            }
+        });
+    return weights > 0 ? sum / weights : null;
+};
+
+/**
+ * Terrain height in meters, or null outside the tiles' coverage
+ */
+const getElevation = (lat, lng) => {
+    const tile = loadTiles().find(({ bounds }) =>
+        lat <= bounds.north && lat >= bounds.south && lng >= bounds.west && lng <= bounds.east
+    );
+    return tile ? sampleTile(tile, lat, lng) : null;
+};
+
+/**
+ * Points every SAMPLE_STEP_KM along a polyline with their distance along it and height.
+ * Vertices are always sampled, so each one's sample index is kept for the segments.
+ */
+const samplePolyline = (polyline) => {
+    const samples = [];
+    const vertexSamples = [];
+    let along = 0;
+
+    polyline.forEach((point, i) => {
+        if (i > 0) {
+            const previous = polyline[i - 1];
+            const length = calculateHaversineDistance(previous.lat, previous.lng, point.lat, point.lng);
+            const steps = Math.max(1, Math.ceil(length / SAMPLE_STEP_KM));
+            for (let step = 1; step < steps; step++) {
+                const t = step / steps;
+                const lat = previous.lat + (point.lat - previous.lat) * t;
+                const lng = previous.lng + (point.lng - previous.lng) * t;
+                samples.push({ distance_km: along + length * t, elevation_m: getElevation(lat, lng) });
+            }
+            along += length;
+        }
+        vertexSamples.push(samples.length);
+        samples.push({ distance_km: along, elevation_m: getElevation(point.lat, point.lng) });
+    });
+
+    return { samples, vertexSamples };
+};
+
+/**
+ * Tunnels and bridges keep a steady grade between their ends instead of following the terrain
+ */
+const levelStructures = (samples, vertexSamples, segments) => {
+    segments
+        .filter(segment => segment.structure === 'tunnel' || segment.structure === 'bridge')
+        .forEach(segment => {
+            const from = vertexSamples[segment.start_index];
+            const to = vertexSamples[segment.end_index];
+            const start = samples[from];
+            const end = samples[to];
+            if (start.elevation_m === null || end.elevation_m === null || to <= from) return;
+            const span = end.distance_km - start.distance_km;
+            for (let k = from + 1; k < to; k++) {
+                const t = span > 0 ? (samples[k].distance_km - start.distance_km) / span : 0;
+                samples[k].elevation_m = start.elevation_m + (end.elevation_m - start.elevation_m) * t;
+            }
+        });
+};
+
+/**
+ * Ascent and descent over a run of samples, counting only changes beyond the noise
+ * threshold, and the distance spent going downhill
+ */
+const climbOf = (samples) => {
+    let gain = 0;
+    let loss = 0;
+    let descentKm = 0;
+    let reference = null;
+    samples.forEach(({ distance_km: distance, elevation_m: elevation }) => {
+        if (elevation === null) return;
+        if (reference === null) {
+            reference = { distance, elevation };
+        } else if (Math.abs(elevation - reference.elevation) >= CLIMB_THRESHOLD_M) {
+            if (elevation > reference.elevation) {
+                gain += elevation - reference.elevation;
+            } else {
+                loss += reference.elevation - elevation;
+                descentKm += distance - reference.distance;
+            }
+            reference = { distance, elevation };
+        }
+    });
+    return { gain, loss, descentKm };
+};
+
+// Every n-th sample, always keeping the last one
+const thinProfile = (samples) => {
+    const every = Math.max(1, Math.ceil(samples.length / MAX_PROFILE_POINTS));
+    return samples
+        .filter((sample, i) => sample.elevation_m !== null && (i % every === 0 || i === samples.length - 1))
+        .map(sample => ({ distance_km: round(sample.distance_km, 2), elevation_m: Math.round(sample.elevation_m) }));
+};
+
+/**
+ * Add terrain to a route from getRoadRoute: elevation_gain_m, elevation_loss_m and
+ * descent_distance_km on each segment (for the energy model) and an elevation summary with the profile. Routes outside
+ * the DEM coverage are returned unchanged with elevation null; partially covered ones
+ * report the covered share.
+ * @param {Object} route - { polyline, segments: [{ start_index, end_index, structure }], ... }
+ */
+const addRouteElevation = (route) => {
+    if (!route?.polyline?.length || !loadTiles().length) return { ...route, elevation: null };
+
+    const { samples, vertexSamples } = samplePolyline(route.polyline);
+    const covered = samples.filter(sample => sample.elevation_m !== null);
+    if (!covered.length) return { ...route, elevation: null };
+
+    levelStructures(samples, vertexSamples, route.segments || []);
+
+    const segments = (route.segments || []).map(segment => {
+        const { gain, loss, descentKm } = climbOf(
+            samples.slice(vertexSamples[segment.start_index], vertexSamples[segment.end_index] + 1)
+        );
+        return {
+            ...segment,
+            elevation_gain_m: Math.round(gain),
+            elevation_loss_m: Math.round(loss),
+            descent_distance_km: round(descentKm, 2)
+        };
+    });
+
+    const { gain, loss } = climbOf(samples);
+    const heights = covered.map(sample => sample.elevation_m);
+    const first = covered[0].elevation_m;
+    const last = covered[covered.length - 1].elevation_m;
+
+    return {
+        ...route,
+        segments,
+        elevation: {
+            source: 'dem',
+            coverage_percent: Math.round(covered.length / samples.length * 100),
+            ascent_m: Math.round(gain),
+            descent_m: Math.round(loss),
+            start_elevation_m: Math.round(first),
+            end_elevation_m: Math.round(last),
+            min_elevation_m: Math.round(Math.min(...heights)),
+            max_elevation_m: Math.round(Math.max(...heights)),
+            profile: thinProfile(samples)
+        }
+    };
+};
+
+/**
+ * Tiles in use with their bounds and resolution
+ */
+const getDemInfo = () => loadTiles().map(tile => ({
+    name: tile.name,
+    bounds: tile.bounds,
+    resolution_deg: tile.step_lat,
+    width: tile.width,
+    height: tile.height
+}));
+
+module.exports = {
+    getElevation,
+    addRouteElevation,
+    getDemInfo
+};
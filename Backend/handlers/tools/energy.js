@@ -0,0 +1,270 @@
+/**
+ * Copec EV Agent - Energy Model
+ * Physics-based consumption along a route: rolling resistance, aerodynamic drag at each
+ * segment's speed, stop-and-go on urban roads, elevation change with regenerative braking,
+ * and HVAC/auxiliary load from the ambient temperature. Each vehicle's drag and rolling terms
+ * are calibrated so the model reproduces its rated efficiency_kwh_per_100km on a mixed
+ * reference cycle; SoC is then predicted segment by segment.
+ */
+
+const repositories = require('../repositories');
+const { round } = require('./geo');
+
+const GRAVITY = 9.81;
+const AIR_DENSITY_15C = 1.225;
+const DRIVER_KG = 75;
+const ROLLING_RESISTANCE = 0.009;
+const DRIVETRAIN_EFFICIENCY = 0.88;     // battery to wheels
+const REGEN_EFFICIENCY = 0.65;          // wheels back to battery
+const AUXILIARY_KW = 0.3;               // electronics, lights, pumps
+
+// Rated efficiency when a vehicle only gives capacity and range (and neither is known)
+const DEFAULT_BATTERY_KWH = 60;
+const DEFAULT_RANGE_KM = 400;
+
+// Calibration can't stretch the physics further than this
+const MIN_CALIBRATION = 0.6;
+const MAX_CALIBRATION = 1.6;
+
+// Mixed cycle the rated efficiency is assumed to come from (flat, mild weather, driver only)
+const REFERENCE_CYCLE = [
+    { speed_kmh: 25, share: 0.15 },
+    { speed_kmh: 45, share: 0.25 },
+    { speed_kmh: 70, share: 0.25 },
+    { speed_kmh: 100, share: 0.35 }
+];
+const REFERENCE_TEMPERATURE_C = 21;
+
+// Santiago monthly mean temperature (°C), used when the trip's temperature isn't given
+const SANTIAGO_MONTHLY_MEAN_C = [21, 20.5, 18.5, 15, 11.5, 9, 8.5, 10, 12, 14.5, 17, 19.5];
+
+// Cabin comfort band; outside it the HVAC load grows per degree
+const HVAC = {
+    heating_below_c: 18,
+    heating_kw_per_c: 0.15,
+    max_heating_kw: 3.5,
+    cooling_above_c: 24,
+    cooling_kw_per_c: 0.1,
+    max_cooling_kw: 2
+};
+
+// Cold packs lose efficiency below this temperature, per degree
+const COLD_BATTERY_BELOW_C = 15;
+const COLD_LOSS_PER_C = 0.004;
+
+/**
+ * Stops per km on a road driven at this speed: signals and traffic in the city, almost
+ * none on highways
+ */
+const getStopsPerKm = (speedKmh) => {
+    if (speedKmh <= 50) return 1.2;
+    if (speedKmh <= 70) return 0.5;
+    if (speedKmh <= 90) return 0.1;
+    return 0.02;
+};
+
+/**
+ * Ambient temperature for a trip: the given one, else Santiago's monthly mean
+ */
+const getAmbientTemperature = (temperatureC, date = new Date()) => (
+    Number.isFinite(temperatureC)
+        ? { temperature_c: temperatureC, source: 'input' }
+        : { temperature_c: SANTIAGO_MONTHLY_MEAN_C[date.getMonth()], source: 'climate_normal' }
+);
+
+const getHvacKw = (temperatureC) => {
+    if (temperatureC < HVAC.heating_below_c) {
+        return Math.min(HVAC.max_heating_kw, (HVAC.heating_below_c - temperatureC) * HVAC.heating_kw_per_c);
+    }
+    if (temperatureC > HVAC.cooling_above_c) {
+        return Math.min(HVAC.max_cooling_kw, (temperatureC - HVAC.cooling_above_c) * HVAC.cooling_kw_per_c);
+    }
+    return 0;
+};
+
+const getAirDensity = (temperatureC) => AIR_DENSITY_15C * 288.15 / (273.15 + temperatureC);
+
+/**
+ * Wheel and battery energy for one stretch of road, in kWh
+ * @param {Object} vehicle - built by buildVehicleModel
+ * @param {Object} stretch - { distance_km, speed_kmh, elevation_gain_m, elevation_loss_m, descent_distance_km }
+ * @param {Object} conditions - { temperature_c, payload_kg, hvac }
+ */
+const stretchEnergy = (vehicle, stretch, conditions, calibration = vehicle.calibration) => {
+    const { distance_km: distanceKm, speed_kmh: speedKmh } = stretch;
+    const massKg = vehicle.mass_kg + DRIVER_KG + (conditions.payload_kg || 0);
+    const distanceM = distanceKm * 1000;
+    const speed = speedKmh / 3.6;
+    const toKwh = (joules) => joules / 3.6e6;
+
+    const coldLoss = 1 + Math.max(0, COLD_BATTERY_BELOW_C - conditions.temperature_c) * COLD_LOSS_PER_C;
+    const drivetrain = DRIVETRAIN_EFFICIENCY / coldLoss;
+
+    // Traction the wheels need on the flat, and to climb
+    const rolling = toKwh(ROLLING_RESISTANCE * massKg * GRAVITY * distanceM) * calibration;
+    const aero = toKwh(0.5 * getAirDensity(conditions.temperature_c) * vehicle.cda_m2 * speed ** 2 * distanceM) * calibration;
+    const kinetic = toKwh(0.5 * massKg * speed ** 2) * getStopsPerKm(speedKmh) * distanceKm * calibration;
+    const climb = toKwh(massKg * GRAVITY * (stretch.elevation_gain_m || 0));
+    const descent = toKwh(massKg * GRAVITY * (stretch.elevation_loss_m || 0));
+
+    // Going downhill first covers the traction on the way down; only what's left over is
+    // regenerated. Without the downhill distance the stretch is taken as one net grade.
+    const downhillKm = stretch.descent_distance_km;
+    const traction = downhillKm !== undefined && distanceKm > 0
+        ? (rolling + aero + kinetic) * Math.min(1, downhillKm / distanceKm)
+        : rolling + aero + kinetic + climb;
+    const covered = Math.min(descent, traction);
+    const regenerated = (descent - covered) * REGEN_EFFICIENCY * DRIVETRAIN_EFFICIENCY;
+    // Braking before each stop recovers part of the acceleration energy
+    const brakingRegen = kinetic * REGEN_EFFICIENCY * DRIVETRAIN_EFFICIENCY;
+
+    const hours = speedKmh > 0 ? distanceKm / speedKmh : 0;
+    const hvac = conditions.hvac === false ? 0 : getHvacKw(conditions.temperature_c) * hours;
+
+    const battery = {
+        rolling_kwh: rolling / drivetrain,
+        aero_kwh: aero / drivetrain,
+        stop_and_go_kwh: kinetic / drivetrain - brakingRegen,
+        elevation_kwh: (climb - covered) / drivetrain,
+        regen_kwh: regenerated,
+        hvac_kwh: hvac,
+        auxiliary_kwh: AUXILIARY_KW * hours
+    };
+    battery.total_kwh = battery.rolling_kwh + battery.aero_kwh + battery.stop_and_go_kwh +
+        battery.elevation_kwh - battery.regen_kwh + battery.hvac_kwh + battery.auxiliary_kwh;
+    return battery;
+};
+
+// kWh per km on the reference cycle with a given calibration
+const referenceConsumption = (vehicle, calibration) => REFERENCE_CYCLE.reduce((sum, { speed_kmh, share }) =>
+    sum + share * stretchEnergy(vehicle, { distance_km: 1, speed_kmh }, {
+        temperature_c: REFERENCE_TEMPERATURE_C,
+        payload_kg: 0
+    }, calibration).total_kwh, 0);
+
+/**
+ * Physical parameters for a vehicle record (or the bits of one a caller knows).
+ * Missing mass and drag fall back to a mid-size crossover scaled by pack size; the rated
+ * efficiency comes from efficiency_kwh_per_100km, else capacity over range.
+ * @param {Object} vehicle - { battery_capacity_kwh, efficiency_kwh_per_100km, range_km | vehicle_range_km,
+ *   curb_weight_kg, drag_coefficient, frontal_area_m2 }
+ */
+const buildVehicleModel = (vehicle = {}) => {
+    const batteryKwh = vehicle.battery_capacity_kwh || DEFAULT_BATTERY_KWH;
+    const rangeKm = vehicle.range_km || vehicle.vehicle_range_km;
+    const ratedKwhPer100km = vehicle.efficiency_kwh_per_100km ||
+        (batteryKwh / (rangeKm || DEFAULT_RANGE_KM)) * 100;
+
+    const model = {
+        battery_capacity_kwh: batteryKwh,
+        rated_kwh_per_100km: Math.round(ratedKwhPer100km * 10) / 10,
+        mass_kg: vehicle.curb_weight_kg || Math.round(1250 + 10 * batteryKwh),
+        cda_m2: (vehicle.drag_coefficient || 0.29) * (vehicle.frontal_area_m2 || 2.3),
+        source: vehicle.curb_weight_kg && vehicle.drag_coefficient ? 'vehicle_specs' : 'generic'
+    };
+
+    // Scale drag and rolling so the reference cycle gives the rated consumption
+    const fixed = referenceConsumption(model, 0);
+    const variable = referenceConsumption(model, 1) - fixed;
+    model.calibration = Math.min(MAX_CALIBRATION, Math.max(MIN_CALIBRATION,
+        (ratedKwhPer100km / 100 - fixed) / variable));
+    return model;
+};
+
+/**
+ * Vehicle model from a registered vehicle_id, or from the specs passed in
+ * @param {Object} input - { vehicle_id, battery_capacity_kwh, efficiency_kwh_per_100km, vehicle_range_km }
+ */
+const resolveVehicleModel = async (input = {}) => {
+    const registered = input.vehicle_id ? await repositories.vehicles.get(input.vehicle_id) : null;
+    return buildVehicleModel({
+        ...registered,
+        ...Object.fromEntries(Object.entries({
+            battery_capacity_kwh: input.battery_capacity_kwh,
+            efficiency_kwh_per_100km: input.efficiency_kwh_per_100km,
+            vehicle_range_km: input.vehicle_range_km
+        }).filter(([, value]) => value !== undefined))
+    });
+};
+
+/**
+ * Energy over a route's segments and the SoC after each one
+ * @param {Object} input - { vehicle (buildVehicleModel), segments [{ distance_km, speed_kmh, name,
+ *   elevation_gain_m, elevation_loss_m }], start_soc_percent, temperature_c, payload_kg, hvac, departure_time }
+ */
+const predictRouteEnergy = (input) => {
+    const { vehicle, segments, start_soc_percent: startSoc = 100, payload_kg: payloadKg = 0, hvac = true } = input;
+    const departure = input.departure_time ? new Date(input.departure_time) : new Date();
+    const ambient = getAmbientTemperature(input.temperature_c, departure);
+    const conditions = { temperature_c: ambient.temperature_c, payload_kg: payloadKg, hvac };
+
+    const breakdown = {
+        rolling_kwh: 0,
+        aero_kwh: 0,
+        stop_and_go_kwh: 0,
+        elevation_kwh: 0,
+        regen_kwh: 0,
+        hvac_kwh: 0,
+        auxiliary_kwh: 0
+    };
+
+    let energyKwh = 0;
+    let distanceKm = 0;
+    let minSoc = startSoc;
+    const profile = segments.map((segment, i) => {
+        const energy = stretchEnergy(vehicle, segment, conditions);
+        Object.keys(breakdown).forEach(key => {
+            breakdown[key] += energy[key];
+        });
+        energyKwh += energy.total_kwh;
+        distanceKm += segment.distance_km;
+        const soc = startSoc - energyKwh / vehicle.battery_capacity_kwh * 100;
+        minSoc = Math.min(minSoc, soc);
+
+        return {
+            segment: i,
+            name: segment.name || null,
+            distance_km: round(distanceKm, 1),
+            energy_kwh: round(energyKwh, 2),
+            soc_percent: round(soc, 1)
+        };
+    });
+
+    return {
+        energy_kwh: round(energyKwh, 2),
+        distance_km: round(distanceKm, 1),
+        kwh_per_100km: distanceKm > 0 ? round(energyKwh / distanceKm * 100, 1) : 0,
+        start_soc_percent: startSoc,
+        arrival_soc_percent: round(startSoc - energyKwh / vehicle.battery_capacity_kwh * 100, 1),
+        min_soc_percent: round(minSoc, 1),
+        conditions: {
+            temperature_c: conditions.temperature_c,
+            temperature_source: ambient.source,
+            payload_kg: payloadKg,
+            hvac
+        },
+        vehicle: {
+            battery_capacity_kwh: vehicle.battery_capacity_kwh,
+            rated_kwh_per_100km: vehicle.rated_kwh_per_100km,
+            mass_kg: vehicle.mass_kg,
+            parameters: vehicle.source
+        },
+        breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, round(value, 2)])),
+        soc_profile: profile
+    };
+};
+
+/**
+ * SoC percentage points spent per km at a route's average consumption
+ */
+const getSocPerKm = (prediction) => (prediction.distance_km > 0
+    ? prediction.energy_kwh / prediction.distance_km / prediction.vehicle.battery_capacity_kwh * 100
+    : 0);
+
+module.exports = {
+    buildVehicleModel,
+    resolveVehicleModel,
+    predictRouteEnergy,
+    getSocPerKm,
+    getAmbientTemperature
+};
@@ -0,0 +1,140 @@
+/**
+ * Copec EV Agent - Availability Forecast
+ * Chance that a charger the driver can use is free when they get there. Each charger is a
+ * two-state (free/busy) process whose sessions last avg_session_duration_minutes and whose
+ * long-run occupancy at the arrival hour is its hourly_usage; it starts from the charger's
+ * current state (and when its session ends, if known). Drivers already queued take the first
+ * chargers to free up, more or fewer depending on the queue trend.
+ */
+
+const { getChargerProfile } = require('./simulator');
+const { getLocalTime } = require('./tariffs');
+const { round } = require('./geo');
+
+// Occupancy is capped so a charger always frees up eventually
+const MAX_OCCUPANCY = 0.98;
+// Drivers ahead at arrival, relative to the current queue, by trend
+const TREND_QUEUE_FACTOR = {
+    increasing: 1.5,
+    stable: 1,
+    decreasing: 0.5
+};
+const TREND_LABELS = {
+    increasing: 'al alza',
+    stable: 'estable',
+    decreasing: 'a la baja'
+};
+
+const getOccupancy = (profile, date) => {
+    const hour = Math.floor(getLocalTime(date).minutes / 60) % 24;
+    const usage = profile.hourly_usage[`${String(hour).padStart(2, '0')}:00`] || 0;
+    return Math.min(MAX_OCCUPANCY, usage / 100);
+};
+
+/**
+ * Minutes until a busy charger's session ends, when it is known: the simulated session's
+ * end (on the simulation clock), or an average session from a real session's start. Null
+ * otherwise (reservations, chargers reporting over OCPP).
+ */
+const getRemainingMinutes = (charger, profile, simNow, now) => {
+    if (charger.simulated_session) {
+        return Math.max(0, (new Date(charger.simulated_session.expected_end_at) - simNow) / 60000);
+    }
+    if (charger.session_started_at) {
+        const ends = new Date(charger.session_started_at).getTime() + profile.avg_session_minutes * 60000;
+        return Math.max(0, (ends - now.getTime()) / 60000);
+    }
+    return null;
+};
+
+/**
+ * Probability that a charger is free after `minutes`. With occupancy u and mean session D,
+ * sessions end at rate 1/D and start at rate u / ((1 - u) D), so the state relaxes towards
+ * u at rate 1 / ((1 - u) D).
+ */
+const freeProbability = (charger, profile, occupancy, minutes, remaining) => {
+    const relax = (t) => Math.exp(-t / ((1 - occupancy) * profile.avg_session_minutes));
+
+    if (charger.status === 'available') return 1 - occupancy * (1 - relax(minutes));
+    if (remaining === null) return (1 - occupancy) * (1 - relax(minutes));
+    if (remaining >= minutes) return 0;
+    return 1 - occupancy * (1 - relax(minutes - remaining));
+};
+
+// Distribution of how many chargers are free (independent, each with its own probability)
+const freeCountDistribution = (probabilities) => probabilities.reduce((dist, p) => {
+    const next = new Array(dist.length + 1).fill(0);
+    dist.forEach((share, count) => {
+        next[count] += share * (1 - p);
+        next[count + 1] += share * p;
+    });
+    return next;
+}, [1]);
+
+/**
+ * Probability that a compatible charger is free for the driver on arrival
+ * @param {Object} input - { station (live), chargers (the compatible ones, default all), queue
+ *   ({ current_queue, trend }), arrival_minutes, model (getUsageModel), now }. The arrival hour
+ *   is taken on the station's simulation clock when it has one.
+ * @returns {Object} { probability, arrival_time, arrival_minutes, expected_free_chargers,
+ *   compatible_chargers, queue_ahead, trend, usage_at_arrival_percent, chargers, explanation }
+ */
+const forecastAvailability = (input) => {
+    const { station, queue = {}, model, now = new Date() } = input;
+    const minutes = Math.max(0, input.arrival_minutes || 0);
+    const simNow = station.simulated_at ? new Date(station.simulated_at) : now;
+    const arrival = new Date(simNow.getTime() + minutes * 60000);
+    const chargers = (input.chargers || station.chargers).filter(c => c.status !== 'maintenance');
+    const usable = station.chargers.filter(c => c.status !== 'maintenance').length;
+
+    const forecasts = chargers.map(charger => {
+        const profile = getChargerProfile(station, charger, model);
+        const occupancy = getOccupancy(profile, arrival);
+        const remaining = charger.status === 'available' ? null : getRemainingMinutes(charger, profile, simNow, now);
+        return {
+            charger_id: charger.id,
+            status: charger.status,
+            usage_percent: Math.round(occupancy * 100),
+            avg_session_minutes: profile.avg_session_minutes,
+            free_probability: round(freeProbability(charger, profile, occupancy, minutes, remaining), 2)
+        };
+    });
+
+    // Queued drivers compete for every usable charger; only their share of the compatible ones counts
+    const trend = queue.trend || 'stable';
+    const queueAhead = usable > 0
+        ? Math.round((queue.current_queue || 0) * (TREND_QUEUE_FACTOR[trend] ?? 1) * chargers.length / usable)
+        : 0;
+    const distribution = freeCountDistribution(forecasts.map(f => f.free_probability));
+    const probability = distribution.slice(queueAhead + 1).reduce((sum, share) => sum + share, 0);
+
+    const expectedFree = forecasts.reduce((sum, f) => sum + f.free_probability, 0);
+    const usageAtArrival = forecasts.length
+        ? Math.round(forecasts.reduce((sum, f) => sum + f.usage_percent, 0) / forecasts.length)
+        : 0;
+    const freeNow = chargers.filter(c => c.status === 'available').length;
+    const arrivalClock = getLocalTime(arrival);
+    const clock = `${String(Math.floor(arrivalClock.minutes / 60)).padStart(2, '0')}:${String(arrivalClock.minutes % 60).padStart(2, '0')}`;
+
+    return {
+        probability: round(probability, 2),
+        arrival_time: arrival.toISOString(),
+        arrival_minutes: Math.round(minutes),
+        expected_free_chargers: round(expectedFree, 1),
+        compatible_chargers: chargers.length,
+        queue_ahead: queueAhead,
+        trend,
+        usage_at_arrival_percent: usageAtArrival,
+        chargers: forecasts,
+        explanation: chargers.length === 0
+            ? 'Sin cargadores compatibles operativos.'
+            : `${Math.round(probability * 100)}% de probabilidad de encontrar un cargador compatible libre al llegar en ` +
+                `${Math.round(minutes)} min (${clock}): ${freeNow} de ${chargers.length} libre(s) ahora, uso típico de ` +
+                `${usageAtArrival}% a esa hora, sesiones de ~${Math.round(forecasts.reduce((sum, f) => sum + f.avg_session_minutes, 0) / forecasts.length)} min` +
+                (queueAhead > 0 ? `, ${queueAhead} conductor(es) por delante en la cola (tendencia ${TREND_LABELS[trend] || trend}).` : '.')
+    };
+};
+
+module.exports = {
+    forecastAvailability
+};
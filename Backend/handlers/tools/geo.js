@@ -0,0 +1,30 @@
+/**
+ * Copec EV Agent - Geo helpers
+ * Great-circle distance and number rounding shared by routing, the spatial index, the road
+ * network and the energy, charging and forecast models
+ */
+
+/**
+ * Haversine formula to calculate distance between two points
+ */
+const calculateHaversineDistance = (lat1, lng1, lat2, lng2) => {
+    const R = 6371; // Earth's radius in km
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a =
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c;
+};
+
+/**
+ * Round to a fixed number of decimals for API output
+ */
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+module.exports = {
+    calculateHaversineDistance,
+    round
+};
@@ -8,6 +8,10 @@ const stationsTools = require('./stations');
 const pricingTools = require('./pricing');
 const usersTools = require('./users');
 const productsTools = require('./products');
+const pointsTools = require('./points');
+const orderTools = require('./orders');
+const queueTools = require('./queue');
+const commandTools = require('./commands');
 const knowledgeTools = require('../ev-knowledge');
 
 /**
@@ -18,7 +22,7 @@ const TOOLS = [
     // Routing Tools
     {
         name: 'calculate_route',
-        description: 'Calcula la ruta entre dos puntos geográficos. Devuelve distancia en km, tiempo estimado en minutos, y si la ruta es viable con la batería actual.',
+        description: 'Calcula la ruta entre dos puntos geográficos. Devuelve distancia por carretera en km, tiempo estimado en minutos, el trazado con los límites de velocidad por tramo, el perfil de elevación con ascenso y descenso acumulados, y si la ruta es viable con la batería actual.',
         input_schema: {
             type: 'object',
             properties: {
@@ -49,7 +53,18 @@ const TOOLS = [
                 vehicle_range_km: {
                     type: 'number',
                     description: 'Autonomía total del vehículo en km con batería al 100%'
-                }
+                },
+                vehicle_id: {
+                    type: 'string',
+                    description: 'ID del vehículo registrado (usa su capacidad, eficiencia, peso y aerodinámica)'
+                },
+                battery_capacity_kwh: { type: 'number', description: 'Capacidad de la batería en kWh' },
+                efficiency_kwh_per_100km: { type: 'number', description: 'Consumo homologado del vehículo en kWh/100 km' },
+                ambient_temperature_c: {
+                    type: 'number',
+                    description: 'Temperatura ambiente en °C (default: promedio mensual de Santiago)'
+                },
+                payload_kg: { type: 'number', description: 'Carga adicional (pasajeros y equipaje) en kg' }
             },
             required: ['origin', 'destination']
         },
@@ -90,7 +105,7 @@ const TOOLS = [
     // Station Tools
     {
         name: 'find_charging_stations',
-        description: 'Busca estaciones de carga Copec cercanas o en una ruta. Puede filtrar por tipo de cargador, disponibilidad, y servicios.',
+        description: 'Busca estaciones de carga Copec cercanas o en una ruta. Puede filtrar por tipo de cargador, disponibilidad, y servicios. Con user_id solo considera los cargadores compatibles con su vehículo.',
         input_schema: {
             type: 'object',
             properties: {
@@ -130,6 +145,23 @@ const TOOLS = [
                 limit: {
                     type: 'number',
                     description: 'Número máximo de resultados (default: 5)'
+                },
+                user_id: {
+                    type: 'string',
+                    description: 'ID del usuario (opcional). Solo cuenta los cargadores compatibles con su vehículo'
+                },
+                vehicle_id: {
+                    type: 'string',
+                    description: 'ID del vehículo registrado (opcional). Solo cuenta los cargadores compatibles con él'
+                },
+                connector_types: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['CCS2', 'Type2', 'CHAdeMO', 'Type1'] },
+                    description: 'Conectores del vehículo si no está registrado (ej: ["CHAdeMO", "Type1"])'
+                },
+                allow_adapters: {
+                    type: 'boolean',
+                    description: 'Considerar los conectores para los que el usuario tiene adaptador (default: true)'
                 }
             },
             required: ['location']
@@ -170,7 +202,7 @@ const TOOLS = [
     // Pricing Tools
     {
         name: 'estimate_charging_cost',
-        description: 'Estima el costo de una sesión de carga basado en el nivel de batería actual, objetivo, y tipo de cargador.',
+        description: 'Estima el costo de una sesión de carga basado en el nivel de batería actual, objetivo, y el cargador a usar (tarifas DC 150kW, AC 50kW y AC 22kW). El tiempo sigue la curva de carga del vehículo (la potencia baja sobre ~80%), limitada por el cargador y la potencia compartida de la estación. Advierte si la carga supera el tiempo máximo de sesión (45 min DC, 4 h AC) y la multa proyectada.',
         input_schema: {
             type: 'object',
             properties: {
@@ -184,20 +216,54 @@ const TOOLS = [
                 },
                 battery_capacity_kwh: {
                     type: 'number',
-                    description: 'Capacidad total de la batería en kWh (default: 60)'
+                    description: 'Capacidad total de la batería en kWh (default: la del vehículo registrado, o 60)'
+                },
+                vehicle_id: {
+                    type: 'string',
+                    description: 'ID del vehículo registrado (opcional). Usa su curva de carga'
+                },
+                user_id: {
+                    type: 'string',
+                    description: 'ID del usuario (opcional). Usa la curva de carga de su vehículo'
+                },
+                max_charge_rate_kw: {
+                    type: 'number',
+                    description: 'Potencia máxima de carga DC del vehículo en kW, si no está registrado (default: 150)'
+                },
+                connector_types: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['CCS2', 'Type2', 'CHAdeMO', 'Type1'] },
+                    description: 'Conectores del vehículo si no está registrado (ej: ["CHAdeMO", "Type1"])'
                 },
                 charger_type: {
                     type: 'string',
                     enum: ['fast', 'slow'],
                     description: 'Tipo de cargador a usar'
                 },
+                station_id: {
+                    type: 'string',
+                    description: 'ID de la estación (opcional). Aplica la tarifa propia de la estación'
+                },
+                charger_id: {
+                    type: 'string',
+                    description: 'ID del cargador específico (opcional, ej: CHG_001_A). Su potencia y conector definen la tarifa'
+                },
                 user_type: {
                     type: 'string',
                     enum: ['individual', 'premium', 'fleet', 'business'],
                     description: 'Tipo de usuario para aplicar descuentos'
+                },
+                membership_tier: {
+                    type: 'string',
+                    enum: ['bronze', 'silver', 'gold', 'platinum'],
+                    description: 'Nivel de membresía para el multiplicador de puntos Copec'
+                },
+                start_time: {
+                    type: 'string',
+                    description: 'Hora de inicio de la carga en formato ISO 8601 (default: ahora). Define descuentos Happy Hour, hora punta y fin de semana'
                 }
             },
-            required: ['current_battery_percent', 'charger_type']
+            required: ['current_battery_percent']
         },
         handler: pricingTools.estimateChargingCost
     },
@@ -220,7 +286,19 @@ const TOOLS = [
                 current_battery_percent: { type: 'number' },
                 vehicle_range_km: { type: 'number' },
                 battery_capacity_kwh: { type: 'number' },
-                user_type: { type: 'string' }
+                vehicle_id: { type: 'string', description: 'ID del vehículo registrado (usa sus especificaciones)' },
+                user_id: { type: 'string', description: 'ID del usuario (usa su vehículo y sus conectores)' },
+                connector_types: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['CCS2', 'Type2', 'CHAdeMO', 'Type1'] },
+                    description: 'Conectores del vehículo si no está registrado (ej: ["CHAdeMO", "Type1"])'
+                },
+                allow_adapters: { type: 'boolean', description: 'Considerar los conectores para los que tiene adaptador (default: true)' },
+                efficiency_kwh_per_100km: { type: 'number' },
+                ambient_temperature_c: { type: 'number', description: 'Temperatura ambiente en °C' },
+                payload_kg: { type: 'number', description: 'Carga adicional en kg' },
+                user_type: { type: 'string' },
+                departure_time: { type: 'string', description: 'Hora de salida en formato ISO 8601 (default: ahora)' }
             },
             required: ['origin', 'destination', 'current_battery_percent']
         },
@@ -274,6 +352,47 @@ const TOOLS = [
         handler: usersTools.getUserPreferences
     },
 
+    // Points Tools
+    {
+        name: 'get_points_balance',
+        description: 'Obtiene el saldo de puntos Copec del usuario, su fecha de vencimiento, las recompensas que puede canjear y el historial de movimientos.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                user_id: {
+                    type: 'string',
+                    description: 'ID del usuario'
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Cantidad de movimientos del historial (default: 20)'
+                }
+            },
+            required: ['user_id']
+        },
+        handler: pointsTools.getPointsBalance
+    },
+    {
+        name: 'redeem_points',
+        description: 'Canjea puntos Copec por una recompensa del catálogo: $500 CLP en carga (1.000 pts), café en Pronto (5.000 pts), combo Street Burger (10.000 pts) o carga completa gratis (50.000 pts). Confirma con el usuario antes de canjear.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                user_id: {
+                    type: 'string',
+                    description: 'ID del usuario'
+                },
+                reward_id: {
+                    type: 'string',
+                    enum: ['charging_credit_500', 'pronto_coffee', 'street_burger_combo', 'free_full_charge'],
+                    description: 'Recompensa a canjear'
+                }
+            },
+            required: ['user_id', 'reward_id']
+        },
+        handler: pointsTools.redeemPoints
+    },
+
     // Product Tools
     {
         name: 'search_products',
@@ -323,6 +442,249 @@ const TOOLS = [
         },
         handler: productsTools.getPromotions
     },
+    {
+        name: 'evaluate_promotions',
+        description: 'Evalúa qué promociones aplican a un carrito de productos en una estación, según la hora, la sesión de carga (kWh cargados) y el usuario. Devuelve el descuento por producto, el total y por qué no aplican las demás.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                station_id: {
+                    type: 'string',
+                    description: 'ID de la estación'
+                },
+                items: {
+                    type: 'array',
+                    description: 'Productos del carrito',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            product_id: { type: 'string' },
+                            quantity: { type: 'number' }
+                        },
+                        required: ['product_id']
+                    }
+                },
+                user_id: {
+                    type: 'string',
+                    description: 'ID del usuario (opcional)'
+                },
+                session_id: {
+                    type: 'string',
+                    description: 'ID de la sesión de carga (opcional)'
+                },
+                session: {
+                    type: 'object',
+                    description: 'Contexto de carga si no hay session_id: { active, kwh }',
+                    properties: {
+                        active: { type: 'boolean' },
+                        kwh: { type: 'number' }
+                    }
+                },
+                time: {
+                    type: 'string',
+                    description: 'Fecha y hora en formato ISO 8601 (default: ahora)'
+                }
+            },
+            required: ['station_id', 'items']
+        },
+        handler: productsTools.evaluatePromotions
+    },
+
+    // Food Order Tools
+    {
+        name: 'create_food_order',
+        description: 'Crea un pedido de comida en Pronto Copec o Street Burger para retirar en la estación. Puede asociarse a la sesión de carga para que esté listo cuando la batería llegue a un % (ej: "tu hamburguesa estará lista cuando llegues a 80%"). Con quote_only=true solo cotiza: revisa disponibilidad a la hora de retiro, promociones y total sin crear el pedido.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                user_id: {
+                    type: 'string',
+                    description: 'ID del usuario'
+                },
+                station_id: {
+                    type: 'string',
+                    description: 'ID de la estación donde se retira el pedido'
+                },
+                items: {
+                    type: 'array',
+                    description: 'Productos del pedido (IDs de search_products)',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            product_id: { type: 'string' },
+                            quantity: { type: 'number' }
+                        },
+                        required: ['product_id']
+                    }
+                },
+                session_id: {
+                    type: 'string',
+                    description: 'ID de la sesión de carga activa (opcional)'
+                },
+                ready_at_soc: {
+                    type: 'number',
+                    description: 'Tener el pedido listo cuando la batería llegue a este % (requiere session_id)'
+                },
+                pickup_time: {
+                    type: 'string',
+                    description: 'Hora de retiro en formato ISO 8601 (opcional, default: lo antes posible)'
+                },
+                quote_only: {
+                    type: 'boolean',
+                    description: 'Solo cotizar sin crear el pedido'
+                }
+            },
+            required: ['station_id', 'items']
+        },
+        handler: (input) => (input.quote_only ? orderTools.quoteOrder(input) : orderTools.createOrder(input))
+    },
+    {
+        name: 'get_food_order',
+        description: 'Consulta el estado de un pedido de comida (recibido, en preparación, listo, retirado) o lista los pedidos de una sesión de carga.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                order_id: {
+                    type: 'string',
+                    description: 'ID del pedido'
+                },
+                session_id: {
+                    type: 'string',
+                    description: 'ID de la sesión de carga para listar sus pedidos'
+                },
+                user_id: {
+                    type: 'string',
+                    description: 'ID del usuario para listar sus pedidos'
+                }
+            },
+            required: []
+        },
+        handler: (input) => (input.order_id ? orderTools.getOrder(input) : orderTools.listOrders(input))
+    },
+
+    // Queue Tools
+    {
+        name: 'join_station_queue',
+        description: 'Une al usuario a la cola de una estación sin cargadores libres. La prioridad sigue la política: reserva activa, Platinum/Empresa, Gold, Silver, emergencia (batería bajo 10%) y Bronze por orden de llegada. Devuelve posición y espera estimada.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                user_id: {
+                    type: 'string',
+                    description: 'ID del usuario'
+                },
+                station_id: {
+                    type: 'string',
+                    description: 'ID de la estación'
+                },
+                charger_type: {
+                    type: 'string',
+                    enum: ['fast', 'slow', 'any'],
+                    description: 'Tipo de cargador que espera el usuario'
+                },
+                battery_percent: {
+                    type: 'number',
+                    description: 'Nivel de batería actual (%)'
+                },
+                emergency: {
+                    type: 'boolean',
+                    description: 'Declarar emergencia, solo válido con batería bajo 10%'
+                }
+            },
+            required: ['user_id', 'station_id']
+        },
+        handler: queueTools.joinQueue
+    },
+    {
+        name: 'get_queue_position',
+        description: 'Consulta la posición y espera estimada de un turno en la cola, o el estado de la cola de una estación (personas esperando y espera estimada para el usuario).',
+        input_schema: {
+            type: 'object',
+            properties: {
+                entry_id: {
+                    type: 'string',
+                    description: 'ID del turno en la cola'
+                },
+                station_id: {
+                    type: 'string',
+                    description: 'ID de la estación para consultar su cola'
+                },
+                user_id: {
+                    type: 'string',
+                    description: 'ID del usuario para estimar su espera según su prioridad'
+                }
+            },
+            required: []
+        },
+        handler: (input) => (input.entry_id ? queueTools.getQueuePosition(input) : queueTools.getQueueStatus(input))
+    },
+
+    // Remote Charger Commands (OCPP). They act for the user of the conversation: executeTool
+    // sets user_id from the user context, so the model can't pick whose charge it controls.
+    {
+        name: 'remote_start_charging',
+        user_scoped: true,
+        description: 'Inicia la carga a distancia en un cargador conectado por OCPP, para el propio usuario. El vehículo debe estar enchufado. Devuelve si el cargador aceptó, rechazó o no respondió el comando.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                charger_id: {
+                    type: 'string',
+                    description: 'ID del cargador (ej: CHG_001_A)'
+                }
+            },
+            required: ['charger_id']
+        },
+        handler: (input) => commandTools.sendCommand({
+            action: 'RemoteStartTransaction',
+            charger_id: input.charger_id,
+            id_tag: input.user_id,
+            requested_by: input.user_id,
+            source: 'agent'
+        })
+    },
+    {
+        name: 'remote_stop_charging',
+        user_scoped: true,
+        description: 'Detiene a distancia la carga en curso del usuario en un cargador conectado por OCPP. Solo puede detener cargas iniciadas por el mismo usuario.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                charger_id: {
+                    type: 'string',
+                    description: 'ID del cargador donde está cargando'
+                }
+            },
+            required: ['charger_id']
+        },
+        handler: (input) => commandTools.sendCommand({
+            action: 'RemoteStopTransaction',
+            charger_id: input.charger_id,
+            requested_by: input.user_id,
+            source: 'agent'
+        })
+    },
+    {
+        name: 'unlock_connector',
+        user_scoped: true,
+        description: 'Desbloquea el conector de un cargador cuando el cable quedó trabado en el vehículo después de cargar. Si el conector tiene una carga en curso, solo la puede desbloquear el usuario que la inició.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                charger_id: {
+                    type: 'string',
+                    description: 'ID del cargador'
+                }
+            },
+            required: ['charger_id']
+        },
+        handler: (input) => commandTools.sendCommand({
+            action: 'UnlockConnector',
+            charger_id: input.charger_id,
+            requested_by: input.user_id,
+            source: 'agent'
+        })
+    },
 
     // Knowledge Base Tool (RAG)
     {
@@ -363,9 +725,10 @@ const getToolDefinitions = () => {
 };
 
 /**
- * Execute a tool by name with given input
+ * Execute a tool by name with given input. User-scoped tools run for the user of the
+ * conversation (userContext.user_id), whatever user_id the input carries.
  */
-const executeTool = async (toolName, toolInput) => {
+const executeTool = async (toolName, toolInput, userContext = {}) => {
     const tool = TOOLS.find(t => t.name === toolName);
     
     if (!tool) {
@@ -375,8 +738,16 @@ const executeTool = async (toolName, toolInput) => {
         };
     }
 
+    let input = toolInput;
+    if (tool.user_scoped) {
+        if (!userContext.user_id) {
+            return { error: 'Esta acción requiere un usuario identificado en la conversación' };
+        }
+        input = { ...toolInput, user_id: userContext.user_id };
+    }
+
     try {
-        const result = await tool.handler(toolInput);
+        const result = await tool.handler(input);
         return result;
     } catch (error) {
         console.error(`Error executing tool ${toolName}:`, error);
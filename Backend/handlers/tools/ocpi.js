@@ -0,0 +1,750 @@
+/**
+ * Copec EV Agent - OCPI 2.2.1 CPO
+ * Roaming interface for e-mobility service providers (eMSPs): Locations (station catalog
+ * plus venue facilities), Tariffs (pricing config), Sessions and CDRs (charging sessions),
+ * the versions/credentials handshake, token authentication and date_from/date_to pagination.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const { getLiveStations } = require('./availability');
+const { listSessions } = require('./sessions');
+const { getChargerConnector } = require('./ocpp');
+const {
+    resolveTariff,
+    getCurrentType,
+    TARIFF_TIERS,
+    TIME_DISCOUNTS,
+    PEAK_WINDOWS,
+    SESSION_LIMITS,
+    OVERSTAY_PENALTY,
+    PRICING
+} = require('./tariffs');
+
+const OCPI_VERSION = '2.2.1';
+const CPO_PARTY = { country_code: 'CL', party_id: 'CPC' };
+// Copec app users charge with tokens issued by Copec's own eMSP
+const APP_EMSP_PARTY = { country_code: 'CL', party_id: 'CPC' };
+const BUSINESS_DETAILS = { name: 'Copec' };
+
+const COUNTRY = 'CHL';
+const TIME_ZONE = 'America/Santiago';
+const VAT_PERCENT = 19;             // IVA, included in Copec's retail prices
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 100;
+const PARTNER_TIMEOUT_MS = 10000;
+
+const STATUS_CODES = {
+    SUCCESS: 1000,
+    CLIENT_ERROR: 2000,
+    INVALID_PARAMETERS: 2001,
+    UNKNOWN_LOCATION: 2003,
+    SERVER_ERROR: 3000,
+    UNABLE_TO_USE_CLIENT_API: 3001,
+    UNSUPPORTED_VERSION: 3002
+};
+
+const CONNECTOR_STANDARDS = {
+    CCS2: 'IEC_62196_T2_COMBO',
+    Type2: 'IEC_62196_T2',
+    Type1: 'IEC_62196_T1',
+    CHAdeMO: 'CHADEMO',
+    'GB/T': 'GBT_DC'
+};
+
+const EVSE_STATUS = {
+    available: 'AVAILABLE',
+    occupied: 'CHARGING',
+    reserved: 'RESERVED',
+    maintenance: 'OUTOFORDER'
+};
+
+const SESSION_STATUS = {
+    active: 'ACTIVE',
+    completed: 'COMPLETED'
+};
+
+const DC_VOLTAGE = 500;
+const AC_PHASE_VOLTAGE = 230;
+const WEEKEND_DAYS = ['SATURDAY', 'SUNDAY'];
+
+const ocpiError = (statusCode, status_code, error) => ({ error, statusCode, status_code });
+
+const partyKey = (party) => `${party.country_code}*${party.party_id}`;
+
+// Copec's own parties: the CPO itself and the eMSP behind the app's sessions
+const isCopecParty = (party) => [CPO_PARTY, APP_EMSP_PARTY].some(own => partyKey(own) === partyKey(party));
+
+const latest = (...dates) => dates.filter(Boolean).reduce((max, d) => (new Date(d) > new Date(max) ? d : max));
+
+const toCoordinates = ({ lat, lng }) => ({
+    latitude: lat.toFixed(6),
+    longitude: lng.toFixed(6)
+});
+
+// Retail prices include IVA; OCPI prices are sent excluding VAT
+const excludeVat = (amount) => Math.round(amount / (1 + VAT_PERCENT / 100) * 10000) / 10000;
+
+const toPrice = (amountInclVat) => ({
+    excl_vat: Math.round(excludeVat(amountInclVat) * 100) / 100,
+    incl_vat: amountInclVat
+});
+
+const toHours = (minutes) => Math.round(minutes / 60 * 10000) / 10000;
+
+/**
+ * Street address and city from "Av. Providencia 2124, Providencia"
+ */
+const splitAddress = (address) => {
+    const parts = address.split(',').map(p => p.trim());
+    return parts.length > 1
+        ? { address: parts.slice(0, -1).join(', '), city: parts[parts.length - 1] }
+        : { address, city: 'Santiago' };
+};
+
+// eMI3 EVSE id: CHG_001_A -> CL*CPC*E001A
+const toEvseId = (chargerId) =>
+    `${CPO_PARTY.country_code}*${CPO_PARTY.party_id}*E${chargerId.replace(/^CHG_/, '').replace(/_/g, '')}`;
+
+const getTariffId = (tier, stationId) => (stationId ? `${stationId}_${tier.toUpperCase()}` : tier.toUpperCase());
+
+const getChargerTariffId = (station, charger) => {
+    const tariff = resolveTariff({ charger, station });
+    return getTariffId(tariff.tier, tariff.source === 'station_override' ? station.id : null);
+};
+
+const getFacilities = (venue) => {
+    const services = venue?.services || {};
+    const facilities = ['FUEL_STATION'];
+    if (services.pronto_copec?.available) facilities.push('CAFE');
+    if (services.street_burger?.available) facilities.push('RESTAURANT');
+    if (services.wifi?.available) facilities.push('WIFI');
+    if (services.parking?.available) facilities.push('PARKING_LOT');
+    return facilities;
+};
+
+const buildConnector = (station, charger, lastUpdated) => {
+    const isDC = getCurrentType(charger) === 'DC';
+    const voltage = isDC ? DC_VOLTAGE : AC_PHASE_VOLTAGE;
+
+    return {
+        id: '1',
+        standard: CONNECTOR_STANDARDS[charger.connector] || CONNECTOR_STANDARDS.Type2,
+        format: isDC ? 'CABLE' : 'SOCKET',
+        power_type: isDC ? 'DC' : 'AC_3_PHASE',
+        max_voltage: voltage,
+        max_amperage: Math.round(charger.power * 1000 / (isDC ? voltage : voltage * 3)),
+        max_electric_power: charger.power * 1000,
+        tariff_ids: [getChargerTariffId(station, charger)],
+        last_updated: lastUpdated
+    };
+};
+
+// Last known status change of a live charger
+const getStatusUpdatedAt = (charger) =>
+    charger.ocpp?.updated_at || charger.session_started_at || charger.simulated_session?.started_at;
+
+/**
+ * Stations, venues and the catalog's last update, which is the floor of every object's last_updated
+ */
+const loadCatalog = async () => {
+    const metadata = await repositories.stations.getMetadata();
+    return {
+        stations: await repositories.stations.list(),
+        venues: new Map((await repositories.venues.list()).map(venue => [venue.station_id, venue])),
+        updatedAt: new Date(metadata.last_updated || 0).toISOString()
+    };
+};
+
+const buildEvse = (station, charger, catalog) => {
+    const lastUpdated = latest(catalog.updatedAt, getStatusUpdatedAt(charger));
+    const capabilities = ['RESERVABLE'];
+    if (getChargerConnector(charger.id)) {
+        capabilities.push('REMOTE_START_STOP_CAPABLE', 'UNLOCK_CAPABLE');
+    }
+
+    return {
+        uid: charger.id,
+        evse_id: toEvseId(charger.id),
+        status: charger.ocpp?.availability === 'Inoperative' ? 'INOPERATIVE' : (EVSE_STATUS[charger.status] || 'UNKNOWN'),
+        capabilities,
+        connectors: [buildConnector(station, charger, lastUpdated)],
+        coordinates: toCoordinates(station.location),
+        last_updated: lastUpdated
+    };
+};
+
+const buildLocation = (station, catalog) => {
+    const evses = station.chargers.map(charger => buildEvse(station, charger, catalog));
+
+    return {
+        ...CPO_PARTY,
+        id: station.id,
+        publish: true,
+        name: station.name,
+        ...splitAddress(station.address),
+        country: COUNTRY,
+        coordinates: toCoordinates(station.location),
+        time_zone: TIME_ZONE,
+        evses,
+        operator: BUSINESS_DETAILS,
+        owner: BUSINESS_DETAILS,
+        facilities: getFacilities(catalog.venues.get(station.id)),
+        opening_times: { twentyfourseven: true },
+        charging_when_closed: true,
+        last_updated: latest(catalog.updatedAt, ...evses.map(e => e.last_updated))
+    };
+};
+
+const energyComponent = (pricePerKwh) => ({
+    type: 'ENERGY',
+    price: excludeVat(pricePerKwh),
+    vat: VAT_PERCENT,
+    step_size: 1
+});
+
+/**
+ * Tariff elements for a price per kWh. Elements are evaluated in order, so the time rules
+ * of the tariff engine (peak hours first, then Happy Hour and weekend discounts) come
+ * before the plain price. User type discounts don't apply to roaming customers.
+ */
+const buildTariffElements = (pricePerKwh, currentType) => {
+    const happyHour = TIME_DISCOUNTS.happy_hour;
+    const weekend = TIME_DISCOUNTS.weekend;
+    // Happy Hour windows (22:00-24:00, 00:00-06:00) as one period wrapping midnight
+    const happyHourTimes = { start_time: happyHour.windows[0][0], end_time: happyHour.windows[1][1] };
+
+    return [
+        // Overstay: every started block of extra minutes past the session limit
+        {
+            price_components: [{
+                type: 'TIME',
+                price: excludeVat(OVERSTAY_PENALTY.amount_clp * 60 / OVERSTAY_PENALTY.block_minutes),
+                vat: VAT_PERCENT,
+                step_size: OVERSTAY_PENALTY.block_minutes * 60
+            }],
+            restrictions: { min_duration: SESSION_LIMITS[currentType] * 60 }
+        },
+        ...PEAK_WINDOWS.map(([start_time, end_time]) => ({
+            price_components: [energyComponent(pricePerKwh)],
+            restrictions: { start_time, end_time }
+        })),
+        {
+            price_components: [energyComponent(pricePerKwh * (1 - happyHour.percent - weekend.percent))],
+            restrictions: { ...happyHourTimes, day_of_week: WEEKEND_DAYS }
+        },
+        {
+            price_components: [energyComponent(pricePerKwh * (1 - happyHour.percent))],
+            restrictions: happyHourTimes
+        },
+        {
+            price_components: [energyComponent(pricePerKwh * (1 - weekend.percent))],
+            restrictions: { day_of_week: WEEKEND_DAYS }
+        },
+        {
+            price_components: [energyComponent(pricePerKwh)]
+        }
+    ];
+};
+
+const buildTariff = (id, tier, pricePerKwh, catalog) => ({
+    ...CPO_PARTY,
+    id,
+    currency: PRICING.currency,
+    type: 'REGULAR',
+    tariff_alt_text: [{
+        language: 'es',
+        text: `${TARIFF_TIERS[tier].label}: $${pricePerKwh} ${PRICING.currency}/kWh IVA incluido. ` +
+            `${TIME_DISCOUNTS.happy_hour.label} ${TIME_DISCOUNTS.happy_hour.percent * 100}% de descuento, ` +
+            `${TIME_DISCOUNTS.weekend.label.toLowerCase()} ${TIME_DISCOUNTS.weekend.percent * 100}%, sin descuentos en hora punta.`
+    }],
+    elements: buildTariffElements(pricePerKwh, tier.startsWith('dc') ? 'DC' : 'AC'),
+    last_updated: catalog.updatedAt
+});
+
+/**
+ * Base tariff per power tier plus one per station override
+ */
+const buildTariffs = (catalog) => {
+    const tariffs = Object.entries(TARIFF_TIERS).map(([tier, config]) =>
+        buildTariff(getTariffId(tier), tier, config.price_per_kwh, catalog)
+    );
+
+    catalog.stations.forEach(station => {
+        Object.entries(station.tariff_overrides || {}).forEach(([tier, price]) => {
+            tariffs.push(buildTariff(getTariffId(tier, station.id), tier, price, catalog));
+        });
+    });
+
+    return tariffs;
+};
+
+// eMSP party that issued the token a session was started with
+const getSessionOwner = (session) => session.emsp || APP_EMSP_PARTY;
+
+const buildCdrToken = (session) => ({
+    ...getSessionOwner(session),
+    uid: session.userId,
+    type: 'APP_USER',
+    contract_id: `${APP_EMSP_PARTY.country_code}-${APP_EMSP_PARTY.party_id}-C${session.userId.replace(/[^A-Za-z0-9]/g, '').toUpperCase()}`
+});
+
+const buildSession = (session) => ({
+    ...CPO_PARTY,
+    id: session.sessionId,
+    start_date_time: session.startedAt,
+    end_date_time: session.endedAt || undefined,
+    kwh: session.kwhDelivered || 0,
+    cdr_token: buildCdrToken(session),
+    auth_method: 'COMMAND',
+    location_id: session.stationId,
+    evse_uid: session.chargerId,
+    connector_id: '1',
+    currency: PRICING.currency,
+    total_cost: session.cost ? toPrice(session.cost.total_cost_clp) : undefined,
+    status: SESSION_STATUS[session.status] || 'INVALID',
+    last_updated: session.updatedAt
+});
+
+const buildCdr = (session, tariffs, catalog) => {
+    const station = catalog.stations.find(s => s.id === session.stationId);
+    const charger = station?.chargers.find(c => c.id === session.chargerId);
+    const connector = charger ? buildConnector(station, charger, session.updatedAt) : null;
+    const tariffId = connector?.tariff_ids[0];
+
+    const chargingEndedAt = session.chargingEndedAt || session.endedAt;
+    const chargingMinutes = (new Date(chargingEndedAt) - new Date(session.startedAt)) / 60000;
+    const idleMinutes = Math.max(0, session.durationMinutes - chargingMinutes);
+
+    const chargingPeriods = [{
+        start_date_time: session.startedAt,
+        dimensions: [
+            { type: 'ENERGY', volume: session.kwhDelivered },
+            { type: 'TIME', volume: toHours(chargingMinutes) }
+        ],
+        tariff_id: tariffId
+    }];
+    if (idleMinutes > 0) {
+        chargingPeriods.push({
+            start_date_time: chargingEndedAt,
+            dimensions: [{ type: 'PARKING_TIME', volume: toHours(idleMinutes) }],
+            tariff_id: tariffId
+        });
+    }
+
+    return {
+        ...CPO_PARTY,
+        id: session.sessionId,
+        start_date_time: session.startedAt,
+        end_date_time: session.endedAt,
+        session_id: session.sessionId,
+        cdr_token: buildCdrToken(session),
+        auth_method: 'COMMAND',
+        cdr_location: station && {
+            id: station.id,
+            name: station.name,
+            ...splitAddress(station.address),
+            country: COUNTRY,
+            coordinates: toCoordinates(station.location),
+            evse_uid: session.chargerId,
+            evse_id: toEvseId(session.chargerId),
+            connector_id: '1',
+            connector_standard: connector?.standard,
+            connector_format: connector?.format,
+            connector_power_type: connector?.power_type
+        },
+        currency: PRICING.currency,
+        tariffs: tariffs.filter(t => t.id === tariffId),
+        charging_periods: chargingPeriods,
+        total_cost: toPrice(session.cost.total_cost_clp),
+        total_energy: session.kwhDelivered,
+        total_energy_cost: toPrice(session.cost.final_cost_clp),
+        total_time: toHours(session.durationMinutes),
+        total_time_cost: session.cost.overstay_penalty_clp > 0 ? toPrice(session.cost.overstay_penalty_clp) : undefined,
+        total_parking_time: toHours(idleMinutes),
+        last_updated: session.updatedAt
+    };
+};
+
+/**
+ * Filter by last_updated (date_from inclusive, date_to exclusive) and slice a page
+ */
+const paginate = (items, input) => {
+    const { date_from, date_to, offset, limit } = input;
+
+    const from = date_from ? new Date(date_from) : null;
+    const to = date_to ? new Date(date_to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return ocpiError(400, STATUS_CODES.INVALID_PARAMETERS, 'date_from y date_to deben ser fechas ISO 8601');
+    }
+
+    const filtered = items.filter(item => {
+        const updated = new Date(item.last_updated);
+        return (!from || updated >= from) && (!to || updated < to);
+    });
+
+    const pageOffset = Math.max(0, parseInt(offset, 10) || 0);
+    const pageLimit = Math.min(MAX_PAGE_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_LIMIT));
+
+    return {
+        data: filtered.slice(pageOffset, pageOffset + pageLimit),
+        pagination: {
+            total_count: filtered.length,
+            limit: pageLimit,
+            offset: pageOffset,
+            next_offset: pageOffset + pageLimit < filtered.length ? pageOffset + pageLimit : null
+        }
+    };
+};
+
+/**
+ * Candidate tokens from an Authorization header. OCPI 2.2.1 sends the token
+ * base64 encoded; earlier versions send it as is.
+ */
+const parseAuthorization = (header) => {
+    const match = /^Token\s+(\S+)$/i.exec(header || '');
+    if (!match) return [];
+
+    const raw = match[1];
+    const decoded = Buffer.from(raw, 'base64').toString('utf8');
+    return Buffer.from(decoded, 'utf8').toString('base64') === raw ? [decoded, raw] : [raw];
+};
+
+/**
+ * Partner for a request. Registration tokens (token A) are only valid for the
+ * versions endpoints and the credentials handshake.
+ * @param {Object} input - { authorization, allow_registration }
+ */
+const authenticate = async (input) => {
+    const { authorization, allow_registration = false } = input;
+
+    for (const token of parseAuthorization(authorization)) {
+        const partner = await repositories.ocpiPartners.get(token);
+        if (partner && (partner.status === 'registered' || allow_registration)) {
+            return { partner };
+        }
+    }
+
+    return ocpiError(401, STATUS_CODES.CLIENT_ERROR, 'Token OCPI inválido o ausente');
+};
+
+const buildCredentials = (token, baseUrl) => ({
+    token,
+    url: `${baseUrl}/ocpi/versions`,
+    roles: [{ role: 'CPO', ...CPO_PARTY, business_details: BUSINESS_DETAILS }]
+});
+
+/**
+ * Versions supported by this CPO
+ * @param {Object} input - { base_url }
+ */
+const getVersions = async (input) => ({
+    data: [{ version: OCPI_VERSION, url: `${input.base_url}/ocpi/${OCPI_VERSION}` }]
+});
+
+/**
+ * Modules available in OCPI 2.2.1
+ * @param {Object} input - { base_url }
+ */
+const getVersionDetails = async (input) => {
+    const url = `${input.base_url}/ocpi/${OCPI_VERSION}`;
+
+    return {
+        data: {
+            version: OCPI_VERSION,
+            endpoints: [
+                { identifier: 'credentials', role: 'SENDER', url: `${url}/credentials` },
+                { identifier: 'credentials', role: 'RECEIVER', url: `${url}/credentials` },
+                { identifier: 'locations', role: 'SENDER', url: `${url}/locations` },
+                { identifier: 'tariffs', role: 'SENDER', url: `${url}/tariffs` },
+                { identifier: 'sessions', role: 'SENDER', url: `${url}/sessions` },
+                { identifier: 'cdrs', role: 'SENDER', url: `${url}/cdrs` }
+            ]
+        }
+    };
+};
+
+const fetchPartner = async (url, token) => {
+    const res = await fetch(url, {
+        headers: { Authorization: `Token ${Buffer.from(token).toString('base64')}` },
+        signal: AbortSignal.timeout(PARTNER_TIMEOUT_MS)
+    });
+    if (!res.ok) {
+        throw new Error(`HTTP ${res.status} from ${url}`);
+    }
+
+    const body = await res.json();
+    if (body.status_code !== STATUS_CODES.SUCCESS) {
+        throw new Error(`OCPI status ${body.status_code} from ${url}`);
+    }
+    return body.data;
+};
+
+/**
+ * Validate a partner's credentials object and fetch its 2.2.1 endpoints with its token (token B).
+ * Every role must be the party the registration was issued for; a partner can't claim
+ * another party's (or Copec's) customers by declaring it.
+ */
+const resolvePartnerCredentials = async (credentials = {}, partner) => {
+    const { token, url, roles } = credentials;
+    const validRoles = Array.isArray(roles) && roles.length > 0 &&
+        roles.every(r => r.role && r.country_code && r.party_id);
+    if (!token || !url || !validRoles) {
+        return ocpiError(400, STATUS_CODES.INVALID_PARAMETERS, 'Credenciales incompletas: se requieren token, url y roles');
+    }
+
+    const allowed = partner.party ? partyKey(partner.party) : null;
+    const foreign = roles.find(r => isCopecParty(r) || partyKey(r) !== allowed);
+    if (foreign) {
+        return ocpiError(403, STATUS_CODES.INVALID_PARAMETERS, allowed
+            ? `El rol ${partyKey(foreign)} no corresponde al party ${allowed} asignado a este partner`
+            : 'El registro no tiene un party asignado; solicite un nuevo token de registro');
+    }
+
+    let endpoints;
+    try {
+        const versions = await fetchPartner(url, token);
+        const version = (versions || []).find(v => v.version === OCPI_VERSION);
+        if (!version) {
+            return ocpiError(400, STATUS_CODES.UNSUPPORTED_VERSION, `El partner no soporta OCPI ${OCPI_VERSION}`);
+        }
+        endpoints = (await fetchPartner(version.url, token)).endpoints || [];
+    } catch (error) {
+        console.error('OCPI partner fetch error:', error);
+        return ocpiError(400, STATUS_CODES.UNABLE_TO_USE_CLIENT_API, 'No fue posible consultar la API del partner');
+    }
+
+    return {
+        partnerToken: token,
+        versionsUrl: url,
+        roles: roles.map(r => ({
+            role: r.role,
+            country_code: r.country_code,
+            party_id: r.party_id,
+            business_details: r.business_details
+        })),
+        endpoints
+    };
+};
+
+/**
+ * Issue a new token C for a partner, replacing the token it used
+ */
+const issueCredentials = async (partner, resolved, baseUrl) => {
+    const now = new Date().toISOString();
+    const registered = {
+        ...partner,
+        ...resolved,
+        token: uuidv4(),
+        status: 'registered',
+        name: resolved.roles[0].business_details?.name || partner.name,
+        registeredAt: partner.registeredAt || now,
+        updatedAt: now
+    };
+
+    await repositories.ocpiPartners.save(registered);
+    await repositories.ocpiPartners.remove(partner.token);
+
+    return { data: buildCredentials(registered.token, baseUrl) };
+};
+
+/**
+ * Create a registration token (token A) to hand to a new partner out of band. The token only
+ * registers the given party, which can't be Copec's own nor one another partner already holds.
+ * @param {Object} input - { name, country_code, party_id, requested_by, base_url }
+ */
+const createRegistration = async (input) => {
+    const { name, country_code, party_id, requested_by, base_url } = input;
+
+    if (!name || !country_code || !party_id) {
+        return { error: 'Se requieren name, country_code y party_id del partner', statusCode: 400 };
+    }
+    if (!/^[A-Z]{2}$/.test(country_code) || !/^[A-Z0-9]{3}$/.test(party_id)) {
+        return { error: 'country_code debe tener 2 letras y party_id 3 caracteres (mayúsculas)', statusCode: 400 };
+    }
+
+    const party = { country_code, party_id };
+    if (isCopecParty(party)) {
+        return { error: `${partyKey(party)} es un party de Copec y no se puede asignar a un partner`, statusCode: 403 };
+    }
+    const taken = (await repositories.ocpiPartners.list()).find(p => p.party && partyKey(p.party) === partyKey(party));
+    if (taken) {
+        return { error: `El party ${partyKey(party)} ya está asignado al partner ${taken.name}`, statusCode: 409 };
+    }
+
+    const partner = await repositories.ocpiPartners.save({
+        token: uuidv4(),
+        status: 'pending',
+        name,
+        party,
+        createdBy: requested_by,
+        createdAt: new Date().toISOString()
+    });
+
+    return {
+        registration: {
+            name,
+            ...party,
+            token: partner.token,
+            versions_url: `${base_url}/ocpi/versions`
+        }
+    };
+};
+
+/**
+ * Registered and pending partners
+ */
+const listPartners = async () => {
+    const partners = await repositories.ocpiPartners.list();
+
+    return {
+        count: partners.length,
+        partners: partners.map(p => ({
+            name: p.name,
+            status: p.status,
+            party: p.party || null,
+            roles: p.roles || [],
+            versions_url: p.versionsUrl || null,
+            modules: (p.endpoints || []).map(e => e.identifier),
+            created_at: p.createdAt,
+            registered_at: p.registeredAt || null
+        }))
+    };
+};
+
+/**
+ * Credentials module
+ * @param {Object} input - { method, partner, credentials, base_url }
+ */
+const handleCredentials = async (input) => {
+    const { method, partner, credentials, base_url } = input;
+
+    if (method === 'POST' || method === 'PUT') {
+        // POST registers with token A; PUT refreshes an existing registration
+        if ((method === 'POST') !== (partner.status === 'pending')) {
+            return ocpiError(405, STATUS_CODES.CLIENT_ERROR, method === 'POST'
+                ? 'El partner ya está registrado, use PUT para actualizar'
+                : 'El partner no está registrado, use POST');
+        }
+
+        const resolved = await resolvePartnerCredentials(credentials, partner);
+        if (resolved.error) return resolved;
+        return issueCredentials(partner, resolved, base_url);
+    }
+
+    if (partner.status !== 'registered') {
+        return ocpiError(405, STATUS_CODES.CLIENT_ERROR, 'El partner no está registrado');
+    }
+
+    if (method === 'DELETE') {
+        await repositories.ocpiPartners.remove(partner.token);
+        return { data: null };
+    }
+
+    return { data: buildCredentials(partner.token, base_url) };
+};
+
+/**
+ * Locations with live EVSE status
+ * @param {Object} input - { date_from, date_to, offset, limit }
+ */
+const getLocations = async (input) => {
+    const liveStations = await getLiveStations();
+    const catalog = await loadCatalog();
+    const locations = liveStations
+        .map(station => buildLocation(station, catalog))
+        .sort((a, b) => a.id.localeCompare(b.id));
+
+    return paginate(locations, input);
+};
+
+/**
+ * A single Location, EVSE or Connector
+ * @param {Object} input - { location_id, evse_uid, connector_id }
+ */
+const getLocation = async (input) => {
+    const { location_id, evse_uid, connector_id } = input;
+
+    const station = (await getLiveStations()).find(s => s.id === location_id);
+    if (!station) {
+        return ocpiError(404, STATUS_CODES.UNKNOWN_LOCATION, `Location ${location_id} no encontrada`);
+    }
+
+    const location = buildLocation(station, await loadCatalog());
+    if (!evse_uid) return { data: location };
+
+    const evse = location.evses.find(e => e.uid === evse_uid);
+    if (!evse) {
+        return ocpiError(404, STATUS_CODES.UNKNOWN_LOCATION, `EVSE ${evse_uid} no encontrado en ${location_id}`);
+    }
+    if (!connector_id) return { data: evse };
+
+    const connector = evse.connectors.find(c => c.id === connector_id);
+    if (!connector) {
+        return ocpiError(404, STATUS_CODES.UNKNOWN_LOCATION, `Conector ${connector_id} no encontrado en ${evse_uid}`);
+    }
+    return { data: connector };
+};
+
+/**
+ * Tariffs
+ * @param {Object} input - { date_from, date_to, offset, limit }
+ */
+const getTariffs = async (input) =>
+    paginate(buildTariffs(await loadCatalog()).sort((a, b) => a.id.localeCompare(b.id)), input);
+
+// Sessions whose token was issued by one of the partner's parties (never Copec's own)
+const getPartnerSessions = async (partner) => {
+    const parties = (partner.roles || []).filter(r => !isCopecParty(r)).map(partyKey);
+    const { sessions } = await listSessions({ limit: Infinity });
+
+    return sessions
+        .filter(s => {
+            return parties.includes(partyKey(getSessionOwner(s)));
+        })
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt) || a.sessionId.localeCompare(b.sessionId));
+};
+
+/**
+ * Sessions of the partner's customers. date_from is required by the Sessions module.
+ * @param {Object} input - { partner, date_from, date_to, offset, limit }
+ */
+const getSessions = async (input) => {
+    if (!input.date_from) {
+        return ocpiError(400, STATUS_CODES.INVALID_PARAMETERS, 'Se requiere date_from');
+    }
+
+    const sessions = await getPartnerSessions(input.partner);
+    return paginate(sessions.map(buildSession), input);
+};
+
+/**
+ * Charge detail records of the partner's customers' completed sessions
+ * @param {Object} input - { partner, date_from, date_to, offset, limit }
+ */
+const getCdrs = async (input) => {
+    const catalog = await loadCatalog();
+    const tariffs = buildTariffs(catalog);
+    const sessions = await getPartnerSessions(input.partner);
+
+    return paginate(
+        sessions.filter(s => s.status === 'completed' && s.cost).map(s => buildCdr(s, tariffs, catalog)),
+        input
+    );
+};
+
+module.exports = {
+    authenticate,
+    getVersions,
+    getVersionDetails,
+    handleCredentials,
+    createRegistration,
+    listPartners,
+    getLocations,
+    getLocation,
+    getTariffs,
+    getSessions,
+    getCdrs,
+    STATUS_CODES,
+    OCPI_VERSION
+};
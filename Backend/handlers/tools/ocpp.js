@@ -0,0 +1,498 @@
+/**
+ * Copec EV Agent - OCPP 1.6J Central System
+ * Handles charge point messages (BootNotification, Heartbeat, StatusNotification, Authorize,
+ * StartTransaction, StopTransaction, MeterValues) and keeps each connector's live state,
+ * mapped to the charger ids in stations_geo.json through data/ocpp_charge_points.json.
+ * Charge points authenticate with HTTP Basic auth (OCPP 1.6 Security Profile 1): their id
+ * as user name and their key from OCPP_CHARGE_POINT_KEYS (`<chargePointId>:<key>` pairs)
+ * as password.
+ */
+
+const chargePointConfig = require('../../data/ocpp_charge_points.json');
+const repositories = require('../repositories');
+const { parseKeyPairs, sameKey } = require('./operators');
+
+const OCPP_SUBPROTOCOL = 'ocpp1.6';
+const HEARTBEAT_INTERVAL_SECONDS = 300;
+const STALE_AFTER_HEARTBEATS = 3;       // A connected charge point silent for 3 intervals is ignored
+
+const MESSAGE_TYPES = {
+    CALL: 2,
+    CALLRESULT: 3,
+    CALLERROR: 4
+};
+
+// OCPP connector status -> charger status used across the app
+const STATUS_MAP = {
+    Available: 'available',
+    Preparing: 'occupied',
+    Charging: 'occupied',
+    SuspendedEV: 'occupied',
+    SuspendedEVSE: 'occupied',
+    Finishing: 'occupied',
+    Reserved: 'reserved',
+    Unavailable: 'maintenance',
+    Faulted: 'maintenance'
+};
+
+const loadChargePointByConnection = async (connectionId) =>
+    (await repositories.chargePoints.query('connectionId', connectionId))[0] || null;
+
+/**
+ * Charger id for a charge point connector, null when not mapped
+ */
+const getChargerId = (chargePointId, connectorId) =>
+    chargePointConfig.charge_points[chargePointId]?.connectors[String(connectorId)] || null;
+
+/**
+ * Charge point and connector a charger is wired to, null when not mapped
+ */
+const getChargerConnector = (chargerId) => {
+    for (const [chargePointId, config] of Object.entries(chargePointConfig.charge_points)) {
+        const entry = Object.entries(config.connectors).find(([, id]) => id === chargerId);
+        if (entry) return { charge_point_id: chargePointId, connector_id: Number(entry[0]) };
+    }
+    return null;
+};
+
+// OCPP transaction ids are integers; millisecond timestamps keep them unique per central system
+const nextTransactionId = () => Date.now() % 2147483647;
+
+/**
+ * Authorization for an idTag. Tags are the app's user ids.
+ */
+const getIdTagInfo = async (idTag) => ({
+    status: (await repositories.users.get(idTag)) ? 'Accepted' : 'Invalid'
+});
+
+const isStale = (chargePoint, now = new Date()) =>
+    !chargePoint.lastSeenAt ||
+    now - new Date(chargePoint.lastSeenAt) > HEARTBEAT_INTERVAL_SECONDS * STALE_AFTER_HEARTBEATS * 1000;
+
+// Required payload fields per charge point initiated action (OCPP 1.6 section 6)
+const REQUIRED_FIELDS = {
+    BootNotification: ['chargePointVendor', 'chargePointModel'],
+    Heartbeat: [],
+    StatusNotification: ['connectorId', 'errorCode', 'status'],
+    Authorize: ['idTag'],
+    StartTransaction: ['connectorId', 'idTag', 'meterStart', 'timestamp'],
+    StopTransaction: ['transactionId', 'meterStop', 'timestamp'],
+    MeterValues: ['connectorId', 'meterValue']
+};
+
+const updateConnector = (chargePoint, connectorId, fields, now) => {
+    const key = String(connectorId);
+    chargePoint.connectors = chargePoint.connectors || {};
+    chargePoint.connectors[key] = {
+        chargerId: getChargerId(chargePoint.chargePointId, connectorId),
+        ...chargePoint.connectors[key],
+        ...fields,
+        updatedAt: now.toISOString()
+    };
+};
+
+/**
+ * Read energy, power and SoC from OCPP sampled values. Energy defaults to
+ * Energy.Active.Import.Register in Wh, as the spec does when measurand/unit are omitted.
+ */
+const parseMeterValues = (meterValue = []) => {
+    const meter = {};
+
+    meterValue.forEach(({ timestamp, sampledValue = [] }) => {
+        sampledValue.forEach(sample => {
+            const value = Number(sample.value);
+            if (isNaN(value)) return;
+
+            const measurand = sample.measurand || 'Energy.Active.Import.Register';
+            if (measurand === 'Energy.Active.Import.Register') {
+                meter.energy_wh = sample.unit === 'kWh' ? value * 1000 : value;
+            } else if (measurand === 'Power.Active.Import') {
+                meter.power_kw = sample.unit === 'kW' ? value : value / 1000;
+            } else if (measurand === 'SoC') {
+                meter.soc = value;
+            }
+            meter.sampled_at = timestamp;
+        });
+    });
+
+    return meter;
+};
+
+// Charge point initiated actions
+const ACTIONS = {
+    BootNotification: async (chargePoint, payload, now) => {
+        const registered = !!chargePointConfig.charge_points[chargePoint.chargePointId];
+        chargePoint.registrationStatus = registered ? 'Accepted' : 'Rejected';
+        chargePoint.boot = {
+            vendor: payload.chargePointVendor,
+            model: payload.chargePointModel,
+            serialNumber: payload.chargePointSerialNumber,
+            firmwareVersion: payload.firmwareVersion
+        };
+        chargePoint.bootedAt = now.toISOString();
+
+        return {
+            status: chargePoint.registrationStatus,
+            currentTime: now.toISOString(),
+            interval: HEARTBEAT_INTERVAL_SECONDS
+        };
+    },
+
+    Heartbeat: async (chargePoint, payload, now) => ({
+        currentTime: now.toISOString()
+    }),
+
+    StatusNotification: async (chargePoint, payload, now) => {
+        const fields = {
+            status: payload.status,
+            errorCode: payload.errorCode,
+            info: payload.info,
+            statusAt: payload.timestamp || now.toISOString()
+        };
+
+        // Connector 0 is the charge point itself
+        if (payload.connectorId === 0) {
+            chargePoint.status = fields;
+        } else {
+            if (!getChargerId(chargePoint.chargePointId, payload.connectorId)) {
+                console.warn(`OCPP: ${chargePoint.chargePointId} connector ${payload.connectorId} is not mapped to a charger`);
+            }
+            updateConnector(chargePoint, payload.connectorId, fields, now);
+        }
+        return {};
+    },
+
+    Authorize: async (chargePoint, payload) => ({
+        idTagInfo: await getIdTagInfo(payload.idTag)
+    }),
+
+    StartTransaction: async (chargePoint, payload, now) => {
+        const idTagInfo = await getIdTagInfo(payload.idTag);
+        const transaction = {
+            transactionId: nextTransactionId(),
+            chargePointId: chargePoint.chargePointId,
+            connectorId: payload.connectorId,
+            chargerId: getChargerId(chargePoint.chargePointId, payload.connectorId),
+            stationId: chargePointConfig.charge_points[chargePoint.chargePointId]?.station_id,
+            idTag: payload.idTag,
+            userId: idTagInfo.status === 'Accepted' ? payload.idTag : null,
+            reservationId: payload.reservationId,
+            meterStartWh: payload.meterStart,
+            startedAt: payload.timestamp,
+            status: idTagInfo.status === 'Accepted' ? 'active' : 'rejected',
+            createdAt: now.toISOString()
+        };
+        await repositories.ocppTransactions.save(transaction);
+
+        if (transaction.status === 'active') {
+            updateConnector(chargePoint, payload.connectorId, {
+                transactionId: transaction.transactionId,
+                meter: { energy_wh: payload.meterStart, sampled_at: payload.timestamp }
+            }, now);
+        }
+
+        return { transactionId: transaction.transactionId, idTagInfo };
+    },
+
+    StopTransaction: async (chargePoint, payload, now) => {
+        const transaction = await repositories.ocppTransactions.get(payload.transactionId);
+        if (transaction) {
+            await repositories.ocppTransactions.save({
+                ...transaction,
+                meterStopWh: payload.meterStop,
+                energyKwh: Math.round((payload.meterStop - transaction.meterStartWh) / 10) / 100,
+                stoppedAt: payload.timestamp,
+                stopReason: payload.reason || 'Local',
+                meterValues: parseMeterValues(payload.transactionData),
+                status: 'completed',
+                updatedAt: now.toISOString()
+            });
+
+            const connector = chargePoint.connectors?.[String(transaction.connectorId)];
+            if (connector?.transactionId === transaction.transactionId) {
+                updateConnector(chargePoint, transaction.connectorId, {
+                    transactionId: null,
+                    meter: { ...connector.meter, energy_wh: payload.meterStop, power_kw: 0, sampled_at: payload.timestamp }
+                }, now);
+            }
+        } else {
+            console.warn(`OCPP: StopTransaction for unknown transaction ${payload.transactionId}`);
+        }
+
+        return payload.idTag ? { idTagInfo: await getIdTagInfo(payload.idTag) } : {};
+    },
+
+    MeterValues: async (chargePoint, payload, now) => {
+        if (payload.connectorId !== 0) {
+            const connector = chargePoint.connectors?.[String(payload.connectorId)];
+            updateConnector(chargePoint, payload.connectorId, {
+                meter: { ...connector?.meter, ...parseMeterValues(payload.meterValue) }
+            }, now);
+        }
+        return {};
+    }
+};
+
+/**
+ * Charge point a WebSocket upgrade authenticates as. The Basic-auth user name is the charge
+ * point id; when the connection URL names one too, both must agree.
+ * @param {Object} input - { authorization (the Authorization header), charge_point_id (from the URL, optional) }
+ * @returns {Object} { charge_point_id }, or { error, statusCode }
+ */
+const authenticateChargePoint = ({ authorization, charge_point_id }) => {
+    const encoded = /^Basic\s+(\S+)\s*$/i.exec(authorization || '')?.[1];
+    const credentials = encoded ? Buffer.from(encoded, 'base64').toString('utf8') : '';
+    if (!credentials.includes(':')) {
+        return { error: 'Se requiere autenticación Basic del punto de carga (id:clave)', statusCode: 401 };
+    }
+
+    const username = credentials.slice(0, credentials.indexOf(':'));
+    const password = credentials.slice(credentials.indexOf(':') + 1);
+    if (charge_point_id && charge_point_id !== username) {
+        return { error: `El usuario ${username} no corresponde al punto de carga ${charge_point_id}`, statusCode: 403 };
+    }
+
+    const configured = parseKeyPairs(process.env.OCPP_CHARGE_POINT_KEYS).find(candidate => candidate.id === username);
+    if (!configured || !sameKey(configured.key, password)) {
+        return { error: 'Credenciales de punto de carga no válidas', statusCode: 403 };
+    }
+    return { charge_point_id: username };
+};
+
+/**
+ * Register a charge point's WebSocket connection. Only charge points in the mapping that
+ * authenticate with their key are accepted. The endpoint is the API Gateway management URL
+ * used to send it commands.
+ * @param {Object} input - { authorization, charge_point_id (from the URL, optional), connection_id, endpoint }
+ */
+const connectChargePoint = async (input) => {
+    const { authorization, connection_id, endpoint } = input;
+    const now = new Date();
+
+    const auth = authenticateChargePoint({ authorization, charge_point_id: input.charge_point_id });
+    if (auth.error) return auth;
+
+    const { charge_point_id } = auth;
+    if (!chargePointConfig.charge_points[charge_point_id]) {
+        return { error: `Punto de carga ${charge_point_id} no registrado`, statusCode: 403 };
+    }
+
+    const chargePoint = await repositories.chargePoints.get(charge_point_id) || {
+        chargePointId: charge_point_id,
+        stationId: chargePointConfig.charge_points[charge_point_id].station_id,
+        connectors: {}
+    };
+
+    await repositories.chargePoints.save({
+        ...chargePoint,
+        connectionId: connection_id,
+        endpoint,
+        connectedAt: now.toISOString(),
+        lastSeenAt: now.toISOString()
+    });
+
+    return { charge_point_id, subprotocol: OCPP_SUBPROTOCOL };
+};
+
+/**
+ * Clear a charge point's WebSocket connection
+ * @param {Object} input - { connection_id }
+ */
+const disconnectChargePoint = async (input) => {
+    const { connection_id } = input;
+
+    const chargePoint = await loadChargePointByConnection(connection_id);
+    if (!chargePoint) return { disconnected: false };
+
+    const { connectionId, ...rest } = chargePoint;
+    await repositories.chargePoints.save({ ...rest, disconnectedAt: new Date().toISOString() });
+    return { disconnected: true, charge_point_id: chargePoint.chargePointId };
+};
+
+/**
+ * Handle an OCPP-J frame from a charge point and build the reply frame, if any
+ * @param {Object} input - { connection_id, message }
+ * @returns {Object} { reply, freed_charger } plus the reply's fields for CALLRESULT/CALLERROR;
+ *   freed_charger ({ station_id, charger_id }) when a connector just became Available
+ */
+const handleMessage = async (input) => {
+    const { connection_id, message } = input;
+    const now = new Date();
+
+    let frame;
+    try {
+        frame = JSON.parse(message);
+    } catch (error) {
+        return { reply: [MESSAGE_TYPES.CALLERROR, '-1', 'FormationViolation', 'Invalid JSON', {}] };
+    }
+
+    if (!Array.isArray(frame) || typeof frame[1] !== 'string') {
+        return { reply: [MESSAGE_TYPES.CALLERROR, '-1', 'FormationViolation', 'Invalid OCPP-J frame', {}] };
+    }
+
+    const [messageType, messageId, action, payload = {}] = frame;
+
+    // Replies to central system requests carry no reply of their own
+    if (messageType === MESSAGE_TYPES.CALLRESULT) {
+        return { reply: null, message_type: messageType, message_id: messageId, payload: frame[2] || {} };
+    }
+    if (messageType === MESSAGE_TYPES.CALLERROR) {
+        return {
+            reply: null,
+            message_type: messageType,
+            message_id: messageId,
+            error_code: frame[2],
+            error_description: frame[3]
+        };
+    }
+    if (messageType !== MESSAGE_TYPES.CALL) {
+        return { reply: [MESSAGE_TYPES.CALLERROR, messageId, 'FormationViolation', `Unknown message type ${messageType}`, {}] };
+    }
+
+    const chargePoint = await loadChargePointByConnection(connection_id);
+    if (!chargePoint) {
+        return { reply: [MESSAGE_TYPES.CALLERROR, messageId, 'SecurityError', 'Unknown connection', {}] };
+    }
+
+    const handler = ACTIONS[action];
+    if (!handler) {
+        return { reply: [MESSAGE_TYPES.CALLERROR, messageId, 'NotImplemented', `Action ${action} not supported`, {}] };
+    }
+
+    const missing = REQUIRED_FIELDS[action].filter(f => payload[f] === undefined || payload[f] === null);
+    if (missing.length > 0) {
+        return {
+            reply: [MESSAGE_TYPES.CALLERROR, messageId, 'ProtocolViolation', `Missing required field(s): ${missing.join(', ')}`, {}]
+        };
+    }
+
+    const previousStatus = chargePoint.connectors?.[String(payload.connectorId)]?.status;
+    const result = await handler(chargePoint, payload, now);
+    await repositories.chargePoints.save({ ...chargePoint, lastSeenAt: now.toISOString() });
+
+    // A connector that just became Available can take the next driver in the station's queue
+    const chargerId = getChargerId(chargePoint.chargePointId, payload.connectorId);
+    const freed = action === 'StatusNotification' && payload.status === 'Available' &&
+        previousStatus !== 'Available' && chargerId;
+    return {
+        reply: [MESSAGE_TYPES.CALLRESULT, messageId, result],
+        freed_charger: freed ? { station_id: chargePoint.stationId, charger_id: chargerId } : null
+    };
+};
+
+/**
+ * Record a connector's availability after the charge point accepted ChangeAvailability.
+ * Connector 0 applies to the whole charge point.
+ * @param {Object} input - { charge_point_id, connector_id, availability }
+ */
+const setAvailability = async (input) => {
+    const { charge_point_id, connector_id, availability } = input;
+    const now = new Date();
+
+    const chargePoint = await repositories.chargePoints.get(charge_point_id);
+    if (!chargePoint) {
+        return { error: `Punto de carga ${charge_point_id} no encontrado`, statusCode: 404 };
+    }
+
+    if (connector_id === 0) {
+        chargePoint.availability = availability;
+    } else {
+        updateConnector(chargePoint, connector_id, { availability }, now);
+    }
+    await repositories.chargePoints.save(chargePoint);
+
+    return { charge_point_id, connector_id, availability };
+};
+
+/**
+ * Live connector state reported over OCPP, indexed by charger id. Only charge points
+ * that are connected and have been heard from recently are included, except connectors
+ * set Inoperative, which stay in maintenance until made Operative again.
+ */
+const getOcppChargerStates = async (now = new Date()) => {
+    const chargePoints = await repositories.chargePoints.list();
+    const states = {};
+
+    chargePoints.forEach(cp => {
+        const live = !!cp.connectionId && !isStale(cp, now);
+        // A faulted or unavailable charge point takes all its connectors down
+        const pointDown = ['Unavailable', 'Faulted'].includes(cp.status?.status);
+
+        Object.entries(cp.connectors || {}).forEach(([connectorId, connector]) => {
+            if (!connector.chargerId) return;
+
+            const inoperative = cp.availability === 'Inoperative' || connector.availability === 'Inoperative';
+            if (!inoperative && (!live || !connector.status)) return;
+
+            states[connector.chargerId] = {
+                status: inoperative || pointDown ? 'maintenance' : (STATUS_MAP[connector.status] || 'maintenance'),
+                ocpp_status: connector.status,
+                availability: inoperative ? 'Inoperative' : 'Operative',
+                error_code: connector.errorCode,
+                charge_point_id: cp.chargePointId,
+                connector_id: Number(connectorId),
+                transaction_id: connector.transactionId || null,
+                power_kw: live ? connector.meter?.power_kw : 0,
+                energy_wh: connector.meter?.energy_wh,
+                soc: connector.meter?.soc,
+                updated_at: connector.updatedAt
+            };
+        });
+    });
+
+    return states;
+};
+
+const formatChargePoint = (chargePoint, now = new Date()) => ({
+    charge_point_id: chargePoint.chargePointId,
+    station_id: chargePoint.stationId,
+    connected: !!chargePoint.connectionId,
+    stale: chargePoint.connectionId ? isStale(chargePoint, now) : null,
+    registration_status: chargePoint.registrationStatus || null,
+    availability: chargePoint.availability || 'Operative',
+    boot: chargePoint.boot || null,
+    status: chargePoint.status || null,
+    last_seen_at: chargePoint.lastSeenAt || null,
+    connectors: Object.entries(chargePoint.connectors || {}).map(([connectorId, c]) => ({
+        connector_id: Number(connectorId),
+        charger_id: c.chargerId,
+        status: c.status,
+        availability: c.availability || 'Operative',
+        error_code: c.errorCode,
+        transaction_id: c.transactionId || null,
+        meter: c.meter || null,
+        updated_at: c.updatedAt
+    }))
+});
+
+/**
+ * Known charge points with their connection and connector state
+ * @param {Object} input - { station_id }
+ */
+const getChargePoints = async (input = {}) => {
+    const { station_id } = input;
+    const now = new Date();
+    const stored = await repositories.chargePoints.list();
+
+    const chargePoints = Object.entries(chargePointConfig.charge_points)
+        .filter(([, config]) => !station_id || config.station_id === station_id)
+        .map(([chargePointId, config]) => formatChargePoint(
+            stored.find(cp => cp.chargePointId === chargePointId) || { chargePointId, stationId: config.station_id },
+            now
+        ));
+
+    return { count: chargePoints.length, charge_points: chargePoints };
+};
+
+module.exports = {
+    connectChargePoint,
+    disconnectChargePoint,
+    handleMessage,
+    setAvailability,
+    getOcppChargerStates,
+    getChargePoints,
+    getChargerId,
+    getChargerConnector,
+    OCPP_SUBPROTOCOL,
+    MESSAGE_TYPES
+};
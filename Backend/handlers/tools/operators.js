@@ -0,0 +1,51 @@
+/**
+ * Copec EV Agent - Operator Authentication
+ * Back-office endpoints (catalog import, OCPP commands, OCPI registrations) are for Copec
+ * operators, who send their API key as `Authorization: Bearer <key>`. Keys are configured in
+ * OPERATOR_API_KEYS as comma-separated `<operatorId>:<key>` pairs; with none configured every
+ * operator request is refused. Charge point keys (ocpp.js) use the same format.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * `{ id, key }` for each `<id>:<key>` pair of a comma-separated setting. Entries without a
+ * ':' are malformed and ignored, never read as a key.
+ */
+const parseKeyPairs = (setting) => (setting || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(pair => pair.includes(':'))
+    .map(pair => ({ id: pair.slice(0, pair.indexOf(':')), key: pair.slice(pair.indexOf(':') + 1) }))
+    .filter(({ id, key }) => id && key);
+
+// Constant-time comparison so the key can't be guessed from response times
+const sameKey = (a, b) => {
+    const left = crypto.createHash('sha256').update(a).digest();
+    const right = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Operator making a request
+ * @param {Object} input - { authorization } (the Authorization header)
+ * @returns {Object} { operator_id }, or { error, statusCode } when the key is missing or unknown
+ */
+const authenticateOperator = ({ authorization }) => {
+    const key = /^Bearer\s+(\S+)\s*$/i.exec(authorization || '')?.[1];
+    if (!key) {
+        return { error: 'Se requiere la clave de operador (Authorization: Bearer <clave>)', statusCode: 401 };
+    }
+
+    const operator = parseKeyPairs(process.env.OPERATOR_API_KEYS).find(candidate => sameKey(candidate.key, key));
+    if (!operator) {
+        return { error: 'Clave de operador no válida', statusCode: 403 };
+    }
+    return { operator_id: operator.id };
+};
+
+module.exports = {
+    authenticateOperator,
+    parseKeyPairs,
+    sameKey
+};
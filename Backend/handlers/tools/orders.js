@@ -0,0 +1,472 @@
+/**
+ * Copec EV Agent - Food Order Tools
+ * Pre-ordering from Pronto Copec / Street Burger while charging: availability at pickup
+ * time, promotions, attachment to a charging session and order status tracking
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const { findProduct, checkTimeAvailability, evaluatePromotions } = require('./products');
+const { getSession, estimateTimeToSoc } = require('./sessions');
+const { getLocalTime, TIME_ZONE } = require('./tariffs');
+const { accruePoints } = require('./points');
+
+// Preparation time (minutes) by kitchen
+const PREP_MINUTES = {
+    pronto_copec: 5,
+    street_burger: 15
+};
+
+// Allowed status transitions
+const ORDER_STATUS_FLOW = {
+    received: ['preparing', 'cancelled'],
+    preparing: ['ready'],
+    ready: ['picked_up'],
+    picked_up: [],
+    cancelled: []
+};
+
+const STATUS_LABELS = {
+    received: 'Recibido',
+    preparing: 'En preparación',
+    ready: 'Listo para retirar',
+    picked_up: 'Retirado',
+    cancelled: 'Cancelado'
+};
+
+const MAX_ADVANCE_HOURS = 24;
+
+const localClockFormatter = new Intl.DateTimeFormat('es-CL', {
+    timeZone: TIME_ZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+const toLocalHHMM = (date) => {
+    const { minutes } = getLocalTime(date);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const kitchenFor = (product) => (product.partner === 'Street Burger' ? 'street_burger' : 'pronto_copec');
+
+/**
+ * Whether a kitchen operates at a station and its opening hours.
+ * Stations without venue data have Pronto Copec 24/7, like search_products assumes.
+ */
+const getKitchen = (venue, kitchen) => {
+    const service = venue?.services?.[kitchen];
+    if (kitchen === 'pronto_copec') {
+        return { available: service?.available !== false, hours: service?.hours || '24/7' };
+    }
+    return { available: !!service?.available, hours: service?.hours || '11:00-23:00' };
+};
+
+/**
+ * Resolve the pickup time: explicit, or when the attached session reaches ready_at_soc
+ */
+const resolvePickup = async ({ pickup_time, ready_at_soc, session }) => {
+    if (ready_at_soc !== undefined) {
+        if (!session) {
+            return { error: 'ready_at_soc requiere una sesión de carga (session_id)', statusCode: 400 };
+        }
+        if (typeof ready_at_soc !== 'number' || ready_at_soc <= session.startSoc || ready_at_soc > 100) {
+            return { error: 'ready_at_soc debe estar entre el SoC inicial de la sesión y 100', statusCode: 400 };
+        }
+        return { pickupTime: await estimateTimeToSoc(session, ready_at_soc) };
+    }
+
+    if (pickup_time) {
+        const pickupTime = new Date(pickup_time);
+        if (isNaN(pickupTime.getTime())) {
+            return { error: 'pickup_time debe ser una fecha ISO 8601 válida', statusCode: 400 };
+        }
+        return { pickupTime };
+    }
+
+    return { pickupTime: null };
+};
+
+/**
+ * Build an order draft: validate items, check availability at pickup time and apply promotions
+ * @param {Object} input - { station_id, items, user_id, session_id, pickup_time, ready_at_soc }
+ */
+const buildOrder = async (input) => {
+    const { station_id, items = [], user_id, session_id, pickup_time, ready_at_soc } = input;
+    const now = new Date();
+
+    if (!station_id) {
+        return { error: 'Se requiere station_id', statusCode: 400 };
+    }
+    const station = await repositories.stations.get(station_id);
+    if (!station) {
+        return { error: `Estación ${station_id} no encontrada`, statusCode: 404 };
+    }
+    if (items.length === 0) {
+        return { error: 'El pedido debe tener al menos un producto', statusCode: 400 };
+    }
+
+    let session = null;
+    if (session_id) {
+        const result = await getSession({ session_id });
+        if (result.error) {
+            return result;
+        }
+        session = result.session;
+        if (session.status !== 'active') {
+            return { error: 'Solo se pueden asociar pedidos a sesiones de carga activas', statusCode: 409 };
+        }
+        if (session.stationId !== station_id) {
+            return { error: `La sesión ${session_id} es en otra estación (${session.stationId})`, statusCode: 409 };
+        }
+        if (user_id && session.userId !== user_id) {
+            return { error: 'La sesión de carga pertenece a otro usuario', statusCode: 403 };
+        }
+    }
+
+    const pickup = await resolvePickup({ pickup_time, ready_at_soc, session });
+    if (pickup.error) {
+        return pickup;
+    }
+
+    // Resolve products and the kitchens that prepare them
+    const products = [];
+    for (const item of items) {
+        const product = findProduct(item.product_id);
+        if (!product) {
+            return { error: `Producto ${item.product_id} no encontrado`, statusCode: 404 };
+        }
+        products.push({ ...product, quantity: item.quantity === undefined ? 1 : item.quantity });
+    }
+
+    const prepMinutes = Math.max(...products.map(p => PREP_MINUTES[kitchenFor(p)]));
+    const earliestPickup = new Date(now.getTime() + prepMinutes * 60000);
+    const pickupTime = pickup.pickupTime && pickup.pickupTime > earliestPickup
+        ? pickup.pickupTime
+        : earliestPickup;
+
+    if (pickupTime - now > MAX_ADVANCE_HOURS * 3600000) {
+        return { error: `Los pedidos se aceptan con hasta ${MAX_ADVANCE_HOURS} horas de anticipación`, statusCode: 400 };
+    }
+
+    // Availability of each item at pickup time (kitchen open and product hours)
+    const pickupClock = toLocalHHMM(pickupTime);
+    const venue = await repositories.venues.get(station_id);
+    const availability = products.map(product => {
+        const kitchen = getKitchen(venue, kitchenFor(product));
+        let reason = null;
+        if (!kitchen.available) {
+            reason = `${product.partner || 'Pronto Copec'} no está disponible en esta estación`;
+        } else if (!checkTimeAvailability(kitchen.hours, pickupClock)) {
+            reason = `${product.partner || 'Pronto Copec'} atiende ${kitchen.hours}`;
+        } else if (!checkTimeAvailability(product.available_hours, pickupClock)) {
+            reason = `Disponible solo entre ${product.available_hours.replace('-', ' y ')}`;
+        }
+        return { product_id: product.id, name: product.name, available: !reason, reason };
+    });
+
+    // Promotions for the cart, using the charge expected by pickup time (e.g. Combo Carga + Almuerzo)
+    const projectedKwh = session && ready_at_soc !== undefined
+        ? Math.round((ready_at_soc - session.startSoc) / 100 * session.batteryCapacityKwh * 100) / 100
+        : undefined;
+    const pricing = await evaluatePromotions({
+        station_id,
+        items,
+        user_id: user_id || session?.userId,
+        session_id,
+        session: session ? { active: true, kwh: projectedKwh } : undefined,
+        time: pickupTime.toISOString()
+    });
+    if (pricing.error) {
+        return pricing;
+    }
+
+    return {
+        station,
+        session,
+        availability,
+        pricing,
+        prepMinutes,
+        pickupTime,
+        adjusted: !!pickup.pickupTime && pickup.pickupTime < earliestPickup
+    };
+};
+
+const formatReadyMessage = (order) => {
+    const clock = localClockFormatter.format(new Date(order.pickupTime));
+    return order.readyAtSoc
+        ? `Tu pedido estará listo a las ${clock}, cuando tu batería llegue a ${order.readyAtSoc}%.`
+        : `Tu pedido estará listo para retirar a las ${clock}.`;
+};
+
+const formatOrder = (order) => ({
+    order_id: order.orderId,
+    user_id: order.userId,
+    station_id: order.stationId,
+    session_id: order.sessionId,
+    status: order.status,
+    status_label: STATUS_LABELS[order.status],
+    items: order.items,
+    promotions: order.promotions,
+    totals: order.totals,
+    pickup_time: order.pickupTime,
+    ready_at_soc: order.readyAtSoc,
+    prep_minutes: order.prepMinutes,
+    ready_message: order.status === 'cancelled' ? null : formatReadyMessage(order),
+    status_history: order.statusHistory,
+    created_at: order.createdAt,
+    updated_at: order.updatedAt
+});
+
+/**
+ * Quote a cart without placing the order: availability at pickup time, promotions and total
+ * @param {Object} input - { station_id, items: [{ product_id, quantity }], user_id, session_id, pickup_time, ready_at_soc }
+ */
+const quoteOrder = async (input) => {
+    const draft = await buildOrder(input);
+    if (draft.error) {
+        return draft;
+    }
+
+    return {
+        station_id: draft.station.id,
+        station_name: draft.station.name,
+        session_id: draft.session?.sessionId,
+        pickup_time: draft.pickupTime.toISOString(),
+        pickup_time_adjusted: draft.adjusted,
+        prep_minutes: draft.prepMinutes,
+        can_order: draft.availability.every(a => a.available),
+        availability: draft.availability,
+        items: draft.pricing.items,
+        promotions: draft.pricing.applied_promotions,
+        totals: draft.pricing.totals
+    };
+};
+
+/**
+ * Place a food order for pickup at a station, optionally attached to a charging session
+ * @param {Object} input - { station_id, items: [{ product_id, quantity }], user_id, session_id, pickup_time, ready_at_soc }
+ */
+const createOrder = async (input) => {
+    const { user_id, session_id, ready_at_soc } = input;
+    const now = new Date();
+
+    if (!user_id) {
+        return { error: 'Se requiere user_id', statusCode: 400 };
+    }
+
+    const draft = await buildOrder(input);
+    if (draft.error) {
+        return draft;
+    }
+
+    const unavailable = draft.availability.filter(a => !a.available);
+    if (unavailable.length > 0) {
+        return {
+            error: `Productos no disponibles a la hora de retiro: ${unavailable.map(a => a.name).join(', ')}`,
+            statusCode: 409,
+            availability: draft.availability
+        };
+    }
+
+    const order = {
+        orderId: uuidv4(),
+        userId: user_id,
+        stationId: draft.station.id,
+        sessionId: session_id || null,
+        items: draft.pricing.items,
+        promotions: draft.pricing.applied_promotions,
+        totals: draft.pricing.totals,
+        pickupTime: draft.pickupTime.toISOString(),
+        readyAtSoc: ready_at_soc ?? null,
+        prepMinutes: draft.prepMinutes,
+        status: 'received',
+        statusHistory: [{ status: 'received', at: now.toISOString() }],
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+
+    await repositories.orders.save(order);
+
+    return { order: formatOrder(order) };
+};
+
+/**
+ * Attach an existing order to a charging session, optionally timing pickup to a state of charge
+ * @param {Object} input - { order_id, session_id, ready_at_soc }
+ */
+const attachOrderToSession = async (input) => {
+    const { order_id, session_id, ready_at_soc } = input;
+
+    const order = await repositories.orders.get(order_id);
+    if (!order) {
+        return { error: `Pedido ${order_id} no encontrado`, statusCode: 404 };
+    }
+    if (order.status !== 'received') {
+        return { error: `El pedido ya está ${STATUS_LABELS[order.status].toLowerCase()}`, statusCode: 409 };
+    }
+    if (!session_id) {
+        return { error: 'Se requiere session_id', statusCode: 400 };
+    }
+
+    const draft = await buildOrder({
+        station_id: order.stationId,
+        items: order.items.map(i => ({ product_id: i.product_id, quantity: i.quantity })),
+        user_id: order.userId,
+        session_id,
+        pickup_time: ready_at_soc === undefined ? order.pickupTime : undefined,
+        ready_at_soc
+    });
+    if (draft.error) {
+        return draft;
+    }
+
+    const unavailable = draft.availability.filter(a => !a.available);
+    if (unavailable.length > 0) {
+        return {
+            error: `Productos no disponibles a la nueva hora de retiro: ${unavailable.map(a => a.name).join(', ')}`,
+            statusCode: 409,
+            availability: draft.availability
+        };
+    }
+
+    const updated = {
+        ...order,
+        sessionId: session_id,
+        items: draft.pricing.items,
+        promotions: draft.pricing.applied_promotions,
+        totals: draft.pricing.totals,
+        pickupTime: draft.pickupTime.toISOString(),
+        readyAtSoc: ready_at_soc ?? order.readyAtSoc,
+        updatedAt: new Date().toISOString()
+    };
+
+    await repositories.orders.save(updated);
+
+    return { order: formatOrder(updated) };
+};
+
+/**
+ * Credit the points for a picked-up order. When the ledger is busy the order keeps its
+ * points pending and setting picked_up again retries; accrual is keyed on the order, so it
+ * never credits twice.
+ */
+const creditOrderPoints = async (order, now) => {
+    const points = await accruePoints({
+        user_id: order.userId,
+        amount_clp: order.totals.total_clp,
+        order_id: order.orderId,
+        description: `Pedido de comida en ${order.stationId}`,
+        date: now
+    });
+
+    const updated = {
+        ...order,
+        pointsPending: Boolean(points.error),
+        pointsEarned: points.error ? undefined : points.earned.points,
+        updatedAt: now.toISOString()
+    };
+    await repositories.orders.save(updated);
+
+    const result = { order: { ...formatOrder(updated), points_earned: updated.pointsEarned } };
+    return points.error ? { ...result, points_error: points.error } : result;
+};
+
+/**
+ * Move an order to its next status (received → preparing → ready → picked_up)
+ * @param {Object} input - { order_id, status }
+ */
+const updateOrderStatus = async (input) => {
+    const { order_id, status } = input;
+    const now = new Date();
+
+    const order = await repositories.orders.get(order_id);
+    if (!order) {
+        return { error: `Pedido ${order_id} no encontrado`, statusCode: 404 };
+    }
+    if (!ORDER_STATUS_FLOW[status]) {
+        return { error: `Estado inválido: ${status}`, statusCode: 400, valid_statuses: Object.keys(ORDER_STATUS_FLOW) };
+    }
+    // Already picked up, but its points couldn't be credited then: only retry that
+    if (status === 'picked_up' && order.status === 'picked_up' && order.pointsPending) {
+        return creditOrderPoints(order, new Date(order.updatedAt));
+    }
+    if (!ORDER_STATUS_FLOW[order.status].includes(status)) {
+        return {
+            error: `No se puede pasar de "${STATUS_LABELS[order.status]}" a "${STATUS_LABELS[status]}"`,
+            statusCode: 409
+        };
+    }
+
+    const updated = {
+        ...order,
+        status,
+        statusHistory: [...order.statusHistory, { status, at: now.toISOString() }],
+        updatedAt: now.toISOString()
+    };
+
+    if (status !== 'picked_up') {
+        await repositories.orders.save(updated);
+        return { order: formatOrder(updated) };
+    }
+
+    // Purchases earn Copec points once picked up; the pickup is saved first so it stands
+    // even if the points can't be credited yet
+    await repositories.orders.save({ ...updated, pointsPending: true });
+    return creditOrderPoints({ ...updated, pointsPending: true }, now);
+};
+
+/**
+ * Get an order and its status
+ * @param {Object} input - { order_id }
+ */
+const getOrder = async (input) => {
+    const { order_id } = input;
+
+    const order = await repositories.orders.get(order_id);
+    if (!order) {
+        return { error: `Pedido ${order_id} no encontrado`, statusCode: 404 };
+    }
+
+    return { order: formatOrder(order) };
+};
+
+/**
+ * List orders, optionally filtered by user, session, station and status
+ * @param {Object} input - { user_id, session_id, station_id, status, limit }
+ */
+const listOrders = async (input = {}) => {
+    const { user_id, session_id, station_id, status, limit = 20 } = input;
+
+    let orders = user_id
+        ? await repositories.orders.query('userId', user_id)
+        : await repositories.orders.list();
+
+    if (session_id) {
+        orders = orders.filter(o => o.sessionId === session_id);
+    }
+    if (station_id) {
+        orders = orders.filter(o => o.stationId === station_id);
+    }
+    if (status) {
+        orders = orders.filter(o => o.status === status);
+    }
+
+    orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+        count: Math.min(orders.length, limit),
+        filter: { user_id, session_id, station_id, status },
+        orders: orders.slice(0, limit).map(formatOrder)
+    };
+};
+
+module.exports = {
+    quoteOrder,
+    createOrder,
+    attachOrderToSession,
+    updateOrderStatus,
+    getOrder,
+    listOrders,
+    ORDER_STATUS_FLOW
+};
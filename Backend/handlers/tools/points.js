@@ -0,0 +1,343 @@
+/**
+ * Copec EV Agent - Copec Points Tools
+ * Points ledger following the Programa de Puntos Copec in policies-rules.md:
+ * accrual with membership multipliers and promotions, redemption and expiry
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const { buildContext, evaluateRules } = require('./promotions');
+
+const CLP_PER_POINT = 100;          // $100 CLP = 1 punto Copec
+const EXPIRY_INACTIVITY_MONTHS = 12; // Points expire after 12 months without activity
+
+// Points multiplier by membership tier
+const TIER_POINTS_MULTIPLIERS = {
+    bronze: 1,
+    silver: 1.2,
+    gold: 1.5,
+    platinum: 2
+};
+
+// Redemption catalog
+const REDEMPTION_CATALOG = [
+    {
+        reward_id: 'charging_credit_500',
+        name: '$500 CLP en carga',
+        points: 1000,
+        type: 'charging_credit',
+        value_clp: 500
+    },
+    {
+        reward_id: 'pronto_coffee',
+        name: 'Café gratis en Pronto',
+        points: 5000,
+        type: 'product',
+        product_id: 'bkf_002'
+    },
+    {
+        reward_id: 'street_burger_combo',
+        name: 'Combo Street Burger',
+        points: 10000,
+        type: 'product',
+        product_id: 'lch_001',
+        partner: 'Street Burger'
+    },
+    {
+        reward_id: 'free_full_charge',
+        name: 'Carga completa gratis',
+        points: 50000,
+        type: 'free_charge'
+    }
+];
+
+// Entries that count as account activity for expiry purposes
+const ACTIVITY_TYPES = ['opening_balance', 'accrual', 'redemption'];
+
+// A write that lost a race reloads the ledger and tries again, up to this many times
+const MAX_LEDGER_ATTEMPTS = 3;
+const SEQUENCE_DIGITS = 8;
+
+const sumPoints = (entries) => entries.reduce((sum, e) => sum + e.points, 0);
+
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+};
+
+// Entry ids are the entry's position in the user's ledger, zero-padded so they sort in order.
+// Entries are inserted, never overwritten: two writes based on the same ledger claim the same
+// id, so the second one fails instead of recording a stale balance
+const createEntry = (userId, entries, fields, createdAt) => {
+    const balance = sumPoints(entries) + fields.points;
+    return {
+        userId,
+        entryId: String(entries.length).padStart(SEQUENCE_DIGITS, '0'),
+        ...fields,
+        balance,
+        createdAt: createdAt.toISOString()
+    };
+};
+
+const getLastActivity = (entries) => {
+    const activity = entries.filter(e => ACTIVITY_TYPES.includes(e.type));
+    return activity.length > 0 ? new Date(activity[activity.length - 1].createdAt) : null;
+};
+
+/**
+ * Load a user's ledger, opening it with the points held before the ledger existed
+ * and expiring the balance after 12 months of inactivity.
+ */
+const loadLedger = async (userId, now = new Date()) => {
+    const entries = await repositories.points.query('userId', userId);
+
+    if (entries.length === 0) {
+        const openingPoints = (await repositories.users.get(userId))?.copec_points || 0;
+        if (openingPoints > 0) {
+            entries.push(await repositories.points.insert(createEntry(userId, entries, {
+                type: 'opening_balance',
+                points: openingPoints,
+                description: 'Saldo inicial de puntos Copec'
+            }, now)));
+        }
+    }
+
+    const lastActivity = getLastActivity(entries);
+    const balance = sumPoints(entries);
+    if (lastActivity && balance > 0) {
+        const expiresAt = addMonths(lastActivity, EXPIRY_INACTIVITY_MONTHS);
+        if (expiresAt <= now) {
+            entries.push(await repositories.points.insert(createEntry(userId, entries, {
+                type: 'expiry',
+                points: -balance,
+                description: `Vencimiento por ${EXPIRY_INACTIVITY_MONTHS} meses de inactividad`
+            }, expiresAt)));
+        }
+    }
+
+    return entries;
+};
+
+/**
+ * Load the user's ledger and run `update` on it. When another write appended an entry in
+ * between, the ledger is reloaded and `update` runs again on the new balance.
+ */
+const withLedger = async (userId, now, update) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await update(await loadLedger(userId, now));
+        } catch (error) {
+            if (!repositories.isConditionFailed(error)) throw error;
+            if (attempt >= MAX_LEDGER_ATTEMPTS) {
+                return { error: 'Tus puntos se están actualizando en otra operación, intenta de nuevo', statusCode: 409 };
+            }
+        }
+    }
+};
+
+const formatEntry = (entry) => ({
+    entry_id: entry.entryId,
+    type: entry.type,
+    points: entry.points,
+    balance_after: entry.balance,
+    description: entry.description,
+    session_id: entry.sessionId,
+    order_id: entry.orderId,
+    reward_id: entry.rewardId,
+    voucher_code: entry.voucherCode,
+    multipliers: entry.multipliers,
+    created_at: entry.createdAt
+});
+
+const getMembershipTier = async (userId) => (await repositories.users.get(userId))?.membership_tier || 'bronze';
+
+/**
+ * Points multipliers that apply to a purchase: membership tier and active
+ * promotions (e.g. promo_004 Puntos Dobles on Tuesdays and Thursdays)
+ * @param {Object} input - { membership_tier, date }
+ */
+const getPointsMultipliers = ({ membership_tier = 'bronze', date = new Date() }) => {
+    const tier = TIER_POINTS_MULTIPLIERS[membership_tier] ? membership_tier : 'bronze';
+    const multipliers = [{
+        source: 'membership_tier',
+        label: `Membresía ${tier.charAt(0).toUpperCase()}${tier.slice(1)}`,
+        multiplier: TIER_POINTS_MULTIPLIERS[tier]
+    }];
+
+    evaluateRules(buildContext({ date, user: { membership_tier: tier } }))
+        .filter(e => e.status === 'applies' && e.promotion.benefit.type === 'points_multiplier')
+        .forEach(({ promotion }) => multipliers.push({
+            source: promotion.id,
+            label: promotion.name,
+            multiplier: promotion.benefit.value
+        }));
+
+    return multipliers;
+};
+
+/**
+ * Points earned for an amount paid: 1 point per $100 CLP times the stacked multipliers
+ * @param {Object} input - { amount_clp, membership_tier, date }
+ */
+const calculatePointsEarned = ({ amount_clp, membership_tier, date }) => {
+    const basePoints = Math.floor(Math.max(0, amount_clp) / CLP_PER_POINT);
+    const multipliers = getPointsMultipliers({ membership_tier, date });
+    const multiplier = multipliers.reduce((product, m) => product * m.multiplier, 1);
+
+    return {
+        base_points: basePoints,
+        multiplier: Math.round(multiplier * 100) / 100,
+        multipliers,
+        points: Math.floor(basePoints * multiplier)
+    };
+};
+
+/**
+ * Credit points for a completed purchase (e.g. a charging session or a food order). A
+ * purchase is credited once: accruing again for the same session_id or order_id returns
+ * the existing entry.
+ * @param {Object} input - { user_id, amount_clp, session_id, order_id, description, date }
+ */
+const accruePoints = async (input) => {
+    const { user_id, amount_clp, session_id, order_id, description, date } = input;
+    const now = date ? new Date(date) : new Date();
+
+    if (!user_id || typeof amount_clp !== 'number') {
+        return { error: 'Se requieren user_id y amount_clp', statusCode: 400 };
+    }
+
+    const earned = calculatePointsEarned({
+        amount_clp,
+        membership_tier: await getMembershipTier(user_id),
+        date: now
+    });
+
+    return withLedger(user_id, now, async (entries) => {
+        const credited = entries.find(e => e.type === 'accrual' &&
+            ((session_id && e.sessionId === session_id) || (order_id && e.orderId === order_id)));
+        if (credited) {
+            return {
+                earned: { ...earned, points: credited.points, multipliers: credited.multipliers },
+                entry: formatEntry(credited),
+                balance: sumPoints(entries),
+                already_credited: true
+            };
+        }
+        if (earned.points === 0) {
+            return { earned, balance: sumPoints(entries) };
+        }
+
+        const entry = await repositories.points.insert(createEntry(user_id, entries, {
+            type: 'accrual',
+            points: earned.points,
+            description: description || `Compra por $${Math.round(amount_clp).toLocaleString('es-CL')} CLP`,
+            sessionId: session_id,
+            orderId: order_id,
+            amountClp: Math.round(amount_clp),
+            multipliers: earned.multipliers
+        }, now));
+
+        return { earned, entry: formatEntry(entry), balance: entry.balance };
+    });
+};
+
+/**
+ * Redeem points for a reward in the catalog
+ * @param {Object} input - { user_id, reward_id }
+ */
+const redeemPoints = async (input) => {
+    const { user_id, reward_id } = input;
+    const now = new Date();
+
+    if (!user_id || !reward_id) {
+        return { error: 'Se requieren user_id y reward_id', statusCode: 400 };
+    }
+
+    const reward = REDEMPTION_CATALOG.find(r => r.reward_id === reward_id);
+    if (!reward) {
+        return {
+            error: `Recompensa ${reward_id} no encontrada`,
+            statusCode: 404,
+            available_rewards: REDEMPTION_CATALOG.map(r => r.reward_id)
+        };
+    }
+
+    return withLedger(user_id, now, async (entries) => {
+        const balance = sumPoints(entries);
+        if (balance < reward.points) {
+            return {
+                error: `Puntos insuficientes: tienes ${balance} y ${reward.name} requiere ${reward.points}`,
+                statusCode: 409,
+                balance,
+                points_missing: reward.points - balance
+            };
+        }
+
+        const voucherCode = `CPC-${uuidv4().slice(0, 8).toUpperCase()}`;
+        const entry = await repositories.points.insert(createEntry(user_id, entries, {
+            type: 'redemption',
+            points: -reward.points,
+            description: `Canje: ${reward.name}`,
+            rewardId: reward.reward_id,
+            voucherCode
+        }, now));
+
+        return {
+            redemption: {
+                reward,
+                voucher_code: voucherCode,
+                points_used: reward.points,
+                redeemed_at: entry.createdAt
+            },
+            entry: formatEntry(entry),
+            balance: entry.balance
+        };
+    });
+};
+
+/**
+ * Points balance, expiry date, redeemable rewards and ledger history
+ * @param {Object} input - { user_id, limit }
+ */
+const getPointsBalance = async (input) => {
+    const { user_id, limit = 20 } = input;
+    const now = new Date();
+
+    if (!user_id) {
+        return { error: 'Se requiere user_id', statusCode: 400 };
+    }
+
+    const membershipTier = await getMembershipTier(user_id);
+    return withLedger(user_id, now, async (entries) => {
+        const balance = sumPoints(entries);
+        const lastActivity = getLastActivity(entries);
+        return {
+            user_id,
+            balance,
+            membership_tier: membershipTier,
+            points_multiplier: TIER_POINTS_MULTIPLIERS[membershipTier] || 1,
+            todays_multipliers: getPointsMultipliers({ membership_tier: membershipTier, date: now }),
+            last_activity_at: lastActivity ? lastActivity.toISOString() : null,
+            expires_at: lastActivity && balance > 0
+                ? addMonths(lastActivity, EXPIRY_INACTIVITY_MONTHS).toISOString()
+                : null,
+            rewards: REDEMPTION_CATALOG.map(reward => ({
+                ...reward,
+                can_redeem: balance >= reward.points,
+                points_missing: Math.max(0, reward.points - balance)
+            })),
+            history: entries.slice().reverse().slice(0, limit).map(formatEntry)
+        };
+    });
+};
+
+module.exports = {
+    getPointsBalance,
+    accruePoints,
+    redeemPoints,
+    calculatePointsEarned,
+    getPointsMultipliers,
+    TIER_POINTS_MULTIPLIERS,
+    REDEMPTION_CATALOG
+};
@@ -3,23 +3,26 @@
  * Handles charging cost calculations and trip cost estimates
  */
 
-const stations = require('../../data/stations_geo.json');
+const repositories = require('../repositories');
 const { calculateRoute, calculateHaversineDistance, isStationAlongRoute } = require('./routing');
-
-// Pricing configuration (from stations metadata)
-const PRICING = {
-    fast_charging_per_kwh: stations.metadata?.pricing?.fast_charging_per_kwh || 250,
-    slow_charging_per_kwh: stations.metadata?.pricing?.slow_charging_per_kwh || 180,
-    currency: 'CLP'
-};
-
-// User type discounts
-const USER_DISCOUNTS = {
-    individual: 0,
-    premium: 0.10,      // 10% discount
-    fleet: 0.15,        // 15% discount
-    business: 0.20      // 20% discount
-};
+const {
+    calculateTariff,
+    calculateOverstayPenalty,
+    TARIFF_TIERS,
+    PRICING,
+    USER_DISCOUNTS
+} = require('./tariffs');
+const { calculatePointsEarned } = require('./points');
+const { simulateStation, getUsageModel } = require('./simulator');
+const { resolveVehicleCompatibility, checkCharger, filterCompatibleChargers } = require('./compatibility');
+const { getStationIndex, getDetourBufferKm } = require('./spatial');
+const { resolveVehicleModel, predictRouteEnergy, getSocPerKm } = require('./energy');
+const {
+    resolveChargingProfile,
+    getStationPowerLimit,
+    estimateChargingSession,
+    getSocAfterMinutes
+} = require('./charging-curve');
 
 // Charging speeds (kW)
 const CHARGER_POWER = {
@@ -27,17 +30,55 @@ const CHARGER_POWER = {
     slow: 50
 };
 
+// Reference charger for each tariff tier, used when no specific charger is known
+const TIER_CHARGERS = {
+    dc_150: { type: 'fast', power: 150, connector: 'CCS2' },
+    ac_50: { type: 'slow', power: 50, connector: 'Type2' },
+    ac_22: { type: 'slow', power: 22, connector: 'Type2' }
+};
+
+/**
+ * Resolve the charger a session will use: a specific charger, the first of the
+ * requested type at a station, or a reference charger for the type
+ */
+const resolveCharger = async ({ station_id, charger_id, charger_type }) => {
+    const station = station_id ? await repositories.stations.get(station_id) : null;
+
+    if (station_id && !station) {
+        return { error: `Estación ${station_id} no encontrada` };
+    }
+
+    if (charger_id) {
+        const charger = station?.chargers.find(c => c.id === charger_id);
+        if (!charger) {
+            return { error: `Cargador ${charger_id} no encontrado${station_id ? ` en ${station_id}` : ''}` };
+        }
+        return { charger, station };
+    }
+
+    const stationCharger = station?.chargers.find(c => c.type === charger_type);
+    return {
+        charger: stationCharger || { type: charger_type, power: CHARGER_POWER[charger_type], connector: charger_type === 'fast' ? 'CCS2' : 'Type2' },
+        station
+    };
+};
+
 /**
- * Estimate charging cost for a single session
- * @param {Object} input - { current_battery_percent, target_battery_percent, battery_capacity_kwh, charger_type, user_type }
+ * Estimate charging cost for a single session. Timing follows the vehicle's charging curve,
+ * limited by the charger (or the adapter the vehicle plugs in with) and the station's shared power.
+ * @param {Object} input - { current_battery_percent, target_battery_percent, battery_capacity_kwh, vehicle_id, user_id,
+ *   max_charge_rate_kw, connector_types, adapters, allow_adapters, charger_type, station_id, charger_id, user_type,
+ *   membership_tier, start_time }
  */
 const estimateChargingCost = async (input) => {
     const {
         current_battery_percent,
         target_battery_percent = 80,
-        battery_capacity_kwh = 60,
-        charger_type = 'fast',
-        user_type = 'individual'
+        station_id,
+        charger_id,
+        user_type = 'individual',
+        membership_tier = 'bronze',
+        start_time
     } = input;
 
     // Validate inputs
@@ -48,29 +89,92 @@ const estimateChargingCost = async (input) => {
         return { error: 'target_battery_percent debe ser mayor que current_battery_percent' };
     }
 
+    // Resolve the charger to price (its power and connector decide the tariff tier)
+    const resolved = await resolveCharger({ station_id, charger_id, charger_type: input.charger_type || 'fast' });
+    if (resolved.error) {
+        return { error: resolved.error };
+    }
+    const { charger, station } = resolved;
+    const charger_type = charger.type;
+
+    // Vehicle charging curve (registered vehicle, or a generic one for its chemistry)
+    const profile = await resolveChargingProfile({
+        vehicle_id: input.vehicle_id,
+        user_id: input.user_id,
+        battery_capacity_kwh: input.battery_capacity_kwh,
+        max_charge_rate_kw: input.max_charge_rate_kw
+    });
+    const battery_capacity_kwh = profile.battery_capacity_kwh;
+
     // Calculate energy needed
     const batteryToCharge = target_battery_percent - current_battery_percent;
     const energyNeededKwh = (batteryToCharge / 100) * battery_capacity_kwh;
 
-    // Get price per kWh based on charger type
-    const pricePerKwh = charger_type === 'fast' 
-        ? PRICING.fast_charging_per_kwh 
-        : PRICING.slow_charging_per_kwh;
-
-    // Calculate base cost
-    const baseCost = energyNeededKwh * pricePerKwh;
-
-    // Apply user discount
-    const discount = USER_DISCOUNTS[user_type] || 0;
-    const discountAmount = baseCost * discount;
-    const finalCost = baseCost - discountAmount;
+    // Whether the vehicle plugs in directly, through an adapter (which caps the power) or not at all
+    const access = checkCharger(charger, await resolveVehicleCompatibility(input));
+    const powerOf = (tierCharger) => (access.via_adapter ? Math.min(tierCharger.power, access.max_power_kw) : tierCharger.power);
+
+    // Calculate charging time along the curve, with the station's shared power as a ceiling
+    const chargerPower = powerOf(charger);
+    const stationLimitKw = station
+        ? getStationPowerLimit(simulateStation(station, await getUsageModel()).real_time_power, station.chargers.length)
+        : null;
+    const sessionFor = (tierCharger) => estimateChargingSession({
+        profile,
+        charger_power_kw: powerOf(tierCharger),
+        station_limit_kw: stationLimitKw,
+        from_percent: current_battery_percent,
+        to_percent: target_battery_percent
+    });
+    const session = sessionFor(charger);
+    const chargingTimeMinutes = session.minutes;
+
+    // Price the energy over the charging period (tariff tier, time of day, weekend and user discounts)
+    const startTime = start_time ? new Date(start_time) : new Date();
+    const tariffFor = (tierCharger) => calculateTariff({
+        energy_kwh: energyNeededKwh,
+        charger: tierCharger,
+        station,
+        user_type,
+        start_time: startTime,
+        end_time: new Date(startTime.getTime() + sessionFor(tierCharger).minutes * 60000)
+    });
 
-    // Calculate charging time
-    const chargerPower = CHARGER_POWER[charger_type];
-    const chargingTimeMinutes = Math.round((energyNeededKwh / chargerPower) * 60);
+    const price = tariffFor(charger);
+    const pricePerKwh = price.price_per_kwh;
+    const baseCost = price.base_cost;
+    const discount = price.discount;
+    const discountAmount = price.discount_amount;
+    const finalCost = price.final_cost;
+    const tierCosts = Object.entries(TIER_CHARGERS).map(([tier, tierCharger]) => ({
+        tier,
+        label: TARIFF_TIERS[tier].label,
+        cost_clp: Math.round(tariffFor(tierCharger).final_cost),
+        charging_minutes: sessionFor(tierCharger).minutes
+    }));
+    const fastCost = tierCosts.find(t => t.tier === 'dc_150').cost_clp;
+    const slowCost = tierCosts.find(t => t.tier === 'ac_50').cost_clp;
+
+    // Check the requested range fits the maximum session length for this charger
+    const overstay = calculateOverstayPenalty({
+        charger,
+        duration_minutes: chargingTimeMinutes,
+        charging_minutes: chargingTimeMinutes
+    });
+    const fitsSessionLimit = overstay.overstay_minutes === 0;
+    const maxReachablePercent = Math.min(
+        target_battery_percent,
+        Math.floor(getSocAfterMinutes({
+            profile,
+            charger_power_kw: chargerPower,
+            station_limit_kw: stationLimitKw,
+            from_percent: current_battery_percent,
+            minutes: overstay.max_session_minutes
+        }))
+    );
 
-    // Calculate Copec points earned (1 point per 100 CLP)
-    const pointsEarned = Math.floor(finalCost / 100);
+    // Calculate Copec points earned (1 point per 100 CLP, with tier and promo multipliers)
+    const points = calculatePointsEarned({ amount_clp: finalCost, membership_tier, date: startTime });
 
     return {
         charging_session: {
@@ -78,7 +182,20 @@ const estimateChargingCost = async (input) => {
             to_percent: target_battery_percent,
             energy_kwh: Math.round(energyNeededKwh * 10) / 10,
             charger_type,
-            charger_power_kw: chargerPower
+            charger_power_kw: chargerPower,
+            connector: charger.connector,
+            compatible: access.compatible,
+            via_adapter: access.via_adapter,
+            connector_warning: access.compatible
+                ? null
+                : `Tu vehículo no tiene conector ni adaptador ${charger.connector} para este cargador.`,
+            station_id,
+            charger_id: charger.id,
+            average_power_kw: session.average_power_kw,
+            peak_power_kw: session.peak_power_kw,
+            station_limit_kw: stationLimitKw === null ? null : Math.round(stationLimitKw),
+            limited_by: session.limited_by,
+            charging_curve: session.curve_source
         },
         time: {
             charging_minutes: chargingTimeMinutes,
@@ -89,54 +206,95 @@ const estimateChargingCost = async (input) => {
         },
         cost: {
             price_per_kwh: pricePerKwh,
+            tariff: price.tariff,
             base_cost_clp: Math.round(baseCost),
-            discount_percent: discount * 100,
+            discount_percent: Math.round(discount * 10000) / 100,
             discount_amount_clp: Math.round(discountAmount),
             final_cost_clp: Math.round(finalCost),
-            formatted: formatCurrency(finalCost)
+            formatted: formatCurrency(finalCost),
+            discounts: price.discounts,
+            peak_hours: price.peak_hours,
+            start_time: startTime.toISOString()
+        },
+        session_limit: {
+            current_type: overstay.current_type,
+            max_session_minutes: overstay.max_session_minutes,
+            fits: fitsSessionLimit,
+            max_reachable_percent: maxReachablePercent,
+            projected_overstay_minutes: overstay.overstay_minutes,
+            projected_penalty_clp: overstay.penalty_clp,
+            warning: fitsSessionLimit
+                ? null
+                : `Cargar de ${current_battery_percent}% a ${target_battery_percent}% toma ~${chargingTimeMinutes} min y supera el máximo de ${overstay.max_session_minutes} min para carga ${overstay.current_type}. Sin penalización puedes llegar a ${maxReachablePercent}%; de lo contrario pagarás ${formatCurrency(overstay.penalty_clp)} por exceso ($500 CLP cada 15 min).`
         },
         user_benefits: {
             user_type,
             discount_applied: discount > 0,
-            copec_points_earned: pointsEarned
+            membership_tier,
+            copec_points_earned: points.points,
+            points_multiplier: points.multiplier
         },
         comparison: {
-            fast_cost: Math.round((energyNeededKwh * PRICING.fast_charging_per_kwh) * (1 - discount)),
-            slow_cost: Math.round((energyNeededKwh * PRICING.slow_charging_per_kwh) * (1 - discount)),
-            savings_with_slow: Math.round((energyNeededKwh * (PRICING.fast_charging_per_kwh - PRICING.slow_charging_per_kwh)) * (1 - discount)),
+            fast_cost: fastCost,
+            slow_cost: slowCost,
+            savings_with_slow: fastCost - slowCost,
+            by_tier: tierCosts,
             recommendation: getChargingRecommendation(chargingTimeMinutes, charger_type)
         }
     };
 };
 
 /**
- * Calculate total trip cost including all charging stops
- * @param {Object} input - { origin, destination, current_battery_percent, vehicle_range_km, battery_capacity_kwh, user_type }
+ * Calculate total trip cost including all charging stops, at chargers the vehicle can plug into
+ * @param {Object} input - { origin, destination, current_battery_percent, vehicle_range_km, battery_capacity_kwh, vehicle_id,
+ *   user_id, connector_types, allow_adapters, efficiency_kwh_per_100km, ambient_temperature_c, payload_kg, user_type,
+ *   departure_time }
  */
 const calculateTripCost = async (input) => {
     const {
         origin,
         destination,
         current_battery_percent = 50,
-        vehicle_range_km = 400,
-        battery_capacity_kwh = 60,
-        user_type = 'individual'
+        vehicle_range_km,
+        battery_capacity_kwh,
+        user_id,
+        connector_types,
+        allow_adapters = true,
+        efficiency_kwh_per_100km,
+        ambient_temperature_c,
+        payload_kg,
+        user_type = 'individual',
+        departure_time
     } = input;
 
+    const departureTime = departure_time ? new Date(departure_time) : new Date();
+
     // Calculate route
-    const route = await calculateRoute({
-        origin,
-        destination,
-        current_battery_percent,
-        vehicle_range_km
-    });
+    const route = await calculateRoute({ origin, destination });
 
     const totalDistanceKm = route.distance.estimated_road_km;
-    
-    // Calculate battery consumption
-    const batteryPerKm = 100 / vehicle_range_km;
-    const batteryNeeded = totalDistanceKm * batteryPerKm;
-    const batteryAtArrival = current_battery_percent - batteryNeeded;
+    const straightLineKm = route.distance.straight_line_km;
+
+    // Vehicle connectors; with only a user_id, the vehicle is the user's own
+    const compatibility = await resolveVehicleCompatibility({ user_id, vehicle_id: input.vehicle_id, connector_types, allow_adapters });
+    const vehicle_id = input.vehicle_id || compatibility?.vehicle_id || undefined;
+
+    // Battery consumption from the energy model over the route
+    const vehicle = await resolveVehicleModel({ vehicle_id, battery_capacity_kwh, efficiency_kwh_per_100km, vehicle_range_km });
+    const energy = predictRouteEnergy({
+        vehicle,
+        segments: route.route.segments,
+        start_soc_percent: current_battery_percent,
+        temperature_c: ambient_temperature_c,
+        payload_kg,
+        departure_time: departureTime
+    });
+    const batteryNeeded = current_battery_percent - energy.arrival_soc_percent;
+    const batteryAtArrival = energy.arrival_soc_percent;
+
+    // Stations are placed by straight-line distance: SoC per straight-line km on this route
+    const roadFactor = straightLineKm > 0 ? totalDistanceKm / straightLineKm : 1;
+    const batteryPerKm = getSocPerKm(energy) * roadFactor;
 
     // Determine if charging is needed
     const needsCharging = batteryAtArrival < 15; // Minimum 15% at arrival
@@ -144,15 +302,18 @@ const calculateTripCost = async (input) => {
     let chargingStops = [];
     let totalChargingCost = 0;
     let totalChargingTime = 0;
+    let totalOverstayPenalty = 0;
 
     if (needsCharging) {
-        // Find stations along the route
-        const stationsOnRoute = stations.stations
-            .map(station => {
+        // Find stations along the route: candidates from the corridor that holds every 25% detour
+        const directKm = calculateHaversineDistance(origin.lat, origin.lng, destination.lat, destination.lng);
+        const index = await getStationIndex();
+        const stationsOnRoute = index.withinCorridor([origin, destination], getDetourBufferKm(directKm, directKm * 0.25))
+            .map(({ station }) => {
                 const routeInfo = isStationAlongRoute(origin, destination, station.location, 25);
-                return { ...station, routeInfo };
+                return { ...station, routeInfo, compatibleChargers: filterCompatibleChargers(station, compatibility) };
             })
-            .filter(s => s.routeInfo.isOnRoute)
+            .filter(s => s.routeInfo.isOnRoute && s.compatibleChargers.length > 0)
             .sort((a, b) => a.routeInfo.distanceFromOrigin - b.routeInfo.distanceFromOrigin);
 
         // Calculate optimal charging stops
@@ -167,19 +328,31 @@ const calculateTripCost = async (input) => {
             // Need to charge if battery would be below 20% at station
             if (batteryAtStation < 20 || currentBattery === current_battery_percent) {
                 // Calculate how much to charge
-                const remainingDistance = totalDistanceKm - distanceToStation;
+                const remainingDistance = Math.max(0, straightLineKm - distanceToStation);
                 const batteryForRemaining = remainingDistance * batteryPerKm;
                 const targetBattery = Math.min(80, batteryForRemaining + 20); // Charge to 80% or enough for remaining
 
-                const hasFast = station.chargers.some(c => c.type === 'fast' && c.status === 'available');
-                const chargerType = hasFast ? 'fast' : 'slow';
+                // The charger you will actually plug into: fastest compatible available, else fastest compatible
+                const byPower = [...station.compatibleChargers].sort((a, b) => b.usable_power_kw - a.usable_power_kw);
+                const charger = byPower.find(c => c.status === 'available') || byPower[0];
+                const chargerType = charger.type;
+
+                // Arrival at the station: driving share of the route plus previous charging stops
+                const drivingToStationMinutes = route.time.estimated_minutes * Math.min(1, distanceToStation / straightLineKm);
+                const arrivalTime = new Date(departureTime.getTime() + (drivingToStationMinutes + totalChargingTime) * 60000);
 
                 const chargeEstimate = await estimateChargingCost({
                     current_battery_percent: Math.max(batteryAtStation, 10),
                     target_battery_percent: targetBattery,
-                    battery_capacity_kwh,
-                    charger_type: chargerType,
-                    user_type
+                    battery_capacity_kwh: vehicle.battery_capacity_kwh,
+                    vehicle_id,
+                    user_id,
+                    connector_types,
+                    allow_adapters,
+                    station_id: station.id,
+                    charger_id: charger.id,
+                    user_type,
+                    start_time: arrivalTime
                 });
 
                 if (!chargeEstimate.error) {
@@ -194,13 +367,23 @@ const calculateTripCost = async (input) => {
                             from_percent: Math.round(batteryAtStation),
                             to_percent: targetBattery,
                             charger_type: chargerType,
+                            charger_id: charger.id,
+                            charger_power_kw: chargeEstimate.charging_session.charger_power_kw,
+                            connector: charger.connector,
+                            via_adapter: charger.via_adapter,
+                            price_per_kwh: chargeEstimate.cost.price_per_kwh,
                             time_minutes: chargeEstimate.time.charging_minutes,
-                            cost_clp: chargeEstimate.cost.final_cost_clp
+                            cost_clp: chargeEstimate.cost.final_cost_clp,
+                            projected_overstay_penalty_clp: chargeEstimate.session_limit.projected_penalty_clp,
+                            session_limit_warning: chargeEstimate.session_limit.warning,
+                            start_time: chargeEstimate.cost.start_time,
+                            discounts: chargeEstimate.cost.discounts
                         },
                         amenities: station.usage_factors.nearby_amenities
                     });
 
                     totalChargingCost += chargeEstimate.cost.final_cost_clp;
+                    totalOverstayPenalty += chargeEstimate.session_limit.projected_penalty_clp;
                     totalChargingTime += chargeEstimate.time.charging_minutes;
                     currentBattery = targetBattery;
                     currentPosition = station.location;
@@ -229,7 +412,10 @@ const calculateTripCost = async (input) => {
             start_percent: current_battery_percent,
             needed_percent: Math.round(batteryNeeded),
             end_percent: Math.round(needsCharging ? 15 : batteryAtArrival),
-            needs_charging: needsCharging
+            needs_charging: needsCharging,
+            energy_kwh: energy.energy_kwh,
+            consumption_kwh_per_100km: energy.kwh_per_100km,
+            conditions: energy.conditions
         },
         time: {
             driving_minutes: drivingTimeMinutes,
@@ -239,10 +425,12 @@ const calculateTripCost = async (input) => {
         },
         cost: {
             charging_cost_clp: totalChargingCost,
+            projected_overstay_penalty_clp: totalOverstayPenalty,
             formatted: formatCurrency(totalChargingCost),
             user_type,
-            discount_applied: USER_DISCOUNTS[user_type] > 0
+            discount_applied: chargingStops.some(s => s.charging.discounts.length > 0) || USER_DISCOUNTS[user_type] > 0
         },
+        vehicle_compatibility: compatibility,
         charging_stops: chargingStops,
         stops_count: chargingStops.length,
         summary: generateTripSummary(route, chargingStops, totalChargingCost, needsCharging)
@@ -287,6 +475,7 @@ const generateTripSummary = (route, stops, cost, needsCharging) => {
 module.exports = {
     estimateChargingCost,
     calculateTripCost,
+    formatCurrency,
     PRICING,
     USER_DISCOUNTS
 };
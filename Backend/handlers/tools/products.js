@@ -3,8 +3,15 @@
  * Handles product search, promotions, and services at Copec stations
  */
 
-const venues = require('../../data/venues.json');
-const stations = require('../../data/stations_geo.json');
+const repositories = require('../repositories');
+const { getSession } = require('./sessions');
+const {
+    buildContext,
+    evaluateRules,
+    applyPromotions,
+    formatPromotion,
+    PROMOTIONS
+} = require('./promotions');
 
 // Product catalog (simulated)
 const PRODUCT_CATALOG = {
@@ -39,74 +46,6 @@ const PRODUCT_CATALOG = {
     ]
 };
 
-// Promotions catalog
-const PROMOTIONS = [
-    {
-        id: 'promo_001',
-        name: 'Café + Carga',
-        description: 'Obtén 15% de descuento en café al cargar tu vehículo',
-        discount_percent: 15,
-        applies_to: 'drinks',
-        conditions: ['Válido durante la sesión de carga'],
-        valid_until: '2026-03-31',
-        category: 'combo'
-    },
-    {
-        id: 'promo_002',
-        name: 'Happy Hour Carga',
-        description: 'Carga con 20% de descuento entre 22:00 y 06:00',
-        discount_percent: 20,
-        applies_to: 'charging',
-        conditions: ['Horario: 22:00 - 06:00', 'Válido en todas las estaciones'],
-        valid_until: '2026-06-30',
-        category: 'charging'
-    },
-    {
-        id: 'promo_003',
-        name: 'Combo Carga + Almuerzo',
-        description: 'Al cargar más de 30 kWh, tu combo Street Burger tiene 25% off',
-        discount_percent: 25,
-        applies_to: 'food',
-        conditions: ['Carga mínima: 30 kWh', 'Válido en estaciones con Street Burger'],
-        valid_until: '2026-02-28',
-        category: 'combo',
-        partner: 'Street Burger'
-    },
-    {
-        id: 'promo_004',
-        name: 'Puntos Dobles',
-        description: 'Gana el doble de puntos Copec los martes y jueves',
-        points_multiplier: 2,
-        applies_to: 'all',
-        conditions: ['Solo martes y jueves', 'Aplica a carga y compras'],
-        valid_until: '2026-12-31',
-        category: 'charging',
-        days: ['tuesday', 'thursday']
-    },
-    {
-        id: 'promo_005',
-        name: 'Primera Carga',
-        description: '50% de descuento en tu primera carga como nuevo usuario',
-        discount_percent: 50,
-        applies_to: 'charging',
-        conditions: ['Solo nuevos usuarios', 'Una vez por cuenta'],
-        valid_until: '2026-12-31',
-        category: 'charging',
-        user_type: 'new'
-    },
-    {
-        id: 'promo_006',
-        name: 'Desayuno Express',
-        description: 'Combo desayuno a solo $2.990 antes de las 10am',
-        special_price: 2990,
-        original_price: 4500,
-        applies_to: 'breakfast',
-        conditions: ['Válido hasta las 10:00', 'Incluye café + croissant'],
-        valid_until: '2026-04-30',
-        category: 'food'
-    }
-];
-
 /**
  * Search products available at a station
  * @param {Object} input - { station_id, category, time_of_day }
@@ -115,8 +54,8 @@ const searchProducts = async (input) => {
     const { station_id, category = 'all', time_of_day } = input;
 
     // Get station and venue info
-    const station = stations.stations.find(s => s.id === station_id);
-    const venue = venues.venues[station_id];
+    const station = await repositories.stations.get(station_id);
+    const venue = await repositories.venues.get(station_id);
 
     if (!station) {
         return {
@@ -180,13 +119,15 @@ const searchProducts = async (input) => {
         return 0;
     });
 
-    // Get applicable promotions
-    const applicablePromos = PROMOTIONS.filter(promo => {
-        if (promo.applies_to === 'charging') return false;
-        if (category !== 'all' && promo.applies_to !== category && promo.applies_to !== 'all') return false;
-        if (promo.partner === 'Street Burger' && !hasStreetBurger) return false;
-        return isPromotionValid(promo);
-    });
+    // Get applicable promotions (global and station-level) from the rules engine
+    const context = buildContext({ station_id, venue, time_of_day: time_of_day ? currentTime : undefined });
+    const applicablePromos = evaluateRules(context)
+        .filter(e => e.status !== 'not_applicable')
+        .map(e => e.promotion)
+        .filter(promo => {
+            if (promo.applies_to === 'charging') return false;
+            return category === 'all' || promo.applies_to === category || promo.applies_to === 'all';
+        });
 
     return {
         station_id,
@@ -205,76 +146,150 @@ const searchProducts = async (input) => {
             id: p.id,
             name: p.name,
             description: p.description,
-            discount: p.discount_percent ? `${p.discount_percent}%` : (p.special_price ? formatCurrency(p.special_price) : null),
-            valid_until: p.valid_until
+            discount: p.benefit.type === 'percent'
+                ? `${p.benefit.value}%`
+                : (p.benefit.type === 'special_price' ? formatCurrency(p.benefit.value) : null),
+            valid_until: p.rules.valid_until,
+            station_specific: p.station_specific || false
         })),
         recommendations: generateProductRecommendations(currentHour, hasStreetBurger, products)
     };
 };
 
 /**
- * Get active promotions
+ * Get active promotions (global and station-level) through the promotions rules engine.
+ * Promotions whose rules can't be decided without more context (e.g. kWh charged) are listed as possible.
  * @param {Object} input - { station_id, category, user_type }
  */
 const getPromotions = async (input) => {
     const { station_id, category = 'all', user_type } = input;
 
-    let applicablePromos = PROMOTIONS.filter(promo => {
-        // Filter by validity
-        if (!isPromotionValid(promo)) return false;
+    const context = buildContext({
+        station_id,
+        venue: station_id ? await repositories.venues.get(station_id) : undefined,
+        user: { profile_type: user_type, is_new_user: user_type === 'new' }
+    });
 
-        // Filter by category
-        if (category !== 'all' && promo.category !== category && promo.applies_to !== 'all') return false;
+    const promotions = evaluateRules(context)
+        .filter(e => e.status !== 'not_applicable')
+        .filter(e => category === 'all' || e.promotion.category === category || e.promotion.applies_to === 'all');
 
-        // Filter by user type if specified
-        if (promo.user_type && user_type !== promo.user_type) return false;
+    return {
+        total_promotions: promotions.length,
+        filter: { station_id, category, user_type },
+        promotions: promotions.map(e => ({
+            ...formatPromotion(e.promotion),
+            status: e.status,
+            pending_conditions: e.pending
+        })),
+        tips: getPromotionTips(promotions.map(e => e.promotion))
+    };
+};
 
-        return true;
-    });
+/**
+ * Evaluate which promotions apply to a cart given the station and charging session context,
+ * and the resulting discount
+ * @param {Object} input - { station_id, items: [{ product_id, quantity }], user_id, session_id, session: { active, kwh }, time }
+ */
+const evaluatePromotions = async (input) => {
+    const { station_id, items = [], user_id, session_id, time } = input;
+
+    if (!station_id) {
+        return { error: 'Se requiere station_id', statusCode: 400 };
+    }
+    if (!(await repositories.stations.get(station_id))) {
+        return { error: `Estación ${station_id} no encontrada`, statusCode: 404 };
+    }
 
-    // If station specified, check for station-specific promos
-    let stationSpecificPromos = [];
-    if (station_id) {
-        const venue = venues.venues[station_id];
-        if (venue?.services?.pronto_copec?.promotions) {
-            stationSpecificPromos = venue.services.pronto_copec.promotions.map(p => ({
-                ...p,
-                station_specific: true,
-                station_id
-            }));
+    const lines = [];
+    for (const item of items) {
+        const product = findProduct(item.product_id);
+        if (!product) {
+            return { error: `Producto ${item.product_id} no encontrado`, statusCode: 404 };
         }
-        
-        // Filter out Street Burger promos if not available
-        const hasStreetBurger = venue?.services?.street_burger?.available;
-        if (!hasStreetBurger) {
-            applicablePromos = applicablePromos.filter(p => p.partner !== 'Street Burger');
+        const quantity = item.quantity === undefined ? 1 : item.quantity;
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return { error: `Cantidad inválida para ${item.product_id}`, statusCode: 400 };
         }
+        lines.push({
+            product_id: product.id,
+            name: product.name,
+            category: product.category,
+            partner: product.partner,
+            unit_price: product.price,
+            quantity
+        });
     }
 
-    // Combine and format promotions
-    const allPromos = [...applicablePromos, ...stationSpecificPromos];
+    // Charging session context: a stored session or the one given in the request
+    let session = input.session;
+    if (session_id) {
+        const result = await getSession({ session_id });
+        if (result.error) {
+            return result;
+        }
+        session = {
+            active: result.session.status === 'active',
+            kwh: result.session.kwhDelivered ?? input.session?.kwh
+        };
+    }
+
+    const user = user_id ? await repositories.users.get(user_id) : null;
+    const context = buildContext({
+        date: time,
+        station_id,
+        venue: await repositories.venues.get(station_id),
+        session,
+        user: user && {
+            membership_tier: user.membership_tier,
+            profile_type: user.profile_type,
+            // Users stored without a charging history aren't treated as new
+            is_new_user: user.charging_history?.total_sessions === 0
+        }
+    });
+
+    const result = applyPromotions(lines, context);
 
     return {
-        total_promotions: allPromos.length,
-        filter: { station_id, category, user_type },
-        promotions: allPromos.map(promo => ({
-            id: promo.id || `station_promo_${Math.random().toString(36).substr(2, 9)}`,
-            name: promo.name,
-            description: promo.description,
-            category: promo.category || 'general',
-            discount: promo.discount_percent 
-                ? { type: 'percent', value: promo.discount_percent }
-                : promo.special_price 
-                    ? { type: 'special_price', value: promo.special_price, original: promo.original_price }
-                    : promo.points_multiplier
-                        ? { type: 'points', multiplier: promo.points_multiplier }
-                        : null,
-            conditions: promo.conditions || [],
-            valid_until: promo.valid_until,
-            partner: promo.partner,
-            station_specific: promo.station_specific || false
+        station_id,
+        evaluated_at: context.date.toISOString(),
+        items: result.lines.map(l => ({
+            product_id: l.product_id,
+            name: l.name,
+            category: l.category,
+            quantity: l.quantity,
+            unit_price_clp: l.unit_price,
+            subtotal_clp: l.subtotal,
+            discount_clp: l.discount,
+            total_clp: l.total,
+            promotions: l.promotions
+        })),
+        applied_promotions: result.applied.map(a => ({
+            id: a.promotion.id,
+            name: a.promotion.name,
+            benefit: a.promotion.benefit,
+            stackable: a.promotion.stackable,
+            amount_clp: a.amount_clp,
+            product_ids: a.product_ids
+        })),
+        points_multipliers: result.points_multipliers.map(p => ({
+            id: p.id,
+            name: p.name,
+            multiplier: p.benefit.value
+        })),
+        charging_promotions: result.charging_promotions.map(formatPromotion),
+        not_applicable: result.not_applicable.map(e => ({
+            id: e.promotion.id,
+            name: e.promotion.name,
+            reasons: e.failed,
+            pending_conditions: e.pending
         })),
-        tips: getPromotionTips(allPromos)
+        totals: {
+            subtotal_clp: result.subtotal,
+            discount_clp: result.discount,
+            total_clp: result.total,
+            formatted: formatCurrency(result.total)
+        }
     };
 };
 
@@ -284,27 +299,23 @@ const formatCurrency = (amount) => {
     return `$${Math.round(amount).toLocaleString('es-CL')}`;
 };
 
+const findProduct = (productId) => {
+    for (const [category, products] of Object.entries(PRODUCT_CATALOG)) {
+        const product = products.find(p => p.id === productId);
+        if (product) return { ...product, category };
+    }
+    return null;
+};
+
 const checkTimeAvailability = (availableHours, currentTime) => {
     if (availableHours === '24/7') return true;
     
     const [start, end] = availableHours.split('-');
-    return currentTime >= start && currentTime <= end;
-};
-
-const isPromotionValid = (promo) => {
-    const today = new Date();
-    const validUntil = new Date(promo.valid_until);
-    
-    if (today > validUntil) return false;
-
-    // Check day-specific promotions
-    if (promo.days) {
-        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const todayName = dayNames[today.getDay()];
-        if (!promo.days.includes(todayName)) return false;
+    // Hours ending at or after midnight (e.g. 06:00-00:00)
+    if (end <= start) {
+        return currentTime >= start || currentTime <= end;
     }
-
-    return true;
+    return currentTime >= start && currentTime <= end;
 };
 
 const generateProductRecommendations = (hour, hasStreetBurger, products) => {
@@ -358,8 +369,7 @@ const getPromotionTips = (promos) => {
         tips.push(`🎁 Combo especial: ${comboPromo.name}`);
     }
 
-    const today = new Date().getDay();
-    if (today === 2 || today === 4) { // Tuesday or Thursday
+    if (promos.some(p => p.benefit.type === 'points_multiplier')) {
         tips.push('⭐ ¡Hoy es día de puntos dobles! Aprovecha para cargar y sumar más.');
     }
 
@@ -369,6 +379,9 @@ const getPromotionTips = (promos) => {
 module.exports = {
     searchProducts,
     getPromotions,
+    evaluatePromotions,
+    findProduct,
+    checkTimeAvailability,
     PRODUCT_CATALOG,
     PROMOTIONS
 };
@@ -0,0 +1,368 @@
+/**
+ * Copec EV Agent - Promotions Rules Engine
+ * Promotions are declared as machine-evaluable rules (validity, weekdays, time windows,
+ * minimum kWh, station/partner availability, user tier/type, stackability) and
+ * evaluated against a cart and a session context.
+ */
+
+const { getLocalTime, TIME_ZONE } = require('./tariffs');
+
+// Promotions catalog
+const PROMOTIONS = [
+    {
+        id: 'promo_001',
+        name: 'Café + Carga',
+        description: 'Obtén 15% de descuento en café al cargar tu vehículo',
+        category: 'combo',
+        applies_to: 'drinks',
+        targets: { product_ids: ['bkf_002', 'drk_004'] },
+        benefit: { type: 'percent', value: 15 },
+        rules: {
+            valid_until: '2026-03-31',
+            requires_active_session: true
+        },
+        stackable: false,
+        conditions: ['Válido durante la sesión de carga']
+    },
+    {
+        id: 'promo_002',
+        name: 'Happy Hour Carga',
+        description: 'Carga con 20% de descuento entre 22:00 y 06:00',
+        category: 'charging',
+        applies_to: 'charging',
+        benefit: { type: 'percent', value: 20 },
+        rules: {
+            valid_until: '2026-06-30',
+            time_windows: [['22:00', '06:00']]
+        },
+        stackable: true,
+        conditions: ['Horario: 22:00 - 06:00', 'Válido en todas las estaciones']
+    },
+    {
+        id: 'promo_003',
+        name: 'Combo Carga + Almuerzo',
+        description: 'Al cargar más de 30 kWh, tu combo Street Burger tiene 25% off',
+        category: 'combo',
+        applies_to: 'food',
+        partner: 'Street Burger',
+        targets: { partner: 'Street Burger' },
+        benefit: { type: 'percent', value: 25 },
+        rules: {
+            valid_until: '2026-02-28',
+            min_kwh: 30,
+            requires_partner: 'Street Burger'
+        },
+        stackable: false,
+        conditions: ['Carga mínima: 30 kWh', 'Válido en estaciones con Street Burger']
+    },
+    {
+        id: 'promo_004',
+        name: 'Puntos Dobles',
+        description: 'Gana el doble de puntos Copec los martes y jueves',
+        category: 'charging',
+        applies_to: 'all',
+        benefit: { type: 'points_multiplier', value: 2 },
+        rules: {
+            valid_until: '2026-12-31',
+            weekdays: ['tuesday', 'thursday']
+        },
+        stackable: true,
+        conditions: ['Solo martes y jueves', 'Aplica a carga y compras']
+    },
+    {
+        id: 'promo_005',
+        name: 'Primera Carga',
+        description: '50% de descuento en tu primera carga como nuevo usuario',
+        category: 'charging',
+        applies_to: 'charging',
+        benefit: { type: 'percent', value: 50 },
+        rules: {
+            valid_until: '2026-12-31',
+            new_users_only: true
+        },
+        stackable: false,
+        conditions: ['Solo nuevos usuarios', 'Una vez por cuenta']
+    },
+    {
+        id: 'promo_006',
+        name: 'Desayuno Express',
+        description: 'Combo desayuno a solo $2.990 antes de las 10am',
+        category: 'food',
+        applies_to: 'breakfast',
+        targets: { product_ids: ['bkf_001'] },
+        benefit: { type: 'special_price', value: 2990, original: 4500 },
+        rules: {
+            valid_until: '2026-04-30',
+            time_windows: [['06:00', '10:00']]
+        },
+        stackable: false,
+        conditions: ['Válido hasta las 10:00', 'Incluye café + croissant']
+    }
+];
+
+// Venue service that must be available for a partner's promotions
+const PARTNER_SERVICES = {
+    'Street Burger': 'street_burger'
+};
+
+const WEEKDAY_LABELS = {
+    monday: 'lunes',
+    tuesday: 'martes',
+    wednesday: 'miércoles',
+    thursday: 'jueves',
+    friday: 'viernes',
+    saturday: 'sábado',
+    sunday: 'domingo'
+};
+
+const localDateFormatter = new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE });
+
+const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + (m || 0);
+};
+
+// Windows may cross midnight (e.g. 22:00 - 06:00)
+const inWindow = (minutes, [start, end]) => {
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    return from <= to
+        ? minutes >= from && minutes < to
+        : minutes >= from || minutes < to;
+};
+
+/**
+ * Normalize a venue-level promotion from venues.json into a rule-based promotion.
+ * Legacy fields (discount_percent, hours, valid_until) are turned into rules.
+ */
+const fromVenuePromotion = (stationId, promo, index) => ({
+    id: promo.id || `${stationId}_promo_${index + 1}`,
+    name: promo.name,
+    description: promo.description || `${promo.discount_percent}% de descuento en Pronto Copec`,
+    category: promo.category || 'combo',
+    applies_to: promo.applies_to || 'all',
+    targets: promo.targets,
+    benefit: promo.benefit || { type: 'percent', value: promo.discount_percent },
+    rules: {
+        valid_until: promo.valid_until,
+        time_windows: promo.hours ? [promo.hours.split('-')] : undefined,
+        ...promo.rules,
+        station_ids: [stationId]
+    },
+    stackable: promo.stackable || false,
+    conditions: promo.conditions || [
+        promo.hours ? `Horario: ${promo.hours.replace('-', ' - ')}` : null,
+        'Solo en esta estación'
+    ].filter(Boolean),
+    station_specific: true,
+    station_id: stationId
+});
+
+/**
+ * Venue-level promotions for a station, as rule-based promotions
+ */
+const getVenuePromotions = (stationId, venue) => {
+    const promotions = venue?.services?.pronto_copec?.promotions || [];
+    return promotions.map((promo, index) => fromVenuePromotion(stationId, promo, index));
+};
+
+/**
+ * Evaluators for each rule. They return true (passes), false (fails) or
+ * null when the context doesn't have the information to decide.
+ */
+const RULES = {
+    valid_from: (value, ctx) => ctx.local_date >= value,
+    valid_until: (value, ctx) => ctx.local_date <= value,
+    weekdays: (value, ctx) => value.includes(ctx.weekday),
+    time_windows: (value, ctx) => value.some(window => inWindow(ctx.minutes, window)),
+    station_ids: (value, ctx) => (ctx.station_id ? value.includes(ctx.station_id) : null),
+    requires_partner: (value, ctx) => {
+        if (!ctx.station_id) return null;
+        const service = PARTNER_SERVICES[value];
+        return !!ctx.venue?.services?.[service]?.available;
+    },
+    requires_active_session: (value, ctx) => (ctx.session ? ctx.session.active === value : null),
+    min_kwh: (value, ctx) => (typeof ctx.session?.kwh === 'number' ? ctx.session.kwh >= value : null),
+    membership_tiers: (value, ctx) => (ctx.user?.membership_tier ? value.includes(ctx.user.membership_tier) : null),
+    profile_types: (value, ctx) => (ctx.user?.profile_type ? value.includes(ctx.user.profile_type) : null),
+    new_users_only: (value, ctx) => (typeof ctx.user?.is_new_user === 'boolean' ? ctx.user.is_new_user === value : null)
+};
+
+const RULE_LABELS = {
+    valid_from: (v) => `Válida desde ${v}`,
+    valid_until: (v) => `Válida hasta ${v}`,
+    weekdays: (v) => `Solo ${v.map(day => WEEKDAY_LABELS[day]).join(' y ')}`,
+    time_windows: (v) => `Horario: ${v.map(([s, e]) => `${s} - ${e}`).join(', ')}`,
+    station_ids: () => 'Solo en estaciones participantes',
+    requires_partner: (v) => `Requiere ${v} en la estación`,
+    requires_active_session: () => 'Requiere una sesión de carga activa',
+    min_kwh: (v) => `Carga mínima: ${v} kWh`,
+    membership_tiers: (v) => `Membresía: ${v.join(', ')}`,
+    profile_types: (v) => `Tipo de usuario: ${v.join(', ')}`,
+    new_users_only: () => 'Solo nuevos usuarios'
+};
+
+/**
+ * Build the evaluation context: local Santiago date/time plus station (and its venue), user and session
+ * @param {Object} input - { date, time_of_day, station_id, venue, user, session }
+ */
+const buildContext = ({ date, time_of_day, station_id, venue, user, session } = {}) => {
+    const instant = date ? new Date(date) : new Date();
+    const local = getLocalTime(instant);
+
+    return {
+        date: instant,
+        local_date: localDateFormatter.format(instant),
+        weekday: local.weekday,
+        minutes: time_of_day ? toMinutes(time_of_day) : local.minutes,
+        station_id,
+        venue,
+        user,
+        session
+    };
+};
+
+/**
+ * Check a promotion's rules against a context
+ * @returns {Object} { status: 'applies' | 'possible' | 'not_applicable', failed, pending }
+ */
+const checkPromotion = (promo, context) => {
+    const failed = [];
+    const pending = [];
+
+    Object.entries(promo.rules || {}).forEach(([rule, value]) => {
+        if (value === undefined || !RULES[rule]) return;
+        const result = RULES[rule](value, context);
+        const label = RULE_LABELS[rule](value);
+        if (result === false) failed.push(label);
+        if (result === null) pending.push(label);
+    });
+
+    return {
+        status: failed.length > 0 ? 'not_applicable' : pending.length > 0 ? 'possible' : 'applies',
+        failed,
+        pending
+    };
+};
+
+/**
+ * Evaluate the global and station promotions against a context
+ * @param {Object} context - built with buildContext
+ */
+const evaluateRules = (context) => {
+    const promotions = [
+        ...PROMOTIONS,
+        ...(context.station_id ? getVenuePromotions(context.station_id, context.venue) : [])
+    ];
+    return promotions.map(promo => ({ promotion: promo, ...checkPromotion(promo, context) }));
+};
+
+/**
+ * Whether a promotion targets a cart line
+ */
+const matchesLine = (promo, line) => {
+    const { applies_to, targets = {} } = promo;
+    if (applies_to === 'charging') return false;
+    if (targets.product_ids) return targets.product_ids.includes(line.product_id);
+    if (targets.partner && line.partner !== targets.partner) return false;
+    if (applies_to === 'all') return true;
+    if (applies_to === 'food') return line.category !== 'drinks';
+    return line.category === applies_to;
+};
+
+const lineDiscount = (promo, line) => {
+    const { type, value } = promo.benefit;
+    if (type === 'percent') return Math.round(line.subtotal * value / 100);
+    if (type === 'special_price') return Math.max(0, line.unit_price - value) * line.quantity;
+    return 0;
+};
+
+/**
+ * Apply promotions to priced cart lines.
+ * Non-stackable promotions can't be combined with any other discount on the same line;
+ * stackable ones add up. Each line gets whichever option gives the larger discount.
+ * @param {Array} lines - [{ product_id, name, category, partner, unit_price, quantity }]
+ * @param {Object} context - built with buildContext
+ */
+const applyPromotions = (lines, context) => {
+    const evaluated = evaluateRules(context);
+    const eligible = evaluated.filter(e => e.status === 'applies').map(e => e.promotion);
+    const applied = new Map();
+
+    const pricedLines = lines.map(line => {
+        const subtotal = line.unit_price * line.quantity;
+        const priced = { ...line, subtotal };
+        const candidates = eligible
+            .filter(promo => promo.benefit.type !== 'points_multiplier' && matchesLine(promo, priced))
+            .map(promo => ({ promo, amount: lineDiscount(promo, priced) }))
+            .filter(c => c.amount > 0);
+
+        const exclusive = candidates
+            .filter(c => !c.promo.stackable)
+            .sort((a, b) => b.amount - a.amount)[0];
+        const stacked = candidates.filter(c => c.promo.stackable);
+        const stackedAmount = stacked.reduce((sum, c) => sum + c.amount, 0);
+
+        const chosen = exclusive && exclusive.amount >= stackedAmount ? [exclusive] : stacked;
+        const discount = Math.min(subtotal, chosen.reduce((sum, c) => sum + c.amount, 0));
+
+        chosen.forEach(({ promo, amount }) => {
+            const entry = applied.get(promo.id) || { promotion: promo, amount_clp: 0, product_ids: [] };
+            entry.amount_clp += amount;
+            entry.product_ids.push(line.product_id);
+            applied.set(promo.id, entry);
+        });
+
+        return {
+            ...priced,
+            discount,
+            total: subtotal - discount,
+            promotions: chosen.map(c => c.promo.id)
+        };
+    });
+
+    const subtotal = pricedLines.reduce((sum, l) => sum + l.subtotal, 0);
+    const discount = pricedLines.reduce((sum, l) => sum + l.discount, 0);
+
+    return {
+        lines: pricedLines,
+        applied: [...applied.values()],
+        points_multipliers: eligible.filter(p => p.benefit.type === 'points_multiplier'),
+        charging_promotions: eligible.filter(p => p.applies_to === 'charging'),
+        not_applicable: evaluated.filter(e => e.status !== 'applies'),
+        subtotal,
+        discount,
+        total: subtotal - discount
+    };
+};
+
+/**
+ * Display format for a promotion (used by get_promotions and search_products)
+ */
+const formatPromotion = (promo) => ({
+    id: promo.id,
+    name: promo.name,
+    description: promo.description,
+    category: promo.category || 'general',
+    discount: promo.benefit.type === 'percent'
+        ? { type: 'percent', value: promo.benefit.value }
+        : promo.benefit.type === 'special_price'
+            ? { type: 'special_price', value: promo.benefit.value, original: promo.benefit.original }
+            : { type: 'points', multiplier: promo.benefit.value },
+    conditions: promo.conditions || [],
+    rules: promo.rules,
+    stackable: promo.stackable,
+    valid_until: promo.rules?.valid_until,
+    partner: promo.partner,
+    station_specific: promo.station_specific || false
+});
+
+module.exports = {
+    buildContext,
+    checkPromotion,
+    evaluateRules,
+    applyPromotions,
+    getVenuePromotions,
+    formatPromotion,
+    PROMOTIONS
+};
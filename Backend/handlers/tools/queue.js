@@ -0,0 +1,452 @@
+/**
+ * Copec EV Agent - Station Queue Tools
+ * Per-station virtual queue following the Regla de Cola in policies-rules.md:
+ * active reservation, Platinum/Empresa, Gold, Silver, declared emergency (battery < 10%),
+ * then Bronze first come, first served. Simulated walk-in drivers wait as Bronze.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const { getLiveStations, getLiveStation } = require('./availability');
+const { getChargerProfile, getUsageModel } = require('./simulator');
+const { getActiveReservationsByCharger, getReservation, holdChargerForQueue } = require('./reservations');
+
+// Queue priority levels, lower goes first
+const QUEUE_PRIORITIES = {
+    reservation: { level: 1, label: 'Reserva activa' },
+    platinum_business: { level: 2, label: 'Platinum/Empresa' },
+    gold: { level: 3, label: 'Gold' },
+    silver: { level: 4, label: 'Silver' },
+    emergency: { level: 5, label: 'Emergencia (batería < 10%)' },
+    bronze: { level: 6, label: 'Bronze (orden de llegada)' }
+};
+
+const EMERGENCY_BATTERY_PERCENT = 10;
+const CALL_HOLD_MINUTES = 5;            // Time a called user has to plug in
+const TREND_WINDOW_MINUTES = 30;
+
+const WAITING_STATUSES = ['waiting', 'called'];
+
+/**
+ * Queue priority for a user at a station
+ */
+const getPriority = ({ user, hasReservation, battery_percent, emergency }) => {
+    if (hasReservation) return 'reservation';
+    if (user?.membership_tier === 'platinum' || user?.profile_type === 'business') return 'platinum_business';
+    if (user?.membership_tier === 'gold') return 'gold';
+    if (user?.membership_tier === 'silver') return 'silver';
+    if (emergency && battery_percent < EMERGENCY_BATTERY_PERCENT) return 'emergency';
+    return 'bronze';
+};
+
+// Priority first, then arrival order
+const compareEntries = (a, b) =>
+    QUEUE_PRIORITIES[a.priority].level - QUEUE_PRIORITIES[b.priority].level ||
+    new Date(a.joinedAt) - new Date(b.joinedAt);
+
+const matchesChargerType = (entry, charger) =>
+    !entry.chargerType || entry.chargerType === 'any' || entry.chargerType === charger.type;
+
+/**
+ * Resolve called entries against their charger hold: plugged in (served),
+ * hold expired (missed) or hold cancelled (left)
+ */
+const refreshEntry = async (entry, now = new Date()) => {
+    if (entry.status !== 'called' || !entry.reservationId) return entry;
+
+    const { reservation } = await getReservation({ reservation_id: entry.reservationId });
+    const nextStatus = {
+        fulfilled: 'served',
+        no_show: 'missed',
+        cancelled: 'left'
+    }[reservation?.status];
+
+    if (!nextStatus) return entry;
+
+    const updated = {
+        ...entry,
+        status: nextStatus,
+        sessionId: reservation.sessionId,
+        endedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+    await repositories.queue.save(updated);
+    return updated;
+};
+
+const loadStationQueue = async (stationId, now = new Date()) => {
+    const entries = await repositories.queue.query('stationId', stationId);
+    return Promise.all(entries.map(e => refreshEntry(e, now)));
+};
+
+/**
+ * Average session length at a station from the chargers' usage profiles
+ */
+const getAvgSessionMinutes = (station, model) => {
+    const chargers = station.chargers.filter(c => c.status !== 'maintenance');
+    if (chargers.length === 0) return 0;
+
+    const total = chargers.reduce((sum, charger) => sum + getChargerProfile(station, charger, model).avg_session_minutes, 0);
+    return total / chargers.length;
+};
+
+/**
+ * Estimated wait for the nth person in line: free chargers take the first ones right away,
+ * the rest wait for half a session on average plus one full session per round of chargers ahead
+ */
+const estimateWaitMinutes = (position, station, model) => {
+    const usable = station.chargers.filter(c => c.status !== 'maintenance').length;
+    const available = station.chargers.filter(c => c.status === 'available').length;
+
+    if (position <= available) return 0;
+    if (usable === 0) return null;
+
+    const avgSession = getAvgSessionMinutes(station, model);
+    const rounds = Math.floor((position - available - 1) / usable);
+    return Math.round(avgSession / 2 + rounds * avgSession);
+};
+
+const getTrend = (entries, now) => {
+    const since = now.getTime() - TREND_WINDOW_MINUTES * 60000;
+    const joined = entries.filter(e => new Date(e.joinedAt).getTime() >= since).length;
+    const left = entries.filter(e => e.endedAt && new Date(e.endedAt).getTime() >= since).length;
+
+    if (joined > left) return 'increasing';
+    if (joined < left) return 'decreasing';
+    return 'stable';
+};
+
+const formatEntry = (entry, position, station, model) => ({
+    entry_id: entry.entryId,
+    user_id: entry.userId,
+    station_id: entry.stationId,
+    status: entry.status,
+    priority: entry.priority,
+    priority_label: QUEUE_PRIORITIES[entry.priority].label,
+    charger_type: entry.chargerType,
+    battery_percent: entry.batteryPercent,
+    position: entry.status === 'waiting' ? position : null,
+    estimated_wait_minutes: entry.status === 'waiting' ? estimateWaitMinutes(position, station, model) : null,
+    called_charger_id: entry.chargerId || null,
+    hold_expires_at: entry.holdExpiresAt || null,
+    joined_at: entry.joinedAt
+});
+
+// Walk-in drivers arrived before anyone joining through the app, so only Bronze waits behind them
+const walkInsAhead = (priority, walkIns) => (priority === 'bronze' ? walkIns : 0);
+
+/**
+ * Queue state for a live station: waiting entries in order and wait estimates.
+ * When a user is given, estimated_wait_minutes is the wait they would get joining now.
+ */
+const buildQueueStatus = (station, model, entries, now, joining = null) => {
+    const walkIns = station.walk_in_queue || 0;
+    const waiting = entries.filter(e => e.status === 'waiting').sort(compareEntries);
+    const positions = new Map(waiting.map((e, i) => [e.entryId, i + 1 + walkInsAhead(e.priority, walkIns)]));
+    const waits = waiting.map(e => estimateWaitMinutes(positions.get(e.entryId), station, model));
+
+    const joinPriority = joining || 'bronze';
+    const joinPosition = waiting.filter(e => QUEUE_PRIORITIES[e.priority].level <= QUEUE_PRIORITIES[joinPriority].level).length +
+        1 + walkInsAhead(joinPriority, walkIns);
+
+    const byPriority = {};
+    waiting.forEach(e => { byPriority[e.priority] = (byPriority[e.priority] || 0) + 1; });
+
+    return {
+        station_id: station.id,
+        current_queue: waiting.length + walkIns,
+        walk_in_queue: walkIns,
+        called: entries.filter(e => e.status === 'called').length,
+        avg_wait_minutes: waits.length > 0
+            ? Math.round(waits.reduce((sum, w) => sum + (w || 0), 0) / waits.length)
+            : 0,
+        estimated_wait_minutes: estimateWaitMinutes(joinPosition, station, model),
+        trend: getTrend(entries, now),
+        by_priority: byPriority,
+        waiting,
+        positions
+    };
+};
+
+const getUserActiveReservation = async (userId, stationId, now) => {
+    const reservations = Object.values(await getActiveReservationsByCharger(now));
+    return reservations.find(r => r.userId === userId && r.stationId === stationId && r.source !== 'queue') || null;
+};
+
+/**
+ * Join a station's queue
+ * @param {Object} input - { user_id, station_id, charger_type, battery_percent, emergency }
+ */
+const joinQueue = async (input) => {
+    const { user_id, station_id, charger_type = 'any', battery_percent, emergency = false } = input;
+    const now = new Date();
+
+    if (!user_id || !station_id) {
+        return { error: 'Se requieren user_id y station_id', statusCode: 400 };
+    }
+    if (!['fast', 'slow', 'any'].includes(charger_type)) {
+        return { error: 'charger_type debe ser fast, slow o any', statusCode: 400 };
+    }
+    if (emergency && !(typeof battery_percent === 'number' && battery_percent < EMERGENCY_BATTERY_PERCENT)) {
+        return {
+            error: `La emergencia solo puede declararse con batería bajo ${EMERGENCY_BATTERY_PERCENT}%`,
+            statusCode: 400
+        };
+    }
+
+    const station = await getLiveStation(station_id);
+    if (!station) {
+        return { error: `Estación ${station_id} no encontrada`, statusCode: 404 };
+    }
+
+    const entries = await loadStationQueue(station_id, now);
+    const existing = entries.find(e => e.userId === user_id && WAITING_STATUSES.includes(e.status));
+    if (existing) {
+        return { error: 'Ya estás en la cola de esta estación', statusCode: 409, entry_id: existing.entryId };
+    }
+
+    const user = await repositories.users.get(user_id);
+    const reservation = await getUserActiveReservation(user_id, station_id, now);
+    const priority = getPriority({ user, hasReservation: !!reservation, battery_percent, emergency });
+
+    const entry = {
+        entryId: uuidv4(),
+        userId: user_id,
+        stationId: station_id,
+        priority,
+        chargerType: charger_type,
+        batteryPercent: battery_percent ?? null,
+        emergency: priority === 'emergency',
+        status: 'waiting',
+        joinedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+
+    await repositories.queue.save(entry);
+
+    const model = await getUsageModel();
+    const status = buildQueueStatus(station, model, [...entries, entry], now);
+    const position = status.positions.get(entry.entryId);
+
+    return { entry: formatEntry(entry, position, station, model), queue_length: status.current_queue };
+};
+
+/**
+ * Leave a queue
+ * @param {Object} input - { entry_id }
+ */
+const leaveQueue = async (input) => {
+    const { entry_id } = input;
+    const now = new Date();
+
+    const stored = await repositories.queue.get(entry_id);
+    if (!stored) {
+        return { error: `Turno ${entry_id} no encontrado`, statusCode: 404 };
+    }
+
+    const entry = await refreshEntry(stored, now);
+    if (!WAITING_STATUSES.includes(entry.status)) {
+        return { error: `El turno ya no está en la cola (estado: ${entry.status})`, statusCode: 409 };
+    }
+
+    const left = {
+        ...entry,
+        status: 'left',
+        endedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+    await repositories.queue.save(left);
+
+    return { entry: formatEntry(left, null, await getLiveStation(entry.stationId), await getUsageModel()) };
+};
+
+/**
+ * Position and estimated wait of a queue entry
+ * @param {Object} input - { entry_id }
+ */
+const getQueuePosition = async (input) => {
+    const { entry_id } = input;
+    const now = new Date();
+
+    const stored = await repositories.queue.get(entry_id);
+    if (!stored) {
+        return { error: `Turno ${entry_id} no encontrado`, statusCode: 404 };
+    }
+
+    const station = await getLiveStation(stored.stationId);
+    const entries = await loadStationQueue(stored.stationId, now);
+    const entry = entries.find(e => e.entryId === entry_id);
+    const model = await getUsageModel();
+    const status = buildQueueStatus(station, model, entries, now);
+    const position = status.positions.get(entry_id) || null;
+
+    return {
+        entry: formatEntry(entry, position, station, model),
+        ahead: position ? position - 1 : null,
+        queue_length: status.current_queue
+    };
+};
+
+/**
+ * Call the next person in line when a charger frees up. The charger is held for them
+ * for a few minutes; if they don't plug in, the next call skips them.
+ * @param {Object} input - { station_id, charger_id }
+ */
+const callNext = async (input) => {
+    const { station_id, charger_id } = input;
+    const now = new Date();
+
+    const station = await getLiveStation(station_id);
+    if (!station) {
+        return { error: `Estación ${station_id} no encontrada`, statusCode: 404 };
+    }
+
+    const freeChargers = station.chargers.filter(c =>
+        c.status === 'available' && (!charger_id || c.id === charger_id)
+    );
+    if (freeChargers.length === 0) {
+        return {
+            called: null,
+            reason: charger_id ? `El cargador ${charger_id} no está libre` : 'No hay cargadores libres'
+        };
+    }
+
+    const entries = await loadStationQueue(station_id, now);
+    const waiting = entries.filter(e => e.status === 'waiting').sort(compareEntries);
+
+    // First in line whose charger type preference a free charger satisfies
+    let next = null;
+    let charger = null;
+    for (const entry of waiting) {
+        charger = freeChargers.find(c => matchesChargerType(entry, c));
+        if (charger) {
+            next = entry;
+            break;
+        }
+    }
+
+    if (!next) {
+        return { called: null, reason: waiting.length > 0 ? 'Nadie en la cola espera este tipo de cargador' : 'La cola está vacía' };
+    }
+
+    const hold = await holdChargerForQueue({
+        user_id: next.userId,
+        station_id,
+        charger_id: charger.id,
+        hold_minutes: CALL_HOLD_MINUTES,
+        queue_entry_id: next.entryId
+    });
+
+    const called = {
+        ...next,
+        status: 'called',
+        chargerId: charger.id,
+        reservationId: hold.reservationId,
+        calledAt: now.toISOString(),
+        holdExpiresAt: hold.expiresAt,
+        updatedAt: now.toISOString()
+    };
+    await repositories.queue.save(called);
+
+    return {
+        called: formatEntry(called, null, station, await getUsageModel()),
+        message: `Es tu turno: el cargador ${charger.id} está reservado para ti por ${CALL_HOLD_MINUTES} minutos.`
+    };
+};
+
+/**
+ * Call queued drivers to every free charger. Simulated chargers and expired holds free up
+ * without any event to react to, so this runs on a schedule as well as after sessions end.
+ * @param {Object} input - { station_ids } (default: every station with someone waiting)
+ * @returns {Object} { called } the entries called
+ */
+const callNextForFreeChargers = async (input = {}) => {
+    const stationIds = input.station_ids || [...new Set((await repositories.queue.list())
+        .filter(e => e.status === 'waiting')
+        .map(e => e.stationId))];
+
+    const called = [];
+    for (const stationId of stationIds) {
+        // Every call holds a charger or uses up a waiting entry, so this ends
+        for (;;) {
+            const result = await callNext({ station_id: stationId });
+            if (!result.called) break;
+            called.push(result.called);
+        }
+    }
+    return { called };
+};
+
+/**
+ * Live queue state of a station
+ * @param {Object} input - { station_id, user_id, battery_percent, emergency }
+ */
+const getQueueStatus = async (input) => {
+    const { station_id, user_id, battery_percent, emergency } = input;
+    const now = new Date();
+
+    const station = await getLiveStation(station_id);
+    if (!station) {
+        return { error: `Estación ${station_id} no encontrada`, statusCode: 404 };
+    }
+
+    const entries = await loadStationQueue(station_id, now);
+    const joining = user_id
+        ? getPriority({
+            user: await repositories.users.get(user_id),
+            hasReservation: !!(await getUserActiveReservation(user_id, station_id, now)),
+            battery_percent,
+            emergency
+        })
+        : null;
+    const model = await getUsageModel();
+    const { waiting, positions, ...status } = buildQueueStatus(station, model, entries, now, joining);
+
+    return {
+        ...status,
+        your_priority: joining ? { priority: joining, label: QUEUE_PRIORITIES[joining].label } : undefined,
+        entries: waiting.map(e => formatEntry(e, positions.get(e.entryId), station, model)),
+        last_updated: now.toISOString()
+    };
+};
+
+/**
+ * Queue summary for every station (or the given station_ids), indexed by station id.
+ * With a user, estimated_wait_minutes is the wait that user would get at each station.
+ * @param {Object} input - { user_id, battery_percent, emergency, station_ids }
+ */
+const getQueueSummaries = async (input = {}) => {
+    const { user_id, battery_percent, emergency, station_ids } = input;
+    const now = new Date();
+    const user = user_id ? await repositories.users.get(user_id) : null;
+    const reservations = Object.values(await getActiveReservationsByCharger(now));
+    const liveStations = await getLiveStations(station_ids);
+    const model = await getUsageModel();
+
+    const summaries = {};
+    for (const station of liveStations) {
+        const entries = await loadStationQueue(station.id, now);
+        const joining = user_id
+            ? getPriority({
+                user,
+                hasReservation: reservations.some(r => r.userId === user_id && r.stationId === station.id && r.source !== 'queue'),
+                battery_percent,
+                emergency
+            })
+            : null;
+        const { waiting, positions, ...status } = buildQueueStatus(station, model, entries, now, joining);
+        summaries[station.id] = status;
+    }
+    return summaries;
+};
+
+module.exports = {
+    joinQueue,
+    leaveQueue,
+    getQueuePosition,
+    callNext,
+    callNextForFreeChargers,
+    getQueueStatus,
+    getQueueSummaries,
+    QUEUE_PRIORITIES
+};
@@ -0,0 +1,149 @@
+/**
+ * Copec EV Agent - Real-time Station Updates
+ * Station status snapshots (chargers, queue, power) and change detection for the
+ * server-sent events stream. Event ids carry a digest per subscribed station, so
+ * a reconnecting client only receives the stations that changed since its last event.
+ */
+
+const repositories = require('../repositories');
+const { getLiveStations } = require('./availability');
+const { getQueueSummaries } = require('./queue');
+const { hashString } = require('./simulator');
+
+const STREAM_WAIT_SECONDS = 20;     // Hold a stream request open this long waiting for changes
+const STREAM_POLL_SECONDS = 2;
+const RETRY_MILLISECONDS = 1000;    // Client reconnect delay between stream requests
+const POWER_STEP_KW = 5;            // Power changes below this don't trigger an update
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a comma-separated list of station ids, keeping only known stations.
+ * No ids subscribes to every station.
+ */
+const parseStationIds = async (value) => {
+    const known = (await repositories.stations.list()).map(s => s.id);
+    if (!value) return known;
+
+    const ids = [...new Set(String(value).split(',').map(id => id.trim()).filter(Boolean))];
+    return ids.filter(id => known.includes(id));
+};
+
+const buildSnapshot = (station, queue, now) => ({
+    station_id: station.id,
+    available: station.chargers.filter(c => c.status === 'available').length,
+    total: station.chargers.length,
+    chargers: station.chargers.map(c => ({
+        id: c.id,
+        type: c.type,
+        status: c.status,
+        power_draw_kw: c.power_draw_kw || 0,
+        reserved_until: c.reserved_until
+    })),
+    queue: {
+        current_queue: queue.current_queue,
+        estimated_wait_minutes: queue.estimated_wait_minutes,
+        trend: queue.trend
+    },
+    real_time_power: station.real_time_power,
+    simulated_at: station.simulated_at,
+    updated_at: now.toISOString()
+});
+
+// Digest of the fields clients render; timestamps and small power changes are left out
+const digestSnapshot = (snapshot) => hashString(JSON.stringify([
+    snapshot.chargers.map(c => [c.id, c.status]),
+    snapshot.queue.current_queue,
+    snapshot.queue.estimated_wait_minutes,
+    Math.round((snapshot.real_time_power?.current_load_kw || 0) / POWER_STEP_KW)
+])).toString(36);
+
+/**
+ * Current snapshot of the given stations
+ * @param {Object} input - { station_ids }
+ */
+const getStationSnapshots = async (input) => {
+    const { station_ids } = input;
+    const now = new Date();
+    const liveStations = await getLiveStations();
+    const queues = await getQueueSummaries();
+
+    return station_ids
+        .map(id => liveStations.find(s => s.id === id))
+        .filter(Boolean)
+        .map(station => buildSnapshot(station, queues[station.id], now));
+};
+
+const encodeEventId = (digests) => digests.join('.');
+
+const decodeEventId = (eventId, count) => {
+    const digests = eventId ? String(eventId).split('.') : [];
+    return digests.length === count ? digests : null;
+};
+
+/**
+ * Wait for changes on the subscribed stations. Without a previous event id
+ * (first connection) the full snapshot is returned right away.
+ * @param {Object} input - { station_ids, last_event_id, wait_seconds }
+ */
+const waitForStationUpdates = async (input) => {
+    const { station_ids, last_event_id, wait_seconds = STREAM_WAIT_SECONDS } = input;
+    const deadline = Date.now() + wait_seconds * 1000;
+
+    const previous = decodeEventId(last_event_id, station_ids.length);
+
+    for (;;) {
+        const snapshots = await getStationSnapshots({ station_ids });
+        const digests = snapshots.map(digestSnapshot);
+        const eventId = encodeEventId(digests);
+
+        if (!previous) {
+            return { events: [{ type: 'snapshot', id: eventId, data: { stations: snapshots } }] };
+        }
+
+        const changed = snapshots.filter((s, i) => digests[i] !== previous[i]);
+        if (changed.length > 0) {
+            return {
+                events: changed.map((snapshot, i) => ({
+                    type: 'station_status',
+                    // Only the last event carries the id, once every change was delivered
+                    id: i === changed.length - 1 ? eventId : undefined,
+                    data: snapshot
+                }))
+            };
+        }
+
+        if (Date.now() + STREAM_POLL_SECONDS * 1000 > deadline) {
+            return { events: [] };
+        }
+        await sleep(STREAM_POLL_SECONDS * 1000);
+    }
+};
+
+/**
+ * Serialize events in text/event-stream format
+ */
+const formatEventStream = (events) => {
+    const lines = [`retry: ${RETRY_MILLISECONDS}`, ''];
+
+    if (events.length === 0) {
+        lines.push(': keep-alive', '');
+    }
+
+    events.forEach(event => {
+        if (event.id) lines.push(`id: ${event.id}`);
+        lines.push(`event: ${event.type}`);
+        lines.push(`data: ${JSON.stringify(event.data)}`);
+        lines.push('');
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+module.exports = {
+    parseStationIds,
+    getStationSnapshots,
+    waitForStationUpdates,
+    formatEventStream,
+    STREAM_WAIT_SECONDS
+};
@@ -0,0 +1,275 @@
+/**
+ * Copec EV Agent - Reservation Tools
+ * Handles charger reservations following the booking rules in policies-rules.md
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+
+// How far ahead (minutes) each kind of user may book a charger
+const RESERVATION_WINDOWS = {
+    membership_tier: {
+        gold: 30,
+        platinum: 30
+    },
+    profile_type: {
+        fleet: 60,
+        business: 60
+    }
+};
+
+const FREE_CANCELLATION_MINUTES = 10;  // Free cancellation up to 10 min before start
+const NO_SHOW_BAN_DAYS = 7;             // Reservation privilege lost for 7 days on no-show
+const RESERVATION_HOLD_MINUTES = 15;    // Grace period after start before it counts as no-show
+
+/**
+ * Mark active reservations whose hold period elapsed as no-show
+ */
+const refreshStatus = async (reservation, now = new Date()) => {
+    if (reservation.status !== 'active') return reservation;
+
+    if (now > new Date(reservation.expiresAt)) {
+        const updated = {
+            ...reservation,
+            status: 'no_show',
+            updatedAt: now.toISOString()
+        };
+        await repositories.reservations.save(updated);
+        return updated;
+    }
+
+    return reservation;
+};
+
+const refreshAll = async (now = new Date()) => {
+    // Reservations are short-lived, a full scan is fine at current volume
+    const reservations = await repositories.reservations.list();
+    return Promise.all(reservations.map(r => refreshStatus(r, now)));
+};
+
+/**
+ * Booking window in minutes for a user, 0 when the user cannot reserve
+ */
+const getReservationWindowMinutes = (user) => {
+    if (!user) return 0;
+    const byTier = RESERVATION_WINDOWS.membership_tier[user.membership_tier] || 0;
+    const byProfile = RESERVATION_WINDOWS.profile_type[user.profile_type] || 0;
+    return Math.max(byTier, byProfile);
+};
+
+// Missing a queue call is not a reservation no-show and doesn't suspend booking
+const getBanExpiry = (reservations, userId) => {
+    const lastNoShow = reservations
+        .filter(r => r.userId === userId && r.status === 'no_show' && r.source !== 'queue')
+        .map(r => new Date(r.expiresAt))
+        .sort((a, b) => b - a)[0];
+
+    if (!lastNoShow) return null;
+    return new Date(lastNoShow.getTime() + NO_SHOW_BAN_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Create a reservation for a charger
+ * @param {Object} input - { user_id, station_id, charger_id, start_time }
+ */
+const createReservation = async (input) => {
+    const { user_id, station_id, charger_id, start_time } = input;
+    const now = new Date();
+
+    if (!user_id || !station_id || !charger_id) {
+        return { error: 'Se requieren user_id, station_id y charger_id', statusCode: 400 };
+    }
+
+    const user = await repositories.users.get(user_id);
+    const windowMinutes = getReservationWindowMinutes(user);
+
+    if (windowMinutes === 0) {
+        return {
+            error: 'Tu membresía no incluye reserva de cargadores. Disponible para usuarios Gold/Platinum y Flota/Empresa.',
+            statusCode: 403
+        };
+    }
+
+    const station = await repositories.stations.get(station_id);
+    if (!station) {
+        return { error: `Estación ${station_id} no encontrada`, statusCode: 404 };
+    }
+
+    const charger = station.chargers.find(c => c.id === charger_id);
+    if (!charger) {
+        return { error: `Cargador ${charger_id} no encontrado en ${station_id}`, statusCode: 404 };
+    }
+
+    const startTime = start_time ? new Date(start_time) : now;
+    if (isNaN(startTime.getTime())) {
+        return { error: 'start_time debe ser una fecha ISO válida', statusCode: 400 };
+    }
+
+    const minutesAhead = (startTime - now) / 60000;
+    if (minutesAhead < -1) {
+        return { error: 'La hora de inicio no puede estar en el pasado', statusCode: 400 };
+    }
+    if (minutesAhead > windowMinutes) {
+        return {
+            error: `Solo puedes reservar hasta ${windowMinutes} minutos antes`,
+            max_minutes_ahead: windowMinutes,
+            statusCode: 400
+        };
+    }
+
+    const reservations = await refreshAll(now);
+
+    const bannedUntil = getBanExpiry(reservations, user_id);
+    if (bannedUntil && bannedUntil > now) {
+        return {
+            error: 'Privilegio de reserva suspendido por no presentarse a una reserva anterior',
+            banned_until: bannedUntil.toISOString(),
+            statusCode: 403
+        };
+    }
+
+    if (reservations.some(r => r.userId === user_id && r.status === 'active')) {
+        return { error: 'Ya tienes una reserva activa', statusCode: 409 };
+    }
+
+    // Occupancy is simulated walk-in traffic, which yields to reservations
+    if (charger.status === 'maintenance' || reservations.some(r => r.chargerId === charger_id && r.status === 'active')) {
+        return { error: `El cargador ${charger_id} no está disponible para reservar`, statusCode: 409 };
+    }
+
+    const reservation = {
+        reservationId: uuidv4(),
+        userId: user_id,
+        stationId: station_id,
+        chargerId: charger_id,
+        startTime: startTime.toISOString(),
+        expiresAt: new Date(startTime.getTime() + RESERVATION_HOLD_MINUTES * 60000).toISOString(),
+        freeCancellationUntil: new Date(startTime.getTime() - FREE_CANCELLATION_MINUTES * 60000).toISOString(),
+        status: 'active',
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+
+    await repositories.reservations.save(reservation);
+
+    return { reservation };
+};
+
+/**
+ * Get a reservation by id
+ * @param {Object} input - { reservation_id }
+ */
+const getReservation = async (input) => {
+    const { reservation_id } = input;
+
+    const stored = await repositories.reservations.get(reservation_id);
+    if (!stored) {
+        return { error: `Reserva ${reservation_id} no encontrada`, statusCode: 404 };
+    }
+
+    return { reservation: await refreshStatus(stored) };
+};
+
+/**
+ * Cancel a reservation. Cancelling less than 10 minutes before start is recorded as late.
+ * @param {Object} input - { reservation_id }
+ */
+const cancelReservation = async (input) => {
+    const { reservation_id } = input;
+    const now = new Date();
+
+    const stored = await repositories.reservations.get(reservation_id);
+    if (!stored) {
+        return { error: `Reserva ${reservation_id} no encontrada`, statusCode: 404 };
+    }
+
+    const reservation = await refreshStatus(stored, now);
+    if (reservation.status !== 'active') {
+        return {
+            error: `La reserva no se puede cancelar (estado: ${reservation.status})`,
+            statusCode: 409
+        };
+    }
+
+    const freeCancellation = now <= new Date(reservation.freeCancellationUntil);
+    const cancelled = {
+        ...reservation,
+        status: 'cancelled',
+        lateCancellation: !freeCancellation,
+        cancelledAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+
+    await repositories.reservations.save(cancelled);
+
+    return {
+        reservation: cancelled,
+        free_cancellation: freeCancellation
+    };
+};
+
+/**
+ * Hold a freed charger for the user called from the station queue.
+ * Behaves like a reservation starting now, without booking window or ban checks.
+ * @param {Object} input - { user_id, station_id, charger_id, hold_minutes, queue_entry_id }
+ */
+const holdChargerForQueue = async (input) => {
+    const { user_id, station_id, charger_id, hold_minutes, queue_entry_id } = input;
+    const now = new Date();
+
+    const hold = {
+        reservationId: uuidv4(),
+        userId: user_id,
+        stationId: station_id,
+        chargerId: charger_id,
+        source: 'queue',
+        queueEntryId: queue_entry_id,
+        startTime: now.toISOString(),
+        expiresAt: new Date(now.getTime() + hold_minutes * 60000).toISOString(),
+        freeCancellationUntil: now.toISOString(),
+        status: 'active',
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+
+    await repositories.reservations.save(hold);
+    return hold;
+};
+
+/**
+ * Mark a reservation as fulfilled once its owner starts charging
+ */
+const fulfillReservation = async (reservation, sessionId) => {
+    const now = new Date();
+    const fulfilled = {
+        ...reservation,
+        status: 'fulfilled',
+        sessionId,
+        updatedAt: now.toISOString()
+    };
+    await repositories.reservations.save(fulfilled);
+    return fulfilled;
+};
+
+/**
+ * Active reservations indexed by charger id
+ */
+const getActiveReservationsByCharger = async (now = new Date()) => {
+    const reservations = await refreshAll(now);
+    const byCharger = {};
+    reservations
+        .filter(r => r.status === 'active')
+        .forEach(r => { byCharger[r.chargerId] = r; });
+    return byCharger;
+};
+
+module.exports = {
+    createReservation,
+    getReservation,
+    cancelReservation,
+    getActiveReservationsByCharger,
+    fulfillReservation,
+    holdChargerForQueue,
+    getReservationWindowMinutes,
+    RESERVATION_WINDOWS
+};
@@ -0,0 +1,307 @@
+/**
+ * Copec EV Agent - Road Network
+ * Offline routing over a preprocessed OpenStreetMap extract (scripts/build-road-network.js):
+ * A* on travel time at each road's speed limit. The bundled graph is a hand-made fixture
+ * (metadata.fixture) covering the main roads of the Región Metropolitana and Ruta 68 to the
+ * coast, not built from an extract; ROAD_NETWORK_FILE points at a real one, e.g. a national
+ * graph shipped in a Lambda layer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateHaversineDistance, round } = require('./geo');
+const { createSpatialIndex } = require('./spatial');
+
+const DEFAULT_NETWORK_FILE = path.join(__dirname, '../../data/road_network_rm.json');
+
+// Points further than this from the network are outside its coverage
+const MAX_SNAP_KM = 3;
+// Nodes tried at each end: a one-way road can leave the nearest one unusable
+const SNAP_CANDIDATES = 3;
+// From the point to its node over local streets the extract leaves out
+const ACCESS_SPEED_KMH = 30;
+// Access legs shorter than this are not reported as segments
+const MIN_ACCESS_KM = 0.01;
+// Structure codes in the serialized edges (scripts/build-road-network.js)
+const STRUCTURES = { 1: 'tunnel', 2: 'bridge' };
+
+const distanceKm = (a, b) => calculateHaversineDistance(a.lat, a.lng, b.lat, b.lng);
+
+/**
+ * Binary min-heap of { priority, value }
+ */
+const createHeap = () => {
+    const items = [];
+
+    const swap = (i, j) => {
+        [items[i], items[j]] = [items[j], items[i]];
+    };
+
+    return {
+        get size() {
+            return items.length;
+        },
+        push: (priority, value) => {
+            items.push({ priority, value });
+            for (let i = items.length - 1; i > 0;) {
+                const parent = (i - 1) >> 1;
+                if (items[parent].priority <= items[i].priority) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        pop: () => {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length) {
+                items[0] = last;
+                for (let i = 0; ;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                    if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest);
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+};
+
+/**
+ * Adjacency lists and a node index from the serialized graph
+ */
+const buildNetwork = ({ metadata, names, nodes, edges }) => {
+    const points = nodes.map(([lat, lng]) => ({ lat, lng }));
+    const outgoing = points.map(() => []);
+    let maxSpeedKmh = 0;
+
+    edges.forEach(([from, to, lengthM, speedKmh, oneway, nameIndex, structure]) => {
+        const edge = {
+            name: names[nameIndex] || null,
+            structure: STRUCTURES[structure] || null,
+            distance_km: lengthM / 1000,
+            speed_kmh: speedKmh,
+            minutes: lengthM / 1000 / speedKmh * 60
+        };
+        outgoing[from].push({ to, edge });
+        if (!oneway) outgoing[to].push({ to: from, edge });
+        maxSpeedKmh = Math.max(maxSpeedKmh, speedKmh);
+    });
+
+    return {
+        metadata,
+        points,
+        outgoing,
+        maxSpeedKmh,
+        index: createSpatialIndex(points.map((location, id) => ({ id, location })))
+    };
+};
+
+let network;
+
+/**
+ * Graph loaded once per container; null when the extract is missing or unreadable
+ */
+const loadNetwork = () => {
+    if (network !== undefined) return network;
+
+    const file = process.env.ROAD_NETWORK_FILE || DEFAULT_NETWORK_FILE;
+    try {
+        network = buildNetwork(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+        console.error('Road network unavailable, using distance estimates:', error.message);
+        network = null;
+    }
+    return network;
+};
+
+// Candidate nodes near a point, with the time to reach them
+const snap = (net, point) => net.index.nearest(point, SNAP_CANDIDATES, MAX_SNAP_KM)
+    .map(({ station, distance_km }) => ({
+        node: station.id,
+        distance_km,
+        minutes: distance_km / ACCESS_SPEED_KMH * 60
+    }));
+
+/**
+ * A* on travel time from any start node to any end node, counting the access
+ * legs at both ends. The heuristic (straight line at the network's top speed) never
+ * overestimates, so the first arrival that beats every open path is the fastest.
+ */
+const search = (net, starts, ends) => {
+    const egress = new Map(ends.map(end => [end.node, end.minutes]));
+    const heuristic = (node) => Math.min(
+        ...ends.map(end => distanceKm(net.points[node], net.points[end.node]))
+    ) / net.maxSpeedKmh * 60;
+
+    const best = new Map();
+    const previous = new Map();
+    const closed = new Set();
+    const open = createHeap();
+
+    starts.forEach(start => {
+        if (start.minutes < (best.get(start.node) ?? Infinity)) {
+            best.set(start.node, start.minutes);
+            open.push(start.minutes + heuristic(start.node), start.node);
+        }
+    });
+
+    let arrival = null;
+    while (open.size) {
+        const { priority, value: node } = open.pop();
+        if (arrival && priority >= arrival.minutes) break;
+        if (closed.has(node)) continue;
+        closed.add(node);
+
+        const cost = best.get(node);
+        if (egress.has(node) && (!arrival || cost + egress.get(node) < arrival.minutes)) {
+            arrival = { node, minutes: cost + egress.get(node) };
+        }
+
+        net.outgoing[node].forEach(step => {
+            const next = cost + step.edge.minutes;
+            if (next < (best.get(step.to) ?? Infinity)) {
+                best.set(step.to, next);
+                previous.set(step.to, { node, step });
+                open.push(next + heuristic(step.to), step.to);
+            }
+        });
+    }
+
+    if (!arrival) return null;
+
+    const steps = [];
+    let start = arrival.node;
+    while (previous.has(start)) {
+        steps.unshift(previous.get(start).step);
+        start = previous.get(start).node;
+    }
+    return { start, end: arrival.node, steps };
+};
+
+/**
+ * Route from one point to the next: one piece per access leg and edge
+ */
+const routeLeg = (net, from, to) => {
+    const starts = snap(net, from);
+    const ends = snap(net, to);
+    if (!starts.length || !ends.length) return null;
+
+    const found = search(net, starts, ends);
+    if (!found) return null;
+
+    const access = starts.find(s => s.node === found.start);
+    const egress = ends.find(e => e.node === found.end);
+    const accessPiece = (snapped, points) => ({
+        type: 'access',
+        name: null,
+        structure: null,
+        speed_limit_kmh: null,
+        speed_kmh: ACCESS_SPEED_KMH,
+        distance_km: snapped.distance_km,
+        minutes: snapped.minutes,
+        points
+    });
+
+    // Each piece's points continue from where the previous one ended
+    const pieces = [accessPiece(access, [net.points[found.start]])];
+    found.steps.forEach(({ edge, to: node }) => {
+        pieces.push({
+            type: 'road',
+            name: edge.name,
+            structure: edge.structure,
+            speed_limit_kmh: edge.speed_kmh,
+            speed_kmh: edge.speed_kmh,
+            distance_km: edge.distance_km,
+            minutes: edge.minutes,
+            points: [net.points[node]]
+        });
+    });
+    pieces.push(accessPiece(egress, [{ lat: to.lat, lng: to.lng }]));
+
+    return pieces;
+};
+
+/**
+ * Fastest route through the given points, in order
+ * @param {Array} points - [{ lat, lng }, ...], at least two
+ * @returns {Object|null} { source, distance_km, duration_minutes, polyline, segments, legs }, or
+ *   null when a point is outside the network's coverage or no road connects them
+ */
+const findRoadRoute = (points) => {
+    const net = loadNetwork();
+    if (!net || !points || points.length < 2) return null;
+
+    const polyline = [{ lat: points[0].lat, lng: points[0].lng }];
+    const segments = [];
+    const legs = [];
+
+    for (let i = 1; i < points.length; i++) {
+        const pieces = routeLeg(net, points[i - 1], points[i]);
+        if (!pieces) return null;
+
+        pieces.forEach(piece => {
+            const startIndex = polyline.length - 1;
+            piece.points.forEach(({ lat, lng }) => polyline.push({ lat, lng }));
+            if (piece.type === 'access' && piece.distance_km < MIN_ACCESS_KM) return;
+
+            // Consecutive edges of the same road, limit and structure form one segment
+            const last = segments[segments.length - 1];
+            if (last && last.leg === i - 1 && last.type === piece.type && last.name === piece.name &&
+                last.speed_limit_kmh === piece.speed_limit_kmh && last.structure === piece.structure) {
+                last.distance_km += piece.distance_km;
+                last.duration_minutes += piece.minutes;
+                last.end_index = polyline.length - 1;
+            } else {
+                segments.push({
+                    leg: i - 1,
+                    type: piece.type,
+                    name: piece.name,
+                    structure: piece.structure,
+                    speed_limit_kmh: piece.speed_limit_kmh,
+                    speed_kmh: piece.speed_kmh,
+                    distance_km: piece.distance_km,
+                    duration_minutes: piece.minutes,
+                    start_index: startIndex,
+                    end_index: polyline.length - 1
+                });
+            }
+        });
+
+        const legSegments = segments.filter(segment => segment.leg === i - 1);
+        legs.push({
+            distance_km: legSegments.reduce((sum, s) => sum + s.distance_km, 0),
+            duration_minutes: legSegments.reduce((sum, s) => sum + s.duration_minutes, 0)
+        });
+    }
+
+    return {
+        source: 'road_network',
+        distance_km: legs.reduce((sum, leg) => sum + leg.distance_km, 0),
+        duration_minutes: legs.reduce((sum, leg) => sum + leg.duration_minutes, 0),
+        polyline: polyline.map(({ lat, lng }) => ({ lat: round(lat, 5), lng: round(lng, 5) })),
+        segments: segments.map(segment => ({
+            ...segment,
+            distance_km: round(segment.distance_km, 2),
+            duration_minutes: round(segment.duration_minutes, 1)
+        })),
+        legs: legs.map(leg => ({
+            distance_km: round(leg.distance_km, 1),
+            duration_minutes: round(leg.duration_minutes, 1)
+        }))
+    };
+};
+
+/**
+ * Extract description (source, region, size, bounds), or null without a network
+ */
+const getRoadNetworkInfo = () => loadNetwork()?.metadata || null;
+
+module.exports = {
+    findRoadRoute,
+    getRoadNetworkInfo
+};
@@ -1,22 +1,14 @@
 /**
  * Copec EV Agent - Routing Tools
- * Handles route calculations, distances, and ETAs
+ * Handles route calculations, distances, and ETAs. Road distance and travel time come from
+ * the offline road network when it covers the trip, otherwise from a Haversine estimate;
+ * climbs and descents come from the local DEM tiles.
  */
 
-/**
- * Haversine formula to calculate distance between two points
- */
-const calculateHaversineDistance = (lat1, lng1, lat2, lng2) => {
-    const R = 6371; // Earth's radius in km
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-};
+const { calculateHaversineDistance } = require('./geo');
+const { findRoadRoute } = require('./road-network');
+const { addRouteElevation } = require('./elevation');
+const { resolveVehicleModel, predictRouteEnergy } = require('./energy');
 
 /**
  * Get traffic multiplier based on time of day
@@ -31,12 +23,85 @@ const getTrafficMultiplier = (hour) => {
     return 1.0; // Night hours
 };
 
+/**
+ * Road distance and time estimated from the straight line, for trips outside the road
+ * network's coverage: urban detour factor and average city or highway speed per leg
+ */
+const estimateRoadRoute = (points) => {
+    const legs = points.slice(1).map((point, i) => {
+        const straightLineDistance = calculateHaversineDistance(
+            points[i].lat, points[i].lng,
+            point.lat, point.lng
+        );
+
+        // Estimate actual road distance (typically 1.3x straight line in urban areas)
+        const roadDistanceMultiplier = straightLineDistance > 50 ? 1.2 : 1.35;
+        const distance = straightLineDistance * roadDistanceMultiplier;
+        const avgSpeedKmh = distance > 100 ? 80 : 45; // Highway vs city
+
+        return { distance_km: distance, duration_minutes: distance / avgSpeedKmh * 60, speed_kmh: avgSpeedKmh };
+    });
+
+    return {
+        source: 'haversine_estimate',
+        distance_km: legs.reduce((sum, leg) => sum + leg.distance_km, 0),
+        duration_minutes: legs.reduce((sum, leg) => sum + leg.duration_minutes, 0),
+        polyline: points.map(({ lat, lng }) => ({ lat, lng })),
+        segments: legs.map((leg, i) => ({
+            leg: i,
+            type: 'estimate',
+            name: null,
+            structure: null,
+            speed_limit_kmh: null,
+            speed_kmh: leg.speed_kmh,
+            distance_km: Math.round(leg.distance_km * 100) / 100,
+            duration_minutes: Math.round(leg.duration_minutes * 10) / 10,
+            start_index: i,
+            end_index: i + 1
+        })),
+        legs: legs.map(leg => ({
+            distance_km: Math.round(leg.distance_km * 10) / 10,
+            duration_minutes: Math.round(leg.duration_minutes * 10) / 10
+        }))
+    };
+};
+
+/**
+ * Route through the given points in order: the offline road network's fastest route,
+ * or the Haversine estimate when the network doesn't cover them. Segments carry their
+ * elevation gain and loss where the DEM covers them.
+ * @returns {Object} { source, distance_km, duration_minutes, polyline, segments, legs, elevation }
+ */
+const getRoadRoute = (points) => addRouteElevation(findRoadRoute(points) || estimateRoadRoute(points));
+
+// Highway when most of the distance is on roads signed 80 km/h or more
+const getRouteType = (roadRoute) => {
+    if (roadRoute.source !== 'road_network') {
+        return roadRoute.distance_km > 100 ? 'highway' : 'urban';
+    }
+    const fastKm = roadRoute.segments
+        .filter(segment => segment.speed_limit_kmh >= 80)
+        .reduce((sum, segment) => sum + segment.distance_km, 0);
+    return fastKm > roadRoute.distance_km / 2 ? 'highway' : 'urban';
+};
+
 /**
  * Calculate route between two points
- * @param {Object} input - { origin, destination, current_battery_percent, vehicle_range_km }
+ * @param {Object} input - { origin, destination, current_battery_percent, vehicle_range_km, vehicle_id,
+ *   battery_capacity_kwh, efficiency_kwh_per_100km, ambient_temperature_c, payload_kg, departure_time }
  */
 const calculateRoute = async (input) => {
-    const { origin, destination, current_battery_percent, vehicle_range_km } = input;
+    const {
+        origin,
+        destination,
+        current_battery_percent,
+        vehicle_range_km,
+        vehicle_id,
+        efficiency_kwh_per_100km,
+        ambient_temperature_c,
+        payload_kg,
+        departure_time
+    } = input;
 
     // Calculate straight-line distance
     const straightLineDistance = calculateHaversineDistance(
@@ -44,25 +109,34 @@ const calculateRoute = async (input) => {
         destination.lat, destination.lng
     );
 
-    // Estimate actual road distance (typically 1.3x straight line in urban areas)
-    const roadDistanceMultiplier = straightLineDistance > 50 ? 1.2 : 1.35;
-    const estimatedRoadDistance = Math.round(straightLineDistance * roadDistanceMultiplier * 10) / 10;
-
-    // Calculate time based on average speed
-    const avgSpeedKmh = estimatedRoadDistance > 100 ? 80 : 45; // Highway vs city
-    const baseTimeMinutes = Math.round((estimatedRoadDistance / avgSpeedKmh) * 60);
+    // Road distance and free-flow time at the speed limits
+    const roadRoute = getRoadRoute([origin, destination]);
+    const estimatedRoadDistance = Math.round(roadRoute.distance_km * 10) / 10;
+    const baseTimeMinutes = Math.round(roadRoute.duration_minutes);
 
     // Apply traffic multiplier
     const currentHour = new Date().getHours();
     const trafficMultiplier = getTrafficMultiplier(currentHour);
     const estimatedTimeMinutes = Math.round(baseTimeMinutes * trafficMultiplier);
 
-    // Calculate battery analysis if provided
+    // Battery analysis from the energy model over the route's speed profile
     let batteryAnalysis = null;
-    if (current_battery_percent !== undefined && vehicle_range_km) {
-        const currentRange = (current_battery_percent / 100) * vehicle_range_km;
-        const batteryNeeded = (estimatedRoadDistance / vehicle_range_km) * 100;
-        const batteryAtArrival = current_battery_percent - batteryNeeded;
+    if (current_battery_percent !== undefined && (vehicle_range_km || vehicle_id || efficiency_kwh_per_100km)) {
+        const vehicle = await resolveVehicleModel(input);
+        const energy = predictRouteEnergy({
+            vehicle,
+            segments: roadRoute.segments,
+            start_soc_percent: current_battery_percent,
+            temperature_c: ambient_temperature_c,
+            payload_kg,
+            departure_time
+        });
+        const kwhPerKm = energy.kwh_per_100km / 100;
+        const currentRange = kwhPerKm > 0
+            ? (current_battery_percent / 100) * vehicle.battery_capacity_kwh / kwhPerKm
+            : 0;
+        const batteryNeeded = current_battery_percent - energy.arrival_soc_percent;
+        const batteryAtArrival = energy.arrival_soc_percent;
         const canComplete = batteryAtArrival >= 10; // 10% safety margin
 
         batteryAnalysis = {
@@ -71,7 +145,12 @@ const calculateRoute = async (input) => {
             estimated_battery_at_arrival: Math.round(batteryAtArrival),
             can_complete_trip: canComplete,
             needs_charging: !canComplete,
-            safety_margin_percent: 10
+            safety_margin_percent: 10,
+            energy_needed_kwh: energy.energy_kwh,
+            consumption_kwh_per_100km: energy.kwh_per_100km,
+            conditions: energy.conditions,
+            energy_breakdown: energy.breakdown,
+            soc_profile: energy.soc_profile
         };
 
         if (!canComplete) {
@@ -96,7 +175,8 @@ const calculateRoute = async (input) => {
         distance: {
             straight_line_km: Math.round(straightLineDistance * 10) / 10,
             estimated_road_km: estimatedRoadDistance,
-            unit: 'km'
+            unit: 'km',
+            source: roadRoute.source
         },
         time: {
             estimated_minutes: estimatedTimeMinutes,
@@ -106,7 +186,13 @@ const calculateRoute = async (input) => {
             formatted: formatDuration(estimatedTimeMinutes)
         },
         battery_analysis: batteryAnalysis,
-        route_type: estimatedRoadDistance > 100 ? 'highway' : 'urban',
+        route: {
+            source: roadRoute.source,
+            polyline: roadRoute.polyline,
+            segments: roadRoute.segments,
+            elevation: roadRoute.elevation
+        },
+        route_type: getRouteType(roadRoute),
         calculated_at: new Date().toISOString()
     };
 };
@@ -196,6 +282,7 @@ module.exports = {
     calculateRoute,
     calculateETA,
     calculateHaversineDistance,
+    getRoadRoute,
     isStationAlongRoute,
     formatDuration,
     getTrafficMultiplier
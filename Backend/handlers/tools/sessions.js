@@ -0,0 +1,326 @@
+/**
+ * Copec EV Agent - Charging Session Tools
+ * Handles the charging session lifecycle (start, stop, history)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const { formatCurrency } = require('./pricing');
+const { calculateTariff, calculateOverstayPenalty, getSessionLimitMinutes } = require('./tariffs');
+const { getActiveReservationsByCharger, fulfillReservation } = require('./reservations');
+const { accruePoints } = require('./points');
+const { simulateCharger, getUsageModel } = require('./simulator');
+const { buildChargingProfile, estimateChargingSession } = require('./charging-curve');
+
+const DEFAULT_BATTERY_CAPACITY_KWH = 60;
+
+const sessionCharger = (session) => ({
+    type: session.tariff.charger_type,
+    power: session.tariff.charger_power_kw,
+    connector: session.tariff.connector
+});
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000);
+
+/**
+ * Estimated time a session reaches a state of charge, following the vehicle's charging
+ * curve up to the charger's power
+ */
+const estimateTimeToSoc = async (session, targetSoc) => {
+    const vehicle = await repositories.vehicles.getByOwner(session.userId);
+    const chargerPower = session.tariff.charger_power_kw || (session.tariff.charger_type === 'fast' ? 150 : 50);
+    const { minutes } = estimateChargingSession({
+        profile: buildChargingProfile(vehicle),
+        charger_power_kw: chargerPower,
+        from_percent: session.startSoc,
+        to_percent: targetSoc,
+        battery_capacity_kwh: session.batteryCapacityKwh
+    });
+
+    return new Date(new Date(session.startedAt).getTime() + minutes * 60000);
+};
+
+/**
+ * Start a charging session on a charger
+ * @param {Object} input - { user_id, station_id, charger_id, start_soc, battery_capacity_kwh }
+ */
+const startSession = async (input) => {
+    const { user_id, station_id, charger_id, start_soc, battery_capacity_kwh } = input;
+    const now = new Date();
+
+    if (!user_id || !station_id || !charger_id) {
+        return { error: 'Se requieren user_id, station_id y charger_id', statusCode: 400 };
+    }
+    if (typeof start_soc !== 'number' || start_soc < 0 || start_soc > 100) {
+        return { error: 'start_soc debe ser un número entre 0 y 100', statusCode: 400 };
+    }
+
+    const station = await repositories.stations.get(station_id);
+    if (!station) {
+        return { error: `Estación ${station_id} no encontrada`, statusCode: 404 };
+    }
+
+    const charger = station.chargers.find(c => c.id === charger_id);
+    if (!charger) {
+        return { error: `Cargador ${charger_id} no encontrado en ${station_id}`, statusCode: 404 };
+    }
+
+    const reservations = await getActiveReservationsByCharger(now);
+    const reservation = reservations[charger_id];
+
+    // A reservation holds the charger even if simulated walk-in traffic would be using it
+    const activeSessions = await getActiveSessionsByCharger();
+    const inUse = !reservation && simulateCharger(station, charger, await getUsageModel()).status !== 'available';
+    if (charger.status === 'maintenance' || inUse || activeSessions[charger_id]) {
+        return { error: `El cargador ${charger_id} no está disponible`, statusCode: 409 };
+    }
+
+    if (reservation && reservation.userId !== user_id) {
+        return { error: `El cargador ${charger_id} está reservado por otro usuario`, statusCode: 409 };
+    }
+
+    const user = await repositories.users.get(user_id);
+    const vehicle = await repositories.vehicles.getByOwner(user_id);
+    const userType = user?.profile_type || 'individual';
+    const { price_per_kwh, discount, tariff } = calculateTariff({
+        energy_kwh: 0,
+        charger,
+        station,
+        user_type: userType,
+        start_time: now
+    });
+
+    const session = {
+        sessionId: uuidv4(),
+        userId: user_id,
+        stationId: station_id,
+        chargerId: charger_id,
+        reservationId: reservation?.reservationId || null,
+        batteryCapacityKwh: battery_capacity_kwh || vehicle?.battery_capacity_kwh || DEFAULT_BATTERY_CAPACITY_KWH,
+        startSoc: start_soc,
+        endSoc: null,
+        kwhDelivered: null,
+        durationMinutes: null,
+        tariff: {
+            charger_type: charger.type,
+            charger_power_kw: charger.power,
+            connector: charger.connector,
+            tier: tariff.tier,
+            user_type: userType,
+            price_per_kwh,
+            discount_percent: Math.round(discount * 10000) / 100,
+            max_session_minutes: getSessionLimitMinutes(charger)
+        },
+        cost: null,
+        status: 'active',
+        startedAt: now.toISOString(),
+        endedAt: null,
+        updatedAt: now.toISOString()
+    };
+
+    await repositories.sessions.save(session);
+
+    if (reservation) {
+        await fulfillReservation(reservation, session.sessionId);
+    }
+
+    return { session };
+};
+
+/**
+ * Stop an active session and compute the final price, including overstay penalty.
+ * charging_ended_at marks when energy stopped flowing; time plugged in after it is idle time.
+ * @param {Object} input - { session_id, end_soc, kwh_delivered, charging_ended_at }
+ */
+const stopSession = async (input) => {
+    const { session_id, end_soc, kwh_delivered, charging_ended_at } = input;
+    const now = new Date();
+
+    const session = await repositories.sessions.get(session_id);
+    if (!session) {
+        return { error: `Sesión ${session_id} no encontrada`, statusCode: 404 };
+    }
+    // Already completed, but its points couldn't be credited then: only retry that
+    if (session.status === 'completed' && session.points?.pending) {
+        return creditSessionPoints(session, now);
+    }
+    if (session.status !== 'active') {
+        return { error: `La sesión ya fue finalizada (estado: ${session.status})`, statusCode: 409 };
+    }
+    if (end_soc === undefined && kwh_delivered === undefined) {
+        return { error: 'Se requiere end_soc o kwh_delivered', statusCode: 400 };
+    }
+    if (end_soc !== undefined && (end_soc < session.startSoc || end_soc > 100)) {
+        return { error: 'end_soc debe estar entre start_soc y 100', statusCode: 400 };
+    }
+
+    const chargingEndedAt = charging_ended_at ? new Date(charging_ended_at) : now;
+    if (isNaN(chargingEndedAt.getTime()) || chargingEndedAt < new Date(session.startedAt) || chargingEndedAt > now) {
+        return { error: 'charging_ended_at debe estar entre el inicio de la sesión y ahora', statusCode: 400 };
+    }
+
+    const capacity = session.batteryCapacityKwh;
+    const kwhDelivered = kwh_delivered !== undefined
+        ? kwh_delivered
+        : (end_soc - session.startSoc) / 100 * capacity;
+    const endSoc = end_soc !== undefined
+        ? end_soc
+        : Math.min(100, session.startSoc + kwhDelivered / capacity * 100);
+
+    const price = calculateTariff({
+        energy_kwh: kwhDelivered,
+        charger: sessionCharger(session),
+        station: await repositories.stations.get(session.stationId),
+        user_type: session.tariff.user_type,
+        start_time: session.startedAt,
+        end_time: chargingEndedAt
+    });
+
+    const durationMinutes = minutesBetween(session.startedAt, now);
+    const overstay = calculateOverstayPenalty({
+        charger: sessionCharger(session),
+        duration_minutes: durationMinutes,
+        charging_minutes: minutesBetween(session.startedAt, chargingEndedAt)
+    });
+    const totalCost = Math.round(price.final_cost) + overstay.penalty_clp;
+
+    const completed = {
+        ...session,
+        endSoc: Math.round(endSoc),
+        kwhDelivered: Math.round(kwhDelivered * 100) / 100,
+        durationMinutes,
+        chargingEndedAt: chargingEndedAt.toISOString(),
+        overstay,
+        cost: {
+            price_per_kwh: price.price_per_kwh,
+            base_cost_clp: Math.round(price.base_cost),
+            discount_percent: Math.round(price.discount * 10000) / 100,
+            discount_amount_clp: Math.round(price.discount_amount),
+            final_cost_clp: Math.round(price.final_cost),
+            overstay_penalty_clp: overstay.penalty_clp,
+            total_cost_clp: totalCost,
+            formatted: formatCurrency(totalCost),
+            discounts: price.discounts
+        },
+        points: { pending: true },
+        status: 'completed',
+        endedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+
+    // Saved before crediting points, so a session that failed to save can't have earned them
+    await repositories.sessions.save(completed);
+
+    return creditSessionPoints(completed, now);
+};
+
+/**
+ * Credit the points for a completed session. Points accrue on the energy paid; overstay
+ * penalties don't earn points. When the ledger is busy the session keeps its points pending
+ * and stopping it again retries; accrual is keyed on the session, so it never credits twice.
+ */
+const creditSessionPoints = async (session, now) => {
+    const points = await accruePoints({
+        user_id: session.userId,
+        amount_clp: session.cost.final_cost_clp,
+        session_id: session.sessionId,
+        description: `Sesión de carga en ${session.stationId}`,
+        date: session.endedAt
+    });
+
+    const updated = {
+        ...session,
+        points: points.error
+            ? { pending: true, error: points.error }
+            : {
+                earned: points.earned.points,
+                multiplier: points.earned.multiplier,
+                multipliers: points.earned.multipliers,
+                balance: points.balance
+            },
+        updatedAt: now.toISOString()
+    };
+    await repositories.sessions.save(updated);
+
+    return points.error ? { session: updated, points_error: points.error } : { session: updated };
+};
+
+/**
+ * Get a session by id
+ * @param {Object} input - { session_id }
+ */
+const getSession = async (input) => {
+    const { session_id } = input;
+
+    const session = await repositories.sessions.get(session_id);
+    if (!session) {
+        return { error: `Sesión ${session_id} no encontrada`, statusCode: 404 };
+    }
+
+    if (session.status !== 'active') {
+        return { session };
+    }
+
+    // Running overstay for active sessions, so drivers see a penalty coming
+    const now = new Date();
+    const overstay = calculateOverstayPenalty({
+        charger: sessionCharger(session),
+        duration_minutes: minutesBetween(session.startedAt, now)
+    });
+
+    return {
+        session,
+        overstay: {
+            ...overstay,
+            minutes_until_penalty: Math.max(0, overstay.max_session_minutes - overstay.duration_minutes)
+        }
+    };
+};
+
+/**
+ * List sessions, optionally filtered by user, station and status
+ * @param {Object} input - { user_id, station_id, status, limit }
+ */
+const listSessions = async (input = {}) => {
+    const { user_id, station_id, status, limit = 20 } = input;
+
+    let sessions = user_id
+        ? await repositories.sessions.query('userId', user_id)
+        : await repositories.sessions.list();
+
+    if (station_id) {
+        sessions = sessions.filter(s => s.stationId === station_id);
+    }
+    if (status) {
+        sessions = sessions.filter(s => s.status === status);
+    }
+
+    sessions.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+    return {
+        count: Math.min(sessions.length, limit),
+        filter: { user_id, station_id, status },
+        sessions: sessions.slice(0, limit)
+    };
+};
+
+/**
+ * Active sessions indexed by charger id
+ */
+const getActiveSessionsByCharger = async () => {
+    const sessions = await repositories.sessions.list();
+    const byCharger = {};
+    sessions
+        .filter(s => s.status === 'active')
+        .forEach(s => { byCharger[s.chargerId] = s; });
+    return byCharger;
+};
+
+module.exports = {
+    startSession,
+    stopSession,
+    getSession,
+    listSessions,
+    getActiveSessionsByCharger,
+    estimateTimeToSoc
+};
@@ -0,0 +1,230 @@
+/**
+ * Copec EV Agent - Charger Simulator
+ * Deterministic, seedable simulation of charger occupancy, walk-in queues and power draw,
+ * driven by the hourly_usage profiles and avg_session_duration_minutes in the charging metrics.
+ * The simulation clock can run faster than real time for demos and tests.
+ */
+
+const repositories = require('../repositories');
+const { getLocalTime } = require('./tariffs');
+
+// Average session length when a charger has no usage metrics
+const DEFAULT_SESSION_MINUTES = {
+    fast: 25,
+    slow: 45
+};
+
+// Slow chargers see less demand than fast ones at the same station
+const TYPE_USAGE_FACTOR = {
+    fast: 1,
+    slow: 0.8
+};
+
+const MAX_USAGE_PERCENT = 98;
+const QUEUE_BUCKET_MINUTES = 15;        // Walk-in queue length changes every 15 simulated minutes
+const MAX_WALK_INS_PER_CHARGER = 2;     // At full demand, up to 2 drivers wait per busy charger
+const DEFAULT_EFFICIENCY_PERCENT = 95;
+
+const parseSpeed = (value) => {
+    const speed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(speed) && speed >= 0 ? speed : 1;
+};
+
+// Simulation settings, read from the environment so every function sees the same ones.
+// The clock is anchored at startedAt (real time), where simulated time equals
+// simulatedStart, and advances `speed` times faster.
+const settings = {
+    enabled: process.env.SIMULATION_ENABLED !== 'false',
+    seed: process.env.SIMULATION_SEED || 'copec-ev',
+    speed: parseSpeed(process.env.SIMULATION_SPEED),
+    startedAt: new Date(),
+    simulatedStart: process.env.SIMULATION_START ? new Date(process.env.SIMULATION_START) : null
+};
+
+/**
+ * Usage model the simulation runs on: measured profiles by charger, the baseline profile
+ * for chargers without metrics (mean of the measured ones), the network's average wait
+ * and the measured station power
+ */
+const getUsageModel = async () => {
+    const metrics = await repositories.metrics.get();
+    const stations = await repositories.stations.list();
+    const measured = metrics.charging_sessions;
+
+    return {
+        metricsByCharger: Object.fromEntries(measured.map(m => [m.charger_id, m])),
+        baseHourlyUsage: Object.fromEntries(
+            Object.keys(measured[0]?.hourly_usage || {}).map(hour => [
+                hour,
+                measured.reduce((sum, m) => sum + m.hourly_usage[hour], 0) / measured.length
+            ])
+        ),
+        avgStationWait: stations.reduce((sum, s) => sum + s.usage_factors.avg_wait_time, 0) / (stations.length || 1),
+        realTimePower: metrics.real_time_power
+    };
+};
+
+/**
+ * Current simulated time
+ */
+const getSimulationTime = (realNow = new Date()) => {
+    if (!settings.simulatedStart && settings.speed === 1) return realNow;
+
+    const base = settings.simulatedStart || settings.startedAt;
+    return new Date(base.getTime() + (realNow.getTime() - settings.startedAt.getTime()) * settings.speed);
+};
+
+const getSimulationInfo = () => ({
+    enabled: settings.enabled,
+    seed: settings.seed,
+    speed: settings.speed,
+    simulated_time: getSimulationTime().toISOString()
+});
+
+// FNV-1a hash of a string as an unsigned 32-bit integer
+const hashString = (str) => {
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+// Uniform number in [0, 1) fixed by the seed and the given key (FNV-1a + mulberry32 mix)
+const random = (...key) => {
+    let t = (hashString([settings.seed, ...key].join('|')) + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Hourly usage profile and average session length of a charger. Chargers without
+ * metrics get the baseline profile scaled by how busy their station usually is.
+ */
+const getChargerProfile = (station, charger, model) => {
+    const metrics = model.metricsByCharger[charger.id];
+    if (metrics) {
+        return {
+            hourly_usage: metrics.hourly_usage,
+            avg_session_minutes: metrics.avg_session_duration_minutes,
+            measured: true
+        };
+    }
+
+    const busyness = 0.5 + 0.5 * (station.usage_factors.avg_wait_time / (model.avgStationWait || 1));
+    const factor = busyness * (TYPE_USAGE_FACTOR[charger.type] || 1);
+    return {
+        hourly_usage: Object.fromEntries(Object.entries(model.baseHourlyUsage).map(([hour, usage]) => [
+            hour,
+            Math.min(MAX_USAGE_PERCENT, Math.round(usage * factor))
+        ])),
+        avg_session_minutes: DEFAULT_SESSION_MINUTES[charger.type] || DEFAULT_SESSION_MINUTES.fast,
+        measured: false
+    };
+};
+
+const getUsagePercent = (profile, date) => {
+    const hour = Math.floor(getLocalTime(date).minutes / 60) % 24;
+    return profile.hourly_usage[`${String(hour).padStart(2, '0')}:00`] || 0;
+};
+
+/**
+ * Power a charger delivers: the vehicle accepts part of the charger's rating and
+ * the draw tapers during the last 30% of the session
+ */
+const getPowerDraw = (charger, progress, acceptance = 0.85) => {
+    const taper = progress < 0.7 ? 1 : 1 - Math.min(1, (progress - 0.7) / 0.3) * 0.6;
+    return Math.round(charger.power * acceptance * taper);
+};
+
+/**
+ * Simulated state of a charger. Time is split into back-to-back slots one average session
+ * long (offset per charger); each slot is occupied with the probability given by the
+ * hourly usage at its start. Chargers in maintenance stay in maintenance.
+ */
+const simulateCharger = (station, charger, model, simNow = getSimulationTime()) => {
+    if (!settings.enabled || charger.status === 'maintenance') return charger;
+
+    const profile = getChargerProfile(station, charger, model);
+    const duration = profile.avg_session_minutes;
+    const minute = simNow.getTime() / 60000;
+    const phase = Math.floor(random(charger.id, 'phase') * duration);
+    const slot = Math.floor((minute - phase) / duration);
+    const slotStart = (slot * duration + phase) * 60000;
+
+    const usage = getUsagePercent(profile, new Date(slotStart));
+    if (random(charger.id, slot) >= usage / 100) {
+        return { ...charger, status: 'available', power_draw_kw: 0 };
+    }
+
+    const progress = (minute - slot * duration - phase) / duration;
+    return {
+        ...charger,
+        status: 'occupied',
+        power_draw_kw: getPowerDraw(charger, progress, 0.55 + 0.45 * random(charger.id, slot, 'acceptance')),
+        simulated_session: {
+            started_at: new Date(slotStart).toISOString(),
+            expected_end_at: new Date(slotStart + duration * 60000).toISOString(),
+            progress_percent: Math.round(progress * 100)
+        }
+    };
+};
+
+/**
+ * Drivers waiting on site without using the app. Only forms when every usable
+ * charger is busy, and grows with the chargers' current demand.
+ */
+const getWalkInQueue = (station, chargers, model, simNow = getSimulationTime()) => {
+    const usable = chargers.filter(c => c.status !== 'maintenance');
+    if (!settings.enabled || usable.length === 0 || usable.some(c => c.status === 'available')) return 0;
+
+    const usage = usable.reduce((sum, c) => sum + getUsagePercent(getChargerProfile(station, c, model), simNow), 0) /
+        usable.length;
+    const maxQueue = Math.round(usable.length * MAX_WALK_INS_PER_CHARGER * usage / 100);
+    const bucket = Math.floor(simNow.getTime() / (QUEUE_BUCKET_MINUTES * 60000));
+    return Math.floor(random(station.id, 'queue', bucket) * (maxQueue + 1));
+};
+
+/**
+ * Station power: current load from the chargers' draw, capacity and efficiency from metrics
+ */
+const getStationPower = (station, chargers, model) => {
+    const measured = model.realTimePower[station.id];
+    if (!settings.enabled && measured) return measured;
+
+    return {
+        current_load_kw: chargers.reduce((sum, c) => sum + (c.power_draw_kw || 0), 0),
+        max_capacity_kw: measured?.max_capacity_kw || station.chargers.reduce((sum, c) => sum + c.power, 0),
+        efficiency_percent: measured?.efficiency_percent || DEFAULT_EFFICIENCY_PERCENT
+    };
+};
+
+/**
+ * Simulated state of a station: chargers, walk-in queue and power
+ */
+const simulateStation = (station, model, simNow = getSimulationTime()) => {
+    const chargers = station.chargers.map(charger => simulateCharger(station, charger, model, simNow));
+    return {
+        ...station,
+        chargers,
+        walk_in_queue: getWalkInQueue(station, chargers, model, simNow),
+        real_time_power: getStationPower(station, chargers, model),
+        simulated_at: simNow.toISOString()
+    };
+};
+
+module.exports = {
+    simulateStation,
+    simulateCharger,
+    getWalkInQueue,
+    getStationPower,
+    getPowerDraw,
+    getChargerProfile,
+    getUsageModel,
+    getSimulationTime,
+    getSimulationInfo,
+    hashString,
+    DEFAULT_SESSION_MINUTES
+};
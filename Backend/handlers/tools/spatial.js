@@ -0,0 +1,319 @@
+/**
+ * Copec EV Agent - Spatial Index
+ * KD-tree over station locations for radius, k-nearest and route corridor queries,
+ * so lookups don't scan the whole network with Haversine. Built from the stations
+ * repository and rebuilt whenever the repository hands out a new catalog.
+ */
+
+const repositories = require('../repositories');
+const { calculateHaversineDistance } = require('./geo');
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+// Long route segments are split so the flat projection used for corridor distances stays
+// accurate; each segment is checked at every tree node walked, so they are kept this long
+const CORRIDOR_STEP_KM = 200;
+
+const toRad = (deg) => deg * Math.PI / 180;
+
+// Center and half-extents of the box around a set of points
+const toBounds = (points) => {
+    let [minLat, maxLat, minLng, maxLng] = [Infinity, -Infinity, Infinity, -Infinity];
+    points.forEach(({ lat, lng }) => {
+        minLat = Math.min(minLat, lat);
+        maxLat = Math.max(maxLat, lat);
+        minLng = Math.min(minLng, lng);
+        maxLng = Math.max(maxLng, lng);
+    });
+    return {
+        centerLat: (minLat + maxLat) / 2,
+        centerLng: (minLng + maxLng) / 2,
+        halfLat: (maxLat - minLat) / 2,
+        halfLng: (maxLng - minLng) / 2
+    };
+};
+
+/**
+ * Balanced KD-tree alternating latitude (axis 0) and longitude (axis 1). Each node keeps
+ * the bounding box of its subtree so route queries can skip whole branches.
+ */
+const buildTree = (points, depth = 0) => {
+    if (points.length === 0) return null;
+
+    const axis = depth % 2;
+    const key = axis === 0 ? 'lat' : 'lng';
+    const sorted = [...points].sort((a, b) => a[key] - b[key]);
+    const median = Math.floor(sorted.length / 2);
+
+    return {
+        point: sorted[median],
+        axis,
+        bounds: toBounds(points),
+        left: buildTree(sorted.slice(0, median), depth + 1),
+        right: buildTree(sorted.slice(median + 1), depth + 1)
+    };
+};
+
+/**
+ * Lower bound of the Haversine distance from the query to anything across a splitting plane.
+ * Latitude: nothing is closer than the meridian arc. Longitude: from the haversine formula,
+ * sin(d/2R) >= cos(maxLat) * sin(dLng/2) for points no further than maxLat from the equator.
+ */
+const planeDistanceKm = (query, node, maxAbsLat) => {
+    if (node.axis === 0) {
+        return Math.abs(query.lat - node.point.lat) * KM_PER_DEGREE;
+    }
+    const cosLat = Math.cos(toRad(Math.max(Math.abs(query.lat), maxAbsLat)));
+    const halfDelta = Math.min(Math.PI / 2, toRad(Math.abs(query.lng - node.point.lng)) / 2);
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, cosLat * Math.sin(halfDelta)));
+};
+
+const sideOf = (query, node) =>
+    (node.axis === 0 ? query.lat < node.point.lat : query.lng < node.point.lng)
+        ? [node.left, node.right]
+        : [node.right, node.left];
+
+const distanceTo = (query, point) => calculateHaversineDistance(query.lat, query.lng, point.lat, point.lng);
+
+// Closest point of segment a-b to p on a flat projection scaling longitude by cosLat
+// (the segment's middle latitude by default), as a fraction of the segment
+const projectOnSegment = (p, a, b, cosLat = Math.cos(toRad((a.lat + b.lat) / 2))) => {
+    const dx = (b.lng - a.lng) * cosLat;
+    const dy = b.lat - a.lat;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return 0;
+    const t = ((p.lng - a.lng) * cosLat * dx + (p.lat - a.lat) * dy) / lengthSq;
+    return Math.max(0, Math.min(1, t));
+};
+
+/**
+ * Lower bound of the Haversine distance from p to a route segment: the flat distance with
+ * longitude scaled by the smallest cos(lat) around the segment (segment.cosLat), which is
+ * never more than the Haversine one bar rounding. Cheap enough to run on every tree node.
+ */
+const segmentLowerBoundKm = (lat, lng, segment) => {
+    const { a, cosLat, dx, dy, lengthSq } = segment;
+    const x = (lng - a.lng) * cosLat;
+    const y = lat - a.lat;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, (x * dx + y * dy) / lengthSq));
+    const ex = x - t * dx;
+    const ey = y - t * dy;
+    return Math.sqrt(ex * ex + ey * ey) * KM_PER_DEGREE;
+};
+
+// Distances are compared with a little slack so rounding never drops a station
+const BOUND_SLACK = 1.01;
+
+const interpolate = (a, b, t) => ({ lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t });
+
+/**
+ * Corridor matches in route order. Wide corridors return thousands of stations, so they are
+ * bucketed by along_km (spread evenly over the route length) and the nearly sorted result
+ * finished with an insertion sort, which is linear in practice.
+ */
+const sortAlongRoute = (matches, routeKm) => {
+    const count = matches.length;
+    if (count < 2 || routeKm <= 0) return matches;
+
+    const bucketOf = matches.map(m => Math.min(count - 1, Math.floor(m.along_km / routeKm * count)));
+    const starts = new Int32Array(count + 1);
+    bucketOf.forEach(bucket => { starts[bucket + 1]++; });
+    for (let i = 1; i <= count; i++) starts[i] += starts[i - 1];
+
+    const sorted = new Array(count);
+    matches.forEach((match, i) => { sorted[starts[bucketOf[i]]++] = match; });
+    for (let i = 1; i < count; i++) {
+        const match = sorted[i];
+        let j = i - 1;
+        for (; j >= 0 && sorted[j].along_km > match.along_km; j--) sorted[j + 1] = sorted[j];
+        sorted[j + 1] = match;
+    }
+    return sorted;
+};
+
+/**
+ * Split a polyline so no segment is longer than step_km, keeping the
+ * distance along the route at each vertex
+ */
+const densify = (polyline, stepKm) => {
+    const vertices = [{ ...polyline[0], along_km: 0 }];
+    for (let i = 1; i < polyline.length; i++) {
+        const a = polyline[i - 1];
+        const b = polyline[i];
+        const length = distanceTo(a, b);
+        const steps = Math.max(1, Math.ceil(length / stepKm));
+        const start = vertices[vertices.length - 1].along_km;
+        for (let step = 1; step <= steps; step++) {
+            vertices.push({ ...interpolate(a, b, step / steps), along_km: start + length * step / steps });
+        }
+    }
+    return vertices;
+};
+
+/**
+ * Index over a list of stations
+ * @param {Array} stations - stations with { id, location: { lat, lng } }
+ */
+const createSpatialIndex = (stations) => {
+    const points = stations
+        .filter(s => Number.isFinite(s.location?.lat) && Number.isFinite(s.location?.lng))
+        .map(station => ({ lat: station.location.lat, lng: station.location.lng, station }));
+    const root = buildTree(points);
+    const maxAbsLat = points.reduce((max, p) => Math.max(max, Math.abs(p.lat)), 0);
+
+    // Every point within radiusKm of the query
+    const collectWithin = (node, query, radiusKm, found) => {
+        if (!node) return;
+        const distance = distanceTo(query, node.point);
+        if (distance <= radiusKm) found.push({ point: node.point, distance });
+
+        const [near, far] = sideOf(query, node);
+        collectWithin(near, query, radiusKm, found);
+        if (planeDistanceKm(query, node, maxAbsLat) <= radiusKm) {
+            collectWithin(far, query, radiusKm, found);
+        }
+    };
+
+    // Every point within bufferKm of a route segment, measured to its closest segment. Children
+    // are only walked for the segments that may pass within bufferKm of their bounds, so the
+    // tree is walked once for the whole route and branches off the corridor are skipped.
+    const collectNearSegments = (node, segments, bufferKm, found) => {
+        const limitKm = bufferKm * BOUND_SLACK;
+
+        const point = node.point;
+        let bestKm = Infinity;
+        let bestAlongKm = 0;
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            if (segmentLowerBoundKm(point.lat, point.lng, segment) > Math.min(limitKm, bestKm * BOUND_SLACK)) continue;
+            const { a, b } = segment;
+            const t = projectOnSegment(point, a, b, segment.midCosLat);
+            const distance = calculateHaversineDistance(
+                point.lat, point.lng, a.lat + (b.lat - a.lat) * t, a.lng + (b.lng - a.lng) * t
+            );
+            if (distance < bestKm) {
+                bestKm = distance;
+                bestAlongKm = a.along_km + (b.along_km - a.along_km) * t;
+            }
+        }
+        if (bestKm <= bufferKm) {
+            found.push({ station: point.station, distance_km: bestKm, along_km: bestAlongKm });
+        }
+
+        if (!node.left && !node.right) return;
+        // Deep in the tree every segment usually stays, so the list is only copied when one drops
+        const { centerLat, centerLng, halfLat, halfLng } = node.bounds;
+        let nearby = segments;
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const halfLngScaled = halfLng * segment.cosLat;
+            const halfDiagonalKm = Math.sqrt(halfLat * halfLat + halfLngScaled * halfLngScaled) * KM_PER_DEGREE;
+            const reaches = segmentLowerBoundKm(centerLat, centerLng, segment) - halfDiagonalKm <= limitKm;
+            if (!reaches && nearby === segments) nearby = segments.slice(0, i);
+            else if (reaches && nearby !== segments) nearby.push(segment);
+        }
+        if (nearby.length === 0) return;
+
+        if (node.left) collectNearSegments(node.left, nearby, bufferKm, found);
+        if (node.right) collectNearSegments(node.right, nearby, bufferKm, found);
+    };
+
+    const toResult = ({ point, distance }) => ({ station: point.station, distance_km: distance });
+
+    return {
+        size: points.length,
+
+        /**
+         * Stations within radius_km of a location, nearest first
+         */
+        withinRadius: (location, radiusKm) => {
+            const found = [];
+            collectWithin(root, location, radiusKm, found);
+            return found.sort((a, b) => a.distance - b.distance).map(toResult);
+        },
+
+        /**
+         * The k stations nearest to a location, optionally no further than max_km
+         */
+        nearest: (location, k, maxKm = Infinity) => {
+            const best = [];        // sorted by distance, at most k
+            const visit = (node) => {
+                if (!node) return;
+                const distance = distanceTo(location, node.point);
+                const worst = () => (best.length < k ? maxKm : best[best.length - 1].distance);
+                if (distance <= worst()) {
+                    const at = best.findIndex(b => b.distance > distance);
+                    best.splice(at < 0 ? best.length : at, 0, { point: node.point, distance });
+                    if (best.length > k) best.pop();
+                }
+
+                const [near, far] = sideOf(location, node);
+                visit(near);
+                if (planeDistanceKm(location, node, maxAbsLat) <= worst()) visit(far);
+            };
+            if (k > 0) visit(root);
+            return best.map(toResult);
+        },
+
+        /**
+         * Stations within buffer_km of a route polyline, in the order they are passed.
+         * Each result has its distance from the route and how far along the route it is.
+         */
+        withinCorridor: (polyline, bufferKm) => {
+            if (!polyline?.length) return [];
+            const vertices = densify(
+                polyline.length === 1 ? [polyline[0], polyline[0]] : polyline,
+                CORRIDOR_STEP_KM
+            );
+            // Stations within bufferKm of a segment are no further than latPad from it in latitude
+            const latPad = bufferKm / KM_PER_DEGREE;
+            const segments = vertices.slice(1).map((b, i) => {
+                const a = vertices[i];
+                const cosLat = Math.cos(toRad(Math.min(89, Math.max(Math.abs(a.lat), Math.abs(b.lat)) + latPad)));
+                const dx = (b.lng - a.lng) * cosLat;
+                const dy = b.lat - a.lat;
+                return {
+                    a,
+                    b,
+                    cosLat,
+                    dx,
+                    dy,
+                    lengthSq: dx * dx + dy * dy,
+                    midCosLat: Math.cos(toRad((a.lat + b.lat) / 2))
+                };
+            });
+
+            const matches = [];
+            if (root) collectNearSegments(root, segments, bufferKm, matches);
+            return sortAlongRoute(matches, vertices[vertices.length - 1].along_km);
+        }
+    };
+};
+
+/**
+ * Corridor half-width that contains every station reachable with at most max_detour_km
+ * extra over a direct_km leg: the semi-minor axis of the ellipse with the leg's ends as
+ * foci, plus 5% for the flat projection used for corridor distances
+ */
+const getDetourBufferKm = (directKm, maxDetourKm) =>
+    Math.sqrt((directKm + maxDetourKm) ** 2 - directKm ** 2) / 2 * 1.05;
+
+let cached = { stations: null, index: null };
+
+/**
+ * Index over the stations repository. The repository returns the same list until the
+ * catalog changes or its cache expires, so the tree is only rebuilt then.
+ */
+const getStationIndex = async () => {
+    const stations = await repositories.stations.list();
+    if (cached.stations !== stations) {
+        cached = { stations, index: createSpatialIndex(stations) };
+    }
+    return cached.index;
+};
+
+module.exports = {
+    createSpatialIndex,
+    getStationIndex,
+    getDetourBufferKm
+};
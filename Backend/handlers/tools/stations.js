@@ -3,14 +3,19 @@
  * Handles station search, availability, and details
  */
 
-const stations = require('../../data/stations_geo.json');
-const venues = require('../../data/venues.json');
-const chargingMetrics = require('../../data/charging_metrics.json');
-const { calculateHaversineDistance, isStationAlongRoute } = require('./routing');
+const repositories = require('../repositories');
+const { isStationAlongRoute } = require('./routing');
+const { getLiveStations, getLiveStation } = require('./availability');
+const { getQueueStatus, getQueueSummaries } = require('./queue');
+const { getStationIndex } = require('./spatial');
+const { resolveVehicleCompatibility, filterCompatibleChargers } = require('./compatibility');
 
 /**
- * Find charging stations based on location and filters
- * @param {Object} input - { location, radius_km, filters, along_route, limit }
+ * Find charging stations based on location and filters. When the vehicle is known (user_id,
+ * vehicle_id or connector_types) only chargers it can plug into count, and stations without
+ * any are left out.
+ * @param {Object} input - { location, radius_km, filters, along_route, limit, user_id, vehicle_id,
+ *   connector_types, allow_adapters }
  */
 const findChargingStations = async (input) => {
     const { 
@@ -20,28 +25,36 @@ const findChargingStations = async (input) => {
         along_route,
         limit = 5 
     } = input;
-
-    let results = stations.stations.map(station => {
-        // Calculate distance from search location
-        const distance = calculateHaversineDistance(
-            location.lat, location.lng,
-            station.location.lat, station.location.lng
-        );
-
-        // Get availability info
-        const availableChargers = station.chargers.filter(c => c.status === 'available');
-        const fastChargers = station.chargers.filter(c => c.type === 'fast');
+    const compatibility = await resolveVehicleCompatibility(input);
+
+    // Only the stations within the search radius get live status and queue info
+    const index = await getStationIndex();
+    const distances = new Map(
+        index.withinRadius(location, radius_km).map(({ station, distance_km }) => [station.id, distance_km])
+    );
+    const stationIds = [...distances.keys()];
+    const liveStations = await getLiveStations(stationIds);
+    const queues = await getQueueSummaries({ station_ids: stationIds });
+    const venues = new Map((await repositories.venues.list()).map(venue => [venue.station_id, venue]));
+
+    let results = liveStations.map(station => {
+        const distance = distances.get(station.id);
+
+        // Get availability info, over the chargers the vehicle can use
+        const chargers = filterCompatibleChargers(station, compatibility);
+        const availableChargers = chargers.filter(c => c.status === 'available');
+        const fastChargers = chargers.filter(c => c.type === 'fast');
         const fastAvailable = fastChargers.filter(c => c.status === 'available');
 
         // Get venue info if available
-        const venueInfo = venues.venues[station.id];
+        const venueInfo = venues.get(station.id);
         const hasStreetBurger = venueInfo?.services?.street_burger?.available || false;
         const hasProntoCopec = venueInfo?.services?.pronto_copec?.available || false;
         const hasWifi = venueInfo?.services?.wifi?.available || false;
         const hasLounge = venueInfo?.services?.lounge?.available || false;
 
         // Get queue info
-        const queueInfo = chargingMetrics.queue_density?.[station.id];
+        const queueInfo = queues[station.id];
 
         return {
             station_id: station.id,
@@ -51,11 +64,16 @@ const findChargingStations = async (input) => {
             distance_km: Math.round(distance * 10) / 10,
             availability: {
                 total_chargers: station.chargers.length,
+                compatible_chargers: chargers.length,
                 available: availableChargers.length,
                 fast_total: fastChargers.length,
                 fast_available: fastAvailable.length,
                 has_availability: availableChargers.length > 0
             },
+            compatibility: compatibility && {
+                connectors: [...new Set(chargers.map(c => c.connector))],
+                via_adapter: chargers.length > 0 && chargers.every(c => c.via_adapter)
+            },
             services: {
                 has_food: hasStreetBurger || hasProntoCopec,
                 has_street_burger: hasStreetBurger,
@@ -65,19 +83,20 @@ const findChargingStations = async (input) => {
                 amenities: station.usage_factors.nearby_amenities
             },
             wait_time: {
-                estimated_minutes: queueInfo?.avg_wait_minutes || station.usage_factors.avg_wait_time,
-                queue_length: queueInfo?.current_queue || 0,
-                trend: queueInfo?.trend || 'stable'
+                estimated_minutes: queueInfo.estimated_wait_minutes,
+                queue_length: queueInfo.current_queue,
+                trend: queueInfo.trend
             },
             rating: venueInfo?.ratings?.overall || 4.0,
             venue_type: venueInfo?.venue_type || 'copec_standard'
         };
     });
 
-    // Filter by radius
-    results = results.filter(s => s.distance_km <= radius_km);
-
     // Apply filters
+    if (compatibility) {
+        results = results.filter(s => s.availability.compatible_chargers > 0);
+    }
+
     if (filters.only_available) {
         results = results.filter(s => s.availability.has_availability);
     }
@@ -130,6 +149,7 @@ const findChargingStations = async (input) => {
         search_location: location,
         radius_km,
         filters_applied: filters,
+        vehicle_compatibility: compatibility,
         stations: results,
         searched_at: new Date().toISOString()
     };
@@ -142,22 +162,22 @@ const findChargingStations = async (input) => {
 const checkStationAvailability = async (input) => {
     const { station_id } = input;
 
-    const station = stations.stations.find(s => s.id === station_id);
+    const station = await getLiveStation(station_id);
     
     if (!station) {
         return {
             error: `Estación ${station_id} no encontrada`,
-            available_stations: stations.stations.slice(0, 5).map(s => ({ id: s.id, name: s.name }))
+            available_stations: (await repositories.stations.list()).slice(0, 5).map(s => ({ id: s.id, name: s.name }))
         };
     }
 
-    const queueInfo = chargingMetrics.queue_density?.[station_id];
-    const venueInfo = venues.venues[station_id];
+    const queueInfo = await getQueueStatus({ station_id });
+    const venueInfo = await repositories.venues.get(station_id);
 
     // Group chargers by type and status
     const chargersByType = {
-        fast: { total: 0, available: 0, occupied: 0, maintenance: 0 },
-        slow: { total: 0, available: 0, occupied: 0, maintenance: 0 }
+        fast: { total: 0, available: 0, occupied: 0, reserved: 0, maintenance: 0 },
+        slow: { total: 0, available: 0, occupied: 0, reserved: 0, maintenance: 0 }
     };
 
     station.chargers.forEach(charger => {
@@ -166,16 +186,10 @@ const checkStationAvailability = async (input) => {
         chargersByType[type][charger.status]++;
     });
 
-    // Calculate wait time based on queue and charger availability
+    // Wait time for someone joining the station queue now
     const totalAvailable = chargersByType.fast.available + chargersByType.slow.available;
-    const currentQueue = queueInfo?.current_queue || 0;
-    
-    let estimatedWaitMinutes = 0;
-    if (totalAvailable === 0 && currentQueue > 0) {
-        // Average charging session is ~30 min for fast, ~60 for slow
-        const avgSessionTime = chargersByType.fast.total > 0 ? 25 : 45;
-        estimatedWaitMinutes = Math.round(currentQueue * avgSessionTime / station.chargers.length);
-    }
+    const currentQueue = queueInfo.current_queue;
+    const estimatedWaitMinutes = queueInfo.estimated_wait_minutes;
 
     return {
         station_id,
@@ -198,13 +212,16 @@ const checkStationAvailability = async (input) => {
             power_kw: c.power,
             connector: c.connector,
             status: c.status,
-            status_label: getStatusLabel(c.status)
+            status_label: getStatusLabel(c.status),
+            power_draw_kw: c.power_draw_kw || 0,
+            reserved_until: c.reserved_until,
+            ocpp_status: c.ocpp?.status
         })),
         wait_time: {
             estimated_minutes: estimatedWaitMinutes,
             queue_length: currentQueue,
-            trend: queueInfo?.trend || 'stable',
-            recommendation: getWaitRecommendation(estimatedWaitMinutes, totalAvailable)
+            trend: queueInfo.trend,
+            recommendation: getWaitRecommendation(estimatedWaitMinutes, totalAvailable, currentQueue)
         },
         peak_hours: station.usage_factors.peak_hours,
         is_peak_now: isPeakHourNow(station.usage_factors.peak_hours)
@@ -218,7 +235,7 @@ const checkStationAvailability = async (input) => {
 const getStationDetails = async (input) => {
     const { station_id } = input;
 
-    const station = stations.stations.find(s => s.id === station_id);
+    const station = await repositories.stations.get(station_id);
     
     if (!station) {
         return {
@@ -226,8 +243,8 @@ const getStationDetails = async (input) => {
         };
     }
 
-    const venueInfo = venues.venues[station_id];
-    const queueInfo = chargingMetrics.queue_density?.[station_id];
+    const venueInfo = await repositories.venues.get(station_id);
+    const queueInfo = await getQueueStatus({ station_id });
 
     // Build comprehensive station details
     const details = {
@@ -265,8 +282,9 @@ const getStationDetails = async (input) => {
         usage: {
             peak_hours: station.usage_factors.peak_hours,
             avg_wait_time_minutes: station.usage_factors.avg_wait_time,
-            current_queue: queueInfo?.current_queue || 0,
-            trend: queueInfo?.trend || 'stable'
+            current_queue: queueInfo.current_queue,
+            estimated_wait_minutes: queueInfo.estimated_wait_minutes,
+            trend: queueInfo.trend
         },
 
         // Ratings
@@ -294,13 +312,17 @@ const getStatusLabel = (status) => {
     const labels = {
         available: 'Disponible',
         occupied: 'En uso',
+        reserved: 'Reservado',
         maintenance: 'En mantenimiento'
     };
     return labels[status] || status;
 };
 
-const getWaitRecommendation = (waitMinutes, available) => {
-    if (available > 0) {
+const getWaitRecommendation = (waitMinutes, available, queueLength) => {
+    if (waitMinutes === null) {
+        return 'No hay cargadores operativos. Te recomendamos buscar otra estación.';
+    }
+    if (available > queueLength) {
         return 'Hay cargadores disponibles, puedes llegar ahora.';
     }
     if (waitMinutes <= 10) {
@@ -0,0 +1,359 @@
+/**
+ * Copec EV Agent - Tariff Engine
+ * Prices charging energy following the rules in policies-rules.md:
+ * base price per charger power tier, per-station overrides, user type discounts,
+ * Happy Hour, peak hours, weekend discount and the maximum stacked discount.
+ * Also computes overstay penalties for sessions longer than the allowed maximum.
+ */
+
+// Tier prices ship with the code (catalog fixture metadata); per-station overrides come
+// with the station passed in
+const stationsFixture = require('../../data/stations_geo.json');
+
+const pricingConfig = stationsFixture.metadata?.pricing || {};
+
+// Base tariff per charger power tier (from stations metadata)
+const TARIFF_TIERS = {
+    dc_150: {
+        label: 'DC Rápida (150kW)',
+        price_per_kwh: pricingConfig.tiers?.dc_150 || 250
+    },
+    ac_50: {
+        label: 'AC Lenta (50kW)',
+        price_per_kwh: pricingConfig.tiers?.ac_50 || 180
+    },
+    ac_22: {
+        label: 'AC Lenta (22kW)',
+        price_per_kwh: pricingConfig.tiers?.ac_22 || 150
+    }
+};
+
+// Pricing configuration by charger type (fast = DC 150kW, slow = AC 50kW)
+const PRICING = {
+    fast_charging_per_kwh: pricingConfig.fast_kwh || TARIFF_TIERS.dc_150.price_per_kwh,
+    slow_charging_per_kwh: pricingConfig.slow_kwh || TARIFF_TIERS.ac_50.price_per_kwh,
+    currency: pricingConfig.currency || 'CLP'
+};
+
+const DC_CONNECTORS = ['CCS2', 'CHAdeMO', 'GB/T'];
+
+// Maximum session length (minutes) and overstay penalty
+const SESSION_LIMITS = {
+    DC: 45,
+    AC: 240
+};
+
+const OVERSTAY_PENALTY = {
+    block_minutes: 15,
+    amount_clp: 500
+};
+
+// User type discounts
+const USER_DISCOUNTS = {
+    individual: 0,
+    premium: 0.10,      // 10% discount
+    fleet: 0.15,        // 15% discount
+    business: 0.20      // 20% discount
+};
+
+// Time of day discounts (local Santiago time)
+const TIME_DISCOUNTS = {
+    happy_hour: {
+        label: 'Happy Hour (22:00 - 06:00)',
+        percent: 0.20,
+        windows: [['22:00', '24:00'], ['00:00', '06:00']]
+    },
+    weekend: {
+        label: 'Fin de semana',
+        percent: 0.05
+    }
+};
+
+// Peak hours: no time-based discount applies
+const PEAK_WINDOWS = [['07:00', '09:00'], ['18:00', '20:00']];
+
+const MAX_DISCOUNT = 0.35;
+const TIME_ZONE = 'America/Santiago';
+const MAX_PRICED_MINUTES = 48 * 60;
+
+const localTimeFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE,
+    hourCycle: 'h23',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+const WEEKDAYS = {
+    Sun: 'sunday',
+    Mon: 'monday',
+    Tue: 'tuesday',
+    Wed: 'wednesday',
+    Thu: 'thursday',
+    Fri: 'friday',
+    Sat: 'saturday'
+};
+
+/**
+ * Local Santiago time for a date: minutes since midnight and weekday
+ */
+const getLocalTime = (date) => {
+    const parts = Object.fromEntries(
+        localTimeFormatter.formatToParts(date).map(p => [p.type, p.value])
+    );
+    return {
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        weekday: WEEKDAYS[parts.weekday],
+        isWeekend: parts.weekday === 'Sat' || parts.weekday === 'Sun'
+    };
+};
+
+const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+};
+
+const inWindows = (minutes, windows) => windows.some(([start, end]) =>
+    minutes >= toMinutes(start) && minutes < toMinutes(end)
+);
+
+// Local times of day where the rules can change: the window edges and midnight, where the
+// weekday changes (Santiago's clock changes also happen at midnight)
+const RULE_BOUNDARIES = [...new Set(
+    [...PEAK_WINDOWS, ...TIME_DISCOUNTS.happy_hour.windows].flat().map(toMinutes).concat(24 * 60)
+)].sort((a, b) => a - b);
+
+const timeRulesAt = ({ minutes, isWeekend }) => {
+    const rules = [];
+
+    if (inWindows(minutes, PEAK_WINDOWS)) {
+        return ['peak'];
+    }
+    if (inWindows(minutes, TIME_DISCOUNTS.happy_hour.windows)) {
+        rules.push('happy_hour');
+    }
+    if (isWeekend) {
+        rules.push('weekend');
+    }
+    return rules;
+};
+
+/**
+ * Time rules that apply at a given instant
+ */
+const getTimeRules = (date) => timeRulesAt(getLocalTime(date));
+
+/**
+ * Split a charging period into windows with the same time rules (1 minute resolution).
+ * Jumps from one rule boundary to the next and reads the local time again there.
+ */
+const splitIntoWindows = (startTime, endTime) => {
+    const totalMinutes = Math.min(
+        MAX_PRICED_MINUTES,
+        Math.max(0, Math.round((endTime - startTime) / 60000))
+    );
+
+    if (totalMinutes === 0) {
+        return [{ from: startTime, to: startTime, minutes: 0, share: 1, rules: getTimeRules(startTime) }];
+    }
+
+    const windows = [];
+    for (let i = 0; i < totalMinutes;) {
+        const instant = new Date(startTime.getTime() + i * 60000);
+        const local = getLocalTime(instant);
+        const rules = timeRulesAt(local);
+        const nextBoundary = RULE_BOUNDARIES.find(boundary => boundary > local.minutes);
+        const minutes = Math.min(nextBoundary - local.minutes, totalMinutes - i);
+        const last = windows[windows.length - 1];
+
+        if (last && last.rules.join() === rules.join()) {
+            last.minutes += minutes;
+        } else {
+            windows.push({ from: instant, minutes, rules });
+        }
+        i += minutes;
+    }
+
+    return windows.map(w => ({
+        ...w,
+        to: new Date(w.from.getTime() + w.minutes * 60000),
+        share: w.minutes / totalMinutes
+    }));
+};
+
+/**
+ * Whether a charger delivers DC (fast) or AC (slow) current
+ */
+const getCurrentType = ({ type, connector }) => {
+    if (connector) {
+        return DC_CONNECTORS.includes(connector) ? 'DC' : 'AC';
+    }
+    return type === 'fast' ? 'DC' : 'AC';
+};
+
+/**
+ * Tariff tier for a charger from its power and connector.
+ * Without power information the charger type decides (fast = DC 150kW, slow = AC 50kW).
+ */
+const getTariffTier = ({ type, power, connector }) => {
+    if (!power) {
+        return type === 'slow' ? 'ac_50' : 'dc_150';
+    }
+
+    const isDC = getCurrentType({ type, connector }) === 'DC';
+    if (isDC && power >= 100) return 'dc_150';
+    if (power <= 22) return 'ac_22';
+    return 'ac_50';
+};
+
+/**
+ * Base price for a charger, applying the station's tariff override if any
+ * @param {Object} input - { charger, charger_type, station }
+ */
+const resolveTariff = ({ charger, charger_type = 'fast', station }) => {
+    const tier = getTariffTier(charger || { type: charger_type });
+    const override = station?.tariff_overrides?.[tier];
+
+    return {
+        tier,
+        label: TARIFF_TIERS[tier].label,
+        price_per_kwh: override !== undefined ? override : TARIFF_TIERS[tier].price_per_kwh,
+        source: override !== undefined ? 'station_override' : 'base',
+        station_id: override !== undefined ? station.id : undefined
+    };
+};
+
+const getSessionLimitMinutes = (charger) => SESSION_LIMITS[getCurrentType(charger)];
+
+/**
+ * Overstay accounting for a session: time plugged in beyond the allowed maximum,
+ * charged at $500 CLP for every started block of 15 extra minutes.
+ * @param {Object} input - { charger, duration_minutes, charging_minutes }
+ */
+const calculateOverstayPenalty = ({ charger, duration_minutes, charging_minutes }) => {
+    const currentType = getCurrentType(charger);
+    const maxMinutes = SESSION_LIMITS[currentType];
+    const overstayMinutes = Math.max(0, duration_minutes - maxMinutes);
+    const blocks = Math.ceil(overstayMinutes / OVERSTAY_PENALTY.block_minutes);
+
+    return {
+        current_type: currentType,
+        max_session_minutes: maxMinutes,
+        duration_minutes,
+        idle_minutes: charging_minutes !== undefined
+            ? Math.max(0, duration_minutes - charging_minutes)
+            : null,
+        overstay_minutes: overstayMinutes,
+        penalty_blocks: blocks,
+        penalty_clp: blocks * OVERSTAY_PENALTY.amount_clp
+    };
+};
+
+/**
+ * Price an amount of energy charged between start_time and end_time.
+ * Energy is assumed to be delivered evenly over the period.
+ * @param {Object} input - { energy_kwh, charger, charger_type, station, user_type, start_time, end_time }
+ */
+const calculateTariff = (input) => {
+    const {
+        energy_kwh,
+        charger,
+        charger_type = charger?.type || 'fast',
+        station,
+        user_type = 'individual',
+        start_time,
+        end_time
+    } = input;
+
+    const startTime = start_time ? new Date(start_time) : new Date();
+    const endTime = end_time ? new Date(end_time) : startTime;
+
+    const tariff = resolveTariff({ charger, charger_type, station });
+    const pricePerKwh = tariff.price_per_kwh;
+    const baseCost = energy_kwh * pricePerKwh;
+    const userDiscount = USER_DISCOUNTS[user_type] || 0;
+
+    const windows = splitIntoWindows(startTime, endTime).map(w => {
+        const timeDiscount = w.rules
+            .filter(rule => TIME_DISCOUNTS[rule])
+            .reduce((sum, rule) => sum + TIME_DISCOUNTS[rule].percent, 0);
+        const uncapped = userDiscount + timeDiscount;
+        return {
+            ...w,
+            uncapped,
+            discount: Math.min(MAX_DISCOUNT, uncapped)
+        };
+    });
+
+    // Weighted share of each rule over the charging period
+    const weighted = (fn) => windows.reduce((sum, w) => sum + w.share * fn(w), 0);
+
+    const discounts = [];
+    if (userDiscount > 0) {
+        discounts.push({ rule: 'user_type', label: `Descuento ${user_type}`, percent: userDiscount });
+    }
+    Object.entries(TIME_DISCOUNTS).forEach(([rule, config]) => {
+        const percent = weighted(w => (w.rules.includes(rule) ? config.percent : 0));
+        if (percent > 0) {
+            discounts.push({ rule, label: config.label, percent });
+        }
+    });
+
+    const capReduction = weighted(w => w.uncapped - w.discount);
+    if (capReduction > 0) {
+        discounts.push({
+            rule: 'max_discount_cap',
+            label: `Tope de descuento ${MAX_DISCOUNT * 100}%`,
+            percent: -capReduction
+        });
+    }
+
+    const discount = weighted(w => w.discount);
+    const discountAmount = baseCost * discount;
+
+    return {
+        energy_kwh,
+        charger_type,
+        user_type,
+        tariff,
+        price_per_kwh: pricePerKwh,
+        base_cost: baseCost,
+        discount,
+        discount_amount: discountAmount,
+        final_cost: baseCost - discountAmount,
+        discounts: discounts.map(d => ({
+            rule: d.rule,
+            label: d.label,
+            percent: Math.round(d.percent * 10000) / 100,
+            amount_clp: Math.round(baseCost * d.percent)
+        })),
+        peak_hours: windows.some(w => w.rules.includes('peak')),
+        windows: windows.map(w => ({
+            from: w.from.toISOString(),
+            to: w.to.toISOString(),
+            minutes: w.minutes,
+            rules: w.rules,
+            discount_percent: Math.round(w.discount * 10000) / 100
+        }))
+    };
+};
+
+module.exports = {
+    calculateTariff,
+    resolveTariff,
+    getTariffTier,
+    getTimeRules,
+    getLocalTime,
+    getCurrentType,
+    getSessionLimitMinutes,
+    calculateOverstayPenalty,
+    SESSION_LIMITS,
+    OVERSTAY_PENALTY,
+    TARIFF_TIERS,
+    PRICING,
+    USER_DISCOUNTS,
+    TIME_DISCOUNTS,
+    PEAK_WINDOWS,
+    MAX_DISCOUNT,
+    TIME_ZONE
+};
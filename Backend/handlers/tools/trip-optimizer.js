@@ -0,0 +1,379 @@
+/**
+ * Copec EV Agent - Trip Optimizer
+ * Charging plan for a trip through ordered waypoints: a label-setting search over
+ * (station, state of charge) that keeps every plan not beaten at once on total time,
+ * charging cost and number of stops. Consumption per leg comes from the energy model over
+ * the road route, charging time from the vehicle's curve and the station's shared power,
+ * and cost from the tariff engine at the time the car would be plugged in.
+ */
+
+const { calculateHaversineDistance, round } = require('./geo');
+const { getStationIndex, getDetourBufferKm } = require('./spatial');
+const { getLiveStations } = require('./availability');
+const { getRoadRoute } = require('./routing');
+const { predictRouteEnergy, getSocPerKm } = require('./energy');
+const { getStationPowerLimit, estimateChargingSession } = require('./charging-curve');
+const { calculateTariff, calculateOverstayPenalty } = require('./tariffs');
+const { filterCompatibleChargers } = require('./compatibility');
+
+const OBJECTIVES = ['time', 'cost'];
+const DEFAULT_MIN_ARRIVAL_PERCENT = 10;
+// Battery the drive to the first charger may always use, even below the minimum arrival SoC,
+// so a car that sets off nearly empty can still go and charge
+const FIRST_STOP_ALLOWANCE_PERCENT = 5;
+const DEFAULT_MAX_STOPS = 4;
+// SoC the car may leave a stop with; the search picks among these
+const CHARGE_TARGETS = [50, 60, 70, 80, 90, 100];
+// A stop shorter than this many SoC points isn't worth pulling over for
+const MIN_CHARGE_PERCENT = 10;
+// Parking, plugging in and paying, on top of the charging itself
+const STOP_OVERHEAD_MINUTES = 5;
+// Detour allowed to reach a station, as a share of the leg's straight-line length
+const MAX_DETOUR_SHARE = 0.3;
+const EPSILON = 1e-6;
+
+const distanceKm = (a, b) => calculateHaversineDistance(a.lat, a.lng, b.lat, b.lng);
+
+/**
+ * Usable charger at a station: the most powerful available one the car can plug into,
+ * after adapter limits
+ * @param {Object|null} compatibility - resolveVehicleCompatibility result; null accepts any
+ */
+const pickCharger = (station, compatibility, fastOnly) => filterCompatibleChargers(station, compatibility)
+    .filter(c => c.status === 'available')
+    .filter(c => !fastOnly || c.type === 'fast')
+    .reduce((best, c) => (!best || c.usable_power_kw > best.usable_power_kw ? c : best), null);
+
+/**
+ * Road route through every point and, per leg, the SoC spent per straight-line km (the
+ * search measures hops between stations in straight lines) and the driving minutes per km
+ */
+const buildLegs = (points, vehicle, conditions) => {
+    const road = getRoadRoute(points);
+    const legs = road.legs.map((leg, k) => {
+        const directKm = distanceKm(points[k], points[k + 1]);
+        const energy = predictRouteEnergy({
+            vehicle,
+            segments: road.segments.filter(segment => segment.leg === k),
+            temperature_c: conditions.temperature_c,
+            payload_kg: conditions.payload_kg,
+            departure_time: conditions.departure_time
+        });
+        const roadFactor = directKm > 0 ? leg.distance_km / directKm : 1;
+        return {
+            from: points[k],
+            to: points[k + 1],
+            direct_km: directKm,
+            soc_per_km: getSocPerKm(energy) * roadFactor,
+            minutes_per_km: directKm > 0 ? leg.duration_minutes / directKm : 0
+        };
+    });
+    return { road, legs };
+};
+
+/**
+ * Stations within a detour of each leg with a charger the car can use, in the order they
+ * are passed
+ */
+const findLegStations = async (legs, compatibility, fastOnly) => {
+    const index = await getStationIndex();
+    const corridors = legs.map(leg => {
+        const maxDetour = leg.direct_km * MAX_DETOUR_SHARE;
+        return index.withinCorridor([leg.from, leg.to], getDetourBufferKm(leg.direct_km, maxDetour))
+            .filter(({ station }) =>
+                distanceKm(leg.from, station.location) + distanceKm(station.location, leg.to) - leg.direct_km < maxDetour
+            );
+    });
+
+    const ids = [...new Set(corridors.flat().map(({ station }) => station.id))];
+    const live = new Map((await getLiveStations(ids)).map(station => [station.id, station]));
+
+    return corridors.map(corridor => corridor
+        .map(({ station, along_km }) => {
+            const liveStation = live.get(station.id);
+            const charger = liveStation && pickCharger(liveStation, compatibility, fastOnly);
+            return charger && {
+                station: liveStation,
+                charger,
+                along_km,
+                station_limit_kw: getStationPowerLimit(liveStation.real_time_power, liveStation.chargers.length)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.along_km - b.along_km));
+};
+
+// L is no better than M on any criterion
+const dominates = (m, l) => m.time <= l.time + EPSILON && m.cost <= l.cost + EPSILON &&
+    m.stops <= l.stops && m.soc >= l.soc - EPSILON;
+
+// Add a label to a node's set unless another already dominates it
+const insertLabel = (labels, label) => {
+    if (labels.some(other => dominates(other, label))) return false;
+    for (let i = labels.length - 1; i >= 0; i--) {
+        if (dominates(label, labels[i])) labels.splice(i, 1);
+    }
+    labels.push(label);
+    return true;
+};
+
+/**
+ * Label-setting search. Nodes are the origin, each leg's stations in the order they are
+ * passed, every waypoint and the destination; hops only go forward, so the graph is acyclic
+ * and every label reaching a node is final once the nodes before it are expanded. The
+ * minimum arrival SoC holds everywhere except at the first charging stop, which only has to
+ * be reached within FIRST_STOP_ALLOWANCE_PERCENT of the starting SoC when that is lower.
+ */
+const search = (legs, legStations, options) => {
+    const { startSoc, minArrival, maxStops, profile, userType, departure } = options;
+    const sessions = new Map();
+
+    // Nodes in travel order; the end of leg k is the start of leg k + 1
+    const nodes = [{ key: 'origin', leg: 0, location: legs[0].from, labels: [] }];
+    const legEnds = [];
+    legs.forEach((leg, k) => {
+        legStations[k].forEach(candidate => nodes.push({
+            key: `${k}:${candidate.station.id}`,
+            leg: k,
+            location: candidate.station.location,
+            candidate,
+            labels: []
+        }));
+        const end = {
+            key: k === legs.length - 1 ? 'destination' : `waypoint:${k + 1}`,
+            leg: k + 1,
+            location: leg.to,
+            waypoint: k < legs.length - 1 ? k + 1 : null,
+            labels: []
+        };
+        legEnds.push(end);
+        nodes.push(end);
+    });
+
+    nodes[0].labels.push({ soc: startSoc, time: 0, cost: 0, stops: 0, driving: 0, charging: 0, parent: null, stop: null });
+    const firstStopMinimum = Math.max(0, Math.min(minArrival, startSoc - FIRST_STOP_ALLOWANCE_PERCENT));
+
+    const chargeAt = (candidate, arrival, target, startTime) => {
+        const key = `${candidate.station.id}:${round(arrival, 1)}:${target}`;
+        if (!sessions.has(key)) {
+            sessions.set(key, estimateChargingSession({
+                profile,
+                charger_power_kw: candidate.charger.usable_power_kw,
+                station_limit_kw: candidate.station_limit_kw,
+                from_percent: arrival,
+                to_percent: target
+            }));
+        }
+        const session = sessions.get(key);
+        const tariff = calculateTariff({
+            energy_kwh: session.energy_kwh,
+            charger: candidate.charger,
+            station: candidate.station,
+            user_type: userType,
+            start_time: startTime,
+            end_time: new Date(startTime.getTime() + session.minutes * 60000)
+        });
+        const penalty = calculateOverstayPenalty({
+            charger: candidate.charger,
+            duration_minutes: session.minutes,
+            charging_minutes: session.minutes
+        }).penalty_clp;
+        return { session, cost: tariff.final_cost, price_per_kwh: tariff.price_per_kwh, penalty };
+    };
+
+    nodes.forEach((node, position) => {
+        const leg = legs[node.leg];
+        if (!leg) return;
+        // Forward hops: later stations on the same leg, then the leg's end
+        const targets = [];
+        for (let i = position + 1; i < nodes.length && nodes[i].leg === node.leg; i++) targets.push(nodes[i]);
+        targets.push(legEnds[node.leg]);
+
+        node.labels.forEach(label => {
+            targets.forEach(next => {
+                const km = distanceKm(node.location, next.location);
+                const arrival = label.soc - km * leg.soc_per_km;
+                const minimum = next.candidate && node.key === 'origin' ? firstStopMinimum : minArrival;
+                if (arrival < minimum - EPSILON) return;
+                const drive = km * leg.minutes_per_km;
+                const arrived = {
+                    ...label,
+                    soc: arrival,
+                    time: label.time + drive,
+                    driving: label.driving + drive,
+                    parent: label,
+                    stop: null
+                };
+
+                if (!next.candidate) {
+                    insertLabel(next.labels, arrived);
+                    return;
+                }
+                if (label.stops >= maxStops) return;
+
+                const startTime = new Date(departure.getTime() + arrived.time * 60000);
+                CHARGE_TARGETS
+                    .filter(target => target - arrival >= MIN_CHARGE_PERCENT)
+                    .forEach(target => {
+                        const charge = chargeAt(next.candidate, arrival, target, startTime);
+                        insertLabel(next.labels, {
+                            soc: target,
+                            time: arrived.time + STOP_OVERHEAD_MINUTES + charge.session.minutes,
+                            cost: label.cost + charge.cost + charge.penalty,
+                            stops: label.stops + 1,
+                            driving: arrived.driving,
+                            charging: label.charging + charge.session.minutes,
+                            parent: label,
+                            stop: {
+                                ...next.candidate,
+                                leg: node.leg,
+                                arrival_percent: arrival,
+                                charge_to_percent: target,
+                                arrival_time: startTime,
+                                session: charge.session,
+                                cost_clp: charge.cost,
+                                price_per_kwh: charge.price_per_kwh,
+                                overstay_penalty_clp: charge.penalty
+                            }
+                        });
+                    });
+            });
+        });
+    });
+
+    return legEnds[legEnds.length - 1].labels;
+};
+
+// Plan from a destination label, walking back through its parents
+const toPlan = (label) => {
+    const stops = [];
+    for (let current = label; current; current = current.parent) {
+        if (current.stop) stops.unshift(current.stop);
+    }
+    return {
+        stop_count: stops.length,
+        total_minutes: Math.round(label.time),
+        driving_minutes: Math.round(label.driving),
+        charging_minutes: Math.round(label.charging),
+        charging_cost_clp: Math.round(label.cost),
+        arrival_percent: round(label.soc, 1),
+        stops: stops.map(stop => ({
+            station: stop.station,
+            charger: stop.charger,
+            leg: stop.leg,
+            arrival_percent: round(stop.arrival_percent, 1),
+            charge_to_percent: stop.charge_to_percent,
+            arrival_time: stop.arrival_time.toISOString(),
+            charging_minutes: stop.session.minutes,
+            energy_kwh: stop.session.energy_kwh,
+            average_power_kw: stop.session.average_power_kw,
+            limited_by: stop.session.limited_by,
+            price_per_kwh: stop.price_per_kwh,
+            cost_clp: Math.round(stop.cost_clp),
+            overstay_penalty_clp: stop.overstay_penalty_clp
+        }))
+    };
+};
+
+const isPercent = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+/**
+ * Reason the trip options can't be planned, or null when they are valid. Optional options
+ * may be left out; the defaults apply then.
+ * @param {Object} input - { start_soc_percent, min_arrival_percent, max_stops, objective, departure_time }
+ */
+const validateTripOptions = (input) => {
+    if (!isPercent(input.start_soc_percent)) {
+        return 'La batería actual debe ser un número entre 0 y 100';
+    }
+    if (input.min_arrival_percent !== undefined && !isPercent(input.min_arrival_percent)) {
+        return 'La batería mínima de llegada debe ser un número entre 0 y 100';
+    }
+    if (input.max_stops !== undefined && !(Number.isInteger(input.max_stops) && input.max_stops >= 0)) {
+        return 'El máximo de paradas debe ser un entero mayor o igual a 0';
+    }
+    if (input.objective !== undefined && !OBJECTIVES.includes(input.objective)) {
+        return `Objetivo no válido, usa uno de: ${OBJECTIVES.join(', ')}`;
+    }
+    if (input.departure_time !== undefined && input.departure_time !== null &&
+        (typeof input.departure_time === 'boolean' || Number.isNaN(new Date(input.departure_time).getTime()))) {
+        return 'La hora de salida no es una fecha válida';
+    }
+    return null;
+};
+
+const byTime = (a, b) => a.time - b.time || a.cost - b.cost || a.stops - b.stops;
+const byCost = (a, b) => a.cost - b.cost || a.time - b.time || a.stops - b.stops;
+
+/**
+ * Charging plan for a trip through ordered waypoints
+ * @param {Object} input - { origin, destination, waypoints [{ lat, lng }], vehicle (resolveVehicleModel),
+ *   charging_profile (resolveChargingProfile), start_soc_percent, min_arrival_percent, max_stops,
+ *   objective ('time' | 'cost'), compatibility (resolveVehicleCompatibility), fast_only, user_type, departure_time,
+ *   temperature_c, payload_kg }
+ * @returns {Object} { feasible, objective, recommended, alternatives: { fastest, cheapest, fewest_stops },
+ *   road, legs, energy }, or { error, statusCode } when the options are invalid
+ */
+const optimizeTrip = async (input) => {
+    const invalid = validateTripOptions(input);
+    if (invalid) return { error: invalid, statusCode: 400 };
+
+    const {
+        origin,
+        destination,
+        waypoints = [],
+        vehicle,
+        charging_profile: profile,
+        start_soc_percent: startSoc,
+        min_arrival_percent: minArrival = DEFAULT_MIN_ARRIVAL_PERCENT,
+        max_stops: maxStops = DEFAULT_MAX_STOPS,
+        compatibility = null,
+        fast_only: fastOnly = false,
+        user_type: userType = 'individual'
+    } = input;
+    const objective = input.objective || 'time';
+    const departure = input.departure_time ? new Date(input.departure_time) : new Date();
+    const conditions = {
+        temperature_c: input.temperature_c,
+        payload_kg: input.payload_kg,
+        departure_time: departure
+    };
+
+    const points = [origin, ...waypoints, destination];
+    const { road, legs } = buildLegs(points, vehicle, conditions);
+    const energy = predictRouteEnergy({
+        vehicle,
+        segments: road.segments,
+        start_soc_percent: startSoc,
+        ...conditions
+    });
+
+    const options = { startSoc, minArrival, maxStops, profile, userType, departure };
+    let labels = search(legs, await findLegStations(legs, compatibility, fastOnly), options);
+    // Fast chargers only is a preference: fall back to any charger rather than no plan
+    if (!labels.length && fastOnly) {
+        labels = search(legs, await findLegStations(legs, compatibility, false), options);
+    }
+
+    const pick = (compare) => (labels.length ? toPlan([...labels].sort(compare)[0]) : null);
+    const fastest = pick(byTime);
+    const cheapest = pick(byCost);
+    const fewestStops = pick((a, b) => a.stops - b.stops || (objective === 'cost' ? byCost(a, b) : byTime(a, b)));
+
+    return {
+        feasible: labels.length > 0,
+        objective,
+        min_arrival_percent: minArrival,
+        max_stops: maxStops,
+        recommended: objective === 'cost' ? cheapest : fastest,
+        alternatives: { fastest, cheapest, fewest_stops: fewestStops },
+        road,
+        legs: road.legs,
+        energy
+    };
+};
+
+module.exports = {
+    optimizeTrip,
+    validateTripOptions
+};
@@ -3,7 +3,9 @@
  * Handles user profiles, vehicles, and preferences
  */
 
-const usersVehicles = require('../../data/users_vehicles.json');
+const repositories = require('../repositories');
+const { getPointsBalance, TIER_POINTS_MULTIPLIERS } = require('./points');
+const { buildChargingProfile, estimateChargingSession } = require('./charging-curve');
 
 /**
  * Get user profile including account type, history, and points
@@ -12,7 +14,7 @@ const usersVehicles = require('../../data/users_vehicles.json');
 const getUserProfile = async (input) => {
     const { user_id } = input;
 
-    const user = usersVehicles.users[user_id];
+    const user = await repositories.users.get(user_id);
 
     if (!user) {
         // Return demo profile for unknown users
@@ -37,6 +39,8 @@ const getUserProfile = async (input) => {
         };
     }
 
+    const points = await getPointsBalance({ user_id, limit: 0 });
+
     return {
         user_id: user.user_id,
         is_demo_user: false,
@@ -45,7 +49,8 @@ const getUserProfile = async (input) => {
             email: user.email,
             profile_type: user.profile_type,
             membership_tier: user.membership_tier,
-            copec_points: user.copec_points
+            copec_points: points.balance,
+            copec_points_expire_at: points.expires_at
         },
         charging_history: {
             total_sessions: user.charging_history.total_sessions,
@@ -57,7 +62,7 @@ const getUserProfile = async (input) => {
         },
         benefits: getBenefitsByTier(user.membership_tier),
         discounts: getDiscountsByType(user.profile_type),
-        recommendations: generateUserRecommendations(user)
+        recommendations: generateUserRecommendations(user, points.balance)
     };
 };
 
@@ -69,24 +74,25 @@ const getUserVehicle = async (input) => {
     const { user_id } = input;
 
     // Find vehicle by owner_id
-    const vehicle = Object.values(usersVehicles.vehicles).find(v => v.owner_id === user_id);
+    const vehicle = await repositories.vehicles.getByOwner(user_id);
 
     if (!vehicle) {
         // Return demo vehicle
+        const demoVehicle = {
+            brand: 'Tesla',
+            model: 'Model 3 Standard Range',
+            year: 2024,
+            battery_capacity_kwh: 60,
+            current_battery_percent: 50,
+            range_km: 400,
+            connector_types: ['CCS2', 'Type2'],
+            max_charge_rate_kw: 150
+        };
         return {
             user_id,
             is_demo_vehicle: true,
-            vehicle: {
-                brand: 'Tesla',
-                model: 'Model 3 Standard Range',
-                year: 2024,
-                battery_capacity_kwh: 60,
-                current_battery_percent: 50,
-                range_km: 400,
-                connector_types: ['CCS2', 'Type2'],
-                max_charge_rate_kw: 150
-            },
-            charging_recommendations: getChargingRecommendationsForVehicle(60, 150),
+            vehicle: demoVehicle,
+            charging_recommendations: getChargingRecommendationsForVehicle(demoVehicle),
             note: 'Vehículo de demostración. Registra tu vehículo para datos personalizados.'
         };
     }
@@ -103,17 +109,16 @@ const getUserVehicle = async (input) => {
             current_battery_percent: vehicle.current_battery_percent,
             range_km: vehicle.range_km,
             connector_types: vehicle.connector_types,
+            adapters: vehicle.adapters || [],
             max_charge_rate_kw: vehicle.max_charge_rate_kw,
+            battery_chemistry: vehicle.battery_chemistry,
             license_plate: vehicle.license_plate
         },
         efficiency: vehicle.efficiency_kwh_per_km 
             ? `${vehicle.efficiency_kwh_per_km} kWh/km`
             : calculateEfficiency(vehicle.battery_capacity_kwh, vehicle.range_km),
-        charging_recommendations: getChargingRecommendationsForVehicle(
-            vehicle.battery_capacity_kwh, 
-            vehicle.max_charge_rate_kw
-        ),
-        compatible_chargers: getCompatibleChargers(vehicle.connector_types)
+        charging_recommendations: getChargingRecommendationsForVehicle(vehicle),
+        compatible_chargers: getCompatibleChargers(vehicle.connector_types, vehicle.adapters)
     };
 };
 
@@ -124,7 +129,7 @@ const getUserVehicle = async (input) => {
 const getUserPreferences = async (input) => {
     const { user_id } = input;
 
-    const user = usersVehicles.users[user_id];
+    const user = await repositories.users.get(user_id);
 
     if (!user) {
         // Return default preferences
@@ -177,7 +182,7 @@ const getBenefitsByTier = (tier) => {
             priority_queue: false,
             free_wifi: true,
             lounge_access: false,
-            points_multiplier: 1
+            points_multiplier: TIER_POINTS_MULTIPLIERS.bronze
         },
         silver: {
             tier: 'Silver',
@@ -185,7 +190,7 @@ const getBenefitsByTier = (tier) => {
             priority_queue: false,
             free_wifi: true,
             lounge_access: false,
-            points_multiplier: 1.2
+            points_multiplier: TIER_POINTS_MULTIPLIERS.silver
         },
         gold: {
             tier: 'Gold',
@@ -193,7 +198,7 @@ const getBenefitsByTier = (tier) => {
             priority_queue: true,
             free_wifi: true,
             lounge_access: true,
-            points_multiplier: 1.5
+            points_multiplier: TIER_POINTS_MULTIPLIERS.gold
         },
         platinum: {
             tier: 'Platinum',
@@ -201,7 +206,7 @@ const getBenefitsByTier = (tier) => {
             priority_queue: true,
             free_wifi: true,
             lounge_access: true,
-            points_multiplier: 2,
+            points_multiplier: TIER_POINTS_MULTIPLIERS.platinum,
             dedicated_support: true
         }
     };
@@ -218,7 +223,7 @@ const getDiscountsByType = (profileType) => {
     return discounts[profileType] || discounts.individual;
 };
 
-const generateUserRecommendations = (user) => {
+const generateUserRecommendations = (user, pointsBalance) => {
     const recommendations = [];
 
     // Based on usage patterns
@@ -239,23 +244,32 @@ const generateUserRecommendations = (user) => {
     }
 
     // Points redemption
-    if (user.copec_points > 5000) {
+    if (pointsBalance > 5000) {
         recommendations.push({
             type: 'points',
-            message: `Tienes ${user.copec_points} puntos Copec. Puedes canjearlos por descuentos en carga o productos.`
+            message: `Tienes ${pointsBalance} puntos Copec. Puedes canjearlos por descuentos en carga o productos.`
         });
     }
 
     return recommendations;
 };
 
-const getChargingRecommendationsForVehicle = (batteryCapacity, maxChargeRate) => {
+// 20% to 80% along the vehicle's charging curve on a 150 kW DC and a 50 kW charger
+const getChargingRecommendationsForVehicle = (vehicle) => {
+    const profile = buildChargingProfile(vehicle);
+    const minutesTo80 = (chargerPower) => estimateChargingSession({
+        profile,
+        charger_power_kw: chargerPower,
+        from_percent: 20,
+        to_percent: 80
+    }).minutes;
+
     return {
         optimal_charge_range: '20% - 80%',
         reason: 'Cargar entre 20% y 80% maximiza la vida útil de la batería',
-        fast_charge_time_to_80: `${Math.round((batteryCapacity * 0.6) / maxChargeRate * 60)} minutos`,
-        slow_charge_time_to_80: `${Math.round((batteryCapacity * 0.6) / 50 * 60)} minutos`,
-        tip: maxChargeRate >= 150 
+        fast_charge_time_to_80: `${minutesTo80(150)} minutos`,
+        slow_charge_time_to_80: `${minutesTo80(50)} minutos`,
+        tip: profile.max_charge_rate_kw >= 150 
             ? 'Tu vehículo soporta carga ultra-rápida. Aprovecha los cargadores de 150kW.'
             : 'Para cargas rápidas, busca cargadores de al menos 50kW.'
     };
@@ -266,14 +280,24 @@ const calculateEfficiency = (batteryCapacity, range) => {
     return `${(efficiency * 100).toFixed(1)} kWh/100km`;
 };
 
-const getCompatibleChargers = (connectorTypes) => {
+const getCompatibleChargers = (connectorTypes, adapters = []) => {
     const chargerInfo = {
         CCS2: { name: 'CCS Combo 2', type: 'DC Fast', power: 'hasta 350kW' },
         Type2: { name: 'Type 2 (Mennekes)', type: 'AC', power: 'hasta 22kW' },
+        Type1: { name: 'Type 1 (J1772)', type: 'AC', power: 'hasta 7kW' },
         CHAdeMO: { name: 'CHAdeMO', type: 'DC Fast', power: 'hasta 100kW' }
     };
 
-    return connectorTypes.map(connector => chargerInfo[connector] || { name: connector, type: 'Unknown' });
+    return [
+        ...connectorTypes.map(connector => chargerInfo[connector] || { name: connector, type: 'Unknown' }),
+        ...adapters
+            .filter(connector => !connectorTypes.includes(connector))
+            .map(connector => ({
+                ...(chargerInfo[connector] || { name: connector, type: 'Unknown' }),
+                via_adapter: true,
+                power: 'limitada por el adaptador'
+            }))
+    ];
 };
 
 const getPrioritySettings = (preferences) => {
@@ -0,0 +1,151 @@
+/**
+ * Copec EV - Spatial index benchmark
+ * Runs radius, k-nearest and corridor queries over a synthetic national network, both
+ * through the spatial index and with the full Haversine scan it replaces, checks that
+ * both return the same stations and prints the timings.
+ *
+ *   npm run bench:spatial -- [--stations 5000] [--queries 200] [--seed 42]
+ */
+
+const { createSpatialIndex, getDetourBufferKm } = require('../handlers/tools/spatial');
+const { calculateHaversineDistance } = require('../handlers/tools/routing');
+const { CITIES, generateStations } = require('./fixtures/synthetic-stations');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? parseInt(args[index + 1], 10) : fallback;
+};
+
+const STATION_COUNT = option('--stations', 5000);
+const QUERY_COUNT = option('--queries', 200);
+const SEED = option('--seed', 42);
+const RADIUS_KM = 10;
+const NEAREST_K = 5;
+
+const distance = (a, b) => calculateHaversineDistance(a.lat, a.lng, b.lat, b.lng);
+
+// Closest point of segment a-b to p, same flat projection as the index
+const distanceToSegment = (p, a, b) => {
+    const cosLat = Math.cos(((a.lat + b.lat) / 2) * Math.PI / 180);
+    const dx = (b.lng - a.lng) * cosLat;
+    const dy = b.lat - a.lat;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((p.lng - a.lng) * cosLat * dx + (p.lat - a.lat) * dy) / lengthSq));
+    return distance(p, { lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t });
+};
+
+// The scans the handlers ran before the index
+const linear = (stations) => ({
+    withinRadius: (location, radiusKm) => stations
+        .map(station => ({ station, distance_km: distance(location, station.location) }))
+        .filter(s => s.distance_km <= radiusKm)
+        .sort((a, b) => a.distance_km - b.distance_km),
+    nearest: (location, k) => stations
+        .map(station => ({ station, distance_km: distance(location, station.location) }))
+        .sort((a, b) => a.distance_km - b.distance_km)
+        .slice(0, k),
+    // Detour-based route filter: the corridor must contain every station it accepts
+    alongRoute: (origin, destination, maxDetourKm) => {
+        const direct = distance(origin, destination);
+        return stations.filter(station =>
+            distance(origin, station.location) + distance(station.location, destination) - direct <= maxDetourKm);
+    }
+});
+
+const time = (label, run) => {
+    const start = process.hrtime.bigint();
+    const results = run();
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    return { label, ms, results };
+};
+
+const ids = (list) => list.map(r => (r.station || r).id).sort().join(',');
+
+/**
+ * Time every query through the index and through the scan. Both run back to back and the
+ * results are checked and dropped before the next query, so both sides see the same JIT and
+ * GC state and neither pays for keeping hundreds of result lists alive. An untimed pass
+ * first warms both up. Index time grows with the stations returned, the scan's with the
+ * network size.
+ */
+const compare = (name, queries, viaIndex, viaScan, check) => {
+    queries.forEach(query => { viaIndex(query); viaScan(query); });
+
+    let indexMs = 0;
+    let scanMs = 0;
+    let returned = 0;
+    let mismatches = 0;
+    queries.forEach(query => {
+        const indexed = time('index', () => viaIndex(query));
+        const scanned = time('scan', () => viaScan(query));
+        indexMs += indexed.ms;
+        scanMs += scanned.ms;
+        returned += scanned.results.length;
+        if (!check(indexed.results, scanned.results)) mismatches++;
+    });
+
+    console.log(`${name.padEnd(10)} índice ${indexMs.toFixed(1).padStart(8)} ms | ` +
+        `recorrido ${scanMs.toFixed(1).padStart(8)} ms | x${(scanMs / indexMs).toFixed(1)} | ` +
+        `resultados/consulta: ${(returned / queries.length).toFixed(0)} | diferencias: ${mismatches}`);
+    return mismatches;
+};
+
+const run = () => {
+    const stations = generateStations({ count: STATION_COUNT, seed: SEED });
+
+    const build = time('build', () => createSpatialIndex(stations));
+    const index = build.results;
+    const scan = linear(stations);
+    console.log(`${stations.length} estaciones, ${QUERY_COUNT} consultas por tipo, índice construido en ${build.ms.toFixed(1)} ms\n`);
+
+    const points = Array.from({ length: QUERY_COUNT }, (_, i) => stations[(i * 7919) % stations.length].location);
+    // Intercity legs between neighbouring cities, both directions
+    const routes = Array.from({ length: QUERY_COUNT }, (_, i) => {
+        const leg = i % (CITIES.length - 1);
+        const pair = [CITIES[leg], CITIES[leg + 1]];
+        return i % 2 ? pair.reverse() : pair;
+    });
+
+    let mismatches = 0;
+
+    mismatches += compare('radio', points,
+        p => index.withinRadius(p, RADIUS_KM),
+        p => scan.withinRadius(p, RADIUS_KM),
+        (a, b) => ids(a) === ids(b));
+
+    mismatches += compare('k-vecinos', points,
+        p => index.nearest(p, NEAREST_K),
+        p => scan.nearest(p, NEAREST_K),
+        // Ties at the k-th distance may pick either station
+        (a, b) => a.length === b.length && a.every((r, i) => Math.abs(r.distance_km - b[i].distance_km) < 1e-9));
+
+    // Every station within the detour limit must be among the corridor's candidates
+    mismatches += compare('corredor', routes,
+        ([from, to]) => {
+            const direct = distance(from, to);
+            return index.withinCorridor([from, to], getDetourBufferKm(direct, direct * 0.3));
+        },
+        ([from, to]) => scan.alongRoute(from, to, distance(from, to) * 0.3),
+        (a, b) => {
+            const candidates = new Set(a.map(r => r.station.id));
+            return b.every(station => candidates.has(station.id));
+        });
+
+    // Corridor distances against a direct per-segment scan
+    const route = [CITIES[4], CITIES[6], CITIES[9]];
+    const corridor = index.withinCorridor(route, 5);
+    const expected = stations.filter(station =>
+        Math.min(...route.slice(1).map((b, i) => distanceToSegment(station.location, route[i], b))) <= 5);
+    const corridorOk = ids(corridor) === ids(expected);
+    console.log(`\npolilínea La Serena - Santiago - Concepción, 5 km: ${corridor.length} estaciones ` +
+        `(recorrido: ${expected.length}) ${corridorOk ? 'OK' : 'DIFERENTE'}`);
+
+    if (mismatches || !corridorOk) {
+        process.exitCode = 1;
+    }
+};
+
+run();
@@ -0,0 +1,274 @@
+/**
+ * Copec EV - Road network build
+ * Preprocesses an OpenStreetMap extract (Overpass JSON or .osm XML) into the compact road
+ * graph the routing engine loads: drivable ways only, one node per way vertex (so trips snap
+ * onto the road they start on), one edge per way segment with its length, speed limit,
+ * direction and whether it runs through a tunnel or over a bridge (the elevation profile
+ * doesn't follow the terrain there).
+ *
+ *   npm run build:road-network -- <extract.osm|extract.json> [--out data/road_network_rm.json]
+ *       [--region "Región Metropolitana"] [--classes motorway,trunk,primary,...] [--source "..."]
+ *
+ * Clip the extract to the service area first (e.g. osmium extract with a bounding box): the
+ * whole file is parsed in memory. Only the largest connected component is kept, so every
+ * snapped point can reach every other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateHaversineDistance, round } = require('../handlers/tools/geo');
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+};
+const file = args.find((arg, i) => !arg.startsWith('--') && !args[i - 1]?.startsWith('--'));
+
+const DEFAULT_CLASSES = [
+    'motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link',
+    'secondary', 'secondary_link', 'tertiary', 'tertiary_link'
+];
+
+// Chilean limits (Ley de Tránsito) when a way has no usable maxspeed
+const DEFAULT_SPEEDS = {
+    motorway: 120,
+    trunk: 100,
+    primary: 60,
+    secondary: 50,
+    tertiary: 50,
+    unclassified: 50,
+    residential: 50,
+    living_street: 20,
+    service: 20,
+    link: 50
+};
+
+// Implicit maxspeed values used in Chile
+const ZONE_SPEEDS = {
+    'CL:urban': 50,
+    'CL:rural': 100,
+    'CL:motorway': 120
+};
+
+const distanceM = (a, b) => calculateHaversineDistance(a.lat, a.lng, b.lat, b.lng) * 1000;
+
+const decodeXml = (text) => text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+const parseAttributes = (text) => Object.fromEntries(
+    [...text.matchAll(/([\w:]+)="([^"]*)"/g)].map(([, key, value]) => [key, decodeXml(value)])
+);
+
+/**
+ * Nodes and ways from an .osm XML document
+ */
+const parseOsmXml = (xml) => {
+    const nodes = new Map();
+    for (const [, attributes] of xml.matchAll(/<node\s([^>]*?)\/?>/g)) {
+        const { id, lat, lon } = parseAttributes(attributes);
+        nodes.set(id, { lat: Number(lat), lng: Number(lon) });
+    }
+
+    const ways = [];
+    for (const [, attributes, body] of xml.matchAll(/<way\s([^>]*)>([\s\S]*?)<\/way>/g)) {
+        ways.push({
+            id: parseAttributes(attributes).id,
+            nodes: [...body.matchAll(/<nd\s+ref="(\d+)"/g)].map(([, ref]) => ref),
+            tags: Object.fromEntries(
+                [...body.matchAll(/<tag\s([^>]*?)\/?>/g)].map(([, tag]) => {
+                    const { k, v } = parseAttributes(tag);
+                    return [k, v];
+                })
+            )
+        });
+    }
+    return { nodes, ways };
+};
+
+/**
+ * Nodes and ways from an Overpass API JSON response (out body; >; out skel qt;)
+ */
+const parseOverpassJson = (json) => {
+    const nodes = new Map();
+    const ways = [];
+    (json.elements || []).forEach(element => {
+        if (element.type === 'node') {
+            nodes.set(String(element.id), { lat: element.lat, lng: element.lon });
+        } else if (element.type === 'way') {
+            ways.push({ id: String(element.id), nodes: element.nodes.map(String), tags: element.tags || {} });
+        }
+    });
+    return { nodes, ways };
+};
+
+const parseSpeed = (maxspeed, highway) => {
+    if (maxspeed) {
+        if (ZONE_SPEEDS[maxspeed]) return ZONE_SPEEDS[maxspeed];
+        const match = /^(\d+(?:\.\d+)?)\s*(mph)?$/.exec(maxspeed.trim());
+        if (match) return Math.round(Number(match[1]) * (match[2] ? 1.609 : 1));
+    }
+    if (highway.endsWith('_link')) return DEFAULT_SPEEDS.link;
+    return DEFAULT_SPEEDS[highway] || DEFAULT_SPEEDS.unclassified;
+};
+
+// Edge structure codes: the terrain surface is not the road's height on these
+const STRUCTURES = { tunnel: 1, bridge: 2 };
+
+const parseStructure = (tags) => {
+    if (tags.tunnel && tags.tunnel !== 'no') return STRUCTURES.tunnel;
+    if (tags.bridge && tags.bridge !== 'no') return STRUCTURES.bridge;
+    return 0;
+};
+
+// 1 forward only, -1 against the way's direction, 0 both
+const parseOneway = (tags) => {
+    if (tags.oneway === '-1' || tags.oneway === 'reverse') return -1;
+    if (['yes', '1', 'true'].includes(tags.oneway)) return 1;
+    if (tags.oneway === 'no') return 0;
+    return tags.junction === 'roundabout' || tags.highway === 'motorway' ? 1 : 0;
+};
+
+/**
+ * One edge per segment of every drivable way
+ */
+const buildGraph = ({ nodes, ways }, classes) => {
+    const edges = [];
+    ways
+        .filter(way => classes.includes(way.tags.highway) && way.tags.area !== 'yes')
+        .forEach(way => {
+            const oneway = parseOneway(way.tags);
+            const present = way.nodes.filter(id => nodes.has(id));
+            const ids = oneway === -1 ? present.reverse() : present;
+            const speed = parseSpeed(way.tags.maxspeed, way.tags.highway);
+            const name = way.tags.name || way.tags.ref || null;
+            const structure = parseStructure(way.tags);
+
+            for (let i = 1; i < ids.length; i++) {
+                const length = distanceM(nodes.get(ids[i - 1]), nodes.get(ids[i]));
+                if (length > 0) {
+                    edges.push({ from: ids[i - 1], to: ids[i], length, speed, oneway: oneway !== 0, name, structure });
+                }
+            }
+        });
+
+    // Keep the largest connected component (ignoring direction)
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    edges.forEach(({ from, to }) => {
+        [from, to].forEach(id => { if (!parent.has(id)) parent.set(id, id); });
+        parent.set(find(from), find(to));
+    });
+    const sizes = new Map();
+    parent.forEach((_, id) => sizes.set(find(id), (sizes.get(find(id)) || 0) + 1));
+    const largest = [...sizes.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+    const kept = edges.filter(edge => find(edge.from) === largest);
+
+    return { edges: kept, dropped: edges.length - kept.length };
+};
+
+/**
+ * Compact JSON: node coordinates by index, edges as tuples, road names deduplicated
+ */
+const serialize = ({ edges }, nodes, { source, region, classes }) => {
+    const nodeIndex = new Map();
+    const nodeList = [];
+    const indexOf = (id) => {
+        if (!nodeIndex.has(id)) {
+            const { lat, lng } = nodes.get(id);
+            nodeIndex.set(id, nodeList.length);
+            nodeList.push([round(lat, 6), round(lng, 6)]);
+        }
+        return nodeIndex.get(id);
+    };
+
+    const names = [];
+    const nameIndex = new Map();
+    const indexOfName = (name) => {
+        if (name === null) return -1;
+        if (!nameIndex.has(name)) {
+            nameIndex.set(name, names.length);
+            names.push(name);
+        }
+        return nameIndex.get(name);
+    };
+
+    const edgeList = edges.map(edge => [
+        indexOf(edge.from),
+        indexOf(edge.to),
+        Math.round(edge.length),
+        edge.speed,
+        edge.oneway ? 1 : 0,
+        indexOfName(edge.name),
+        edge.structure
+    ]);
+
+    const lats = nodeList.map(([lat]) => lat);
+    const lngs = nodeList.map(([, lng]) => lng);
+
+    return {
+        metadata: {
+            source,
+            region,
+            generated_at: new Date().toISOString(),
+            classes,
+            default_speeds_kmh: DEFAULT_SPEEDS,
+            nodes: nodeList.length,
+            edges: edgeList.length,
+            bounds: {
+                min_lat: Math.min(...lats),
+                max_lat: Math.max(...lats),
+                min_lng: Math.min(...lngs),
+                max_lng: Math.max(...lngs)
+            },
+            structures: STRUCTURES,
+            format: 'nodes: [lat, lng]; edges: [from, to, length_m, maxspeed_kmh, oneway, name_index, structure]'
+        },
+        names,
+        nodes: nodeList,
+        edges: edgeList
+    };
+};
+
+const run = () => {
+    if (!file) {
+        console.error('Uso: npm run build:road-network -- <extracto.osm|extracto.json> [--out archivo] [--region nombre] [--classes a,b]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const out = option('--out') || path.join(__dirname, '../data/road_network_rm.json');
+    const region = option('--region') || 'Región Metropolitana';
+    const classes = option('--classes') ? option('--classes').split(',') : DEFAULT_CLASSES;
+
+    const content = fs.readFileSync(file, 'utf8');
+    const extract = content.trimStart().startsWith('{')
+        ? parseOverpassJson(JSON.parse(content))
+        : parseOsmXml(content);
+
+    const graph = buildGraph(extract, classes);
+    const network = serialize(graph, extract.nodes, {
+        source: option('--source') || `OpenStreetMap extract (${path.basename(file)}) © OpenStreetMap contributors, ODbL`,
+        region,
+        classes
+    });
+
+    fs.writeFileSync(out, JSON.stringify(network) + '\n');
+    console.log(`${extract.ways.length} vías leídas | ${network.metadata.nodes} nodos | ` +
+        `${network.metadata.edges} tramos | ${graph.dropped} tramos fuera de la red principal descartados`);
+    console.log(`Escrito: ${out}`);
+};
+
+run();
@@ -0,0 +1,114 @@
+/**
+ * Copec EV - Synthetic station network
+ * Deterministic national-scale fixture for the spatial index benchmark: stations clustered
+ * around Chilean cities plus a string of service areas along Ruta 5. Same seed, same network.
+ */
+
+// Cities with a relative weight for how many stations they get
+const CITIES = [
+    { name: 'Arica', lat: -18.4783, lng: -70.3126, weight: 2 },
+    { name: 'Iquique', lat: -20.2307, lng: -70.1357, weight: 2 },
+    { name: 'Antofagasta', lat: -23.6509, lng: -70.3975, weight: 4 },
+    { name: 'Copiapó', lat: -27.3668, lng: -70.3323, weight: 2 },
+    { name: 'La Serena', lat: -29.9027, lng: -71.2519, weight: 4 },
+    { name: 'Valparaíso', lat: -33.0472, lng: -71.6127, weight: 6 },
+    { name: 'Santiago', lat: -33.4489, lng: -70.6693, weight: 30 },
+    { name: 'Rancagua', lat: -34.1708, lng: -70.7444, weight: 3 },
+    { name: 'Talca', lat: -35.4264, lng: -71.6554, weight: 3 },
+    { name: 'Concepción', lat: -36.8201, lng: -73.0444, weight: 7 },
+    { name: 'Temuco', lat: -38.7359, lng: -72.5904, weight: 4 },
+    { name: 'Valdivia', lat: -39.8142, lng: -73.2459, weight: 2 },
+    { name: 'Puerto Montt', lat: -41.4693, lng: -72.9424, weight: 3 },
+    { name: 'Coyhaique', lat: -45.5712, lng: -72.0685, weight: 1 },
+    { name: 'Punta Arenas', lat: -53.1638, lng: -70.9171, weight: 1 }
+];
+
+// Share of the network placed along the highway rather than in cities
+const HIGHWAY_SHARE = 0.15;
+const CITY_SPREAD_DEG = 0.12;
+
+// mulberry32: small seeded PRNG so the fixture is reproducible
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Approximately normal offset (sum of uniforms)
+const jitter = (random, spread) => (random() + random() + random() - 1.5) * spread;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const buildChargers = (random, stationId) => {
+    const count = 1 + Math.floor(random() * 6);
+    return Array.from({ length: count }, (_, i) => {
+        const fast = random() < 0.6;
+        return {
+            id: `${stationId}_C${i + 1}`,
+            type: fast ? 'fast' : 'slow',
+            power: fast ? [50, 100, 150][Math.floor(random() * 3)] : [7, 11, 22][Math.floor(random() * 3)],
+            status: 'available',
+            connector: fast ? (random() < 0.8 ? 'CCS2' : 'CHAdeMO') : 'Type2'
+        };
+    });
+};
+
+/**
+ * @param {Object} options - { count = 5000, seed = 42 }
+ * @returns {Array} stations shaped like data/stations_geo.json
+ */
+const generateStations = ({ count = 5000, seed = 42 } = {}) => {
+    const random = createRandom(seed);
+    const totalWeight = CITIES.reduce((sum, city) => sum + city.weight, 0);
+    const highway = CITIES.filter(city => city.name !== 'Punta Arenas');
+
+    const pickCity = () => {
+        let target = random() * totalWeight;
+        return CITIES.find(city => (target -= city.weight) < 0) || CITIES[CITIES.length - 1];
+    };
+
+    const placeOnHighway = () => {
+        const leg = Math.floor(random() * (highway.length - 1));
+        const [a, b] = [highway[leg], highway[leg + 1]];
+        const t = random();
+        return {
+            lat: a.lat + (b.lat - a.lat) * t + jitter(random, 0.02),
+            lng: a.lng + (b.lng - a.lng) * t + jitter(random, 0.02),
+            area: `Ruta 5 ${a.name} - ${b.name}`
+        };
+    };
+
+    return Array.from({ length: count }, (_, i) => {
+        const id = `SYNTH_${String(i + 1).padStart(5, '0')}`;
+        let place;
+        if (random() < HIGHWAY_SHARE) {
+            place = placeOnHighway();
+        } else {
+            const city = pickCity();
+            place = {
+                lat: city.lat + jitter(random, CITY_SPREAD_DEG),
+                lng: city.lng + jitter(random, CITY_SPREAD_DEG),
+                area: city.name
+            };
+        }
+
+        return {
+            id,
+            name: `Copec ${place.area} ${i + 1}`,
+            address: place.area,
+            location: { lat: round(place.lat), lng: round(place.lng) },
+            chargers: buildChargers(random, id),
+            usage_factors: { peak_hours: [], avg_wait_time: 0, nearby_amenities: [] }
+        };
+    });
+};
+
+module.exports = {
+    CITIES,
+    generateStations
+};
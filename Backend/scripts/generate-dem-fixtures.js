@@ -0,0 +1,160 @@
+/**
+ * Copec EV - DEM fixtures
+ * Writes the synthetic terrain tiles bundled in data/dem/fixtures: a simplified profile of
+ * the Santiago-Valparaíso corridor (sea, coast range, Casablanca basin, central valley and
+ * the first slopes of the Andes) as uncompressed GeoTIFFs, so routes get elevation in
+ * development without downloading SRTM data. The heights are made up from a few smooth
+ * functions of latitude and longitude; they are not measurements.
+ *
+ *   npm run generate:dem-fixtures -- [--out data/dem/fixtures]
+ *
+ * One tile stores samples on the 1° edges (pixel-is-point, as SRTM does) and the other
+ * pixel centers (pixel-is-area), so both GeoTIFF layouts the elevation tool reads are
+ * exercised. For real terrain point DEM_DIR at SRTM tiles instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const outIndex = args.indexOf('--out');
+const OUT_DIR = path.resolve(__dirname, '..', outIndex >= 0 ? args[outIndex + 1] : 'data/dem/fixtures');
+
+// 30" samples, a quarter of the SRTM 3" grid per side is plenty for a fixture
+const SAMPLES_PER_DEGREE = 120;
+const NODATA = -32768;
+
+const TILES = [
+    { name: 'corredor_santiago.tif', west: -71, north: -33, pixelIsPoint: true },
+    { name: 'costa_valparaiso.tif', west: -72, north: -33, pixelIsPoint: false }
+];
+
+const smoothstep = (from, to, x) => {
+    const t = Math.min(1, Math.max(0, (x - from) / (to - from)));
+    return t * t * (3 - 2 * t);
+};
+const bump = (center, width, x) => Math.exp(-(((x - center) / width) ** 2));
+
+/**
+ * Height in meters: sea west of a slightly slanted coastline, a coast range about 15 km
+ * inland, the Casablanca basin, the hills west of Santiago, the central valley floor and
+ * the Andes front rising east of -70.5°. Low ripples keep the grades from being perfectly
+ * smooth.
+ */
+const terrainHeight = (lat, lng) => {
+    const coastLng = -71.62 + (lat + 33.5) * 0.05;
+    const inland = lng - coastLng;
+    if (inland < 0) return 0;
+
+    const coastRange = 120 * smoothstep(0, 0.04, inland) + 300 * bump(0.15, 0.08, inland);
+    const basin = 250 * smoothstep(0.2, 0.35, inland);
+    const westernHills = 350 * bump(-70.95, 0.08, lng);
+    const valley = 220 * smoothstep(-71.1, -70.8, lng);
+    const andes = 3200 * smoothstep(-70.55, -70, lng);
+    const ripples = 30 * Math.sin(lat * 37) * Math.sin(lng * 29) + 15 * Math.sin(lat * 113 + lng * 71);
+
+    return Math.max(1, Math.round(coastRange + basin + westernHills + valley + andes + ripples));
+};
+
+/**
+ * Single-band, little-endian, int16 GeoTIFF in WGS84 written as one strip, with the tags
+ * readGeoTiff in handlers/tools/elevation.js expects.
+ */
+const writeGeoTiff = (file, { west, north, pixelIsPoint }) => {
+    const size = pixelIsPoint ? SAMPLES_PER_DEGREE + 1 : SAMPLES_PER_DEGREE;
+    const step = 1 / SAMPLES_PER_DEGREE;
+    const shift = pixelIsPoint ? 0 : 0.5;
+
+    const description = 'Synthetic development DEM generated by scripts/generate-dem-fixtures.js; not survey data\0';
+    const nodata = `${NODATA}\0`;
+    const geoKeys = [
+        1, 1, 0, 3,
+        1024, 0, 1, 2, // GTModelTypeGeoKey: geographic
+        1025, 0, 1, pixelIsPoint ? 2 : 1, // GTRasterTypeGeoKey
+        2048, 0, 1, 4326 // GeographicTypeGeoKey: WGS84
+    ];
+
+    // Header, then directory, then out-of-line values, then the pixels
+    const entries = [];
+    const extra = [];
+    let extraSize = 0;
+    const headerSize = 8;
+    const entryCount = 16;
+    const ifdSize = 2 + entryCount * 12 + 4;
+    const extraStart = headerSize + ifdSize;
+
+    const addExtra = (bytes) => {
+        const offset = extraStart + extraSize;
+        extra.push(bytes);
+        extraSize += bytes.length;
+        return offset;
+    };
+    const ascii = (text) => Buffer.from(text, 'latin1');
+    const doubles = (values) => {
+        const buffer = Buffer.alloc(values.length * 8);
+        values.forEach((value, i) => buffer.writeDoubleLE(value, i * 8));
+        return buffer;
+    };
+    const shorts = (values) => {
+        const buffer = Buffer.alloc(values.length * 2);
+        values.forEach((value, i) => buffer.writeUInt16LE(value, i * 2));
+        return buffer;
+    };
+
+    const pixelBytes = size * size * 2;
+    entries.push([256, 3, 1, size]);
+    entries.push([257, 3, 1, size]);
+    entries.push([258, 3, 1, 16]);
+    entries.push([259, 3, 1, 1]);
+    entries.push([262, 3, 1, 1]);
+    entries.push([270, 2, description.length, addExtra(ascii(description))]);
+    const stripOffsetEntry = [273, 4, 1, 0];
+    entries.push(stripOffsetEntry);
+    entries.push([277, 3, 1, 1]);
+    entries.push([278, 3, 1, size]);
+    entries.push([279, 4, 1, pixelBytes]);
+    entries.push([284, 3, 1, 1]);
+    entries.push([339, 3, 1, 2]);
+    entries.push([33550, 12, 3, addExtra(doubles([step, step, 0]))]);
+    entries.push([33922, 12, 6, addExtra(doubles([0, 0, 0, west, north, 0]))]);
+    entries.push([34735, 3, geoKeys.length, addExtra(shorts(geoKeys))]);
+    entries.push([42113, 2, nodata.length, addExtra(ascii(nodata))]);
+    stripOffsetEntry[3] = extraStart + extraSize;
+
+    const header = Buffer.alloc(headerSize);
+    header.write('II', 0, 'latin1');
+    header.writeUInt16LE(42, 2);
+    header.writeUInt32LE(headerSize, 4);
+
+    const ifd = Buffer.alloc(ifdSize);
+    ifd.writeUInt16LE(entries.length, 0);
+    entries.forEach(([tag, type, count, value], i) => {
+        const at = 2 + i * 12;
+        ifd.writeUInt16LE(tag, at);
+        ifd.writeUInt16LE(type, at + 2);
+        ifd.writeUInt32LE(count, at + 4);
+        // Short values fitting in the entry are left-justified
+        if (type === 3 && count === 1) ifd.writeUInt16LE(value, at + 8);
+        else ifd.writeUInt32LE(value, at + 8);
+    });
+
+    // The tiepoint is the raster's top-left corner either way; area samples sit half a step in
+    const pixels = Buffer.alloc(pixelBytes);
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const lat = north - (row + shift) * step;
+            const lng = west + (col + shift) * step;
+            pixels.writeInt16LE(terrainHeight(lat, lng), (row * size + col) * 2);
+        }
+    }
+
+    fs.writeFileSync(file, Buffer.concat([header, ifd, ...extra, pixels]));
+    return size;
+};
+
+fs.mkdirSync(OUT_DIR, { recursive: true });
+TILES.forEach(tile => {
+    const file = path.join(OUT_DIR, tile.name);
+    const size = writeGeoTiff(file, tile);
+    console.log(`${path.relative(process.cwd(), file)}: ${size}x${size}, ${tile.pixelIsPoint ? 'pixel-is-point' : 'pixel-is-area'}`);
+});
@@ -0,0 +1,88 @@
+/**
+ * Copec EV - Station catalog import
+ * Imports an OCPI Locations, Open Charge Map or CSV export into the station catalog:
+ * data/stations_geo.json (and the frontend's copy) offline, or the stations table with
+ * DATA_BACKEND=dynamodb. Prints the diff report; nothing is written without --apply.
+ *
+ *   npm run import:stations -- <file> [--format ocpi|ocm|csv] [--apply] [--json]
+ *
+ * The CSV template is data/stations_import_template.csv: one row per connector type,
+ * rows with the same name and coordinates form one station.
+ */
+
+const fs = require('fs');
+const { importStations, FORMATS } = require('../handlers/tools/catalog');
+
+const args = process.argv.slice(2);
+const file = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--format');
+const formatIndex = args.indexOf('--format');
+const format = formatIndex >= 0 ? args[formatIndex + 1] : undefined;
+const apply = args.includes('--apply');
+
+const formatLocation = ({ lat, lng }) => `${lat}, ${lng}`;
+
+const printReport = ({ format: detected, summary, report, applied, written_to }) => {
+    console.log(`Formato: ${detected} | registros: ${summary.records} | nuevas: ${summary.added} | ` +
+        `modificadas: ${summary.updated} | sin cambios: ${summary.unchanged} | duplicadas: ${summary.duplicates} | ` +
+        `rechazadas: ${summary.rejected} | advertencias: ${summary.warnings}`);
+
+    report.added.forEach(s => {
+        console.log(`\n+ ${s.station_id} ${s.name} (registro ${s.record})`);
+        console.log(`    ${s.address || '(sin dirección)'} [${formatLocation(s.location)}]`);
+        s.chargers.forEach(c => console.log(`    + ${c}`));
+    });
+
+    report.updated.forEach(s => {
+        console.log(`\n~ ${s.station_id} ${s.name} (registro ${s.record})`);
+        const { name, address, location, chargers } = s.changes;
+        if (name) console.log(`    nombre: ${name.from} -> ${name.to}`);
+        if (address) console.log(`    dirección: ${address.from} -> ${address.to}`);
+        if (location) console.log(`    ubicación: ${formatLocation(location.from)} -> ${formatLocation(location.to)} (${location.moved_m} m)`);
+        if (chargers) {
+            chargers.added.forEach(c => console.log(`    + ${c}`));
+            chargers.removed.forEach(c => console.log(`    - ${c}`));
+        }
+    });
+
+    if (report.duplicates.length) console.log('\nDuplicadas (omitidas):');
+    report.duplicates.forEach(d =>
+        console.log(`  registro ${d.record} ${d.name} = registro ${d.duplicate_of.record} ${d.duplicate_of.name}`));
+
+    if (report.rejected.length) console.log('\nRechazadas:');
+    report.rejected.forEach(r => console.log(`  registro ${r.record} ${r.name || ''}: ${r.reason}`));
+
+    if (report.warnings.length) console.log('\nAdvertencias:');
+    report.warnings.forEach(w => console.log(`  registro ${w.record} ${w.name}: ${w.message}`));
+
+    if (applied) {
+        console.log(`\nCatálogo actualizado: ${written_to.join(', ')}`);
+    } else if (summary.added || summary.updated) {
+        console.log('\nSin cambios escritos; repita con --apply para actualizar el catálogo.');
+    }
+};
+
+const run = async () => {
+    if (!file) {
+        console.error(`Uso: npm run import:stations -- <archivo> [--format ${FORMATS.join('|')}] [--apply] [--json]`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const result = await importStations({ content: fs.readFileSync(file, 'utf8'), format, apply });
+    if (result.error) {
+        console.error(result.error);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printReport(result);
+    }
+};
+
+run().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,154 @@
+/**
+ * Copec EV - OCPI partner stub
+ * Minimal eMSP that registers with the local OCPI 2.2.1 CPO and pulls every module,
+ * following pagination. Run with the backend up (npm run dev):
+ *
+ *   node scripts/ocpi-partner-stub.js
+ *
+ * Environment:
+ * - CPO_URL       CPO base URL (default http://localhost:3001)
+ * - TOKEN_A       Registration token; one is created through /api/ocpi/registrations if omitted
+ * - OPERATOR_KEY  Operator key (one of OPERATOR_API_KEYS) to create that registration
+ * - PARTY_ID      Partner party id (default PRT), country CL. The registration is bound to it,
+ *                 and sessions and CDRs only include the partner's own customers.
+ * - STUB_PORT     Port the stub serves its own versions endpoints on (default 3010)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const CPO_URL = process.env.CPO_URL || 'http://localhost:3001';
+const PARTY_ID = process.env.PARTY_ID || 'PRT';
+const COUNTRY_CODE = 'CL';
+const STUB_PORT = Number(process.env.STUB_PORT) || 3010;
+const STUB_URL = `http://localhost:${STUB_PORT}`;
+
+// Token B: what the CPO uses to call this partner
+const TOKEN_B = crypto.randomUUID();
+
+const encodeToken = (token) => `Token ${Buffer.from(token).toString('base64')}`;
+
+const envelope = (data) => JSON.stringify({
+    data,
+    status_code: 1000,
+    timestamp: new Date().toISOString()
+});
+
+// The partner's own versions/credentials endpoints, called back by the CPO during the handshake
+const server = http.createServer((req, res) => {
+    if (req.headers.authorization !== encodeToken(TOKEN_B)) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status_code: 2000, status_message: 'Invalid token', timestamp: new Date().toISOString() }));
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (req.url === '/ocpi/versions') {
+        res.end(envelope([{ version: '2.2.1', url: `${STUB_URL}/ocpi/2.2.1` }]));
+    } else {
+        res.end(envelope({
+            version: '2.2.1',
+            endpoints: ['credentials', 'locations', 'tariffs', 'sessions', 'cdrs'].map(identifier => ({
+                identifier,
+                role: 'RECEIVER',
+                url: `${STUB_URL}/ocpi/2.2.1/${identifier}`
+            }))
+        }));
+    }
+});
+
+const call = async (url, token, options = {}) => {
+    const res = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: encodeToken(token),
+            'X-Request-ID': crypto.randomUUID()
+        }
+    });
+    const body = await res.json();
+    if (body.status_code !== 1000) {
+        throw new Error(`${options.method || 'GET'} ${url}: ${res.status} ${body.status_code} ${body.status_message}`);
+    }
+    return { body, headers: res.headers };
+};
+
+// Follow Link rel="next" headers until the last page
+const pullAll = async (url, token) => {
+    const items = [];
+    let next = url;
+    let pages = 0;
+
+    while (next) {
+        const { body, headers } = await call(next, token);
+        items.push(...body.data);
+        pages++;
+        next = /<([^>]+)>;\s*rel="next"/.exec(headers.get('link') || '')?.[1];
+    }
+    return { items, pages };
+};
+
+const getRegistrationToken = async () => {
+    if (process.env.TOKEN_A) return process.env.TOKEN_A;
+
+    if (!process.env.OPERATOR_KEY) {
+        throw new Error('Set TOKEN_A, or OPERATOR_KEY to create a registration');
+    }
+
+    const res = await fetch(`${CPO_URL}/api/ocpi/registrations`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.OPERATOR_KEY}`
+        },
+        body: JSON.stringify({ name: `Partner stub ${PARTY_ID}`, countryCode: COUNTRY_CODE, partyId: PARTY_ID })
+    });
+    const body = await res.json();
+    if (!body.success) throw new Error(`Registration failed: ${body.error}`);
+    return body.registration.token;
+};
+
+const run = async () => {
+    const tokenA = await getRegistrationToken();
+    console.log('Token A:', tokenA);
+
+    const { body: versions } = await call(`${CPO_URL}/ocpi/versions`, tokenA);
+    const version = versions.data.find(v => v.version === '2.2.1');
+    const { body: details } = await call(version.url, tokenA);
+    const endpoints = Object.fromEntries(details.data.endpoints
+        .filter(e => e.role === 'SENDER')
+        .map(e => [e.identifier, e.url]));
+    console.log('CPO modules:', Object.keys(endpoints).join(', '));
+
+    const { body: credentials } = await call(endpoints.credentials, tokenA, {
+        method: 'POST',
+        body: JSON.stringify({
+            token: TOKEN_B,
+            url: `${STUB_URL}/ocpi/versions`,
+            roles: [{
+                role: 'EMSP',
+                country_code: COUNTRY_CODE,
+                party_id: PARTY_ID,
+                business_details: { name: `Partner stub ${PARTY_ID}` }
+            }]
+        })
+    });
+    const tokenC = credentials.data.token;
+    console.log('Registered, token C:', tokenC);
+
+    const dateFrom = '2020-01-01T00:00:00Z';
+    for (const [module, query] of [['locations', 'limit=5'], ['tariffs', ''], ['sessions', `date_from=${dateFrom}`], ['cdrs', `date_from=${dateFrom}`]]) {
+        const { items, pages } = await pullAll(`${endpoints[module]}?${query}`, tokenC);
+        console.log(`${module}: ${items.length} in ${pages} page(s)`);
+        if (items[0]) console.log(JSON.stringify(items[0], null, 2).slice(0, 1200));
+    }
+};
+
+server.listen(STUB_PORT, () => {
+    run()
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => server.close());
+});
@@ -0,0 +1,210 @@
+/**
+ * Copec EV - OCPP charge point stub
+ * Minimal OCPP 1.6J charge point for the local central system. It connects the way a real
+ * one is configured (<url>/<chargePointId>, subprotocol ocpp1.6, HTTP Basic auth with its id
+ * and key), boots, reports its connectors Available, sends heartbeats and answers remote
+ * commands: RemoteStartTransaction charges on the connector until RemoteStopTransaction,
+ * UnlockConnector stops a charge in progress, ChangeAvailability switches the connector
+ * between Available and Unavailable. Run with the backend up and the key configured
+ * (OCPP_CHARGE_POINT_KEYS=CP_ALAMEDA_001:clave-local npm run dev):
+ *
+ *   CHARGE_POINT_KEY=clave-local node scripts/ocpp-charge-point-stub.js [--charge user_001]
+ *
+ * --charge <idTag> also plugs in and charges on connector 1 for a minute as that user.
+ *
+ * Environment:
+ * - CENTRAL_SYSTEM_URL  WebSocket URL of the central system (default ws://localhost:3003)
+ * - CHARGE_POINT_ID     Charge point id from data/ocpp_charge_points.json (default CP_ALAMEDA_001)
+ * - CHARGE_POINT_KEY    Its key in OCPP_CHARGE_POINT_KEYS (required)
+ * - CONNECTORS          Number of connectors (default 2)
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const CENTRAL_SYSTEM_URL = (process.env.CENTRAL_SYSTEM_URL || 'ws://localhost:3003').replace(/\/+$/, '');
+const CHARGE_POINT_ID = process.env.CHARGE_POINT_ID || 'CP_ALAMEDA_001';
+const CHARGE_POINT_KEY = process.env.CHARGE_POINT_KEY;
+const CONNECTORS = Number(process.env.CONNECTORS) || 2;
+
+const args = process.argv.slice(2);
+const chargeIdTag = args.includes('--charge') ? args[args.indexOf('--charge') + 1] : null;
+
+// A charge delivers this power and reports it every few seconds
+const CHARGE_POWER_KW = 50;
+const METER_INTERVAL_SECONDS = 10;
+const DEMO_CHARGE_SECONDS = 60;
+
+const CALL = 2;
+const CALLRESULT = 3;
+const CALLERROR = 4;
+
+if (!CHARGE_POINT_KEY) {
+    console.error('CHARGE_POINT_KEY es obligatorio (la clave del punto de carga en OCPP_CHARGE_POINT_KEYS)');
+    process.exit(1);
+}
+
+const socket = new WebSocket(`${CENTRAL_SYSTEM_URL}/${encodeURIComponent(CHARGE_POINT_ID)}`, 'ocpp1.6', {
+    headers: { Authorization: `Basic ${Buffer.from(`${CHARGE_POINT_ID}:${CHARGE_POINT_KEY}`).toString('base64')}` }
+});
+
+// Calls waiting for the central system's reply, by message id
+const pending = new Map();
+// Per connector: { status, meterWh, transactionId, timer }
+const connectors = new Map(Array.from({ length: CONNECTORS }, (_, i) => [i + 1, { status: 'Available', meterWh: 0 }]));
+let heartbeat;
+
+const call = (action, payload) => new Promise((resolve, reject) => {
+    const id = crypto.randomUUID();
+    pending.set(id, { action, resolve, reject });
+    socket.send(JSON.stringify([CALL, id, action, payload]));
+});
+
+const setStatus = (connectorId, status) => {
+    connectors.get(connectorId).status = status;
+    return call('StatusNotification', { connectorId, status, errorCode: 'NoError', timestamp: new Date().toISOString() });
+};
+
+const startCharge = async (connectorId, idTag) => {
+    const connector = connectors.get(connectorId);
+    await setStatus(connectorId, 'Preparing');
+    const { idTagInfo, transactionId } = await call('StartTransaction', {
+        connectorId,
+        idTag,
+        meterStart: Math.round(connector.meterWh),
+        timestamp: new Date().toISOString()
+    });
+    if (idTagInfo.status !== 'Accepted') {
+        console.log(`idTag ${idTag} rechazado (${idTagInfo.status})`);
+        await setStatus(connectorId, 'Available');
+        return;
+    }
+
+    connector.transactionId = transactionId;
+    await setStatus(connectorId, 'Charging');
+    console.log(`Conector ${connectorId}: cargando, transacción ${transactionId}`);
+    connector.timer = setInterval(() => {
+        connector.meterWh += CHARGE_POWER_KW * 1000 * METER_INTERVAL_SECONDS / 3600;
+        call('MeterValues', {
+            connectorId,
+            transactionId,
+            meterValue: [{
+                timestamp: new Date().toISOString(),
+                sampledValue: [
+                    { value: String(Math.round(connector.meterWh)), measurand: 'Energy.Active.Import.Register', unit: 'Wh' },
+                    { value: String(CHARGE_POWER_KW), measurand: 'Power.Active.Import', unit: 'kW' }
+                ]
+            }]
+        }).catch(error => console.error('MeterValues:', error.message));
+    }, METER_INTERVAL_SECONDS * 1000);
+};
+
+const stopCharge = async (connectorId, reason) => {
+    const connector = connectors.get(connectorId);
+    if (!connector?.transactionId) return;
+
+    clearInterval(connector.timer);
+    const { transactionId } = connector;
+    connector.transactionId = null;
+    await setStatus(connectorId, 'Finishing');
+    await call('StopTransaction', {
+        transactionId,
+        meterStop: Math.round(connector.meterWh),
+        timestamp: new Date().toISOString(),
+        reason
+    });
+    await setStatus(connectorId, 'Available');
+    console.log(`Conector ${connectorId}: carga ${transactionId} terminada (${reason})`);
+};
+
+const findTransaction = (transactionId) =>
+    [...connectors].find(([, connector]) => connector.transactionId === transactionId)?.[0];
+
+// Central system initiated commands: the reply goes first, the resulting messages after it
+const COMMANDS = {
+    RemoteStartTransaction: ({ connectorId = 1, idTag }) => {
+        const connector = connectors.get(connectorId);
+        if (!connector || connector.status !== 'Available') return [{ status: 'Rejected' }];
+        return [{ status: 'Accepted' }, () => startCharge(connectorId, idTag)];
+    },
+    RemoteStopTransaction: ({ transactionId }) => {
+        const connectorId = findTransaction(transactionId);
+        if (!connectorId) return [{ status: 'Rejected' }];
+        return [{ status: 'Accepted' }, () => stopCharge(connectorId, 'Remote')];
+    },
+    UnlockConnector: ({ connectorId }) => {
+        if (!connectors.has(connectorId)) return [{ status: 'NotSupported' }];
+        return [{ status: 'Unlocked' }, () => stopCharge(connectorId, 'UnlockCommand')];
+    },
+    ChangeAvailability: ({ connectorId, type }) => {
+        const ids = connectorId === 0 ? [...connectors.keys()] : [connectorId];
+        if (!ids.every(id => connectors.has(id))) return [{ status: 'Rejected' }];
+        const status = type === 'Inoperative' ? 'Unavailable' : 'Available';
+        return [{ status: 'Accepted' }, () => Promise.all(ids.map(id => setStatus(id, status)))];
+    },
+    Reset: () => [{ status: 'Accepted' }]
+};
+
+socket.on('message', async (data) => {
+    const [type, id, ...rest] = JSON.parse(data.toString());
+
+    if (type === CALL) {
+        const [action, payload] = rest;
+        console.log(`<- ${action}`, JSON.stringify(payload));
+        const command = COMMANDS[action];
+        if (!command) {
+            socket.send(JSON.stringify([CALLERROR, id, 'NotImplemented', `${action} no soportado por el stub`, {}]));
+            return;
+        }
+        const [reply, then] = command(payload);
+        socket.send(JSON.stringify([CALLRESULT, id, reply]));
+        if (then) then().catch(error => console.error(`${action}:`, error.message));
+        return;
+    }
+
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (type === CALLRESULT) request.resolve(rest[0]);
+    else request.reject(new Error(`${request.action}: ${rest[0]} ${rest[1]}`));
+});
+
+socket.on('open', async () => {
+    try {
+        console.log(`Conectado como ${CHARGE_POINT_ID} a ${CENTRAL_SYSTEM_URL}`);
+        const boot = await call('BootNotification', { chargePointVendor: 'Copec', chargePointModel: 'OCPP stub' });
+        if (boot.status !== 'Accepted') throw new Error(`BootNotification ${boot.status}`);
+        heartbeat = setInterval(() => call('Heartbeat', {}).catch(error => console.error('Heartbeat:', error.message)),
+            boot.interval * 1000);
+
+        await Promise.all([...connectors.keys()].map(id => setStatus(id, 'Available')));
+        console.log(`${CONNECTORS} conectores disponibles; esperando comandos (Ctrl+C para salir)`);
+
+        if (chargeIdTag) {
+            await startCharge(1, chargeIdTag);
+            setTimeout(() => stopCharge(1, 'Local').catch(error => console.error(error.message)),
+                DEMO_CHARGE_SECONDS * 1000);
+        }
+    } catch (error) {
+        console.error(error.message);
+        socket.close();
+    }
+});
+
+socket.on('unexpected-response', (req, res) => {
+    console.error(`Conexión rechazada: ${res.statusCode} ${res.statusMessage}`);
+    process.exitCode = 1;
+    req.destroy();
+});
+
+socket.on('error', (error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
+
+socket.on('close', () => {
+    clearInterval(heartbeat);
+    connectors.forEach(connector => clearInterval(connector.timer));
+});
+
+process.on('SIGINT', () => socket.close());
@@ -0,0 +1,99 @@
+/**
+ * Copec EV - DynamoDB seed
+ * Loads the JSON fixtures in data/ (stations, venues, users, vehicles, charging metrics)
+ * into the stage's DynamoDB tables, or into a local stand-in such as DynamoDB Local.
+ *
+ *   npm run seed -- [--stage dev] [--endpoint http://localhost:8000] [--create-tables]
+ *
+ * Table names follow serverless.yml (copec-ev-hackathon-<name>-<stage>, e.g. CHARGE_POINTS_TABLE
+ * -> charge-points) unless the *_TABLE environment variables are set. --create-tables creates
+ * every missing table, with its sort key and GSIs, which is only needed on a local stand-in;
+ * deployed stages get them from the CloudFormation stack.
+ */
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+};
+
+const SERVICE = 'copec-ev-hackathon';
+const SEEDED = ['stations', 'venues', 'users', 'vehicles', 'metrics'];
+
+const stage = option('--stage') || 'dev';
+const endpoint = option('--endpoint') || process.env.DYNAMODB_ENDPOINT;
+
+// Set before the repositories load: the adapters read them when created
+process.env.DATA_BACKEND = 'dynamodb';
+if (endpoint) process.env.DYNAMODB_ENDPOINT = endpoint;
+
+const { DynamoDBClient, CreateTableCommand, DescribeTableCommand, waitUntilTableExists } = require('@aws-sdk/client-dynamodb');
+const repositories = require('../handlers/repositories');
+
+const tableNameFor = (name) => {
+    const { env } = repositories.TABLES[name];
+    if (!process.env[env]) {
+        const suffix = env.replace(/_TABLE$/, '').toLowerCase().replace(/_/g, '-');
+        process.env[env] = `${SERVICE}-${suffix}-${stage}`;
+    }
+    return process.env[env];
+};
+
+const createTable = async (client, name) => {
+    const tableName = tableNameFor(name);
+    const { key, keyType = 'S', sortKey, indexes = [] } = repositories.TABLES[name];
+
+    try {
+        await client.send(new DescribeTableCommand({ TableName: tableName }));
+        return false;
+    } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') throw error;
+    }
+
+    await client.send(new CreateTableCommand({
+        TableName: tableName,
+        BillingMode: 'PAY_PER_REQUEST',
+        AttributeDefinitions: [
+            { AttributeName: key, AttributeType: keyType },
+            ...[sortKey, ...indexes].filter(Boolean).map(attribute => ({ AttributeName: attribute, AttributeType: 'S' }))
+        ],
+        KeySchema: [
+            { AttributeName: key, KeyType: 'HASH' },
+            ...(sortKey ? [{ AttributeName: sortKey, KeyType: 'RANGE' }] : [])
+        ],
+        ...(indexes.length && {
+            GlobalSecondaryIndexes: indexes.map(attribute => ({
+                IndexName: `${attribute}-index`,
+                KeySchema: [{ AttributeName: attribute, KeyType: 'HASH' }],
+                Projection: { ProjectionType: 'ALL' }
+            }))
+        })
+    }));
+    await waitUntilTableExists({ client, maxWaitTime: 60 }, { TableName: tableName });
+    return true;
+};
+
+const run = async () => {
+    if (args.includes('--create-tables')) {
+        const client = new DynamoDBClient({
+            region: process.env.AWS_REGION || 'us-east-1',
+            ...(endpoint && { endpoint })
+        });
+        for (const name of Object.keys(repositories.TABLES)) {
+            if (await createTable(client, name)) {
+                console.log(`Tabla creada: ${tableNameFor(name)}`);
+            }
+        }
+    }
+
+    for (const name of SEEDED) {
+        const tableName = tableNameFor(name);
+        const count = await repositories[name].seed();
+        console.log(`${tableName}: ${count} registros`);
+    }
+};
+
+run().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -9,7 +9,7 @@ interface Charger {
     id: string;
     type: 'fast' | 'slow';
     power: number;
-    status: 'available' | 'occupied' | 'maintenance';
+    status: 'available' | 'occupied' | 'reserved' | 'maintenance';
     connector: string;
 }
 
@@ -26,6 +26,10 @@ interface Station {
     };
     distance?: number;
     eta_minutes?: number;
+    queue?: {
+        current_queue: number;
+        estimated_wait_minutes: number | null;
+    };
 }
 
 interface StationCardProps {
@@ -43,6 +47,7 @@ export default function StationCard({ station, onClose, onRecommend }: StationCa
         switch (status) {
             case 'available': return '#22C55E';
             case 'occupied': return '#EF4444';
+            case 'reserved': return '#8B5CF6';
             case 'maintenance': return '#F59E0B';
             default: return '#6B6B6B';
         }
@@ -52,6 +57,7 @@ export default function StationCard({ station, onClose, onRecommend }: StationCa
         switch (status) {
             case 'available': return 'Disponible';
             case 'occupied': return 'Ocupado';
+            case 'reserved': return 'Reservado';
             case 'maintenance': return 'Mantenimiento';
             default: return status;
         }
@@ -126,6 +132,16 @@ export default function StationCard({ station, onClose, onRecommend }: StationCa
                             <span className="usage-label">Tiempo promedio de espera</span>
                             <span className="usage-value">{station.usage_factors.avg_wait_time} min</span>
                         </div>
+                        {station.queue && (
+                            <div className="usage-item">
+                                <span className="usage-icon"><span className="live-dot"></span></span>
+                                <span className="usage-label">En cola ahora</span>
+                                <span className="usage-value">
+                                    {station.queue.current_queue} {station.queue.current_queue === 1 ? 'persona' : 'personas'}
+                                    {station.queue.estimated_wait_minutes !== null && ` • ~${station.queue.estimated_wait_minutes} min`}
+                                </span>
+                            </div>
+                        )}
                         <div className="usage-item">
                             <span className="usage-icon"><Icon name="gauge" size={16} /></span>
                             <span className="usage-label">Horarios pico</span>
@@ -1,4 +1,4 @@
-import { useEffect, useState, useCallback } from 'react';
+import { useEffect, useState, useCallback, useMemo } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, Tooltip, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
@@ -7,7 +7,8 @@ import VoiceInput from './VoiceInput';
 import TripPlanner from './TripPlanner';
 import AIChat from './AIChat';
 import { Icon } from './Icon';
-import stationsData from '../data/stations_geo.json';
+import { useStationUpdates, type StationUpdate } from '../hooks/useStationUpdates';
+import { useStationCatalog } from '../hooks/useStationCatalog';
 import CopecLogo from '../assets/Copec_Logo_2023.svg';
 import CopecCielo from '../assets/Copec_Cielo.png';
 
@@ -50,7 +51,7 @@ interface Charger {
     id: string;
     type: 'fast' | 'slow';
     power: number;
-    status: 'available' | 'occupied' | 'maintenance';
+    status: 'available' | 'occupied' | 'reserved' | 'maintenance';
     connector: string;
 }
 
@@ -67,6 +68,7 @@ interface Station {
     };
     distance?: number;
     eta_minutes?: number;
+    queue?: StationUpdate['queue'];
 }
 
 interface Recommendation {
@@ -86,6 +88,19 @@ interface Recommendation {
 // API Base URL
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// Apply a live status update on top of the last fetched station data
+const applyStationUpdate = (station: Station, update?: StationUpdate): Station => {
+    if (!update) return station;
+    return {
+        ...station,
+        chargers: station.chargers.map(charger => {
+            const live = update.chargers.find(c => c.id === charger.id);
+            return live ? { ...charger, status: live.status } : charger;
+        }),
+        queue: update.queue
+    };
+};
+
 // Location button component
 function LocationControl({ onLocationFound }: { onLocationFound: (lat: number, lng: number) => void }) {
     const map = useMap();
@@ -119,8 +134,11 @@ function LocationControl({ onLocationFound }: { onLocationFound: (lat: number, l
 }
 
 export default function StationMap() {
-    const [stations, setStations] = useState<Station[]>(stationsData.stations as Station[]);
-    const [selectedStation, setSelectedStation] = useState<Station | null>(null);
+    const catalog = useStationCatalog();
+    // Nearby results (with distance and ETA) replace the catalog once the user shares a location
+    const [nearbyStations, setNearbyStations] = useState<Station[] | null>(null);
+    const fetchedStations: Station[] = nearbyStations || catalog.stations;
+    const [selectedStationId, setSelectedStationId] = useState<string | null>(null);
     const [userLocation, setUserLocation] = useState<{ lat: number; lng: number } | null>(null);
     const [recommendations, setRecommendations] = useState<Recommendation[]>([]);
     const [loading, setLoading] = useState(false);
@@ -130,6 +148,14 @@ export default function StationMap() {
     const [showTripPlanner, setShowTripPlanner] = useState(false);
     const [showAIChat, setShowAIChat] = useState(false);
 
+    // Live charger status, queue and power for the stations on the map
+    const { updates, connected } = useStationUpdates(fetchedStations.map(s => s.id));
+    const stations = useMemo(
+        () => fetchedStations.map(s => applyStationUpdate(s, updates[s.id])),
+        [fetchedStations, updates]
+    );
+    const selectedStation = stations.find(s => s.id === selectedStationId) || null;
+
     // Santiago center coordinates
     const defaultCenter: [number, number] = [-33.4489, -70.6693];
     const defaultZoom = 12;
@@ -148,11 +174,11 @@ export default function StationMap() {
             );
             if (response.ok) {
                 const data = await response.json();
-                setStations(data.stations);
+                setNearbyStations(data.stations);
             }
         } catch (error) {
             console.error('Error fetching stations:', error);
-            // Keep using local data
+            // Keep using the catalog
         }
     };
 
@@ -347,7 +373,7 @@ export default function StationMap() {
                                 position={[station.location.lat, station.location.lng]}
                                 icon={createMarkerIcon(getStatusClass(station))}
                                 eventHandlers={{
-                                    click: () => setSelectedStation(station)
+                                    click: () => setSelectedStationId(station.id)
                                 }}
                             >
                                 <Popup>
@@ -373,7 +399,7 @@ export default function StationMap() {
             {selectedStation && (
                 <StationCard
                     station={selectedStation}
-                    onClose={() => setSelectedStation(null)}
+                    onClose={() => setSelectedStationId(null)}
                     onRecommend={handleGetRecommendations}
                 />
             )}
@@ -399,6 +425,14 @@ export default function StationMap() {
                                 </div>
                                 <h3>{rec.station_name}</h3>
                                 <p className="rec-reasoning">{rec.reasoning}</p>
+                                {updates[rec.station_id] && (
+                                    <p className="rec-live">
+                                        <span className="live-dot"></span>
+                                        {updates[rec.station_id].available}/{updates[rec.station_id].total} disponibles ahora
+                                        {updates[rec.station_id].queue.current_queue > 0 &&
+                                            ` • ${updates[rec.station_id].queue.current_queue} en cola`}
+                                    </p>
+                                )}
                                 <div className="rec-details">
                                     <span><Icon name="car" size={14} /> {rec.eta_minutes} min</span>
                                     <span><Icon name="bolt" size={14} /> {rec.charging_time_minutes} min carga</span>
@@ -437,6 +471,21 @@ export default function StationMap() {
                     <span className="legend-dot occupied"></span>
                     <span>Ocupado</span>
                 </div>
+                {connected && (
+                    <div className="legend-item">
+                        <span className="live-dot"></span>
+                        <span>En vivo</span>
+                    </div>
+                )}
+                {catalog.outdated && (
+                    <div
+                        className="legend-item outdated-indicator"
+                        title={`Sin conexión: estaciones al ${new Date(catalog.lastUpdated).toLocaleDateString('es-CL')}`}
+                    >
+                        <Icon name="clock" size={14} />
+                        <span>Datos pueden estar desactualizados</span>
+                    </div>
+                )}
             </div>
 
             {/* Floating Action Buttons */}
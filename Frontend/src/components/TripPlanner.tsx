@@ -25,12 +25,28 @@ interface ChargingStop {
     amenities: string[];
 }
 
+interface ElevationPoint {
+    distanceKm: number;
+    elevationM: number;
+}
+
+interface RouteElevation {
+    ascentM: number;
+    descentM: number;
+    minElevationM: number;
+    maxElevationM: number;
+    coveragePercent: number;
+    profile: ElevationPoint[];
+}
+
 interface TripRoute {
     totalDistance: number;
     totalTime: number;
     drivingTime: number;
     chargingTime: number;
     needsCharging: boolean;
+    // Only when the backend's terrain data covers the route
+    elevation?: RouteElevation | null;
 }
 
 interface TripPlan {
@@ -47,6 +63,21 @@ interface TripPlannerProps {
     onShowRoute?: (trip: TripPlan) => void;
 }
 
+// Elevation profile as an SVG path, scaled to the chart box
+const PROFILE_WIDTH = 300;
+const PROFILE_HEIGHT = 60;
+
+const buildProfilePath = ({ profile, minElevationM, maxElevationM }: RouteElevation): string => {
+    const totalKm = profile[profile.length - 1]?.distanceKm || 1;
+    const range = Math.max(maxElevationM - minElevationM, 1);
+    const points = profile.map(point => {
+        const x = (point.distanceKm / totalKm) * PROFILE_WIDTH;
+        const y = PROFILE_HEIGHT - ((point.elevationM - minElevationM) / range) * (PROFILE_HEIGHT - 4) - 2;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    return `M0,${PROFILE_HEIGHT} L${points.join(' L')} L${PROFILE_WIDTH},${PROFILE_HEIGHT} Z`;
+};
+
 // Search with Nominatim API (OpenStreetMap)
 const searchAddress = async (query: string): Promise<Location[]> => {
     if (query.length < 2) return [];
@@ -82,17 +113,17 @@ const searchAddress = async (query: string): Promise<Location[]> => {
     return [];
 };
 
-// Popular EV models in Chile with real range specs
+// Popular EV models in Chile with real range specs and charging connectors
 const VEHICLE_MODELS = [
-    { id: 'tesla_model_3', name: 'Tesla Model 3 Long Range', range: 547 },
-    { id: 'tesla_model_y', name: 'Tesla Model Y', range: 455 },
-    { id: 'byd_atto3', name: 'BYD Atto 3', range: 420 },
-    { id: 'byd_dolphin', name: 'BYD Dolphin', range: 340 },
-    { id: 'byd_seal', name: 'BYD Seal', range: 570 },
-    { id: 'nissan_leaf', name: 'Nissan Leaf e+', range: 363 },
-    { id: 'vw_id4', name: 'Volkswagen ID.4', range: 402 },
-    { id: 'hyundai_kona', name: 'Hyundai Kona Electric', range: 380 },
-    { id: 'kia_ev6', name: 'Kia EV6', range: 528 },
+    { id: 'tesla_model_3', name: 'Tesla Model 3 Long Range', range: 547, connectors: ['CCS2', 'Type2'] },
+    { id: 'tesla_model_y', name: 'Tesla Model Y', range: 455, connectors: ['CCS2', 'Type2'] },
+    { id: 'byd_atto3', name: 'BYD Atto 3', range: 420, connectors: ['CCS2', 'Type2'] },
+    { id: 'byd_dolphin', name: 'BYD Dolphin', range: 340, connectors: ['CCS2', 'Type2'] },
+    { id: 'byd_seal', name: 'BYD Seal', range: 570, connectors: ['CCS2', 'Type2'] },
+    { id: 'nissan_leaf', name: 'Nissan Leaf e+', range: 363, connectors: ['CHAdeMO', 'Type1'] },
+    { id: 'vw_id4', name: 'Volkswagen ID.4', range: 402, connectors: ['CCS2', 'Type2'] },
+    { id: 'hyundai_kona', name: 'Hyundai Kona Electric', range: 380, connectors: ['CCS2', 'Type2'] },
+    { id: 'kia_ev6', name: 'Kia EV6', range: 528, connectors: ['CCS2', 'Type2'] },
     { id: 'custom', name: 'Otro vehículo', range: 350 }
 ];
 
@@ -199,6 +230,7 @@ export default function TripPlanner({ onClose, userLocation, onShowRoute }: Trip
                     destination,
                     currentBattery: batteryLevel,
                     vehicleRange,
+                    connectorTypes: selectedVehicle.connectors,
                     preferences: { preferFast, preferAmenities }
                 })
             });
@@ -252,7 +284,7 @@ export default function TripPlanner({ onClose, userLocation, onShowRoute }: Trip
         } finally {
             setLoading(false);
         }
-    }, [origin, destination, batteryLevel, vehicleRange, preferFast, preferAmenities, currentRange, selectedVehicle.name, onShowRoute]);
+    }, [origin, destination, batteryLevel, vehicleRange, preferFast, preferAmenities, currentRange, selectedVehicle.name, selectedVehicle.connectors, onShowRoute]);
 
     const selectOriginResult = (result: Location) => {
         setOrigin(result);
@@ -501,7 +533,29 @@ export default function TripPlanner({ onClose, userLocation, onShowRoute }: Trip
                                         <span>+{tripPlan.route.chargingTime}m carga</span>
                                     </div>
                                 )}
+                                {tripPlan.route.elevation && (
+                                    <div className="stat">
+                                        <Icon name="gauge" size={16} />
+                                        <span>↑{tripPlan.route.elevation.ascentM} m ↓{tripPlan.route.elevation.descentM} m</span>
+                                    </div>
+                                )}
                             </div>
+                            {tripPlan.route.elevation && tripPlan.route.elevation.profile.length > 1 && (
+                                <div className="elevation-profile">
+                                    <svg
+                                        viewBox={`0 0 ${PROFILE_WIDTH} ${PROFILE_HEIGHT}`}
+                                        preserveAspectRatio="none"
+                                        role="img"
+                                        aria-label="Perfil de elevación de la ruta"
+                                    >
+                                        <path d={buildProfilePath(tripPlan.route.elevation)} />
+                                    </svg>
+                                    <div className="elevation-range">
+                                        <span>{tripPlan.route.elevation.minElevationM} m</span>
+                                        <span>{tripPlan.route.elevation.maxElevationM} m s.n.m.</span>
+                                    </div>
+                                </div>
+                            )}
                         </div>
 
                         {tripPlan.chargingStops.length > 0 && (
@@ -0,0 +1,119 @@
+/**
+ * useStationCatalog Hook - Copec EV Assistant
+ * Bootstraps the station catalog from the backend, revalidating the locally cached
+ * copy with its ETag. The bundled stations_geo.json is only used offline, when
+ * neither the backend nor a cached copy is available.
+ */
+
+import { useEffect, useState } from 'react';
+import bundledCatalog from '../data/stations_geo.json';
+
+export interface CatalogCharger {
+    id: string;
+    type: 'fast' | 'slow';
+    power: number;
+    status: 'available' | 'occupied' | 'reserved' | 'maintenance';
+    connector: string;
+}
+
+export interface CatalogStation {
+    id: string;
+    name: string;
+    address: string;
+    location: { lat: number; lng: number };
+    chargers: CatalogCharger[];
+    usage_factors: {
+        peak_hours: string[];
+        avg_wait_time: number;
+        nearby_amenities: string[];
+    };
+}
+
+interface CachedCatalog {
+    etag: string;
+    stations: CatalogStation[];
+    last_updated: string;
+}
+
+// network: fetched or revalidated now; cache: last copy from the backend; bundled: offline fallback
+export type CatalogSource = 'network' | 'cache' | 'bundled';
+
+// API Base URL
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const STORAGE_KEY = 'copec-ev:station-catalog';
+
+const readCache = (): CachedCatalog | null => {
+    try {
+        const cached = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        return cached?.etag && Array.isArray(cached.stations) ? cached : null;
+    } catch {
+        return null;
+    }
+};
+
+const writeCache = (catalog: CachedCatalog) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(catalog));
+    } catch (error) {
+        // Storage full or disabled: the catalog is simply fetched again next time
+        console.warn('Could not cache station catalog:', error);
+    }
+};
+
+export function useStationCatalog() {
+    const [cached] = useState(readCache);
+    const [stations, setStations] = useState<CatalogStation[]>(
+        () => cached?.stations || (bundledCatalog.stations as CatalogStation[])
+    );
+    const [lastUpdated, setLastUpdated] = useState(cached?.last_updated || bundledCatalog.metadata.last_updated);
+    const [source, setSource] = useState<CatalogSource>(cached ? 'cache' : 'bundled');
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        const controller = new AbortController();
+
+        const load = async () => {
+            try {
+                const response = await fetch(`${API_BASE}/api/stations/catalog`, {
+                    headers: cached ? { 'If-None-Match': cached.etag } : {},
+                    // Revalidation is handled here with the cached ETag, not by the HTTP cache
+                    cache: 'no-store',
+                    signal: controller.signal
+                });
+
+                if (response.status === 304) {
+                    setSource('network');
+                } else if (response.ok) {
+                    const data = await response.json();
+                    const catalog: CachedCatalog = {
+                        etag: response.headers.get('ETag') || `"${data.version}"`,
+                        stations: data.stations,
+                        last_updated: data.metadata.last_updated
+                    };
+                    writeCache(catalog);
+                    setStations(catalog.stations);
+                    setLastUpdated(catalog.last_updated);
+                    setSource('network');
+                }
+            } catch (error) {
+                if (controller.signal.aborted) return;
+                console.error('Error fetching station catalog:', error);
+                // Keep the cached or bundled catalog
+            }
+            setLoading(false);
+        };
+
+        load();
+        return () => controller.abort();
+    }, [cached]);
+
+    return {
+        stations,
+        source,
+        lastUpdated,
+        loading,
+        // Only known once the backend could not be reached
+        outdated: !loading && source === 'bundled'
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * useStationUpdates Hook - Copec EV Assistant
+ * Subscribes to live charger status, queue and power updates over server-sent events
+ */
+
+import { useEffect, useState } from 'react';
+
+export type ChargerStatus = 'available' | 'occupied' | 'reserved' | 'maintenance';
+
+export interface StationUpdate {
+    station_id: string;
+    available: number;
+    total: number;
+    chargers: {
+        id: string;
+        type: 'fast' | 'slow';
+        status: ChargerStatus;
+        power_draw_kw: number;
+        reserved_until?: string;
+    }[];
+    queue: {
+        current_queue: number;
+        estimated_wait_minutes: number | null;
+        trend: 'increasing' | 'decreasing' | 'stable';
+    };
+    real_time_power: {
+        current_load_kw: number;
+        max_capacity_kw: number;
+        efficiency_percent: number;
+    };
+    updated_at: string;
+}
+
+// API Base URL
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+export function useStationUpdates(stationIds: string[]) {
+    const [updates, setUpdates] = useState<Record<string, StationUpdate>>({});
+    const [connected, setConnected] = useState(false);
+
+    // Re-subscribe only when the set of stations changes, not on every new array
+    const subscription = [...new Set(stationIds)].sort().join(',');
+
+    useEffect(() => {
+        if (!subscription || typeof EventSource === 'undefined') return;
+
+        const source = new EventSource(
+            `${API_BASE}/api/stations/stream?stationIds=${encodeURIComponent(subscription)}`
+        );
+
+        const merge = (stations: StationUpdate[]) => {
+            setUpdates(prev => {
+                const next = { ...prev };
+                stations.forEach(s => { next[s.station_id] = s; });
+                return next;
+            });
+        };
+
+        source.onopen = () => setConnected(true);
+        // EventSource reconnects by itself after each batch; only a closed source is a real failure
+        source.onerror = () => setConnected(source.readyState !== EventSource.CLOSED);
+
+        source.addEventListener('snapshot', (event) => {
+            merge(JSON.parse((event as MessageEvent).data).stations);
+        });
+        source.addEventListener('station_status', (event) => {
+            merge([JSON.parse((event as MessageEvent).data)]);
+        });
+
+        return () => {
+            source.close();
+            setConnected(false);
+        };
+    }, [subscription]);
+
+    return { updates, connected };
+}